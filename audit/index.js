@@ -0,0 +1,156 @@
+// The audit log: one JSON line per request in <dir>/audit.jsonl, appended once its response is sent:
+//   {"time":"...","action":"download","outcome":"success","status":200,"user":"bob","token":null,
+//    "ip":"10.0.0.5","userAgent":"curl/8.5.0","method":"GET","target":"/bob/report.pdf","size":52311}
+// outcome is success, denied (401/403), failure (any other error) or aborted (the client went away);
+// failures carry the error message. The log is rotated to audit-<time>.jsonl when the day changes
+// (UTC) or it would pass maxBytes. Nothing ever rewrites or deletes a rotated file.
+//
+// Routes tag themselves with auditAs(action) and fill in the target and size with auditFields()
+// once they know them.
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_ACTIONS = [
+    'upload', 'download', 'delete', 'delete-folder', 'mkdir', 'move', 'login', 'logout', 'admin-upload',
+    'share-create', 'share-revoke', 'share-unlock', 'folder-visibility', 'folder-owner', 'folder-policy', 'quota',
+    'user-create', 'user-role', 'user-disable', 'user-reset', 'token-create', 'token-revoke',
+    'trash-restore', 'trash-purge', 'trash-empty', 'quarantine-delete', 'lockout-unlock', 'audit-export',
+    'version-restore', 'folder-versioning', 'webhook-create', 'webhook-update', 'webhook-delete', 'webhook-test',
+    'two-factor'
+];
+const AUDIT_OUTCOMES = ['success', 'denied', 'failure', 'aborted'];
+
+// Whether a record matches search params: { q, action, user, outcome, sinceMs, untilMs }
+function auditMatches(record, params) {
+    const time = Date.parse(record.time);
+    if (params.sinceMs !== null && time < params.sinceMs) return false;
+    if (params.untilMs !== null && time > params.untilMs) return false;
+    if (params.action && record.action !== params.action) return false;
+    if (params.outcome && record.outcome !== params.outcome) return false;
+    if (params.user && record.user !== params.user) return false;
+    if (params.q) {
+        const needle = params.q.toLowerCase();
+        return [record.target, record.user, record.ip, record.userAgent, record.detail, record.error]
+            .some(value => value && String(value).toLowerCase().includes(needle));
+    }
+    return true;
+}
+
+// The log kept in dir. clientIp(req) gives the IP to record for a request.
+function createAuditLog({ dir, maxBytes, clientIp }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, 'audit.jsonl');
+
+    let writes = Promise.resolve();
+    let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    let day = fs.existsSync(file) ? fs.statSync(file).mtime.toISOString().slice(0, 10) : null;
+
+    // Append a record, rotating first when the day changed or it would pass maxBytes
+    function writeAudit(record) {
+        const line = JSON.stringify(record) + '\n';
+        const recordDay = record.time.slice(0, 10);
+        writes = writes
+            .then(async () => {
+                if (size > 0 && (day !== recordDay || (maxBytes && size + line.length > maxBytes))) {
+                    let rotated;
+                    for (let time = Date.now(); !rotated || fs.existsSync(rotated); time++) { // Never overwrite one
+                        rotated = path.join(dir, `audit-${new Date(time).toISOString().replace(/[:.]/g, '-')}.jsonl`);
+                    }
+                    await fs.promises.rename(file, rotated);
+                    size = 0;
+                }
+                await fs.promises.appendFile(file, line);
+                size += Buffer.byteLength(line);
+                day = recordDay;
+            })
+            .catch(err => console.error(`Audit log write failed: ${err.message}`));
+    }
+
+    // Log this request under an action once the response is done. fields may set target, size and detail,
+    // and override the user and outcome where the response doesn't tell (a login form shown again).
+    function auditRequest(req, res, action, fields = {}) {
+        if (req.method === 'HEAD') return null; // Only looking
+        if (req.audit) {
+            return Object.assign(req.audit, { action }, fields);
+        }
+        req.audit = { action, ...fields };
+        res.on('close', () => {
+            const status = res.statusCode;
+            let outcome = req.audit.outcome || (status === 401 || status === 403 ? 'denied' : status >= 400 ? 'failure' : 'success');
+            if (!res.writableFinished) outcome = 'aborted';
+            writeAudit({
+                time: new Date().toISOString(),
+                action: req.audit.action,
+                outcome,
+                status,
+                user: req.audit.user ?? (req.user ? req.user.username : null),
+                token: req.token ? req.token.id : null,
+                ip: clientIp(req),
+                userAgent: req.headers['user-agent'] || null,
+                method: req.method,
+                target: req.audit.target ?? req.path,
+                size: req.audit.size ?? null,
+                ...(req.audit.detail && { detail: req.audit.detail }),
+                ...(outcome !== 'success' && res.locals.errorMessage && { error: res.locals.errorMessage })
+            });
+        });
+        return req.audit;
+    }
+
+    // Middleware tagging a route with its audit action
+    function auditAs(action) {
+        return (req, res, next) => {
+            auditRequest(req, res, action);
+            next();
+        };
+    }
+
+    // Fill in what a tagged request acted on
+    function auditFields(req, fields) {
+        if (req.audit) Object.assign(req.audit, fields);
+    }
+
+    // Log files oldest first, each with the time it was rotated (null for the live log)
+    function auditLogFiles() {
+        const rotated = fs.readdirSync(dir)
+            .filter(name => /^audit-.+\.jsonl$/.test(name))
+            .sort()
+            .map(name => {
+                const [, date, h, m, s, ms] = /^audit-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(name) || [];
+                return { path: path.join(dir, name), rotatedAt: date ? Date.parse(`${date}T${h}:${m}:${s}.${ms}Z`) : null };
+            });
+        return [...rotated, { path: file, rotatedAt: null }];
+    }
+
+    // Every record matching the search, newest first. Rotated files that ended before since are skipped.
+    async function searchAuditLog(params) {
+        await writes; // Include what is still being written
+        const matches = [];
+        for (const logFile of auditLogFiles()) {
+            if (logFile.rotatedAt !== null && params.sinceMs !== null && logFile.rotatedAt < params.sinceMs) continue;
+            let content;
+            try {
+                content = await fs.promises.readFile(logFile.path, 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') continue; // Nothing logged yet
+                throw err;
+            }
+            for (const line of content.split('\n')) {
+                if (!line) continue;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch {
+                    continue; // Torn last line after a crash
+                }
+                if (auditMatches(record, params)) matches.push(record);
+            }
+        }
+        return matches.reverse();
+    }
+
+    return { auditRequest, auditAs, auditFields, searchAuditLog };
+}
+
+module.exports = { createAuditLog, AUDIT_ACTIONS, AUDIT_OUTCOMES };
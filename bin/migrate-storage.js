@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// Copy every stored file - folders, earlier versions and the trash - from one storage backend
+// to another, then point STORAGE_DRIVER at the new one. Stop the server first.
+//
+//   node bin/migrate-storage.js --from local --to s3 [--delete] [--force]
+//
+// Both sides are set up from the server's own settings (UPLOAD_DIR and S3_*, from config.json or
+// the environment; see config/index.js). Files the target already holds with the same size are
+// skipped, so an interrupted run can simply be started again; --force copies them anyway.
+// --delete removes everything from the source once it has all been copied. The sha256 of each
+// copied file is left for the server to pick up on its next start, since the new copies have
+// new modification times.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const stream = require('stream');
+const { createStorage, STORAGE_DRIVERS } = require('../storage');
+const { loadConfig } = require('../config');
+
+let settings;
+try {
+    ({ settings } = loadConfig());
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+const UPLOAD_DIR = settings.UPLOAD_DIR;
+const CHECKSUM_FILE = path.join(UPLOAD_DIR, '.meta', 'checksums.json'); // Read once by the server's reconcile
+const PREFIXES = ['', '.versions', '.trash']; // Folders, then the copies only the .meta records point at
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}\n`);
+    console.error('Usage: node bin/migrate-storage.js --from <driver> --to <driver> [--delete] [--force]');
+    console.error(`Drivers: ${STORAGE_DRIVERS.join(', ')}`);
+    process.exit(message ? 2 : 0);
+}
+
+function parseArgs(argv) {
+    const options = { delete: false, force: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from' || arg === '--to') {
+            options[arg.substring(2)] = argv[++i];
+        } else if (arg === '--delete' || arg === '--force') {
+            options[arg.substring(2)] = true;
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else {
+            usage(`Unknown option "${arg}"`);
+        }
+    }
+    if (!options.from || !options.to) usage('--from and --to are required');
+    if (options.from === options.to) usage('--from and --to must be different drivers');
+    return options;
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// Copy one file, hashing it on the way through
+async function copyFile(source, target, key) {
+    const hash = crypto.createHash('sha256');
+    const tap = new stream.Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+    const input = await source.read(key);
+    input.on('error', (err) => tap.destroy(err));
+    const stat = await target.write(key, input.pipe(tap));
+    return { ...stat, sha256: hash.digest('hex') };
+}
+
+async function migrate({ from, to, delete: deleteSource, force }) {
+    const source = createStorage(from, { root: UPLOAD_DIR, settings });
+    const target = createStorage(to, { root: UPLOAD_DIR, settings });
+    const checksums = fs.existsSync(CHECKSUM_FILE) ? JSON.parse(fs.readFileSync(CHECKSUM_FILE, 'utf8')) : {};
+    const totals = { copied: 0, skipped: 0, dirs: 0, bytes: 0 };
+    const topLevel = new Set();
+
+    for (const prefix of PREFIXES) {
+        for await (const item of source.list(prefix)) {
+            topLevel.add(prefix ? prefix : item.key.split('/')[0]);
+            if (item.isDir) {
+                await target.mkdir(item.key);
+                totals.dirs++;
+                continue;
+            }
+            const existing = await target.stat(item.key);
+            if (existing && existing.size === item.size && !force) {
+                console.log(`skipped ${item.key} (already there)`);
+                totals.skipped++;
+                continue;
+            }
+            const copied = await copyFile(source, target, item.key);
+            if (copied.size !== item.size) {
+                throw new Error(`${item.key} changed while it was being copied (${item.size} bytes, now ${copied.size}). Is the server still running?`);
+            }
+            if (!prefix && item.key.includes('/')) {
+                checksums[item.key] = { size: copied.size, mtimeMs: copied.mtimeMs, sha256: copied.sha256 };
+            }
+            console.log(`copied  ${item.key} (${formatSize(copied.size)})`);
+            totals.copied++;
+            totals.bytes += copied.size;
+        }
+    }
+    fs.mkdirSync(path.dirname(CHECKSUM_FILE), { recursive: true });
+    fs.writeFileSync(CHECKSUM_FILE, JSON.stringify(checksums, null, 2));
+
+    if (deleteSource) {
+        for (const key of topLevel) {
+            await source.remove(key);
+        }
+        await source.remove('.blobs'); // Shared copies of deduplicated files (STORAGE_DEDUP), copied in full above
+        console.log(`Removed ${topLevel.size} top-level item(s) from ${from} storage.`);
+    }
+    console.log(`\nCopied ${totals.copied} file(s) (${formatSize(totals.bytes)}) and ${totals.dirs} folder(s) from ${from} to ${to}; ${totals.skipped} already there.`);
+    console.log(`Start the server with STORAGE_DRIVER=${to} to use it.`);
+}
+
+migrate(parseArgs(process.argv.slice(2))).catch((err) => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,171 @@
+// Settings for the server and the bin/ scripts. Each setting in config/schema.js comes from, later
+// ones winning:
+//   1. its default
+//   2. the built-in overrides of the profile named by NODE_ENV (development when unset)
+//   3. config.json in the repository root, or the file named by CONFIG_FILE
+//   4. that file's "profiles": { "<NODE_ENV>": { ... } } section
+//   5. the environment variable of the same name
+// Every value is checked against the schema. loadConfig throws one error listing every problem, so a
+// typo stops the server instead of quietly falling back to a default.
+
+const fs = require('fs');
+const path = require('path');
+const { SETTINGS, PROFILES, DEFAULT_SESSION_SECRET, DEFAULT_ADMIN_PASSWORD } = require('./schema');
+
+const ROOT = path.join(__dirname, '..');
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+const MIN_SECRET_LENGTH = 32;
+const BY_NAME = new Map(SETTINGS.map(setting => [setting.name, setting]));
+
+// A setting's value from the file (any JSON type) or the environment (always a string)
+function parseValue(setting, raw) {
+    if (raw === null && setting.nullable) return null;
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+    const min = setting.min || 0;
+
+    switch (setting.type) {
+        case 'int': {
+            const value = typeof text === 'string' && /^\d+$/.test(text) ? parseInt(text, 10) : text;
+            if (!Number.isInteger(value) || value < min) {
+                throw new Error(`must be a whole number${min ? ` of at least ${min}` : ''}`);
+            }
+            return value;
+        }
+        case 'size': {
+            const match = typeof text === 'number' ? [null, String(text)] : /^(\d+(?:\.\d+)?)\s*([KMGT]?B)?$/i.exec(String(text));
+            const value = match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]) : NaN;
+            if (!Number.isInteger(value) || value < min) {
+                throw new Error(`must be a size like 500KB, 50MB, 5GB or a number of bytes${min ? ` (at least ${min})` : ''}`);
+            }
+            return value;
+        }
+        case 'bool':
+            if (text === true || text === 'true') return true;
+            if (text === false || text === 'false') return false;
+            throw new Error(`must be true or false${setting.nullable ? ' (or null to decide from other settings)' : ''}`);
+        case 'proxy':
+            if (text === true || text === 'true') return true;
+            if (text === false || text === 'false') return false;
+            if (Number.isInteger(text) && text >= 0) return text;
+            if (typeof text === 'string' && /^\d+$/.test(text)) return parseInt(text, 10);
+            if (typeof text === 'string' && text) return text;
+            throw new Error('must be true, false, a number of hops or a subnet list like "loopback, 10.0.0.0/8"');
+        case 'path':
+            if (typeof text !== 'string' || !text) throw new Error('must be a directory path');
+            return path.resolve(ROOT, text);
+        default: {
+            const value = typeof raw === 'number' || typeof raw === 'boolean' ? String(raw) : raw;
+            if (typeof value !== 'string') throw new Error('must be text');
+            if (setting.values && !setting.values.includes(value.trim())) {
+                throw new Error(`must be one of ${setting.values.join(', ')}`);
+            }
+            return setting.values ? value.trim() : value;
+        }
+    }
+}
+
+// The config file's contents, or null when there is none. A file named by CONFIG_FILE must exist.
+function readConfigFile(env, problems) {
+    const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : path.join(ROOT, 'config.json');
+    if (!env.CONFIG_FILE && !fs.existsSync(file)) return null;
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        problems.push(`${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+        return null;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        problems.push(`${file}: must hold a JSON object of settings`);
+        return null;
+    }
+    const { profiles = {}, ...values } = data;
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+        problems.push(`${file}: "profiles" must be an object of profile names to settings`);
+        return { file, values, profiles: {} };
+    }
+    return { file, values, profiles };
+}
+
+// { profile, production, file, settings, sources, warnings }; settings maps each name to its
+// parsed value and sources to where it came from
+function loadConfig({ env = process.env } = {}) {
+    const profile = env.NODE_ENV || 'development';
+    const problems = [];
+    const warnings = [];
+    const settings = {};
+    const sources = {};
+    for (const setting of SETTINGS) {
+        settings[setting.name] = setting.type === 'path' ? path.resolve(ROOT, setting.default) : setting.default;
+        sources[setting.name] = 'default';
+    }
+
+    const apply = (values, source, { skipUnknown = false } = {}) => {
+        for (const [name, raw] of Object.entries(values)) {
+            const setting = BY_NAME.get(name);
+            if (!setting) {
+                if (!skipUnknown) problems.push(`${name} (${source}): unknown setting`);
+                continue;
+            }
+            // An empty variable leaves a number or switch at its default; text can be emptied on purpose
+            if (raw === undefined || (raw === '' && setting.type !== 'string')) continue;
+            try {
+                settings[name] = parseValue(setting, raw);
+                sources[name] = source;
+            } catch (err) {
+                problems.push(`${name} (${source}): ${err.message}, got ${JSON.stringify(raw)}`);
+            }
+        }
+    };
+
+    apply(PROFILES[profile] || {}, `${profile} profile`);
+    const configFile = readConfigFile(env, problems);
+    if (configFile) {
+        apply(configFile.values, 'config file');
+        if (configFile.profiles[profile] && typeof configFile.profiles[profile] === 'object') {
+            apply(configFile.profiles[profile], `config file, ${profile} profile`);
+        }
+    }
+    apply(env, 'environment', { skipUnknown: true });
+
+    if (!settings.BASE_URL) settings.BASE_URL = `http://localhost:${settings.PORT}`;
+    settings.BASE_URL = settings.BASE_URL.replace(/\/+$/, '');
+    if (settings.STORAGE_DRIVER === 's3' && !settings.S3_BUCKET) {
+        problems.push('S3_BUCKET: required when STORAGE_DRIVER is s3');
+    }
+
+    const defaultSecret = settings.SESSION_SECRET === DEFAULT_SESSION_SECRET;
+    if (profile === 'production') {
+        if (defaultSecret || settings.SESSION_SECRET.length < MIN_SECRET_LENGTH) {
+            problems.push(`SESSION_SECRET: must be set to a random string of at least ${MIN_SECRET_LENGTH} characters in production, ` +
+                `e.g. node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"`);
+        }
+    } else if (defaultSecret) {
+        warnings.push('SESSION_SECRET is the built-in default; set your own before running with NODE_ENV=production');
+    }
+
+    if (problems.length) {
+        const err = new Error(`Invalid configuration (${profile} profile):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        err.problems = problems;
+        throw err;
+    }
+    return { profile, production: profile === 'production', file: configFile?.file || null, settings, sources, warnings };
+}
+
+// Every setting for display, secrets replaced by "[redacted]" (or "" when unset)
+function describeConfig(config) {
+    return SETTINGS.map(setting => {
+        const value = config.settings[setting.name];
+        return {
+            name: setting.name,
+            group: setting.group,
+            type: setting.type,
+            value: setting.secret ? (value ? '[redacted]' : '') : value,
+            secret: !!setting.secret,
+            source: config.sources[setting.name],
+            description: setting.description
+        };
+    });
+}
+
+module.exports = { loadConfig, describeConfig, SETTINGS, DEFAULT_ADMIN_PASSWORD };
@@ -0,0 +1,96 @@
+// Every setting the server reads, with its type, default and a one-line description. Names are the
+// environment variables that set them; config.json uses the same names (see config/index.js).
+// Types:
+//   int     - whole number, at least min (0 if not given)
+//   size    - bytes: a whole number or "500KB", "50MB", "5GB", "1TB"
+//   bool    - true or false; nullable ones also take null for "decide for me"
+//   string  - any text; enum ones must be one of values
+//   path    - a directory, relative ones resolved against the repository root
+//   proxy   - Express "trust proxy": true, false, a hop count or a subnet list
+// secret settings are never shown in full on /admin/config.
+
+const KB = 1024;
+const MB = 1024 * KB;
+const GB = 1024 * MB;
+
+const DEFAULT_SESSION_SECRET = 'dev-secret-change-in-production';
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
+const SETTINGS = [
+    // Server
+    { name: 'PORT', group: 'Server', type: 'int', min: 1, default: 3000, description: 'Port to listen on' },
+    { name: 'BASE_URL', group: 'Server', type: 'string', default: '', description: 'Public address used in links and the curl examples (default http://localhost:<PORT>)' },
+    { name: 'UPLOAD_DIR', group: 'Server', type: 'path', default: 'uploads', description: 'Where the index, settings, audit log and local file contents are kept' },
+    { name: 'TRUST_PROXY', group: 'Server', type: 'proxy', default: false, description: 'Proxies whose X-Forwarded-For is believed for the client IP' },
+
+    // Accounts and sessions
+    { name: 'SESSION_SECRET', group: 'Sessions', type: 'string', secret: true, default: DEFAULT_SESSION_SECRET, description: 'Signs session cookies; at least 32 random characters in production' },
+    { name: 'SESSION_MAX_AGE_HOURS', group: 'Sessions', type: 'int', min: 1, default: 24, description: 'How long a login lasts' },
+    { name: 'COOKIE_SECURE', group: 'Sessions', type: 'string', values: ['false', 'true', 'auto'], default: 'false', description: 'Send the session cookie over HTTPS only; auto follows the request (needs TRUST_PROXY behind a proxy)' },
+    { name: 'ADMIN_USERNAME', group: 'Sessions', type: 'string', default: 'admin', description: 'Initial admin account, created when there are no accounts' },
+    { name: 'ADMIN_PASSWORD', group: 'Sessions', type: 'string', secret: true, default: DEFAULT_ADMIN_PASSWORD, description: 'Password of the initial admin account' },
+    { name: 'ALLOW_ANONYMOUS_UPLOADS', group: 'Sessions', type: 'bool', default: true, description: 'false requires an uploader account for every upload' },
+
+    // Uploads
+    { name: 'MULTIPART_MAX_SIZE', group: 'Uploads', type: 'size', min: 1, default: 50 * MB, description: 'Largest file a form (multipart) upload may carry; bigger ones use chunked uploads' },
+    { name: 'UPLOAD_MAX_FILES', group: 'Uploads', type: 'int', min: 1, default: 100, description: 'Most files one form upload may carry' },
+    { name: 'UPLOAD_CONFLICT', group: 'Uploads', type: 'string', values: ['version', 'rename', 'reject'], default: 'version', description: 'What an upload with the name of an existing file does' },
+    { name: 'CHUNKED_MAX_SIZE', group: 'Uploads', type: 'size', min: 1, default: 20 * GB, description: 'Largest chunked (resumable) upload' },
+    { name: 'CHUNKED_SESSION_TTL_HOURS', group: 'Uploads', type: 'int', min: 1, default: 24, description: 'Unfinished chunked uploads are dropped after this long' },
+    { name: 'UPLOAD_ALLOWED_TYPES', group: 'Uploads', type: 'string', default: '', description: 'Only these extensions and MIME types may be uploaded (empty for any)' },
+    { name: 'UPLOAD_BLOCKED_TYPES', group: 'Uploads', type: 'string', default: '.exe,.dll,.scr,.msi,.com,.bat,.cmd,.vbs,.ps1,application/x-msdownload,application/x-executable,application/x-mach-binary', description: 'These extensions and MIME types are always refused' },
+    { name: 'UPLOAD_SCANNER', group: 'Uploads', type: 'string', default: '', description: 'Virus scanner run on every upload (clamd:<socket>, command:<cmd> or a module)' },
+    { name: 'ARCHIVE_MAX_ENTRIES', group: 'Uploads', type: 'int', default: 10000, description: 'Most entries an unpacked archive may have (0 for no limit)' },
+    { name: 'ARCHIVE_MAX_EXTRACTED_BYTES', group: 'Uploads', type: 'size', default: 4 * GB, description: 'Most an archive may unpack to (0 for no limit)' },
+
+    // Storage
+    { name: 'STORAGE_DRIVER', group: 'Storage', type: 'string', values: ['local', 's3'], default: 'local', description: 'Where file contents are kept' },
+    { name: 'STORAGE_DEDUP', group: 'Storage', type: 'bool', default: false, description: 'Store identical files once (local driver only)' },
+    { name: 'STORAGE_DOWNLOADS', group: 'Storage', type: 'string', values: ['proxy', 'redirect'], default: 'proxy', description: 'redirect sends S3 downloads through presigned URLs' },
+    { name: 'PRESIGNED_URL_SECONDS', group: 'Storage', type: 'int', min: 1, default: 300, description: 'How long a presigned download URL works' },
+    { name: 'S3_BUCKET', group: 'Storage', type: 'string', default: '', description: 'Bucket for the s3 driver' },
+    { name: 'S3_REGION', group: 'Storage', type: 'string', default: '', description: 'Bucket region (default us-east-1)' },
+    { name: 'S3_ENDPOINT', group: 'Storage', type: 'string', default: '', description: 'Endpoint of an S3-compatible service (MinIO, R2, ...)' },
+    { name: 'S3_PREFIX', group: 'Storage', type: 'string', default: '', description: 'Key prefix inside the bucket' },
+    { name: 'S3_ACCESS_KEY_ID', group: 'Storage', type: 'string', default: '', description: 'Access key (default: the usual AWS credential chain)' },
+    { name: 'S3_SECRET_ACCESS_KEY', group: 'Storage', type: 'string', secret: true, default: '', description: 'Secret for S3_ACCESS_KEY_ID' },
+    { name: 'S3_FORCE_PATH_STYLE', group: 'Storage', type: 'bool', nullable: true, default: null, description: 'Path-style bucket URLs (default: on when S3_ENDPOINT is set)' },
+
+    // Quotas, versions and trash
+    { name: 'QUOTA_MAX_BYTES', group: 'Quotas', type: 'size', default: 0, description: 'Default folder quota in bytes (0 for no limit)' },
+    { name: 'QUOTA_MAX_FILES', group: 'Quotas', type: 'int', default: 0, description: 'Default folder quota in files (0 for no limit)' },
+    { name: 'MIN_FREE_DISK', group: 'Quotas', type: 'size', default: 512 * MB, description: 'Uploads are refused once free disk space would drop below this (with remote storage, only those staged on disk)' },
+    { name: 'FILE_VERSIONING', group: 'Quotas', type: 'bool', default: false, description: 'Keep earlier versions of replaced files in every folder' },
+    { name: 'VERSION_MAX_COUNT', group: 'Quotas', type: 'int', default: 10, description: 'Earlier versions kept per file (0 for no limit)' },
+    { name: 'VERSION_MAX_AGE_DAYS', group: 'Quotas', type: 'int', default: 0, description: 'Earlier versions are dropped this many days after being replaced (0 keeps them)' },
+    { name: 'TRASH_RETENTION_DAYS', group: 'Quotas', type: 'int', default: 30, description: 'Days deleted items stay in the trash (0 keeps them until purged)' },
+
+    // Previews, audit log, webhooks
+    { name: 'PREVIEW_MAX_TEXT_BYTES', group: 'Other', type: 'size', default: 256 * KB, description: 'Most of a text file a preview page shows' },
+    { name: 'AUDIT_MAX_BYTES', group: 'Other', type: 'size', default: 10 * MB, description: 'The audit log is rotated daily or once it reaches this size' },
+    { name: 'WEBHOOK_MAX_ATTEMPTS', group: 'Other', type: 'int', min: 1, default: 6, description: 'Attempts per webhook delivery, first one included' },
+    { name: 'WEBHOOK_TIMEOUT_SECONDS', group: 'Other', type: 'int', min: 1, default: 10, description: "How long to wait for a webhook receiver's answer" },
+    { name: 'EVENTS_MAX_CLIENTS', group: 'Other', type: 'int', default: 200, description: 'Open /events streams at once' },
+    { name: 'EVENTS_MAX_PER_IP', group: 'Other', type: 'int', default: 10, description: 'Open /events streams at once from one IP (0 for no limit)' },
+
+    // Rate limits
+    { name: 'LOGIN_MAX_ATTEMPTS', group: 'Rate limits', type: 'int', default: 5, description: 'Failed logins per LOGIN_WINDOW_MINUTES, per IP; wrong two-factor codes also per account, wrong share passwords per share and IP. Past it, wrong passwords for one account only slow it down, to one try per delay of up to a minute (0 for no limit)' },
+    { name: 'LOGIN_WINDOW_MINUTES', group: 'Rate limits', type: 'int', min: 1, default: 15, description: 'Window for LOGIN_MAX_ATTEMPTS' },
+    { name: 'LOGIN_LOCKOUT_MINUTES', group: 'Rate limits', type: 'int', min: 1, default: 1, description: 'First login lockout; each repeat within a day doubles it' },
+    { name: 'UPLOAD_RATE_COUNT', group: 'Rate limits', type: 'int', default: 100, description: 'Uploads per UPLOAD_RATE_WINDOW_MINUTES (0 for no limit)' },
+    { name: 'UPLOAD_RATE_BYTES', group: 'Rate limits', type: 'size', default: 2 * GB, description: 'Bytes uploaded per UPLOAD_RATE_WINDOW_MINUTES (0 for no limit)' },
+    { name: 'UPLOAD_RATE_WINDOW_MINUTES', group: 'Rate limits', type: 'int', min: 1, default: 60, description: 'Window for the upload limits' },
+    { name: 'DOWNLOAD_RATE_BYTES', group: 'Rate limits', type: 'size', default: 20 * GB, description: 'Bytes downloaded per DOWNLOAD_RATE_WINDOW_MINUTES (0 for no limit)' },
+    { name: 'DOWNLOAD_RATE_WINDOW_MINUTES', group: 'Rate limits', type: 'int', min: 1, default: 60, description: 'Window for DOWNLOAD_RATE_BYTES' },
+    { name: 'DOWNLOAD_MAX_CONCURRENT', group: 'Rate limits', type: 'int', default: 4, description: 'Downloads in progress at once per client (0 for no limit)' },
+    { name: 'RATE_LIMIT_STORE', group: 'Rate limits', type: 'string', default: '', description: 'Module holding the rate limit counters (default: in memory)' }
+];
+
+// Built-in overrides per profile (NODE_ENV), applied before config.json and the environment
+const PROFILES = {
+    development: {},
+    production: { COOKIE_SECURE: 'auto' },
+    test: {}
+};
+
+module.exports = { SETTINGS, PROFILES, DEFAULT_SESSION_SECRET, DEFAULT_ADMIN_PASSWORD };
@@ -0,0 +1,93 @@
+// Changes to the repository are announced as events:
+//   { "id": "...", "type": "file.uploaded", "time": "...", "data": { "folder": "bob", ... } }
+//   file.uploaded    data is the file, as in the JSON API
+//   file.deleted     { folder, name, size, deletedBy }
+//   file.moved       { folder, from, to }
+//   file.restored    the file, plus "from": "trash" or "version" (and restoredVersion)
+//   folder.created   { folder, path } - path is "" for a top-level folder, else the subfolder
+//   folder.deleted   { folder, path, fileCount, deletedBy }
+//   folder.moved     { folder, from, to }
+//   folder.restored  { folder, path, fileCount }
+// An event hub writes each one to the open Server-Sent Events streams that may see it, and hands
+// it to its listeners (webhooks.js). It keeps the last `replay` events, so a reconnecting stream
+// (Last-Event-ID) catches up on what it missed.
+
+const EVENT_TYPES = [
+    'file.uploaded', 'file.deleted', 'file.moved', 'file.restored',
+    'folder.created', 'folder.deleted', 'folder.moved', 'folder.restored'
+];
+
+const KEEP_ALIVE_INTERVAL = 25 * 1000;
+
+// createId() gives each event its ID. canRead(user, folder) says whether an account (null when
+// anonymous) sees a folder's events; allowed(stream) whether the account and token a stream was
+// opened with may still follow it, checked before each write - streams that may not are closed.
+function createEventHub({ replay, createId, canRead, allowed }) {
+    const recent = [];
+    const streams = new Set(); // { res, ip, user, token, folder, types, keepAlive }
+    const listeners = [];
+
+    function closeStream(stream) {
+        clearInterval(stream.keepAlive);
+        streams.delete(stream);
+        stream.res.end();
+    }
+
+    // Write an event to a stream, unless its folder is hidden from that account or filtered out
+    function send(stream, event) {
+        if (!allowed(stream)) return closeStream(stream);
+        if (stream.folder && event.data.folder !== stream.folder) return;
+        if (stream.types && !stream.types.includes(event.type)) return;
+        if (!canRead(stream.user, event.data.folder)) return;
+        stream.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+
+    function emit(type, data) {
+        const event = { id: createId(), type, time: new Date().toISOString(), data };
+        recent.push(event);
+        if (recent.length > replay) recent.shift();
+        for (const stream of streams) {
+            send(stream, event);
+        }
+        for (const listener of listeners) {
+            listener(event);
+        }
+    }
+
+    // Call listener(event) for every event from now on
+    function onEvent(listener) {
+        listeners.push(listener);
+    }
+
+    // Open streams, or only those from one IP
+    function streamCount(ip = null) {
+        return ip === null ? streams.size : [...streams].filter(stream => stream.ip === ip).length;
+    }
+
+    // Follow events on a response whose event-stream headers are sent. folder and types (null for
+    // all) filter them; events after lastEventId are sent first, while they are still kept.
+    function openStream(res, { ip, user, token, folder, types, lastEventId }) {
+        const stream = { res, ip, user, token, folder, types };
+        const missedFrom = lastEventId ? recent.findIndex(event => event.id === lastEventId) : -1;
+        for (const event of missedFrom >= 0 ? recent.slice(missedFrom + 1) : []) {
+            send(stream, event);
+        }
+        streams.add(stream);
+
+        // Proxies drop connections that stay quiet too long. It also ends streams that are no
+        // longer allowed when no event comes along to do it.
+        stream.keepAlive = setInterval(() => {
+            if (!allowed(stream)) return closeStream(stream);
+            res.write(': keep-alive\n\n');
+        }, KEEP_ALIVE_INTERVAL);
+        res.on('close', () => {
+            clearInterval(stream.keepAlive);
+            streams.delete(stream);
+        });
+        return stream;
+    }
+
+    return { emit, onEvent, openStream, streamCount };
+}
+
+module.exports = { createEventHub, EVENT_TYPES };
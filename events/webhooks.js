@@ -0,0 +1,186 @@
+// Webhooks: URLs that get events POSTed, each for some event types (or all) and optionally one
+// folder. Every delivery is POSTed as JSON with headers:
+//   X-Webhook-Id         the webhook
+//   X-Webhook-Event      the event type ("ping" for a test)
+//   X-Webhook-Delivery   this delivery, the same on every retry of it
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of the raw body, keyed by the webhook's secret>
+// Any 2xx answer counts as delivered. Anything else, or no answer within timeout ms, is retried
+// after 30s, 2m, 8m, ... up to maxAttempts attempts in all. Webhooks are kept in file and the last
+// LOG_SIZE deliveries in deliveriesFile, so pending retries survive a restart.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const LOG_SIZE = 500;
+const RETRY_BASE = 30 * 1000;
+
+function loadJson(file, fallback) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function saveJson(file, data) {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+function signWebhook(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function webhookMatches(webhook, event) {
+    return webhook.active &&
+        (!webhook.events.length || webhook.events.includes(event.type)) &&
+        (!webhook.folder || webhook.folder === event.data.folder);
+}
+
+// createId() gives each delivery its ID
+function createWebhooks({ file, deliveriesFile, maxAttempts, timeout, createId }) {
+    const webhooks = loadJson(file, {});
+    const deliveries = loadJson(deliveriesFile, []); // Oldest first
+    let deliverySaveTimer = null;
+
+    // Many events can arrive at once (an archive unpacking), so the log is written at most once a second
+    function saveDeliveries() {
+        if (deliverySaveTimer) return;
+        deliverySaveTimer = setTimeout(() => {
+            deliverySaveTimer = null;
+            saveJson(deliveriesFile, deliveries);
+        }, 1000);
+    }
+
+    function create(url, events, folder, createdBy) {
+        const id = crypto.randomBytes(6).toString('hex');
+        webhooks[id] = {
+            id,
+            url,
+            events,
+            folder,
+            secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+            active: true,
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+        saveJson(file, webhooks);
+        return webhooks[id];
+    }
+
+    // Paused webhooks get no new deliveries
+    function setActive(webhook, active) {
+        webhook.active = active;
+        saveJson(file, webhooks);
+    }
+
+    // Its deliveries stay in the log; pending retries fail
+    function remove(webhook) {
+        delete webhooks[webhook.id];
+        saveJson(file, webhooks);
+    }
+
+    // Log a delivery of an event to a webhook and make the first attempt
+    function deliver(webhook, event) {
+        const delivery = {
+            id: createId(),
+            webhookId: webhook.id,
+            url: webhook.url,
+            event: event.type,
+            payload: JSON.stringify(event),
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: new Date().toISOString(),
+            createdAt: new Date().toISOString()
+        };
+        deliveries.push(delivery);
+        // Trim the oldest finished deliveries; ones still retrying stay until they finish
+        for (let i = 0; deliveries.length > LOG_SIZE && i < deliveries.length;) {
+            if (['delivered', 'failed'].includes(deliveries[i].status)) {
+                deliveries.splice(i, 1);
+            } else {
+                i++;
+            }
+        }
+        saveDeliveries();
+        attemptDelivery(delivery);
+        return delivery;
+    }
+
+    // Deliver an event to every webhook it matches
+    function queue(event) {
+        for (const webhook of Object.values(webhooks)) {
+            if (webhookMatches(webhook, event)) deliver(webhook, event);
+        }
+    }
+
+    function scheduleDelivery(delivery) {
+        const wait = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+        setTimeout(() => attemptDelivery(delivery), wait).unref();
+    }
+
+    async function attemptDelivery(delivery) {
+        const webhook = webhooks[delivery.webhookId];
+        const attempt = { at: new Date().toISOString(), status: null, error: null, durationMs: 0 };
+        const started = Date.now();
+
+        if (!webhook) {
+            attempt.error = 'The webhook was deleted.';
+        } else {
+            try {
+                const response = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'FileRepository-Webhook/1.0',
+                        'X-Webhook-Id': webhook.id,
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Delivery': delivery.id,
+                        'X-Webhook-Signature': `sha256=${signWebhook(webhook.secret, delivery.payload)}`
+                    },
+                    body: delivery.payload,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(timeout)
+                });
+                await response.body?.cancel(); // Only the status matters
+                attempt.status = response.status;
+                if (!response.ok) attempt.error = `Answered ${response.status}`;
+            } catch (err) {
+                attempt.error = err.name === 'TimeoutError'
+                    ? `No answer within ${timeout / 1000}s`
+                    : (err.cause?.message || err.message);
+            }
+        }
+        attempt.durationMs = Date.now() - started;
+        delivery.attempts.push(attempt);
+
+        if (!attempt.error) {
+            delivery.status = 'delivered';
+            delivery.nextAttemptAt = null;
+        } else if (!webhook || delivery.attempts.length >= maxAttempts) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+        } else {
+            delivery.status = 'retrying';
+            const delay = RETRY_BASE * 4 ** (delivery.attempts.length - 1);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            scheduleDelivery(delivery);
+        }
+        saveDeliveries();
+    }
+
+    // Pick up deliveries that were still due when the server stopped
+    for (const delivery of deliveries) {
+        if (delivery.status === 'pending' || delivery.status === 'retrying') {
+            scheduleDelivery(delivery);
+        }
+    }
+
+    return {
+        get: id => (Object.hasOwn(webhooks, id) ? webhooks[id] : null),
+        list: () => Object.values(webhooks),
+        deliveries,
+        create,
+        setActive,
+        remove,
+        deliver,
+        queue
+    };
+}
+
+module.exports = { createWebhooks };
@@ -0,0 +1,67 @@
+// Listing pages - follow GET /events and reload when something in view changes.
+// Waits while someone is typing or has files ticked, and offers a reload link instead.
+// A directory page passes data-folder and data-path; the home page follows every folder.
+(function () {
+    if (!window.EventSource) return;
+
+    const EVENT_TYPES = [
+        'file.uploaded', 'file.deleted', 'file.moved', 'file.restored',
+        'folder.created', 'folder.deleted', 'folder.moved', 'folder.restored'
+    ];
+    const script = document.currentScript;
+    const folder = script.dataset.folder || '';
+    const dir = script.dataset.path || '';
+    let reloadTimer = null;
+
+    function parentOf(subpath) {
+        const slash = subpath.lastIndexOf('/');
+        return slash === -1 ? '' : subpath.substring(0, slash);
+    }
+
+    // Whether a path in the folder is listed on this page, or holds it
+    function inView(subpath) {
+        if (typeof subpath !== 'string') return false;
+        if (subpath === '') return true; // The whole folder
+        return parentOf(subpath) === dir || subpath === dir || dir.startsWith(`${subpath}/`);
+    }
+
+    function affectsPage(event) {
+        if (!folder) return true;
+        const data = event.data;
+        return [data.name, data.path, data.from, data.to].some(inView);
+    }
+
+    function busy() {
+        const active = document.activeElement;
+        return !!document.querySelector('input[type="checkbox"]:checked') ||
+            (active && ['INPUT', 'SELECT', 'TEXTAREA'].includes(active.tagName));
+    }
+
+    function showNotice() {
+        if (document.getElementById('live-notice')) return;
+        const notice = document.createElement('div');
+        notice.id = 'live-notice';
+        notice.className = 'live-notice';
+        notice.innerHTML = 'Files here have changed. <a href="">Reload</a> to see them.';
+        document.querySelector('.container').prepend(notice);
+    }
+
+    // Several events often come together (an archive unpacking), so wait for them to settle
+    function changed(message) {
+        const event = JSON.parse(message.data);
+        if (!affectsPage(event)) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(function () {
+            if (busy()) {
+                showNotice();
+            } else {
+                window.location.reload();
+            }
+        }, 1000);
+    }
+
+    const source = new EventSource('/events' + (folder ? '?folder=' + encodeURIComponent(folder) : ''));
+    EVENT_TYPES.forEach(function (type) {
+        source.addEventListener(type, changed);
+    });
+})();
@@ -0,0 +1,387 @@
+// Upload page - a queue of files, each sent through the resumable chunked protocol
+// (POST /upload/chunked, PATCH chunks, POST finalize) one after another, so large files show
+// real progress and continue where they stopped after a dropped connection. Files can be
+// picked or dropped, whole folders too; a folder keeps its layout below the chosen subfolder.
+(function () {
+    const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+    const MAX_RETRIES = 5;
+
+    const form = document.getElementById('upload-form');
+    const fileInput = document.getElementById('file');
+    const folderInput = document.getElementById('folder');
+    const dropzone = document.getElementById('dropzone');
+    const usernameInput = document.getElementById('username');
+    const pathInput = document.getElementById('path');
+    const extractInput = document.getElementById('extract');
+    const queueList = document.getElementById('upload-queue');
+    const summary = document.getElementById('upload-summary');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    // Logged-in pages put the session's CSRF token in the form; every request sends it back
+    const csrfField = form.querySelector('input[name="_csrf"]');
+    const csrfHeaders = csrfField ? { 'X-CSRF-Token': csrfField.value } : {};
+
+    if (!window.fetch) return; // Keep the plain form post
+
+    // Every file picked or dropped: { file, relativePath, state, target, row, ... }.
+    // States: ready (not sent yet), waiting, uploading, done, failed, cancelled.
+    const queue = [];
+    let running = false;
+
+    // Sessions are remembered per file, so picking the same file again resumes it
+    function sessionKey(file, username, subfolder, extract) {
+        return `chunked:${username}:${subfolder}:${extract ? 'extract:' : ''}${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    function formatBytes(bytes) {
+        if (bytes === 0) return '0 B';
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(1024));
+        return parseFloat((bytes / Math.pow(1024, i)).toFixed(1)) + ' ' + sizes[i];
+    }
+
+    function folderUrl(folder, subfolder) {
+        return `/uploads/${encodeURIComponent(folder)}${subfolder ? `/${subfolder.split('/').map(encodeURIComponent).join('/')}/` : ''}`;
+    }
+
+    async function errorMessage(response) {
+        try {
+            return (await response.json()).error.message;
+        } catch (err) {
+            return `HTTP ${response.status}`;
+        }
+    }
+
+    async function createSession(file, username, subfolder, extract) {
+        const body = new URLSearchParams({ filename: file.name, size: String(file.size), username, path: subfolder });
+        if (extract) body.set('extract', '1'); // Unpack the archive into the folder on finalize
+        const response = await fetch('/upload/chunked', {
+            method: 'POST',
+            headers: { Accept: 'application/json', ...csrfHeaders },
+            body
+        });
+        if (!response.ok) throw new Error(await errorMessage(response));
+        return response.json();
+    }
+
+    // Offset the server has for a session, or null if it is gone
+    async function fetchOffset(id) {
+        const response = await fetch(`/upload/chunked/${id}`, { method: 'HEAD' });
+        if (!response.ok) return null;
+        return Number(response.headers.get('Upload-Offset'));
+    }
+
+    async function chunkChecksum(blob) {
+        if (!window.crypto || !window.crypto.subtle) return null; // Only available on https/localhost
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return 'sha256 ' + btoa(String.fromCharCode(...new Uint8Array(digest)));
+    }
+
+    // PATCH one chunk with XHR so we get upload progress events
+    function sendChunk(item, id, offset, blob, checksum, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            item.xhr = xhr;
+            xhr.open('PATCH', `/upload/chunked/${id}`);
+            xhr.setRequestHeader('Accept', 'application/json');
+            xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+            xhr.setRequestHeader('Upload-Offset', String(offset));
+            if (csrfToken) xhr.setRequestHeader('X-CSRF-Token', csrfToken);
+            if (checksum) xhr.setRequestHeader('Upload-Checksum', checksum);
+            xhr.upload.onprogress = (e) => onProgress(e.loaded);
+            xhr.onload = () => {
+                if (xhr.status === 204) {
+                    resolve(Number(xhr.getResponseHeader('Upload-Offset')));
+                } else {
+                    let message = `HTTP ${xhr.status}`;
+                    try { message = JSON.parse(xhr.responseText).error.message; } catch (err) { /* keep status */ }
+                    const error = new Error(message);
+                    error.status = xhr.status;
+                    reject(error);
+                }
+            };
+            xhr.onerror = () => reject(new Error('Network error'));
+            xhr.onabort = () => reject(new Error('Upload cancelled'));
+            xhr.send(blob);
+        });
+    }
+
+    async function upload(item) {
+        const { file } = item;
+        const { username, subfolder, extract } = item.target;
+        const key = sessionKey(file, username, subfolder, extract);
+        item.sessionKey = key;
+        let id = localStorage.getItem(key);
+        let offset = id ? await fetchOffset(id) : null;
+
+        if (offset === null) {
+            const session = await createSession(file, username, subfolder, extract);
+            id = session.id;
+            offset = 0;
+            localStorage.setItem(key, id);
+        } else if (offset > 0) {
+            setProgress(item, offset, `Resuming from ${formatBytes(offset)}...`);
+        }
+        item.sessionId = id;
+
+        let retries = 0;
+        while (offset < file.size) {
+            if (item.cancelled) throw new Error('Upload cancelled');
+            const blob = file.slice(offset, offset + CHUNK_SIZE);
+            try {
+                const checksum = await chunkChecksum(blob);
+                const start = offset;
+                offset = await sendChunk(item, id, offset, blob, checksum, (loaded) => setProgress(item, start + loaded));
+                retries = 0;
+            } catch (err) {
+                if (item.cancelled || retries >= MAX_RETRIES || (err.status && err.status < 500 && err.status !== 409 && err.status !== 460)) {
+                    throw err;
+                }
+                retries++;
+                setProgress(item, offset, `${err.message} - retrying (${retries}/${MAX_RETRIES})...`);
+                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retries)));
+                const serverOffset = await fetchOffset(id).catch(() => null);
+                if (serverOffset !== null) offset = serverOffset;
+            }
+            setProgress(item, offset);
+        }
+
+        setProgress(item, file.size, 'Verifying...');
+        const response = await fetch(`/upload/chunked/${id}/finalize`, {
+            method: 'POST',
+            headers: { Accept: 'application/json', ...csrfHeaders }
+        });
+        localStorage.removeItem(key);
+        if (!response.ok) throw new Error(await errorMessage(response));
+        return response.json();
+    }
+
+    // ---- Queue rows ----
+
+    function addRow(item) {
+        const row = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'upload-name';
+        name.textContent = `${item.relativePath} (${formatBytes(item.file.size)})`;
+        const track = document.createElement('div');
+        track.className = 'progress-track';
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        track.append(bar);
+        const status = document.createElement('span');
+        status.className = 'progress-status';
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'btn btn-secondary btn-small';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => cancelItem(item));
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'btn btn-small';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', () => retryItem(item));
+
+        row.append(name, track, status, cancel, retry);
+        queueList.append(row);
+        queueList.hidden = false;
+        item.row = { row, bar, status, cancel, retry };
+        setState(item, 'ready');
+    }
+
+    const STATE_TEXT = { ready: 'Ready', waiting: 'Waiting...', cancelled: 'Cancelled' };
+
+    function setState(item, state, text) {
+        item.state = state;
+        const { row, status, cancel, retry } = item.row;
+        row.className = `upload-item ${state}`;
+        if (text || STATE_TEXT[state]) status.textContent = text || STATE_TEXT[state];
+        cancel.hidden = !['ready', 'waiting', 'uploading'].includes(state);
+        retry.hidden = !['failed', 'cancelled'].includes(state);
+    }
+
+    function setProgress(item, sent, text) {
+        const total = item.file.size;
+        const pct = total ? Math.floor((sent / total) * 100) : 100;
+        item.row.bar.style.width = pct + '%';
+        item.row.status.textContent = text || `${pct}% (${formatBytes(sent)} of ${formatBytes(total)})`;
+    }
+
+    async function cancelItem(item) {
+        const wasUploading = item.state === 'uploading';
+        item.cancelled = true;
+        setState(item, 'cancelled');
+        if (!wasUploading) return;
+        if (item.xhr) item.xhr.abort();
+        const id = item.sessionId || localStorage.getItem(item.sessionKey);
+        localStorage.removeItem(item.sessionKey);
+        if (id) await fetch(`/upload/chunked/${id}`, { method: 'DELETE', headers: csrfHeaders });
+    }
+
+    function retryItem(item) {
+        item.cancelled = false;
+        item.target = item.target || currentTarget(item);
+        item.row.bar.style.width = '0';
+        setState(item, 'waiting');
+        runQueue();
+    }
+
+    // ---- Running the queue ----
+
+    // Where a file goes: the folder and subfolder in the form, plus its own folders when it
+    // came from a picked or dropped folder
+    function currentTarget(item) {
+        const base = pathInput.value.trim().replace(/^\/+|\/+$/g, '');
+        const dirs = item.relativePath.split('/').slice(0, -1).join('/');
+        return {
+            username: usernameInput.value.trim(),
+            subfolder: [base, dirs].filter(Boolean).join('/'),
+            extract: extractInput.checked
+        };
+    }
+
+    async function runQueue() {
+        if (running) return;
+        running = true;
+        summary.hidden = true;
+        let item;
+        while ((item = queue.find(queued => queued.state === 'waiting'))) {
+            setState(item, 'uploading');
+            item.xhr = null;
+            item.sessionId = null;
+            setProgress(item, 0);
+            try {
+                item.result = await upload(item);
+                item.row.bar.style.width = '100%';
+                setState(item, 'done', item.result.message);
+            } catch (err) {
+                if (item.cancelled) continue;
+                setState(item, 'failed', `Error: ${err.message}`);
+            } finally {
+                item.xhr = null;
+            }
+        }
+        running = false;
+        showSummary();
+    }
+
+    // Which files made it and which didn't, with links to where they went
+    function showSummary() {
+        const done = queue.filter(item => item.state === 'done');
+        const failed = queue.filter(item => item.state === 'failed');
+        const cancelled = queue.filter(item => item.state === 'cancelled');
+        if (!done.length && !failed.length && !cancelled.length) return;
+
+        summary.innerHTML = '';
+        summary.className = `upload-summary${failed.length ? ' failed' : ''}`;
+        const counts = [`${done.length} uploaded`];
+        if (failed.length) counts.push(`${failed.length} failed`);
+        if (cancelled.length) counts.push(`${cancelled.length} cancelled`);
+        summary.append(`${counts.join(', ')}.`);
+        if (failed.length) {
+            summary.append(` Failed: ${failed.map(item => item.relativePath).join(', ')} - use Retry, or pick the same files again to resume.`);
+        }
+
+        const folders = new Map();
+        for (const item of done) {
+            const url = folderUrl(item.result.folder, item.result.path);
+            folders.set(url, `/${item.result.folder}/${item.result.path ? `${item.result.path}/` : ''}`);
+        }
+        for (const [url, label] of folders) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.textContent = `View ${label} →`;
+            summary.append(' ', link);
+        }
+        summary.hidden = false;
+    }
+
+    function addFiles(entries) {
+        for (const { file, relativePath } of entries) {
+            const item = { file, relativePath, cancelled: false };
+            queue.push(item);
+            addRow(item);
+        }
+        fileInput.value = '';
+        folderInput.value = '';
+    }
+
+    // Files in a dropped folder, with their paths below it
+    async function walkEntry(entry, prefix, found) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            found.push({ file, relativePath: prefix + entry.name });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            do { // readEntries hands back at most 100 at a time
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) await walkEntry(child, `${prefix}${entry.name}/`, found);
+            } while (batch.length);
+        }
+    }
+
+    async function droppedFiles(dataTransfer) {
+        // Entries have to be taken before the drop handler returns
+        const entries = [...dataTransfer.items]
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (!entries.length) {
+            return [...dataTransfer.files].map(file => ({ file, relativePath: file.name }));
+        }
+        const found = [];
+        for (const entry of entries) await walkEntry(entry, '', found);
+        return found;
+    }
+
+    // ---- Wiring ----
+
+    // The drop zone's buttons stand in for the plain file input. Files are queued as they are
+    // picked, which empties the input, so it can't be required any more.
+    fileInput.required = false;
+    fileInput.closest('.form-group').hidden = true;
+    dropzone.hidden = false;
+
+    fileInput.addEventListener('change', () => {
+        addFiles([...fileInput.files].map(file => ({ file, relativePath: file.name })));
+    });
+    folderInput.addEventListener('change', () => {
+        addFiles([...folderInput.files].map(file => ({ file, relativePath: file.webkitRelativePath || file.name })));
+    });
+    document.getElementById('pick-files').addEventListener('click', () => fileInput.click());
+    document.getElementById('pick-folder').addEventListener('click', () => folderInput.click());
+
+    dropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropzone.classList.add('dragging');
+    });
+    dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragging'));
+    dropzone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('dragging');
+        try {
+            addFiles(await droppedFiles(e.dataTransfer));
+        } catch (err) {
+            summary.className = 'upload-summary failed';
+            summary.textContent = `Could not read the dropped files: ${err.message}`;
+            summary.hidden = false;
+        }
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const ready = queue.filter(item => item.state === 'ready');
+        if (!ready.length) {
+            summary.className = 'upload-summary failed';
+            summary.textContent = 'Choose or drop some files first.';
+            summary.hidden = false;
+            return;
+        }
+        // Files go where the form pointed when Upload was pressed
+        for (const item of ready) {
+            item.target = currentTarget(item);
+            setState(item, 'waiting');
+        }
+        runQueue();
+    });
+
+    submitBtn.textContent = '📤 Upload queued files';
+})();
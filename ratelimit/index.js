@@ -0,0 +1,123 @@
+// Fixed-window counters for the rate limits, and the login lockouts kept in them. A store has:
+//   increment(key, amount, windowMs) -> { total, resetAt }   starts a new window when the old one ran out
+//   get(key) -> { total, resetAt } | null
+//   reset(key)
+// The methods may be sync or async; everything here awaits them. memoryRateStore keeps the counters
+// in this process. RATE_LIMIT_STORE may name a module exporting the same methods, to share them
+// between server processes.
+
+const path = require('path');
+
+function memoryRateStore() {
+    const windows = new Map();
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return {
+        increment(key, amount, windowMs) {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { total: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.total += amount;
+            return { ...window };
+        },
+        get(key) {
+            const window = windows.get(key);
+            return window && window.resetAt > Date.now() ? { ...window } : null;
+        },
+        reset(key) {
+            windows.delete(key);
+        }
+    };
+}
+
+// The module named by RATE_LIMIT_STORE (relative to the working directory), else counters in memory
+function createRateStore(modulePath) {
+    return modulePath ? require(path.resolve(modulePath)) : memoryRateStore();
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const PASSWORD_DELAY_MAX = 60 * 1000;
+
+// Failures counted per key ("ip:1.2.3.4", "user:bob", ...) in a store:
+//   maxAttempts failures within window lock the key out for lockout, doubling each time it
+//   recurs within a day (up to a day). 0 attempts turns it all off.
+//   Wrong passwords for an account only ever slow it down: past maxAttempts it gets one try per
+//   delay, doubling from a second up to a minute, so nobody can lock it out from elsewhere.
+// Lockouts and delays are { key, resetAt }.
+function createLoginLimiter(store, { maxAttempts, window, lockout }) {
+    // The lockout in force for any of these keys, if any
+    async function lockoutFor(keys) {
+        if (!maxAttempts) return null;
+        for (const key of keys) {
+            const lock = await store.get(`login-lock:${key}`);
+            if (lock) return { key, resetAt: lock.resetAt };
+        }
+        return null;
+    }
+
+    // Count a failure against each key. Returns the lockout it triggered, if any.
+    async function recordFailure(keys) {
+        if (!maxAttempts) return null;
+        let triggered = null;
+        for (const key of keys) {
+            const failures = await store.increment(`login-fail:${key}`, 1, window);
+            if (failures.total < maxAttempts) continue;
+
+            const strikes = await store.increment(`login-strikes:${key}`, 1, DAY);
+            const duration = Math.min(lockout * 2 ** (strikes.total - 1), DAY);
+            const lock = await store.increment(`login-lock:${key}`, 1, duration);
+            await store.reset(`login-fail:${key}`);
+            triggered = triggered || { key, resetAt: lock.resetAt };
+        }
+        return triggered;
+    }
+
+    async function clearFailures(keys) {
+        for (const key of keys) {
+            await store.reset(`login-fail:${key}`);
+            await store.reset(`login-strikes:${key}`);
+        }
+    }
+
+    // The delay still running before this account's next password, if any
+    async function passwordDelay(key) {
+        if (!maxAttempts) return null;
+        const delay = await store.get(`password-delay:${key}`);
+        return delay && { key, resetAt: delay.resetAt };
+    }
+
+    // Count a wrong password for the account. Returns the delay it started, if any.
+    async function recordPasswordFailure(key) {
+        if (!maxAttempts) return null;
+        const failures = await store.increment(`password-fail:${key}`, 1, window);
+        if (failures.total < maxAttempts) return null;
+
+        const duration = Math.min(1000 * 2 ** (failures.total - maxAttempts), PASSWORD_DELAY_MAX);
+        const delay = await store.increment(`password-delay:${key}`, 1, duration);
+        return { key, resetAt: delay.resetAt };
+    }
+
+    async function clearPasswordFailures(key) {
+        await store.reset(`password-fail:${key}`);
+        await store.reset(`password-delay:${key}`);
+    }
+
+    // Lift a lockout, and an account's password delay, altogether
+    async function unlock(key) {
+        await store.reset(`login-lock:${key}`);
+        await clearFailures([key]);
+        await clearPasswordFailures(key);
+    }
+
+    return { lockoutFor, recordFailure, clearFailures, passwordDelay, recordPasswordFailure, clearPasswordFailures, unlock };
+}
+
+module.exports = { memoryRateStore, createRateStore, createLoginLimiter };
@@ -2,69 +2,717 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
+const zlib = require('zlib');
+const stream = require('stream');
+const { execFile } = require('child_process');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
+const sharp = require('sharp');
+const hljs = require('highlight.js/lib/common');
+const { createStorage } = require('./storage');
+const { createRateStore, createLoginLimiter } = require('./ratelimit');
+const { createAuditLog, AUDIT_ACTIONS, AUDIT_OUTCOMES } = require('./audit');
+const { createEventHub, EVENT_TYPES } = require('./events');
+const { createWebhooks } = require('./events/webhooks');
+const { loadConfig, describeConfig, DEFAULT_ADMIN_PASSWORD } = require('./config');
+
+// Every setting below comes from config.json and the environment, checked against config/schema.js
+// (see config/index.js). Invalid values, or default secrets in production, stop the server here.
+let config;
+try {
+    config = loadConfig();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+const { settings } = config;
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-const ADMIN_DIR = path.join(__dirname, 'uploads', 'admin');
-const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
-
-// Admin credentials from environment variables
-const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
-const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD
-    ? bcrypt.hashSync(process.env.ADMIN_PASSWORD, 10)
-    : bcrypt.hashSync('admin123', 10); // Default password for development
-
-// Ensure uploads and admin directories exist
+const PORT = settings.PORT;
+const UPLOAD_DIR = settings.UPLOAD_DIR;
+const META_DIR = path.join(UPLOAD_DIR, '.meta');
+const BASE_URL = settings.BASE_URL;
+
+// What to do when an upload has the same name as an existing file:
+//   version - keep the old copy with a timestamp prefix, new upload takes the name
+//   rename  - store the new upload as name-1.ext, name-2.ext, ...
+//   reject  - refuse the upload with 409 Conflict
+const UPLOAD_CONFLICT = settings.UPLOAD_CONFLICT;
+
+// Form (multipart) uploads carry files of up to MULTIPART_MAX_SIZE; chunked (resumable) uploads
+// are for anything bigger
+const MULTIPART_MAX_SIZE = settings.MULTIPART_MAX_SIZE;
+const CHUNKED_DIR = path.join(UPLOAD_DIR, '.temp', 'chunked');
+const CHUNKED_MAX_SIZE = settings.CHUNKED_MAX_SIZE;
+const CHUNKED_SESSION_TTL = settings.CHUNKED_SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+// Per-folder storage quotas (bytes, file count) - 0 for no limit; admins can override them per folder
+const QUOTA_MAX_BYTES = settings.QUOTA_MAX_BYTES;
+const QUOTA_MAX_FILES = settings.QUOTA_MAX_FILES;
+// Uploads are refused once free disk space would drop below this many bytes
+const MIN_FREE_DISK = settings.MIN_FREE_DISK;
+
+// Upload type policy: comma-separated extensions (.pdf) and MIME types (image/*, application/zip).
+// Types are judged by the file's magic bytes and extension, never the client's Content-Type.
+// An empty allow list allows anything not blocked. Admins can add per-folder lists on /admin/users.
+const UPLOAD_ALLOWED_TYPES = settings.UPLOAD_ALLOWED_TYPES;
+const UPLOAD_BLOCKED_TYPES = settings.UPLOAD_BLOCKED_TYPES;
+// Virus scanner run on every upload before it is stored (see UPLOAD VALIDATION):
+//   clamd:/var/run/clamav/clamd.ctl   clamd:127.0.0.1:3310   command:clamscan --no-summary   ./my-scanner.js
+const UPLOAD_SCANNER = settings.UPLOAD_SCANNER;
+const QUARANTINE_DIR = path.join(UPLOAD_DIR, '.quarantine');
+
+// Uploads sent with extract=1 are unpacked into the folder; archives with more entries, or that
+// unpack to more bytes, are refused (0 for no limit). The folder quota applies as well.
+const ARCHIVE_MAX_ENTRIES = settings.ARCHIVE_MAX_ENTRIES;
+const ARCHIVE_MAX_EXTRACTED_BYTES = settings.ARCHIVE_MAX_EXTRACTED_BYTES;
+
+// Preview pages show at most this much of a text file; image thumbnails are cached in uploads/.meta/thumbnails
+const PREVIEW_MAX_TEXT_BYTES = settings.PREVIEW_MAX_TEXT_BYTES;
+const THUMBNAIL_DIR = path.join(META_DIR, 'thumbnails');
+
+// Uploads, downloads, deletes, logins and admin actions are logged to uploads/.meta/audit,
+// rotated daily or once the log reaches this size
+const AUDIT_DIR = path.join(META_DIR, 'audit');
+const AUDIT_MAX_BYTES = settings.AUDIT_MAX_BYTES;
+
+// Where file contents are kept (see storage/index.js): "local" keeps them under uploads/, "s3" in an
+// S3-compatible bucket set up with S3_BUCKET, S3_REGION, S3_ENDPOINT (MinIO and the like), S3_PREFIX
+// and S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY. uploads/ still holds the index, settings and uploads
+// in progress. STORAGE_DOWNLOADS=redirect sends downloads from the bucket through presigned URLs
+// valid for PRESIGNED_URL_SECONDS; the default, proxy, streams them through this server.
+const STORAGE_DRIVER = settings.STORAGE_DRIVER;
+const STORAGE_DOWNLOADS = settings.STORAGE_DOWNLOADS;
+const PRESIGNED_URL_SECONDS = settings.PRESIGNED_URL_SECONDS;
+
+// File versions: in a folder that keeps them, a replaced file's previous copy goes to .versions/ in
+// storage and stays downloadable and restorable. FILE_VERSIONING=true turns them on for every folder;
+// admins turn them on or off per folder on /admin/usage. Each file keeps at most VERSION_MAX_COUNT
+// previous versions, none older than VERSION_MAX_AGE_DAYS (0 for no limit).
+const VERSIONS_PREFIX = '.versions';
+const FILE_VERSIONING = settings.FILE_VERSIONING;
+const VERSION_MAX_COUNT = settings.VERSION_MAX_COUNT;
+const VERSION_MAX_AGE_DAYS = settings.VERSION_MAX_AGE_DAYS;
+
+// Deleted files and folders stay restorable from the trash for this many days; 0 keeps them until purged by hand
+const TRASH_PREFIX = '.trash';
+const TRASH_RETENTION_DAYS = settings.TRASH_RETENTION_DAYS;
+
+// STORAGE_DEDUP=true keeps each uploaded content once, in .blobs/ in storage, and makes every file
+// holding it a hardlink to that copy (see DEDUPLICATION). Needs the local storage driver.
+const BLOBS_PREFIX = '.blobs';
+const STORAGE_DEDUP = settings.STORAGE_DEDUP;
+
+// With a remote storage driver, form uploads are streamed into storage under this prefix while
+// the rest of the form is read, then moved into their folder; leftovers are cleared at startup
+const UPLOAD_STAGING_PREFIX = '.temp/uploads';
+
+// Webhooks (configured on /admin/webhooks) get each event POSTed, waiting at most WEBHOOK_TIMEOUT_SECONDS
+// for an answer and trying up to WEBHOOK_MAX_ATTEMPTS times in all before giving up
+const WEBHOOK_MAX_ATTEMPTS = settings.WEBHOOK_MAX_ATTEMPTS;
+const WEBHOOK_TIMEOUT = settings.WEBHOOK_TIMEOUT_SECONDS * 1000;
+// Open GET /events streams at once, across all clients and from one IP
+const EVENTS_MAX_CLIENTS = settings.EVENTS_MAX_CLIENTS;
+const EVENTS_MAX_PER_IP = settings.EVENTS_MAX_PER_IP;
+
+// Initial admin account, created on first start when no accounts exist
+const ADMIN_USERNAME = settings.ADMIN_USERNAME;
+const ADMIN_PASSWORD = settings.ADMIN_PASSWORD;
+
+// false requires an uploader account for every upload
+const ALLOW_ANONYMOUS_UPLOADS = settings.ALLOW_ANONYMOUS_UPLOADS;
+
+// Most files one form upload may carry (curl -F file=@a -F file=@b ...)
+const UPLOAD_MAX_FILES = settings.UPLOAD_MAX_FILES;
+
+// Proxies whose X-Forwarded-For is believed for the client IP. Off by default, so clients can't
+// pick their own IP. Behind one reverse proxy (Render, Heroku, nginx) set TRUST_PROXY=1; it also
+// takes true or Express subnet lists like "loopback, 10.0.0.0/8".
+const TRUST_PROXY = settings.TRUST_PROXY;
+
+// Session cookies: COOKIE_SECURE=true sends them over HTTPS only, auto whenever the request came
+// over HTTPS (as seen through TRUST_PROXY)
+const COOKIE_SECURE = { true: true, false: false, auto: 'auto' }[settings.COOKIE_SECURE];
+const SESSION_MAX_AGE = settings.SESSION_MAX_AGE_HOURS * 60 * 60 * 1000;
+
+// Rate limits, per account or client IP; 0 turns a limit off (see RATE LIMITING)
+const LOGIN_MAX_ATTEMPTS = settings.LOGIN_MAX_ATTEMPTS;
+const LOGIN_WINDOW = settings.LOGIN_WINDOW_MINUTES * 60 * 1000;
+const LOGIN_LOCKOUT = settings.LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+const UPLOAD_RATE_COUNT = settings.UPLOAD_RATE_COUNT;
+const UPLOAD_RATE_BYTES = settings.UPLOAD_RATE_BYTES;
+const UPLOAD_RATE_WINDOW = settings.UPLOAD_RATE_WINDOW_MINUTES * 60 * 1000;
+const DOWNLOAD_RATE_BYTES = settings.DOWNLOAD_RATE_BYTES;
+const DOWNLOAD_RATE_WINDOW = settings.DOWNLOAD_RATE_WINDOW_MINUTES * 60 * 1000;
+const DOWNLOAD_MAX_CONCURRENT = settings.DOWNLOAD_MAX_CONCURRENT;
+
+// Ensure the local directories exist (the admin folder is made in storage at startup)
 if (!fs.existsSync(UPLOAD_DIR)) {
     fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 }
-if (!fs.existsSync(ADMIN_DIR)) {
-    fs.mkdirSync(ADMIN_DIR, { recursive: true });
+if (!fs.existsSync(META_DIR)) {
+    fs.mkdirSync(META_DIR, { recursive: true });
+}
+if (!fs.existsSync(CHUNKED_DIR)) {
+    fs.mkdirSync(CHUNKED_DIR, { recursive: true });
+}
+if (!fs.existsSync(QUARANTINE_DIR)) {
+    fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+}
+if (!fs.existsSync(THUMBNAIL_DIR)) {
+    fs.mkdirSync(THUMBNAIL_DIR, { recursive: true });
+}
+
+// File contents go through this backend (see storage/index.js); everything else in uploads/ stays on this disk
+const fileStore = createStorage(STORAGE_DRIVER, { root: UPLOAD_DIR, settings });
+if (STORAGE_DEDUP && !fileStore.link) {
+    throw new Error(`STORAGE_DEDUP needs hardlinks, which the ${fileStore.name} storage driver doesn't have. Use STORAGE_DRIVER=local or turn it off.`);
 }
 
 // View engine setup
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
+app.locals.multipartMaxSize = formatSize(MULTIPART_MAX_SIZE);
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.urlencoded({ extended: true }));
+// Chunk bodies (PATCH) are raw bytes and must reach their handler unparsed
+app.use(express.urlencoded({
+    extended: true,
+    type: (req) => req.method !== 'PATCH' && !!req.is('application/x-www-form-urlencoded')
+}));
+app.use(express.json());
+
+// ============ SESSIONS ============
+
+// Logins survive restarts: each session is a JSON file in uploads/.meta/sessions, named by a sha256
+// of its ID so the ID itself is never on disk. Expired sessions are ignored when read and removed
+// by an hourly sweep.
+const SESSIONS_DIR = path.join(META_DIR, 'sessions');
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // Requests push a session's expiry back at most this often
+
+function fileSessionStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const store = new session.Store();
+    const fileOf = (sid) => path.join(dir, `${crypto.createHash('sha256').update(sid).digest('hex')}.json`);
+    const expiryOf = (sess) => sess.cookie?.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + SESSION_MAX_AGE;
+
+    // { expiresAt, session } from a file, or null when it is missing, unreadable or expired
+    async function readRecord(file) {
+        try {
+            const record = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            if (record.expiresAt > Date.now()) return record;
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            if (!(err instanceof SyntaxError)) throw err;
+        }
+        await fs.promises.rm(file, { force: true });
+        return null;
+    }
+
+    // Written beside the target and renamed into place, so a reader never sees half a session
+    async function writeRecord(sid, sess) {
+        const file = fileOf(sid);
+        const temp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify({ expiresAt: expiryOf(sess), session: sess }), { mode: 0o600 });
+        await fs.promises.rename(temp, file);
+    }
+
+    // express-session calls the store with node-style callbacks
+    const settle = (promise, callback) => promise.then(
+        (result) => callback && callback(null, result),
+        (err) => callback && callback(err)
+    );
+
+    store.get = (sid, callback) => settle(readRecord(fileOf(sid)).then(record => record?.session ?? null), callback);
+    store.set = (sid, sess, callback) => settle(writeRecord(sid, sess), callback);
+    store.destroy = (sid, callback) => settle(fs.promises.rm(fileOf(sid), { force: true }), callback);
+    store.touch = (sid, sess, callback) => settle((async () => {
+        const record = await readRecord(fileOf(sid));
+        if (record && expiryOf(sess) - record.expiresAt >= SESSION_TOUCH_INTERVAL) {
+            await writeRecord(sid, sess);
+        }
+    })(), callback);
+
+    // Remove expired sessions, and temp files a crash left behind. Returns how many went.
+    store.sweep = async () => {
+        let removed = 0;
+        for (const name of await fs.promises.readdir(dir)) {
+            const file = path.join(dir, name);
+            if (name.endsWith('.tmp')) {
+                const stat = await fs.promises.stat(file).catch(() => null);
+                if (stat && Date.now() - stat.mtimeMs > SESSION_TOUCH_INTERVAL) {
+                    await fs.promises.rm(file, { force: true });
+                    removed++;
+                }
+            } else if (name.endsWith('.json') && !await readRecord(file)) {
+                removed++;
+            }
+        }
+        return removed;
+    };
+
+    // Log an account out everywhere but the session `exceptSid` (after its password or second factor is reset)
+    store.destroyUser = async (username, exceptSid = null) => {
+        const keep = exceptSid && path.basename(fileOf(exceptSid));
+        for (const name of await fs.promises.readdir(dir)) {
+            if (!name.endsWith('.json') || name === keep) continue;
+            const record = await readRecord(path.join(dir, name));
+            const sess = record?.session;
+            if (sess && (sess.username === username || sess.pendingLogin?.username === username)) {
+                await fs.promises.rm(path.join(dir, name), { force: true });
+            }
+        }
+    };
+
+    return store;
+}
+
+const sessionStore = fileSessionStore(SESSIONS_DIR);
+
+function sweepSessions() {
+    sessionStore.sweep().catch(err => console.error(`Session sweep failed: ${err.message}`));
+}
+sweepSessions();
+setInterval(sweepSessions, 60 * 60 * 1000).unref();
 
-// Session middleware
 app.use(session({
-    secret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
+    store: sessionStore,
+    secret: settings.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
-        secure: false, // Set to true in production with HTTPS
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        secure: COOKIE_SECURE,
+        sameSite: 'lax', // Not sent on cross-site POSTs - CSRF tokens (see CSRF) are the other half
+        maxAge: SESSION_MAX_AGE
     }
 }));
 
-// Trust proxy for correct IP
-app.set('trust proxy', true);
+// Client IP comes from X-Forwarded-For only through trusted proxies
+app.set('trust proxy', TRUST_PROXY);
+
+// ============ ACCOUNTS ============
+
+// Roles, lowest to highest. Each role can do everything the ones before it can.
+//   viewer       - log in and browse
+//   uploader     - upload into folders they own, create new folders
+//   folder-owner - also delete files and folders they own
+//   admin        - every folder, admin files and user management
+const ROLES = ['viewer', 'uploader', 'folder-owner', 'admin'];
+
+const USERS_FILE = path.join(META_DIR, 'users.json');
+const FOLDERS_FILE = path.join(META_DIR, 'folders.json');
+
+function loadJson(file, fallback) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function saveJson(file, data) {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+// Accounts keyed by username, folder owners keyed by folder name
+const users = loadJson(USERS_FILE, {});
+const folders = loadJson(FOLDERS_FILE, {});
+
+// Production refuses to start with an admin account that still has the built-in password
+if (config.production && (Object.keys(users).length === 0
+    ? ADMIN_PASSWORD === DEFAULT_ADMIN_PASSWORD
+    : users[ADMIN_USERNAME] && bcrypt.compareSync(DEFAULT_ADMIN_PASSWORD, users[ADMIN_USERNAME].passwordHash))) {
+    console.error(`Refusing to start in production: the "${ADMIN_USERNAME}" account would have the default password. ` +
+        'Set ADMIN_PASSWORD before the first start, or change the password on /admin/users from a development run.');
+    process.exit(1);
+}
+if (Object.keys(users).length === 0) {
+    users[ADMIN_USERNAME] = {
+        username: ADMIN_USERNAME,
+        passwordHash: bcrypt.hashSync(ADMIN_PASSWORD, 10),
+        role: 'admin',
+        disabled: false,
+        createdAt: new Date().toISOString()
+    };
+    saveJson(USERS_FILE, users);
+}
+
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Usernames double as folder names, so they must survive sanitizeName unchanged
+function isValidUsername(username) {
+    return typeof username === 'string' && /^[a-zA-Z0-9_-][a-zA-Z0-9._-]{0,49}$/.test(username);
+}
+
+// The owner an admin set or the account whose upload claimed the folder; failing that, the
+// account with the folder's name, so nobody else can write into "bob" before bob does
+function folderOwner(folder) {
+    return folders[folder]?.owner || (users[folder] ? folder : null);
+}
+
+// Record the account that first writes into an unowned folder, whether it creates the folder or
+// it was left by anonymous uploads. Anonymous uploads leave folders unowned.
+function claimFolder(folder, user) {
+    if (!user || folderOwner(folder)) return;
+    folders[folder] = { ...folders[folder], owner: user.username, createdAt: folders[folder]?.createdAt || new Date().toISOString() };
+    saveJson(FOLDERS_FILE, folders);
+}
+
+function releaseFolder(folder) {
+    if (!folders[folder]) return;
+    delete folders[folder];
+    saveJson(FOLDERS_FILE, folders);
+}
+
+// Owned folders only take uploads from their owner; unowned ones from anyone
+// allowed to upload. The admin folder is reserved for admins.
+function canUploadTo(user, folder) {
+    if (hasRole(user, 'admin')) return true;
+    if (folder === 'admin') return false;
+    const owner = folderOwner(folder);
+    if (owner) {
+        return hasRole(user, 'uploader') && user.username === owner;
+    }
+    return ALLOW_ANONYMOUS_UPLOADS || hasRole(user, 'uploader');
+}
+
+function canDeleteIn(user, folder) {
+    if (hasRole(user, 'admin')) return true;
+    return hasRole(user, 'folder-owner') && folderOwner(folder) === user.username;
+}
+
+// Private folders are hidden from everyone but their owner and admins.
+// Share links (/s/<id>) still reach them.
+function isPrivateFolder(folder) {
+    return !!folders[folder]?.private;
+}
+
+function canReadFolder(user, folder) {
+    if (!isPrivateFolder(folder) || hasRole(user, 'admin')) return true;
+    return !!user && folderOwner(folder) === user.username;
+}
+
+// Owners and admins may change a folder's visibility and share it
+function canManageFolder(user, folder) {
+    if (hasRole(user, 'admin')) return true;
+    return hasRole(user, 'uploader') && folderOwner(folder) === user.username;
+}
+
+function setFolderPrivate(folder, isPrivate) {
+    folders[folder] = { ...folders[folder], private: isPrivate };
+    saveJson(FOLDERS_FILE, folders);
+}
+
+// Admins left who can still log in - the last one can't be disabled or demoted
+function activeAdminCount() {
+    return Object.values(users).filter(u => u.role === 'admin' && !u.disabled).length;
+}
+
+// ============ API TOKENS ============
+
+// Personal access tokens for curl and scripts: "Authorization: Bearer frp_...".
+// Only a sha256 of each token is stored. A token acts as its owner's account,
+// limited to its scopes: read, upload, delete, admin (admin implies the others).
+const TOKEN_SCOPES = ['read', 'upload', 'delete', 'admin'];
+const CLIENT_TOKEN_SCOPES = ['read', 'upload', 'delete']; // What POST /api/v1/tokens gives unless asked otherwise
+const TOKENS_FILE = path.join(META_DIR, 'tokens.json');
+const tokens = loadJson(TOKENS_FILE, {});
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a token. Returns the plain token - it is never shown again.
+function createToken(owner, name, scopes, expiresAt) {
+    const token = `frp_${crypto.randomBytes(24).toString('base64url')}`;
+    const id = crypto.randomBytes(8).toString('hex');
+    tokens[id] = {
+        id,
+        name,
+        owner,
+        scopes,
+        tokenHash: hashToken(token),
+        prefix: token.substring(0, 8),
+        createdAt: new Date().toISOString(),
+        expiresAt,
+        lastUsedAt: null
+    };
+    saveJson(TOKENS_FILE, tokens);
+    return token;
+}
+
+function findToken(token) {
+    const hash = hashToken(token);
+    return Object.values(tokens).find(t => t.tokenHash === hash) || null;
+}
+
+// Everything about a token except its hash
+function tokenToJson(token) {
+    return {
+        id: token.id,
+        name: token.name,
+        owner: token.owner,
+        scopes: token.scopes,
+        prefix: token.prefix,
+        createdAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        lastUsedAt: token.lastUsedAt
+    };
+}
+
+// Session logins have every scope; tokens only the ones they were given
+function hasScope(req, scope) {
+    if (!req.token) return true;
+    return req.token.scopes.includes(scope) || req.token.scopes.includes('admin');
+}
+
+// Load the logged-in account on every request, so disabling an account takes effect immediately.
+// A bearer token takes precedence over the session; a bad token is rejected outright.
+app.use((req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+    req.token = null;
+
+    if (authHeader.startsWith('Bearer ')) {
+        const token = findToken(authHeader.substring(7).trim());
+        const owner = token ? users[token.owner] : null;
+        const expired = token && token.expiresAt && new Date(token.expiresAt) < new Date();
+
+        if (!token || expired || !owner || owner.disabled) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return sendError(req, res, 401, expired ? 'Token expired.' : 'Invalid token.');
+        }
+
+        // lastUsedAt is informational - write it at most once a minute
+        if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt) > 60 * 1000) {
+            token.lastUsedAt = new Date().toISOString();
+            saveJson(TOKENS_FILE, tokens);
+        }
+        req.token = token;
+        req.user = owner;
+
+        if ((req.method === 'GET' || req.method === 'HEAD') && !hasScope(req, 'read')) {
+            return sendError(req, res, 403, 'This token lacks the "read" scope.');
+        }
+    } else {
+        const account = req.session?.username ? users[req.session.username] : null;
+        req.user = account && !account.disabled ? account : null;
+    }
+
+    res.locals.currentUser = req.user;
+    res.locals.isAdmin = hasRole(req.user, 'admin');
+    res.locals.canDeleteIn = (folder) => canDeleteIn(req.user, folder) && hasScope(req, 'delete');
+    res.locals.canUploadTo = (folder) => canUploadTo(req.user, folder) && hasScope(req, 'upload');
+    res.locals.canManageFolder = (folder) => canManageFolder(req.user, folder) && hasScope(req, 'upload');
+    next();
+});
+
+// Authentication middleware - require an account with at least this role,
+// and for token requests a token with this scope
+function requireRole(role, scope) {
+    return (req, res, next) => {
+        if (hasRole(req.user, role) && (!scope || hasScope(req, scope))) {
+            return next();
+        }
+        if (req.user && !hasRole(req.user, role)) {
+            return sendForbidden(req, res, `This requires the ${role} role.`);
+        }
+        if (req.user) {
+            return sendForbidden(req, res, `This token lacks the "${scope}" scope.`);
+        }
+        if (responseFormat(req) !== 'html') {
+            res.set('WWW-Authenticate', 'Bearer');
+            return sendError(req, res, 401, 'Authentication required. Pass -H "Authorization: Bearer <token>" (from "filerepo login" or an admin at /admin/tokens).');
+        }
+        res.redirect('/login');
+    };
+}
+
+function sendForbidden(req, res, message) {
+    sendError(req, res, 403, message);
+}
+
+// ============ CSRF ============
+
+// Unsafe requests (POST, PUT, PATCH, DELETE) riding on a login session, and login attempts
+// themselves, must carry the session's CSRF token: as a _csrf form field or an X-CSRF-Token
+// header. Views put it in every form with include('partials/csrf'). Multipart forms are only read
+// later by multer, so on the routes that take them the check waits for multer: the upload storage
+// checks _csrf before writing a file (forms put it before their files), and checkMultipartCsrf
+// once the form is read. Token requests and anonymous ones carry no login a forged request could
+// borrow, so curl scripts need no token.
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const LOGIN_PATHS = ['/login', '/admin/login', '/login/2fa'];
+const CSRF_ERROR = 'Invalid or missing CSRF token. Reload the page and try again.';
+const MULTIPART_PATHS = [/^\/upload$/, /^\/admin\/upload$/, /^\/delete$/, /^\/api\/v1\/folders\/[^/]+\/files$/];
+
+// The session's token, made on first use (so only visitors shown a form get a session)
+function csrfToken(req) {
+    if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+    return req.session.csrfToken;
+}
+
+function hasValidCsrfToken(req) {
+    const expected = req.session?.csrfToken;
+    const sent = req.get('X-CSRF-Token') || req.body?._csrf;
+    if (!expected || typeof sent !== 'string') return false;
+    // Byte lengths, not string lengths: timingSafeEqual throws on buffers of different sizes
+    const sentBytes = Buffer.from(sent);
+    const expectedBytes = Buffer.from(expected);
+    return sentBytes.length === expectedBytes.length && crypto.timingSafeEqual(sentBytes, expectedBytes);
+}
 
-// Authentication middleware
-function requireAuth(req, res, next) {
-    if (req.session && req.session.isAdmin) {
+app.use((req, res, next) => {
+    res.locals.csrfToken = () => csrfToken(req);
+    if (CSRF_SAFE_METHODS.includes(req.method) || req.token) return next();
+    const needsToken = req.session?.username || req.session?.pendingLogin || LOGIN_PATHS.includes(req.path);
+    if (!needsToken || hasValidCsrfToken(req)) return next();
+    if (req.is('multipart/form-data') && MULTIPART_PATHS.some(pattern => pattern.test(req.path))) {
+        req.csrfDeferred = true;
         return next();
     }
-    const isCurl = req.headers['user-agent']?.includes('curl');
-    if (isCurl) {
-        return res.status(401).send('Error: Authentication required. Use web interface to login.\\n');
+    sendError(req, res, 403, CSRF_ERROR);
+});
+
+// After multer on the MULTIPART_PATHS routes: the token a multipart form sent
+function checkMultipartCsrf(req, res, next) {
+    if (!req.csrfDeferred || hasValidCsrfToken(req)) return next();
+    Promise.all((req.files || (req.file ? [req.file] : [])).map(discardUpload))
+        .then(() => sendError(req, res, 403, CSRF_ERROR), next);
+}
+
+// ============ TWO-FACTOR AUTHENTICATION ============
+
+// Admin accounts can add a second factor on /admin/2fa: TOTP codes (RFC 6238: 6 digits every 30
+// seconds, as made by Google Authenticator, 1Password and the like) from a secret shared once at
+// enrollment, plus single-use recovery codes for when the phone is lost. The secret is kept in
+// users.json beside the password hash; recovery codes only as sha256 hashes. Each code works
+// once - a code at or before the last accepted time step is refused.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // Codes from one step either side of now are accepted
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_LOGIN_WINDOW = 5 * 60 * 1000; // From the password being accepted to the code
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+function totpCode(secret, step) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// The time step a code belongs to, if it is current and after `after`; otherwise null
+function matchTotp(secret, code, after = -1) {
+    const now = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let step = now - TOTP_DRIFT_STEPS; step <= now + TOTP_DRIFT_STEPS; step++) {
+        if (step > after && crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(code))) return step;
+    }
+    return null;
+}
+
+// What authenticator apps scan or are given by hand
+function totpUri(username, secret) {
+    const issuer = `File Repository (${new URL(BASE_URL).host})`;
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: TOTP_DIGITS, period: TOTP_STEP_SECONDS });
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${username}`)}?${params}`;
+}
+
+// Recovery codes are typed as "a1b2c-d3e4f"; case, spaces and dashes don't matter
+function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[^0-9a-z]/g, '');
+}
+
+// New recovery codes for an account, replacing any it had. Returns them - they are never shown again.
+function createRecoveryCodes(account) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+    });
+    account.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+    saveJson(USERS_FILE, users);
+    return codes;
+}
+
+// Check an authenticator or recovery code for an account with two-factor on, using it up.
+// Returns 'authenticator code' or 'recovery code' for the audit log, or null when it is wrong.
+function useSecondFactor(account, code) {
+    const value = String(code ?? '').replace(/\s+/g, '');
+    const twoFactor = account.twoFactor;
+    if (new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(value)) {
+        const step = matchTotp(twoFactor.secret, value, twoFactor.lastStep ?? -1);
+        if (step === null) return null;
+        twoFactor.lastStep = step;
+        saveJson(USERS_FILE, users);
+        return 'authenticator code';
+    }
+    const index = value ? twoFactor.recoveryCodes.indexOf(hashToken(normalizeRecoveryCode(value))) : -1;
+    if (index === -1) return null;
+    twoFactor.recoveryCodes.splice(index, 1);
+    saveJson(USERS_FILE, users);
+    return 'recovery code';
+}
+
+// ============ CONTENT NEGOTIATION ============
+
+// Pick the response format from the Accept header. Browsers ask for text/html,
+// scripts can ask for application/json, and clients with no preference (curl
+// sends */*) get the plain-text tables. The JSON API always answers in JSON.
+function responseFormat(req) {
+    if (req.path.startsWith('/api/')) return 'json';
+    const accept = req.headers.accept;
+    if (!accept || accept.trim() === '*/*') return 'text';
+    switch (req.accepts(['text/html', 'application/json', 'text/plain'])) {
+        case 'text/html': return 'html';
+        case 'application/json': return 'json';
+        default: return 'text';
+    }
+}
+
+// Errors look the same everywhere: "Error: ..." in text, { error: { status, message } } in JSON.
+// status may be a caught error's, which only errors made to be shown have; the rest are 500.
+function sendError(req, res, status, message) {
+    status = status || 500;
+    res.locals.errorMessage = message; // For the audit log
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.status(status).json({ error: { status, message } });
+    }
+    if (format === 'text') {
+        return res.status(status).type('text/plain').send(`Error: ${message}\n`);
     }
-    res.redirect('/admin/login');
+    res.status(status).render('error', { message });
 }
 
-// Make isAdmin available to all views
+// Every response depends on Accept
 app.use((req, res, next) => {
-    res.locals.isAdmin = req.session && req.session.isAdmin;
+    res.vary('Accept');
     next();
 });
 
+// Whether a body field holds at most one string. A form field sent twice arrives as an array,
+// and JSON can send anything, neither of which the string helpers below can take.
+function isSingleValue(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
 // Sanitize username/IP - remove dangerous characters
 function sanitizeName(name) {
     if (!name) return null;
@@ -72,157 +720,6357 @@ function sanitizeName(name) {
         .replace(/\.\./g, '')
         .replace(/[\/\\:*?"<>|]/g, '_')
         .replace(/\s+/g, '_')
+        .replace(/^\.+/, '') // Dot-folders (.temp, .meta) are reserved
         .substring(0, 50);
 }
 
-// Get client identifier (username or IP)
+// Get client identifier (folder named in the form, logged-in account, or IP)
 function getClientId(req) {
     const username = req.body?.username;
-    if (username && username.trim()) {
+    if (username !== undefined && typeof username !== 'string') {
+        throw badRequest('username must be sent once, as text');
+    }
+    if (username && username.trim() && sanitizeName(username.trim())) {
         return sanitizeName(username.trim());
     }
+    if (req.user) {
+        return req.user.username;
+    }
     // Fallback to IP
-    let ip = req.ip || req.connection.remoteAddress || 'unknown';
-    ip = ip.replace(/^::ffff:/, ''); // Remove IPv6 prefix
-    return sanitizeName(ip);
+    return sanitizeName(clientIp(req));
 }
 
-// Format file size
-function formatSize(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+function clientIp(req) {
+    const ip = req.ip || req.connection.remoteAddress || 'unknown';
+    return ip.replace(/^::ffff:/, ''); // Remove IPv6 prefix
 }
 
-// Format date
-function formatDate(date) {
-    return new Date(date).toISOString().replace('T', ' ').substring(0, 19);
+// Sanitize an uploaded filename for storage
+function sanitizeFilename(name) {
+    return name
+        .replace(/[^a-zA-Z0-9._-]/g, '_')
+        .replace(/^\.+/, '_'); // No hidden files, no "." or ".."
 }
 
-// Multer storage - upload to temp, then move to user folder
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        // Upload to temp folder first - we'll move it after form is parsed
-        const tempDir = path.join(UPLOAD_DIR, '.temp');
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-        }
-        cb(null, tempDir);
-    },
-    filename: (req, file, cb) => {
-        // Use sanitized original name
-        const safeName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
-        cb(null, safeName);
+// Unique ID for each upload - timestamp prefix plus random suffix
+function generateUploadId() {
+    return `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Subfolders inside a user folder go at most this deep
+const MAX_PATH_DEPTH = 16;
+
+// Is this a stored path inside a folder ("a.txt", "builds/v2/a.txt")? No empty, "." or ".." segments, no dot-files.
+function isSafeSubpath(subpath) {
+    return typeof subpath === 'string' && subpath.length > 0 && !subpath.includes('\\') &&
+        subpath.split('/').every(segment => segment && !segment.startsWith('.'));
+}
+
+// Subfolder path from a form, query or JSON body ("builds/v2", "/builds/v2/") in stored form.
+// Each segment is sanitized like a filename; "" is the top of the folder. Throws 400 on "." or "..".
+function parseSubpath(value) {
+    const segments = String(value ?? '').split(/[\/\\]+/).filter(Boolean);
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+        throw badRequest('path may not contain "." or ".." segments');
     }
-});
+    if (segments.length > MAX_PATH_DEPTH) {
+        throw badRequest(`path may be at most ${MAX_PATH_DEPTH} folders deep`);
+    }
+    return segments.map(segment => sanitizeFilename(segment).substring(0, 100)).join('/');
+}
 
-const upload = multer({
-    storage: storage,
-    limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
-});
+// "builds/v2" + "a.txt" -> "builds/v2/a.txt"
+function joinSubpath(dir, name) {
+    return dir ? `${dir}/${name}` : name;
+}
 
-// Move file from temp to user folder after upload
-function moveToUserFolder(req) {
-    if (!req.file) return null;
+function parentSubpath(subpath) {
+    const slash = subpath.lastIndexOf('/');
+    return slash === -1 ? '' : subpath.substring(0, slash);
+}
 
-    const clientId = getClientId(req);
-    const userDir = path.join(UPLOAD_DIR, clientId);
+// For URLs: encode each segment but keep the slashes
+function encodeSubpath(subpath) {
+    return subpath.split('/').map(encodeURIComponent).join('/');
+}
 
-    if (!fs.existsSync(userDir)) {
-        fs.mkdirSync(userDir, { recursive: true });
+// Resolve a file or subfolder inside a user folder, or null if the path is unsafe
+function resolveUserFile(user, filename) {
+    const safeUser = sanitizeName(user);
+    filename = filename?.replace(/\/+$/, ''); // "/uploads/bob/builds/" names the builds subfolder
+    if (!safeUser || !isSafeSubpath(filename)) {
+        return null;
     }
+    const userDir = path.join(UPLOAD_DIR, safeUser);
+    const filepath = path.join(userDir, filename);
+    if (!filepath.startsWith(userDir + path.sep)) {
+        return null;
+    }
+    return { user: safeUser, userDir, filepath, name: filename };
+}
 
-    const oldPath = req.file.path;
-    const newPath = path.join(userDir, req.file.filename);
+// ============ RATE LIMITING ============
+//
+// Fixed-window counters keyed by account when logged in, otherwise by client IP:
+//   login     LOGIN_MAX_ATTEMPTS failures per LOGIN_WINDOW_MINUTES, counted per IP (wrong two-factor
+//             codes also per account, wrong share passwords per share and IP),
+//             then a lockout of LOGIN_LOCKOUT_MINUTES that doubles each time it recurs (up to a day).
+//             Wrong passwords also count per account, which past the same limit only slows it
+//             down: one try per delay, doubling from a second up to a minute
+//   uploads   UPLOAD_RATE_COUNT uploads and UPLOAD_RATE_BYTES bytes per UPLOAD_RATE_WINDOW_MINUTES
+//   downloads DOWNLOAD_RATE_BYTES bytes per DOWNLOAD_RATE_WINDOW_MINUTES, DOWNLOAD_MAX_CONCURRENT at once
+//             (text previews count what they read, thumbnails the image when they have to be made)
+// Admin accounts are exempt from the upload and download limits. Blocked requests get
+// 429 with Retry-After and are listed on /admin/rate-limits.
+//
+// Counters are kept in a rate store (see ratelimit/index.js), in memory unless RATE_LIMIT_STORE
+// names a module that shares them between server processes.
 
-    fs.renameSync(oldPath, newPath);
-    req.file.path = newPath;
-    req.file.destination = userDir;
+const MAX_RATE_EVENTS = 200;
+const rateLimitEvents = []; // Most recent first
+const activeDownloads = new Map(); // rate key -> downloads in progress
 
-    return clientId;
+const rateStore = createRateStore(settings.RATE_LIMIT_STORE);
+const loginLimiter = createLoginLimiter(rateStore, { maxAttempts: LOGIN_MAX_ATTEMPTS, window: LOGIN_WINDOW, lockout: LOGIN_LOCKOUT });
+
+function rateKey(req) {
+    return req.user ? `user:${req.user.username}` : `ip:${clientIp(req)}`;
 }
 
-// ============ ROUTES ============
+// 90 -> "2 minutes"
+function formatWait(seconds) {
+    if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+    return `${Math.ceil(seconds / 3600)} hours`;
+}
 
-// Root - List all user folders
-app.get('/', (req, res) => {
-    try {
-        const items = [];
-        if (fs.existsSync(UPLOAD_DIR)) {
-            const folders = fs.readdirSync(UPLOAD_DIR);
-            for (const folder of folders) {
-                if (folder === '.temp') continue; // Skip temp folder
-                const folderPath = path.join(UPLOAD_DIR, folder);
-                const stat = fs.statSync(folderPath);
-                if (stat.isDirectory()) {
-                    const fileCount = fs.readdirSync(folderPath).length;
-                    items.push({
-                        name: folder,
-                        isDir: true,
-                        size: `${fileCount} file(s)`,
-                        modified: formatDate(stat.mtime)
-                    });
-                }
-            }
-        }
+// username defaults to the logged-in account; failed logins pass the name that was tried
+function recordBlocked(req, kind, key, retryAfter, reason, username = req.user?.username) {
+    rateLimitEvents.unshift({
+        at: new Date().toISOString(),
+        kind,
+        key,
+        ip: clientIp(req),
+        username: username ? String(username) : null,
+        path: req.originalUrl,
+        reason,
+        retryAfter
+    });
+    rateLimitEvents.length = Math.min(rateLimitEvents.length, MAX_RATE_EVENTS);
+}
 
-        // Check if curl request
-        const isCurl = req.headers['user-agent']?.includes('curl');
-        if (isCurl) {
-            let output = 'Directory: /uploads\n';
-            output += '='.repeat(60) + '\n';
-            output += 'Name'.padEnd(30) + 'Files'.padEnd(15) + 'Modified\n';
-            output += '-'.repeat(60) + '\n';
-            for (const item of items) {
-                output += `[DIR] ${item.name}`.padEnd(30) + item.size.padEnd(15) + item.modified + '\n';
-            }
-            output += '-'.repeat(60) + '\n';
-            output += `Total: ${items.length} folder(s)\n`;
-            output += `\nUpload: curl -F "file=@yourfile.txt" -F "username=yourname" ${BASE_URL}/upload\n`;
-            res.type('text/plain').send(output);
-        } else {
-            res.render('index', { items, formatSize, formatDate });
+// Answer 429 with Retry-After, and keep the event for the admin page
+function sendRateLimited(req, res, kind, key, resetAt, reason) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    recordBlocked(req, kind, key, retryAfter, reason);
+    res.set('Retry-After', String(retryAfter));
+    sendError(req, res, 429, `${reason} Try again in ${formatWait(retryAfter)}.`);
+}
+
+function accountKey(username) {
+    return `user:${String(username).toLowerCase()}`;
+}
+
+// Failed logins count per IP, so nobody can lock an account out from somewhere else. Wrong
+// two-factor codes also count per account: whoever sends them already has the password, and
+// guesses spread over many IPs must not get unlimited tries. Wrong passwords count per account
+// too, but only towards a delay between tries (see checkPassword).
+function loginKeys(req, username, secondFactor = false) {
+    const keys = [`ip:${clientIp(req)}`];
+    if (secondFactor) keys.push(accountKey(username));
+    return keys;
+}
+
+// The lockout in force for this IP (or, at the second factor, this account), if any
+function loginLockout(req, username, secondFactor = false) {
+    return loginLimiter.lockoutFor(loginKeys(req, username, secondFactor));
+}
+
+// Count a failed login. Returns the lockout it triggered, if any.
+function recordLoginFailure(req, username, secondFactor = false) {
+    return loginLimiter.recordFailure(loginKeys(req, username, secondFactor));
+}
+
+async function clearLoginFailures(req, username) {
+    await loginLimiter.clearFailures(loginKeys(req, username, true));
+    await loginLimiter.clearPasswordFailures(accountKey(username));
+}
+
+// Count an upload against the client's window before its body is read.
+// Creating a chunked session counts as an upload; each chunk (PATCH) counts its bytes.
+function limitUploads(req, res, next) {
+    if (hasRole(req.user, 'admin')) return next();
+    const key = rateKey(req);
+    const bytes = Number(req.headers['content-length']) || 0;
+
+    Promise.all([
+        UPLOAD_RATE_COUNT && req.method === 'POST' ? rateStore.increment(`upload-count:${key}`, 1, UPLOAD_RATE_WINDOW) : null,
+        UPLOAD_RATE_BYTES && bytes ? rateStore.increment(`upload-bytes:${key}`, bytes, UPLOAD_RATE_WINDOW) : null
+    ]).then(([count, volume]) => {
+        if (count && count.total > UPLOAD_RATE_COUNT) {
+            return sendRateLimited(req, res, 'upload', key, count.resetAt,
+                `Upload limit reached: ${UPLOAD_RATE_COUNT} uploads per ${formatWait(UPLOAD_RATE_WINDOW / 1000)}.`);
         }
-    } catch (err) {
-        res.status(500).render('error', { message: err.message });
+        if (volume && volume.total > UPLOAD_RATE_BYTES) {
+            return sendRateLimited(req, res, 'upload', key, volume.resetAt,
+                `Upload limit reached: ${formatSize(UPLOAD_RATE_BYTES)} per ${formatWait(UPLOAD_RATE_WINDOW / 1000)}.`);
+        }
+        next();
+    }).catch(next);
+}
+
+// A form upload carrying several files counts each one after the first, once they are known.
+// Sends 429 and returns false when that goes over the limit.
+async function admitExtraUploads(req, res, extra) {
+    if (!UPLOAD_RATE_COUNT || extra <= 0 || hasRole(req.user, 'admin')) return true;
+    const key = rateKey(req);
+    const count = await rateStore.increment(`upload-count:${key}`, extra, UPLOAD_RATE_WINDOW);
+    if (count.total <= UPLOAD_RATE_COUNT) return true;
+    sendRateLimited(req, res, 'upload', key, count.resetAt,
+        `Upload limit reached: ${UPLOAD_RATE_COUNT} uploads per ${formatWait(UPLOAD_RATE_WINDOW / 1000)}.`);
+    return false;
+}
+
+// Bytes this download will send: the requested range, or the whole file
+function downloadLength(req, entry) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    if (!match || (!match[1] && !match[2])) return entry.size;
+    if (!match[1]) return Math.min(Number(match[2]), entry.size);
+    const end = match[2] ? Math.min(Number(match[2]), entry.size - 1) : entry.size - 1;
+    return Math.max(0, end - Number(match[1]) + 1);
+}
+
+// Hold a download slot and count the bytes it will send against the client's window.
+// Sends 429 and returns false when over a limit.
+async function admitDownload(req, res, bytes) {
+    if (req.method === 'HEAD' || hasRole(req.user, 'admin')) return true;
+    const key = rateKey(req);
+
+    const active = activeDownloads.get(key) || 0;
+    if (DOWNLOAD_MAX_CONCURRENT && active >= DOWNLOAD_MAX_CONCURRENT) {
+        sendRateLimited(req, res, 'download', key, Date.now() + 10 * 1000,
+            `Too many downloads at once: at most ${DOWNLOAD_MAX_CONCURRENT} per client.`);
+        return false;
+    }
+    activeDownloads.set(key, active + 1);
+    res.on('close', () => {
+        const remaining = activeDownloads.get(key) - 1;
+        if (remaining > 0) activeDownloads.set(key, remaining);
+        else activeDownloads.delete(key);
+    });
+    return countDownloadBytes(req, res, bytes);
+}
+
+// Count bytes read for the client against its download window, without holding a slot.
+// Sends 429 and returns false when over the limit.
+async function countDownloadBytes(req, res, bytes) {
+    if (!DOWNLOAD_RATE_BYTES || req.method === 'HEAD' || hasRole(req.user, 'admin')) return true;
+    const key = rateKey(req);
+    const volume = await rateStore.increment(`download-bytes:${key}`, bytes, DOWNLOAD_RATE_WINDOW);
+    if (volume.total > DOWNLOAD_RATE_BYTES) {
+        sendRateLimited(req, res, 'download', key, volume.resetAt,
+            `Download limit reached: ${formatSize(DOWNLOAD_RATE_BYTES)} per ${formatWait(DOWNLOAD_RATE_WINDOW / 1000)}.`);
+        return false;
     }
+    return true;
+}
+
+// ============ AUDIT LOG ============
+//
+// Uploads, downloads, deletes, logins and admin actions are logged to uploads/.meta/audit (see
+// audit/index.js for the record format and rotation). Routes tag themselves with auditAs(action)
+// and fill in the target and size with auditFields() once they know them; downloads are tagged
+// by sendDownload and sendArchive.
+
+const { auditRequest, auditAs, auditFields, searchAuditLog } = createAuditLog({
+    dir: AUDIT_DIR, maxBytes: AUDIT_MAX_BYTES, clientIp
 });
 
-// User directory - List files for a user
-app.get('/uploads/:user', (req, res) => {
-    const user = sanitizeName(req.params.user);
-    const userDir = path.join(UPLOAD_DIR, user);
+// Validate audit search parameters. Throws a 400 error on anything malformed.
+function parseAuditQuery(query) {
+    const params = {
+        q: queryValue(query.q),
+        action: queryValue(query.action),
+        user: queryValue(query.user),
+        outcome: queryValue(query.outcome),
+        since: queryValue(query.since),
+        until: queryValue(query.until),
+        page: queryValue(query.page) || '1',
+        perPage: queryValue(query.perPage) || String(LISTING_PER_PAGE)
+    };
+    if (params.action && !AUDIT_ACTIONS.includes(params.action)) {
+        throw badRequest(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+    }
+    if (params.outcome && !AUDIT_OUTCOMES.includes(params.outcome)) {
+        throw badRequest(`outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`);
+    }
+    if (!/^[1-9]\d*$/.test(params.page)) {
+        throw badRequest('page must be a positive integer');
+    }
+    if (!/^[1-9]\d*$/.test(params.perPage)) {
+        throw badRequest('perPage must be a positive integer');
+    }
+    params.page = Number(params.page);
+    params.perPage = Math.min(Number(params.perPage), LISTING_MAX_PER_PAGE);
+    params.sinceMs = params.since ? parseDateParam(params.since, 'since', false) : null;
+    params.untilMs = params.until ? parseDateParam(params.until, 'until', true) : null;
+    return params;
+}
 
-    if (!userDir.startsWith(UPLOAD_DIR)) {
-        return res.status(403).send('Access denied.\n');
+// Query string for these search params with some changed, leaving out defaults
+function auditQueryString(params, changes = {}) {
+    const merged = { ...params, ...changes };
+    const search = new URLSearchParams();
+    for (const name of ['q', 'action', 'user', 'outcome', 'since', 'until', 'page', 'perPage']) {
+        const value = merged[name];
+        if (value !== '' && value !== null && value !== undefined && !(name === 'page' && value === 1) &&
+            !(name === 'perPage' && value === LISTING_PER_PAGE)) {
+            search.set(name, value);
+        }
+    }
+    const query = search.toString();
+    return query ? `?${query}` : '';
+}
+
+// ============ EVENTS ============
+//
+// Changes to the repository are announced as events (see events/index.js for the types and
+// their data). GET /events streams them as Server-Sent Events to anyone who can read the folder,
+// and WEBHOOKS deliver them to the URLs admins configure. The last EVENTS_REPLAY are kept in
+// memory, so a reconnecting stream (Last-Event-ID) catches up on what it missed. A stream is
+// closed once its account is disabled or deleted, or its token revoked or expired.
+
+const EVENTS_REPLAY = 200;
+
+// Whether the account (and token) a stream was opened with may still follow it. Accounts are
+// changed in place, so a different object under the name means it was deleted and made again.
+function streamAllowed(stream) {
+    if (!stream.user) return true;
+    const account = users[stream.user.username];
+    if (account !== stream.user || account.disabled) return false;
+    const token = stream.token;
+    return !token || (tokens[token.id] === token && !(token.expiresAt && new Date(token.expiresAt) < new Date()));
+}
+
+const eventHub = createEventHub({ replay: EVENTS_REPLAY, createId: generateUploadId, canRead: canReadFolder, allowed: streamAllowed });
+
+function emitEvent(type, data) {
+    eventHub.emit(type, data);
+}
+
+// Comma-separated event types from a query or form; empty for all of them. Throws 400 on unknown ones.
+function parseEventTypes(value) {
+    const types = [].concat(value || []).join(',').split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.find(type => !EVENT_TYPES.includes(type));
+    if (unknown) {
+        throw badRequest(`Unknown event type "${unknown}". Use: ${EVENT_TYPES.join(', ')}`);
+    }
+    return types;
+}
+
+// Live stream of changes: ?folder=bob for one folder, ?types=file.uploaded,file.deleted for some kinds
+app.get('/events', (req, res) => {
+    let types;
+    try {
+        types = parseEventTypes(queryValue(req.query.types));
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
+    }
+    const folder = queryValue(req.query.folder) ? sanitizeName(queryValue(req.query.folder)) : null;
+    if (folder && !canReadFolder(req.user, folder)) {
+        return sendError(req, res, 404, `Folder "${folder}" not found.`);
+    }
+    if (eventHub.streamCount() >= EVENTS_MAX_CLIENTS) {
+        res.set('Retry-After', '30');
+        return sendError(req, res, 503, 'Too many clients are following events right now. Try again later.');
+    }
+    const ip = clientIp(req);
+    if (EVENTS_MAX_PER_IP && eventHub.streamCount(ip) >= EVENTS_MAX_PER_IP) {
+        return sendRateLimited(req, res, 'events', `ip:${ip}`, Date.now() + 30 * 1000,
+            `Too many event streams at once: at most ${EVENTS_MAX_PER_IP} per IP.`);
+    }
+
+    res.removeHeader('Vary');
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no' // Keep nginx from holding events back
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    eventHub.openStream(res, {
+        ip, user: req.user, token: req.token, folder, types: types.length ? types : null, lastEventId: req.headers['last-event-id']
+    });
+});
+
+// ============ WEBHOOKS ============
+//
+// Admins register URLs on /admin/webhooks, each for some event types (or all) and optionally one
+// folder, and every matching event is POSTed to them, signed with the webhook's secret (see
+// events/webhooks.js for the headers and retries). Webhooks are kept in uploads/.meta/webhooks.json
+// and the last 500 deliveries in uploads/.meta/webhook-deliveries.json.
+
+const webhooks = createWebhooks({
+    file: path.join(META_DIR, 'webhooks.json'),
+    deliveriesFile: path.join(META_DIR, 'webhook-deliveries.json'),
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    timeout: WEBHOOK_TIMEOUT,
+    createId: generateUploadId
+});
+eventHub.onEvent(webhooks.queue);
+
+// Validate a webhook target: an absolute http(s) URL
+function parseWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || '').trim());
+    } catch {
+        throw badRequest('url must be an absolute URL, like https://ci.example.com/hooks/files');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw badRequest('url must start with http:// or https://');
+    }
+    return url.href;
+}
+
+// ============ FILE INDEX ============
+//
+// Metadata for every stored file, so listings and lookups never walk the disk.
+// Held in memory and persisted as an append-only log, uploads/.meta/files.jsonl,
+// one operation per line:
+//   {"op":"mkdir","folder":"bob","createdAt":"..."}
+//   {"op":"mkdir","folder":"bob","path":"builds/v2","createdAt":"..."}     subfolder (and its parents)
+//   {"op":"put","file":{"folder":"bob","name":"a.txt","originalName":"a.txt","size":6,"mimeType":"text/plain",
+//                       "sha256":"...","uploaderIp":"10.0.0.5","uploadedBy":null,"uploadedAt":"...","mtimeMs":...}}
+//   {"op":"del","folder":"bob","name":"builds/v2/a.txt"}
+//   {"op":"rmdir","folder":"bob","path":"builds"}                          subfolder and everything in it
+//   {"op":"rmdir","folder":"bob"}
+// A file's name is its path inside the folder, so files in subfolders are "builds/v2/a.txt".
+// On startup the log is replayed, reconciled with what is actually on disk, and compacted.
+
+const INDEX_FILE = path.join(META_DIR, 'files.jsonl');
+const LEGACY_CHECKSUM_FILE = path.join(META_DIR, 'checksums.json'); // Hashes from before the index, imported once
+
+// folder name -> { name, createdAt, files: Map(path -> entry), dirs: Map(subfolder path -> createdAt) }
+const fileIndex = new Map();
+let indexWrites = Promise.resolve();
+let indexLogLines = 0;
+
+function applyIndexOp(op) {
+    switch (op.op) {
+        case 'mkdir':
+            if (!fileIndex.has(op.folder)) {
+                fileIndex.set(op.folder, { name: op.folder, createdAt: op.createdAt, files: new Map(), dirs: new Map() });
+            }
+            for (let dir = op.path || ''; dir; dir = parentSubpath(dir)) {
+                const dirs = fileIndex.get(op.folder).dirs;
+                if (!dirs.has(dir)) dirs.set(dir, op.createdAt);
+            }
+            break;
+        case 'put':
+            applyIndexOp({ op: 'mkdir', folder: op.file.folder, path: parentSubpath(op.file.name), createdAt: op.file.uploadedAt });
+            fileIndex.get(op.file.folder).files.set(op.file.name, op.file);
+            break;
+        case 'del':
+            fileIndex.get(op.folder)?.files.delete(op.name);
+            break;
+        case 'rmdir': {
+            const folder = fileIndex.get(op.folder);
+            if (!op.path) {
+                fileIndex.delete(op.folder);
+            } else if (folder) {
+                const prefix = `${op.path}/`;
+                for (const name of [...folder.files.keys()]) {
+                    if (name.startsWith(prefix)) folder.files.delete(name);
+                }
+                for (const dir of [...folder.dirs.keys()]) {
+                    if (dir === op.path || dir.startsWith(prefix)) folder.dirs.delete(dir);
+                }
+            }
+            break;
+        }
+    }
+}
+
+function indexedFileCount() {
+    let count = 0;
+    for (const folder of fileIndex.values()) count += folder.files.size;
+    return count;
+}
+
+// Apply operations in memory right away; the log is appended in order in the background
+function writeIndex(...ops) {
+    ops.forEach(applyIndexOp);
+    const lines = ops.map(op => JSON.stringify(op) + '\n').join('');
+    indexLogLines += ops.length;
+    indexWrites = indexWrites
+        .then(() => fs.promises.appendFile(INDEX_FILE, lines))
+        .catch(err => console.error(`File index write failed: ${err.message}`));
+
+    if (indexLogLines > 1000 && indexLogLines > 4 * (indexedFileCount() + fileIndex.size)) {
+        compactIndex();
+    }
+}
+
+// Rewrite the log as one line per live folder and file
+function compactIndex() {
+    const ops = [];
+    for (const folder of fileIndex.values()) {
+        ops.push({ op: 'mkdir', folder: folder.name, createdAt: folder.createdAt });
+        for (const [dir, createdAt] of folder.dirs) {
+            ops.push({ op: 'mkdir', folder: folder.name, path: dir, createdAt });
+        }
+        for (const file of folder.files.values()) {
+            ops.push({ op: 'put', file });
+        }
+    }
+    const snapshot = ops.map(op => JSON.stringify(op) + '\n').join('');
+    const tmp = `${INDEX_FILE}.tmp`;
+    indexLogLines = ops.length;
+    indexWrites = indexWrites
+        .then(() => fs.promises.writeFile(tmp, snapshot))
+        .then(() => fs.promises.rename(tmp, INDEX_FILE))
+        .catch(err => console.error(`File index compaction failed: ${err.message}`));
+    return indexWrites;
+}
+
+async function loadIndex() {
+    let log = '';
+    try {
+        log = await fs.promises.readFile(INDEX_FILE, 'utf8');
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    for (const line of log.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            applyIndexOp(JSON.parse(line));
+        } catch (err) {
+            // A torn last line from a crash - reconcile restores whatever it described
+        }
+    }
+}
+
+// Bring the index in line with storage: pick up folders and files added out-of-band,
+// drop entries whose file is gone, and refresh files changed in place (re-hashed on next use).
+async function reconcileIndex() {
+    const legacy = loadJson(LEGACY_CHECKSUM_FILE, {});
+    const ops = [];
+    const stored = new Map(); // folder -> { createdAt, files: Map(name -> stored file), dirs: Set }
+    let added = 0;
+    let removed = 0;
+
+    for await (const item of fileStore.list('')) {
+        const slash = item.key.indexOf('/');
+        const folder = slash === -1 ? item.key : item.key.substring(0, slash);
+        const name = slash === -1 ? '' : item.key.substring(slash + 1);
+        if (!name && !item.isDir) continue; // Loose files at the top belong to no folder
+        if (!stored.has(folder)) {
+            stored.set(folder, { createdAt: new Date(item.mtimeMs).toISOString(), files: new Map(), dirs: new Set() });
+        }
+        const found = stored.get(folder);
+        if (!name) {
+            found.createdAt = new Date(item.mtimeMs).toISOString();
+            continue;
+        }
+        // Stores without directories (S3) imply a file's subfolders by its key
+        for (let dir = parentSubpath(name); dir; dir = parentSubpath(dir)) found.dirs.add(dir);
+        if (item.isDir) {
+            found.dirs.add(name);
+        } else {
+            found.files.set(name, item);
+        }
+    }
+
+    for (const [folder, found] of stored) {
+        if (!fileIndex.has(folder)) {
+            ops.push({ op: 'mkdir', folder, createdAt: found.createdAt });
+        }
+        for (const dir of found.dirs) {
+            if (!fileIndex.get(folder)?.dirs.has(dir)) {
+                ops.push({ op: 'mkdir', folder, path: dir, createdAt: found.createdAt });
+            }
+        }
+        for (const [name, item] of found.files) {
+            const known = getIndexedFile(folder, name);
+            if (known && known.size === item.size && known.mtimeMs === item.mtimeMs) continue;
+
+            const old = legacy[path.join(folder, name)];
+            if (!known) added++;
+            ops.push({
+                op: 'put',
+                file: {
+                    folder,
+                    name,
+                    originalName: known?.originalName || path.basename(name),
+                    size: item.size,
+                    mimeType: known?.mimeType || express.static.mime.lookup(name),
+                    sha256: old && old.size === item.size && old.mtimeMs === item.mtimeMs ? old.sha256 : null,
+                    uploaderIp: known?.uploaderIp || null,
+                    uploadedBy: known?.uploadedBy || null,
+                    uploadedAt: known?.uploadedAt || new Date(item.mtimeMs).toISOString(),
+                    mtimeMs: item.mtimeMs
+                }
+            });
+        }
+
+        for (const name of fileIndex.get(folder)?.files.keys() || []) {
+            if (!found.files.has(name)) {
+                ops.push({ op: 'del', folder, name });
+                removed++;
+            }
+        }
+        for (const dir of fileIndex.get(folder)?.dirs.keys() || []) {
+            if (!found.dirs.has(dir)) {
+                ops.push({ op: 'rmdir', folder, path: dir });
+            }
+        }
+    }
+
+    for (const [folder, { files }] of fileIndex) {
+        if (!stored.has(folder)) {
+            ops.push({ op: 'rmdir', folder });
+            removed += files.size;
+        }
+    }
+
+    ops.forEach(applyIndexOp);
+    await compactIndex();
+    await fs.promises.rm(LEGACY_CHECKSUM_FILE, { force: true });
+    return { added, removed };
+}
+
+function getIndexedFolder(folder) {
+    return fileIndex.get(folder) || null;
+}
+
+function getIndexedFile(folder, name) {
+    return fileIndex.get(folder)?.files.get(name) || null;
+}
+
+// Is there a subfolder at this path? "" is the folder itself.
+function hasIndexedDir(folder, dir) {
+    const indexed = fileIndex.get(folder);
+    return !!indexed && (!dir || indexed.dirs.has(dir));
+}
+
+// Index entry for a download or metadata lookup - null when missing or in a folder this account can't see
+function getReadableFile(user, folder, name) {
+    return canReadFolder(user, folder) ? getIndexedFile(folder, name) : null;
+}
+
+// Every folder this account can see holding a file with this stored name
+function findFileMatches(filename, user) {
+    const matches = [];
+    for (const folder of fileIndex.values()) {
+        const entry = folder.files.get(filename);
+        if (entry && canReadFolder(user, folder.name)) matches.push(entry);
+    }
+    return matches;
+}
+
+// Storage key of a file. Earlier versions (see FILE VERSIONS) carry the id of their copy in .versions/.
+function storedKey(entry) {
+    return entry.versionId ? `${VERSIONS_PREFIX}/${entry.versionId}` : `${entry.folder}/${entry.name}`;
+}
+
+function indexFolder(folder) {
+    if (!fileIndex.has(folder)) {
+        writeIndex({ op: 'mkdir', folder, createdAt: new Date().toISOString() });
+        emitEvent('folder.created', { folder, path: '' });
+    }
+}
+
+function indexSubfolder(folder, dir) {
+    if (!hasIndexedDir(folder, dir)) {
+        writeIndex({ op: 'mkdir', folder, path: dir, createdAt: new Date().toISOString() });
+        emitEvent('folder.created', { folder, path: dir });
+    }
+}
+
+// Record a file that was just placed in a folder. Callers pass the sha256 of what they
+// stored; without one the stored copy is read back to hash it.
+async function indexFile(folder, name, { originalName, mimeType, sha256, uploaderIp, uploadedBy } = {}) {
+    const stat = await fileStore.stat(`${folder}/${name}`);
+    if (!stat) throw missingFileError(folder, name);
+    const file = {
+        folder,
+        name,
+        originalName: originalName || name,
+        size: stat.size,
+        mimeType: mimeType && mimeType !== 'application/octet-stream' ? mimeType : express.static.mime.lookup(name),
+        sha256: sha256 || await hashStream(await fileStore.read(`${folder}/${name}`)),
+        uploaderIp: uploaderIp || null,
+        uploadedBy: uploadedBy || null,
+        uploadedAt: new Date().toISOString(),
+        mtimeMs: stat.mtimeMs
+    };
+    writeIndex({ op: 'put', file });
+    return file;
+}
+
+// Follow a rename in storage (UPLOAD_CONFLICT=version archiving the previous copy). stat is
+// the moved copy's, since a store without renames (S3) gives it a new mtime.
+function renameIndexedFile(folder, from, to, stat) {
+    const entry = getIndexedFile(folder, from);
+    if (entry) {
+        writeIndex({ op: 'del', folder, name: from }, { op: 'put', file: { ...entry, name: to, mtimeMs: stat.mtimeMs } });
+    }
+}
+
+function unindexFile(folder, name) {
+    writeIndex({ op: 'del', folder, name });
+}
+
+function unindexFolder(folder) {
+    writeIndex({ op: 'rmdir', folder });
+}
+
+function unindexSubfolder(folder, dir) {
+    writeIndex({ op: 'rmdir', folder, path: dir });
+}
+
+// ============ CHECKSUMS ============
+
+function hashStream(input) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        input
+            .on('data', (chunk) => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// sha256 of a local file, like an upload waiting in .temp
+function hashFile(filepath) {
+    return hashStream(fs.createReadStream(filepath));
+}
+
+// What storage reports for a file the index still lists
+function missingFileError(folder, name) {
+    const err = new Error(`File "${name}" not found in /${folder}/.`);
+    err.code = 'ENOENT';
+    return err;
+}
+
+// sha256 of an indexed file. Files added or changed out-of-band are hashed on first use;
+// copies of earlier versions never change in place, whatever mtime the store gave them.
+async function getChecksum(entry, stat = null) {
+    stat = stat || await fileStore.stat(storedKey(entry));
+    if (!stat) throw missingFileError(entry.folder, entry.name);
+    if (entry.sha256 && entry.size === stat.size && (entry.versionId || entry.mtimeMs === stat.mtimeMs)) {
+        return entry.sha256;
+    }
+
+    const sha256 = await hashStream(await fileStore.read(storedKey(entry)));
+    if (getIndexedFile(entry.folder, entry.name) === entry) { // Not deleted or replaced meanwhile
+        writeIndex({ op: 'put', file: { ...entry, sha256, size: stat.size, mtimeMs: stat.mtimeMs } });
+    }
+    return sha256;
+}
+
+// Send an indexed file as a download. The sha256 doubles as a strong ETag, so
+// If-None-Match / If-Modified-Since give 304 and Range / If-Range resume only
+// when the content is unchanged. With STORAGE_DOWNLOADS=redirect and a store that
+// has presigned URLs, the client is sent to fetch it from there instead.
+// ?inline=1 shows images, PDFs, audio and video in the browser instead (see PREVIEWS).
+async function sendDownload(req, res, entry) {
+    auditRequest(req, res, 'download', {
+        target: `/${entry.folder}/${entry.name}`,
+        size: downloadLength(req, entry),
+        ...(entry.versionId && { detail: `version ${entry.version}` })
+    });
+    let stat;
+    let sha256;
+    try {
+        stat = await fileStore.stat(storedKey(entry));
+        sha256 = await getChecksum(entry, stat);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            if (!entry.versionId) unindexFile(entry.folder, entry.name); // Removed from storage behind our back
+            return sendError(req, res, 404, `File "${entry.name}" not found in /${entry.folder}/.`);
+        }
+        return sendError(req, res, 500, err.message);
+    }
+
+    try {
+        if (!await admitDownload(req, res, downloadLength(req, entry))) return;
+    } catch (err) {
+        return sendError(req, res, 500, err.message);
+    }
+
+    res.removeHeader('Vary'); // File bodies don't depend on Accept
+    // Risky types are never rendered or run from our origin, whatever the browser thinks
+    const type = isRiskyType(entry) ? 'application/octet-stream' : express.static.mime.lookup(entry.name);
+    const inline = queryValue(req.query.inline) && isInlineType(entry);
+    const disposition = fileDisposition(inline ? 'inline' : 'attachment', path.basename(entry.name));
+
+    if (STORAGE_DOWNLOADS === 'redirect') {
+        try {
+            const url = await fileStore.signedUrl(storedKey(entry), { disposition, contentType: type, expiresIn: PRESIGNED_URL_SECONDS });
+            if (url) {
+                return res.redirect(302, url);
+            }
+        } catch (err) {
+            return sendError(req, res, 500, err.message);
+        }
+    }
+
+    res.set({
+        'Content-Type': type,
+        'Content-Disposition': disposition,
+        'X-Content-Type-Options': 'nosniff',
+        'ETag': `"${sha256}"`,
+        'Last-Modified': new Date(stat.mtimeMs).toUTCString(),
+        'Digest': `sha-256=${Buffer.from(sha256, 'hex').toString('base64')}`,
+        'X-Checksum-Sha256': sha256,
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'public, no-cache' // Caches may keep it but must revalidate
+    });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = stat.size - 1;
+    const ifRange = req.headers['if-range'];
+    const rangeApplies = req.headers.range && (!ifRange || ifRange === res.get('ETag') ||
+        (!ifRange.includes('"') && Date.parse(ifRange) >= Math.floor(stat.mtimeMs / 1000) * 1000));
+    if (rangeApplies) {
+        const ranges = req.range(stat.size, { combine: true });
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${stat.size}`);
+            return sendError(req, res, 416, `Range not satisfiable: "${entry.name}" is ${stat.size} bytes.`);
+        }
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) { // Several ranges get the whole file
+            ({ start, end } = ranges[0]);
+            res.status(206).set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+        }
+    }
+    res.set('Content-Length', String(end - start + 1));
+    if (req.method === 'HEAD' || end < start) {
+        return res.end();
+    }
+
+    let input;
+    try {
+        input = await fileStore.read(storedKey(entry), { start, end });
+    } catch (err) {
+        res.removeHeader('Content-Range');
+        return sendError(req, res, err.code === 'ENOENT' ? 404 : 500, err.message);
+    }
+    stream.pipeline(input, res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error(`Download of /${entry.folder}/${entry.name} failed: ${err.message}`);
+        }
+    });
+}
+
+// ============ DEDUPLICATION ============
+//
+// With STORAGE_DEDUP on, an upload's content is stored once: the first file with a sha256 moves
+// to .blobs/<first 2 hex>/<sha256>, and it and every later file with the same content, in any
+// folder, are hardlinks to that blob. Everything else still sees ordinary files, so downloads,
+// moves, the trash and file versions work as before. The link count is the reference count:
+// once a blob's own name is the only one left - every copy deleted and purged from the trash
+// and from file histories - sweepBlobs removes it. It runs at startup, after anything is
+// removed from storage, and every hour. Linked copies share one inode and so one modification
+// time, the first copy's. Files stored before dedup was turned on are left as they are.
+
+// Totals as of the last sweep, kept up to date as uploads are stored
+const blobStats = { blobs: 0, bytes: 0, references: 0, savedBytes: 0, sweptAt: null };
+let blobSweepTimer = null;
+
+function blobKey(sha256) {
+    return `${BLOBS_PREFIX}/${sha256.substring(0, 2)}/${sha256}`;
+}
+
+// Move a finished local file in at key, through the blob store when dedup is on and its sha256
+// is known. Resolves to true when the same content was already stored. An upload staged in
+// storage ({ key }, see stageInStore) is moved over within the store.
+async function putStored(key, srcPath, sha256) {
+    if (srcPath.key) {
+        await fileStore.move(srcPath.key, key);
+        return false;
+    }
+    if (!STORAGE_DEDUP || !sha256) {
+        await fileStore.put(key, srcPath);
+        return false;
+    }
+    const blob = blobKey(sha256);
+    return withFolderLock(blob, async () => {
+        const { size } = await fs.promises.stat(srcPath);
+        const existing = await fileStore.stat(blob);
+        if (existing && existing.size === size) {
+            await fileStore.link(blob, key);
+            await fs.promises.rm(srcPath, { force: true });
+            blobStats.references++;
+            blobStats.savedBytes += size;
+            return true;
+        }
+        await fileStore.put(blob, srcPath); // Also replaces a blob that is somehow the wrong size
+        await fileStore.link(blob, key);
+        blobStats.blobs++;
+        blobStats.bytes += size;
+        blobStats.references++;
+        return false;
+    });
+}
+
+// Line added to text upload answers
+function dedupNote(deduplicated) {
+    return deduplicated ? 'Deduplicated: the same content was already stored, so this copy takes no extra space\n' : '';
+}
+
+// Remove blobs no file links to anymore and recount the totals. Resolves to how many went.
+async function sweepBlobs() {
+    const totals = { blobs: 0, bytes: 0, references: 0, savedBytes: 0 };
+    let removed = 0;
+    for await (const item of fileStore.list(BLOBS_PREFIX)) {
+        if (item.isDir) continue;
+        // Checked under the blob's lock, which putStored holds between storing and linking it
+        const stat = await withFolderLock(item.key, async () => {
+            const current = await fileStore.stat(item.key);
+            if (current && current.links <= 1) {
+                await fileStore.remove(item.key);
+                removed++;
+                return null;
+            }
+            return current;
+        });
+        if (!stat) continue;
+        const references = stat.links - 1;
+        totals.blobs++;
+        totals.bytes += stat.size;
+        totals.references += references;
+        totals.savedBytes += (references - 1) * stat.size;
+    }
+    Object.assign(blobStats, totals, { sweptAt: new Date().toISOString() });
+    return removed;
+}
+
+// Sweep soon, once a burst of removals is over. Blobs left over from when dedup was on are
+// swept as well, so nothing needs STORAGE_DEDUP to stay on.
+function scheduleBlobSweep(delay = 5000) {
+    if (!fileStore.link || blobSweepTimer) return;
+    blobSweepTimer = setTimeout(() => {
+        blobSweepTimer = null;
+        sweepBlobs()
+            .then(removed => removed && console.log(`Removed ${removed} unreferenced blob(s) from storage`))
+            .catch(err => console.error(`Blob sweep failed: ${err.message}`));
+    }, delay);
+    blobSweepTimer.unref();
+}
+
+setInterval(() => scheduleBlobSweep(0), 60 * 60 * 1000).unref();
+
+// ============ QUOTAS ============
+//
+// Every folder has a byte quota and a file-count quota: QUOTA_MAX_BYTES and QUOTA_MAX_FILES
+// unless an admin overrides them on /admin/usage (kept in folders.json). 0 means no limit.
+// A file bigger than its folder's whole quota is refused with 413; a full folder, or a disk
+// down to MIN_FREE_DISK, with 507 Insufficient Storage. With a storage driver other than local,
+// files don't live on the disk, so only uploads staged there on their way to the store
+// (scanned, unpacked or sent in chunks) are held to MIN_FREE_DISK. Multipart uploads are checked while
+// they stream in and again before they are stored; chunked uploads when the session is
+// created, at each chunk, and on finalize.
+
+const quotaPending = new Map(); // folder -> { bytes, files } being stored but not yet indexed
+
+function folderQuota(folder) {
+    const override = folders[folder]?.quota || {};
+    return {
+        maxBytes: override.maxBytes ?? QUOTA_MAX_BYTES,
+        maxFiles: override.maxFiles ?? QUOTA_MAX_FILES,
+        override: folders[folder]?.quota || null
+    };
+}
+
+// Override a folder's quota. A null limit falls back to the default.
+function setFolderQuota(folder, { maxBytes, maxFiles }) {
+    const { quota, ...record } = folders[folder] || {};
+    const override = {
+        ...(maxBytes !== null && { maxBytes }),
+        ...(maxFiles !== null && { maxFiles })
+    };
+    if (Object.keys(override).length) {
+        record.quota = override;
+    }
+    if (Object.keys(record).length) {
+        folders[folder] = record;
+    } else {
+        delete folders[folder];
+    }
+    saveJson(FOLDERS_FILE, folders);
+}
+
+function folderUsage(folder) {
+    const usage = { ...(quotaPending.get(folder) || { bytes: 0, files: 0 }) };
+    for (const file of getIndexedFolder(folder)?.files.values() || []) {
+        usage.bytes += file.size;
+        usage.files++;
+    }
+    usage.bytes += folderVersionBytes(folder); // Earlier versions take up the folder's space too
+    return usage;
+}
+
+function diskSpace() {
+    const stats = fs.statfsSync(UPLOAD_DIR);
+    return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+}
+
+function storageError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function lowDiskError() {
+    return storageError(507, 'The server is low on disk space, so uploads are paused. Try again later.');
+}
+
+// Whether a write lands on the local disk: always with the local driver, otherwise only when staged
+function usesDisk(staged) {
+    return staged || fileStore.name === 'local';
+}
+
+function checkDiskSpace(size, staged = false) {
+    if (usesDisk(staged) && diskSpace().free - size < MIN_FREE_DISK) {
+        throw lowDiskError();
+    }
+}
+
+// Throw unless `files` more files (one unless an archive is unpacked) of `size` bytes in all fit in the folder's quota
+function checkQuota(folder, size, files = 1) {
+    const { maxBytes, maxFiles } = folderQuota(folder);
+    const usage = folderUsage(folder);
+    if (maxBytes && size > maxBytes) {
+        throw storageError(413, `File too large for folder "${folder}", whose quota is ${formatSize(maxBytes)}.`);
+    }
+    if (maxBytes && usage.bytes + size > maxBytes) {
+        throw storageError(507, `Folder "${folder}" is over its quota: ${formatSize(usage.bytes)} of ${formatSize(maxBytes)} used, this file needs ${formatSize(size)}.`);
+    }
+    if (maxFiles && files && usage.files >= maxFiles) {
+        throw storageError(507, `Folder "${folder}" is full: it already holds its limit of ${maxFiles} files.`);
+    }
+    if (maxFiles && usage.files + files > maxFiles) {
+        throw storageError(507, `Folder "${folder}" has room for ${maxFiles - usage.files} more file(s), this upload adds ${files}.`);
+    }
+}
+
+// Check the quota and hold the space until the files are indexed. Returns the release function.
+function reserveQuota(folder, size, files = 1) {
+    checkQuota(folder, size, files);
+    const pending = quotaPending.get(folder) || { bytes: 0, files: 0 };
+    pending.bytes += size;
+    pending.files += files;
+    quotaPending.set(folder, pending);
+    return () => {
+        pending.bytes -= size;
+        pending.files -= files;
+        if (!pending.files) quotaPending.delete(folder);
+    };
+}
+
+// Folder a multipart upload is headed for, when that is known before the file arrives:
+// the API and admin routes name it, the upload form only if username is sent first
+function uploadTarget(req) {
+    if (req.path === '/admin/upload') return 'admin';
+    if (req.params.user) return sanitizeName(req.params.user);
+    return req.body?.username ? getClientId(req) : null;
+}
+
+// Bytes a multipart file may write before it breaks the free-disk floor or its folder's quota
+function uploadLimit(folder, staged = false) {
+    checkDiskSpace(0, staged);
+    let limit = usesDisk(staged) ? diskSpace().free - MIN_FREE_DISK : Infinity;
+    if (folder) {
+        checkQuota(folder, 0);
+        const { maxBytes } = folderQuota(folder);
+        if (maxBytes) limit = Math.min(limit, maxBytes - folderUsage(folder).bytes);
+    }
+    return limit;
+}
+
+function overLimitError(folder, size) {
+    try {
+        if (folder) checkQuota(folder, size);
+    } catch (err) {
+        return err;
+    }
+    return lowDiskError();
+}
+
+// ============ UPLOAD VALIDATION ============
+//
+// Every upload is inspected in the temp stage, before it reaches its folder:
+//   1. its real type is sniffed from the first bytes (MAGIC_NUMBERS), falling back to the extension
+//   2. the extension and sniffed type are checked against the global and the folder's
+//      allow/block lists - refused with 415
+//   3. the UPLOAD_SCANNER, if configured, scans it - infected files are moved to
+//      uploads/.quarantine/ and refused with 422; a scanner failure refuses the upload with 503
+// The sniffed type is what the index records and downloads are served with.
+
+const QUARANTINE_FILE = path.join(META_DIR, 'quarantine.json');
+const quarantine = loadJson(QUARANTINE_FILE, {});
+
+// How many leading bytes sniffType looks at
+const SNIFF_BYTES = 512;
+
+// [type, signature, offset]. Containers (zip, ISO media, ogg) hold many formats, so for
+// them only the block list looks at the sniffed type and the allow list goes by extension.
+const MAGIC_NUMBERS = [
+    ['application/pdf', '%PDF-'],
+    ['image/png', '\x89PNG\r\n\x1a\n'],
+    ['image/jpeg', '\xff\xd8\xff'],
+    ['image/gif', 'GIF87a'],
+    ['image/gif', 'GIF89a'],
+    ['image/webp', 'WEBP', 8],
+    ['image/tiff', 'II*\x00'],
+    ['image/tiff', 'MM\x00*'],
+    ['application/zip', 'PK\x03\x04'],
+    ['application/zip', 'PK\x05\x06'],
+    ['application/gzip', '\x1f\x8b'],
+    ['application/x-7z-compressed', '7z\xbc\xaf\x27\x1c'],
+    ['application/vnd.rar', 'Rar!\x1a\x07'],
+    ['application/x-tar', 'ustar', 257],
+    ['audio/mpeg', 'ID3'],
+    ['audio/ogg', 'OggS'],
+    ['video/mp4', 'ftyp', 4],
+    ['application/x-msdownload', 'MZ'],
+    ['application/x-executable', '\x7fELF'],
+    ['application/x-mach-binary', '\xcf\xfa\xed\xfe'],
+    ['application/x-mach-binary', '\xce\xfa\xed\xfe'],
+    ['application/x-sh', '#!']
+].map(([type, signature, offset = 0]) => ({ type, signature: Buffer.from(signature, 'latin1'), offset }));
+const CONTAINER_TYPES = new Set(['application/zip', 'video/mp4', 'audio/ogg']);
+
+// Served with Content-Type application/octet-stream so no browser renders or runs them
+const RISKY_TYPES = new Set([
+    'text/html', 'application/xhtml+xml', 'image/svg+xml', 'text/xml', 'application/xml',
+    'application/javascript', 'text/javascript', 'application/x-msdownload', 'application/x-executable',
+    'application/x-mach-binary', 'application/x-sh'
+]);
+
+// MIME type for an extension, or null when it isn't a known one
+function mimeForExt(ext) {
+    const type = express.static.mime.types[ext.replace(/^\./, '')];
+    return type && type !== 'application/octet-stream' ? type : null;
+}
+
+// Type from the file's leading bytes (a path, or those bytes themselves), or null when it has no recognisable signature
+async function sniffType(source) {
+    let head = source;
+    if (!Buffer.isBuffer(source)) {
+        const handle = await fs.promises.open(source, 'r');
+        try {
+            const buffer = Buffer.alloc(SNIFF_BYTES);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+            head = buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    for (const magic of MAGIC_NUMBERS) {
+        if (head.subarray(magic.offset, magic.offset + magic.signature.length).equals(magic.signature)) {
+            return magic.type;
+        }
+    }
+    // Markup has no magic number - look at the opening tag
+    const text = head.toString('latin1').replace(/^(\xef\xbb\xbf|\s)+/, '').toLowerCase();
+    if (/^<(!doctype html|html|head|body|script|iframe)[\s>]/.test(text)) return 'text/html';
+    if (/^<(\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/.test(text)) return 'image/svg+xml';
+    return null;
+}
+
+function parseTypeList(value) {
+    return String(value || '')
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean)
+        .map(type => (type.includes('/') || type.startsWith('.') ? type : `.${type}`));
+}
+
+const globalUploadPolicy = { allow: parseTypeList(UPLOAD_ALLOWED_TYPES), block: parseTypeList(UPLOAD_BLOCKED_TYPES) };
+
+function folderUploadPolicy(folder) {
+    return folders[folder]?.uploadPolicy || { allow: [], block: [] };
+}
+
+// Replace a folder's own allow/block lists; empty lists remove the override
+function setFolderUploadPolicy(folder, { allow, block }) {
+    const { uploadPolicy, ...record } = folders[folder] || {};
+    if (allow.length || block.length) {
+        record.uploadPolicy = { allow, block };
+    }
+    if (Object.keys(record).length) {
+        folders[folder] = record;
+    } else {
+        delete folders[folder];
+    }
+    saveJson(FOLDERS_FILE, folders);
+}
+
+// Does a list entry (".pdf", "image/png", "image/*") cover this type?
+function typeMatches(pattern, ext, mimeType) {
+    if (pattern.startsWith('.')) {
+        return pattern === ext || (!!mimeType && mimeForExt(pattern) === mimeType);
+    }
+    if (!mimeType) return false;
+    return pattern.endsWith('/*') ? mimeType.startsWith(pattern.slice(0, -1)) : pattern === mimeType;
+}
+
+// Throw 415 unless the global and folder policies both accept a file with this extension and sniffed type
+function checkUploadPolicy(folder, ext, sniffed) {
+    const extType = mimeForExt(ext);
+    const describe = sniffed && sniffed !== extType ? `"${ext || 'no extension'}" (content is ${sniffed})` : `"${ext || 'no extension'}"`;
+
+    for (const policy of [globalUploadPolicy, folderUploadPolicy(folder)]) {
+        // Report the most direct match: the extension itself, then a MIME entry for the content
+        const blocked = policy.block.find(p => typeMatches(p, ext, extType)) ||
+            policy.block.find(p => p.includes('/') && typeMatches(p, null, sniffed)) ||
+            policy.block.find(p => typeMatches(p, null, sniffed));
+        if (blocked) {
+            throw storageError(415, `Files of type ${describe} are not allowed (blocked: ${blocked}).`);
+        }
+        if (policy.allow.length) {
+            const extAllowed = policy.allow.some(p => typeMatches(p, ext, extType));
+            const contentAllowed = !sniffed || CONTAINER_TYPES.has(sniffed) || policy.allow.some(p => typeMatches(p, null, sniffed));
+            if (!extAllowed || !contentAllowed) {
+                throw storageError(415, `Files of type ${describe} are not allowed here. Allowed: ${policy.allow.join(', ')}.`);
+            }
+        }
+    }
+}
+
+// Scanner from UPLOAD_SCANNER: (filepath) -> Promise<{ infected, signature }>, rejecting when it can't scan
+function loadScanner(spec) {
+    if (!spec) return null;
+    if (spec.startsWith('clamd:')) return clamdScanner(spec.substring(6));
+    if (spec.startsWith('command:')) return commandScanner(spec.substring(8));
+    const plugin = require(path.resolve(spec));
+    return typeof plugin === 'function' ? plugin : plugin.scan;
+}
+
+// Stream the file to clamd with INSTREAM over a unix socket or host:port
+function clamdScanner(address) {
+    const tcp = /^(.+):(\d+)$/.exec(address);
+    return (filepath) => new Promise((resolve, reject) => {
+        const socket = tcp ? net.connect(Number(tcp[2]), tcp[1]) : net.connect(address);
+        let reply = '';
+        socket.setTimeout(5 * 60 * 1000, () => socket.destroy(new Error('clamd timed out')));
+        socket.on('error', err => reject(new Error(`clamd: ${err.message}`)));
+        socket.on('data', (data) => { reply += data; });
+        socket.on('end', () => {
+            // "stream: OK" or "stream: Eicar-Signature FOUND"
+            const answer = reply.replace(/\0/g, '').trim();
+            const found = /^stream: (.+) FOUND$/.exec(answer);
+            if (found) return resolve({ infected: true, signature: found[1] });
+            if (answer === 'stream: OK') return resolve({ infected: false });
+            reject(new Error(`clamd: ${answer || 'no answer'}`));
+        });
+        socket.on('connect', () => {
+            socket.write('zINSTREAM\0');
+            const file = fs.createReadStream(filepath, { highWaterMark: 64 * 1024 });
+            file.on('data', (chunk) => {
+                const length = Buffer.alloc(4);
+                length.writeUInt32BE(chunk.length);
+                socket.write(length);
+                if (!socket.write(chunk)) {
+                    file.pause();
+                    socket.once('drain', () => file.resume());
+                }
+            });
+            file.on('end', () => socket.write(Buffer.alloc(4))); // Zero-length chunk ends the stream
+            file.on('error', err => socket.destroy(err));
+        });
+    });
+}
+
+// Run a command with the file path appended: exit 0 is clean, 1 infected (clamscan convention)
+function commandScanner(command) {
+    const [bin, ...args] = command.trim().split(/\s+/);
+    return (filepath) => new Promise((resolve, reject) => {
+        execFile(bin, [...args, filepath], { timeout: 5 * 60 * 1000 }, (err, stdout, stderr) => {
+            if (!err) return resolve({ infected: false });
+            if (err.code === 1) {
+                const found = /: (.+) FOUND/.exec(stdout);
+                const signature = found ? found[1] : stdout.trim().split('\n')[0];
+                return resolve({ infected: true, signature: signature || 'rejected by scanner' });
+            }
+            reject(new Error(`${bin}: ${(stderr || err.message).trim()}`));
+        });
+    });
+}
+
+const scanUpload = loadScanner(UPLOAD_SCANNER);
+
+// Keep an infected upload out of reach, with enough detail for an admin to follow up
+function quarantineFile(tempPath, details) {
+    const item = { id: generateUploadId(), ...details, quarantinedAt: new Date().toISOString() };
+    fs.renameSync(tempPath, path.join(QUARANTINE_DIR, item.id));
+    quarantine[item.id] = item;
+    saveJson(QUARANTINE_FILE, quarantine);
+    return item;
+}
+
+function deleteQuarantined(item) {
+    fs.rmSync(path.join(QUARANTINE_DIR, item.id), { force: true });
+    delete quarantine[item.id];
+    saveJson(QUARANTINE_FILE, quarantine);
+}
+
+// Check an upload still in the temp stage. Returns its MIME type, or throws with the status to
+// answer with. Infected files are quarantined; removing any other refused file is up to the caller.
+// An upload staged in storage has no local copy to scan, so it passes its leading bytes as head.
+async function inspectUpload(tempPath, { folder, originalName, uploadedBy, uploaderIp, head }) {
+    const ext = path.extname(originalName).toLowerCase();
+    const sniffed = await sniffType(head || tempPath);
+    checkUploadPolicy(folder, ext, sniffed);
+
+    if (scanUpload) {
+        let result;
+        try {
+            result = await scanUpload(tempPath);
+        } catch (err) {
+            console.error(`Upload scan failed: ${err.message}`);
+            throw storageError(503, 'The virus scanner is unavailable, so the upload was refused. Try again later.');
+        }
+        if (result.infected) {
+            const size = fs.statSync(tempPath).size;
+            const signature = result.signature || 'unknown';
+            quarantineFile(tempPath, { folder, originalName, size, signature, uploadedBy, uploaderIp });
+            throw storageError(422, `"${originalName}" was rejected by the virus scanner (${signature}) and quarantined.`);
+        }
+    }
+    return sniffed || mimeForExt(ext) || 'application/octet-stream';
+}
+
+function isRiskyType(entry) {
+    return RISKY_TYPES.has(entry.mimeType) || RISKY_TYPES.has(mimeForExt(path.extname(entry.name).toLowerCase()));
+}
+
+// Format file size
+function formatSize(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+// Format date
+function formatDate(date) {
+    return new Date(date).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Multer storage engine: like diskStorage, but stops writing as soon as the file
+// outgrows uploadLimit instead of letting it land first. With a remote driver the part is
+// streamed straight into storage under UPLOAD_STAGING_PREFIX, unless the scanner or an
+// extract=1 sent before the file needs it on this disk. Either way the file it gives multer has
+// its size, and a staged one also has key, sha256 and head (its first SNIFF_BYTES).
+const storage = {
+    _handleFile(req, file, cb) {
+        if (req.csrfDeferred && !hasValidCsrfToken(req)) {
+            const err = new Error(CSRF_ERROR);
+            err.status = 403;
+            return cb(err);
+        }
+        const direct = fileStore.name !== 'local' && !scanUpload && !wantsExtract(req.body);
+        let folder;
+        let limit;
+        try {
+            folder = uploadTarget(req);
+            limit = uploadLimit(folder, !direct);
+        } catch (err) {
+            return cb(err);
+        }
+
+        if (direct) {
+            return stageInStore(file.stream, folder, limit).then(staged => cb(null, staged), cb);
+        }
+
+        // Upload to temp folder first - we'll move it after form is parsed
+        const tempDir = path.join(UPLOAD_DIR, '.temp');
+        if (!fs.existsSync(tempDir)) {
+            fs.mkdirSync(tempDir, { recursive: true });
+        }
+
+        // Unique temp name so concurrent uploads of the same file never clash
+        const filename = generateUploadId();
+        const tempPath = path.join(tempDir, filename);
+        const out = fs.createWriteStream(tempPath);
+        let size = 0;
+        let stopped = false;
+
+        file.stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (stopped || size <= limit) return;
+            stopped = true;
+            file.stream.unpipe(out);
+            file.stream.resume();
+            out.destroy();
+            fs.rm(tempPath, { force: true }, () => cb(overLimitError(folder, size)));
+        });
+        file.stream.pipe(out);
+        out.on('error', cb);
+        out.on('finish', () => {
+            cb(null, { destination: tempDir, filename, path: tempPath, size: out.bytesWritten });
+        });
+    },
+
+    _removeFile(req, file, cb) {
+        discardUpload(file).then(() => cb(null), cb);
+    }
+};
+
+// Write an upload part to a staging key in storage, hashing it and keeping its leading bytes
+// for inspectUpload on the way. Nothing of a part that fails or outgrows limit is kept.
+async function stageInStore(input, folder, limit) {
+    const key = `${UPLOAD_STAGING_PREFIX}/${generateUploadId()}`;
+    const hash = crypto.createHash('sha256');
+    let head = Buffer.alloc(0);
+    let size = 0;
+    const counter = new stream.Transform({
+        transform(chunk, encoding, done) {
+            size += chunk.length;
+            if (size > limit) return done(overLimitError(folder, size));
+            hash.update(chunk);
+            if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+            done(null, chunk);
+        }
+    });
+    try {
+        await fileStore.write(key, input.pipe(counter));
+        if (counter.errored) throw counter.errored; // The driver may finish on a stream that ended in error
+    } catch (err) {
+        input.unpipe(counter);
+        input.resume(); // Let busboy move on to the next part
+        await fileStore.remove(key).catch(() => {});
+        throw err;
+    }
+    return { key, size, sha256: hash.digest('hex'), head };
+}
+
+// Remove an upload multer handed over (or a local temp path), wherever it was staged
+async function discardUpload(file) {
+    if (typeof file === 'string') {
+        await fs.promises.rm(file, { force: true });
+    } else if (file.key) {
+        await fileStore.remove(file.key).catch((err) => console.error(`Could not remove ${file.key} from storage: ${err.message}`));
+    } else {
+        await fs.promises.rm(file.path, { force: true });
+    }
+}
+
+// Fetch an upload staged in storage into local temp, for what needs it on this disk
+async function localUpload(file) {
+    if (!file.key) return file.path;
+    const tempDir = path.join(UPLOAD_DIR, '.temp');
+    await fs.promises.mkdir(tempDir, { recursive: true });
+    const tempPath = path.join(tempDir, generateUploadId());
+    await stream.promises.pipeline(await fileStore.read(file.key), fs.createWriteStream(tempPath));
+    await discardUpload(file);
+    delete file.key;
+    file.path = tempPath;
+    return tempPath;
+}
+
+const upload = multer({
+    storage: storage,
+    limits: { fileSize: MULTIPART_MAX_SIZE, files: UPLOAD_MAX_FILES }
+});
+
+// Storage changes in a folder run one at a time, so what placeFile, moveInFolder and the
+// deletes check (is the name free, is it a folder) still holds when the store acts on it.
+const folderLocks = new Map();
+
+function withFolderLock(folder, fn) {
+    const run = (folderLocks.get(folder) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    folderLocks.set(folder, settled);
+    settled.then(() => {
+        if (folderLocks.get(folder) === settled) folderLocks.delete(folder);
+    });
+    return run;
+}
+
+// Is there anything in storage below this folder key?
+async function hasStoredItems(dir) {
+    for await (const item of fileStore.list(dir)) return !!item;
+    return false;
+}
+
+// Remove something from storage without waiting on it, for copies nothing refers to anymore
+function discardStored(key) {
+    fileStore.remove(key)
+        .then(() => scheduleBlobSweep())
+        .catch((err) => console.error(`Could not remove ${key} from storage: ${err.message}`));
+}
+
+// Place an uploaded file from local temp storage (or staged in storage, as { key }) in a
+// folder. A file it replaces goes to its
+// history in folders that keep versions, otherwise the UPLOAD_CONFLICT policy applies. name is
+// its path inside the folder ("a.txt" or "builds/v2/a.txt"), whose subfolder must exist. With
+// its sha256 the file can be deduplicated. Resolves to { name: the stored path, deduplicated }.
+function placeFile(srcPath, folder, name, sha256 = null) {
+    return withFolderLock(folder, async () => {
+        const subdir = parentSubpath(name);
+        name = path.basename(name);
+        const keyOf = (file) => `${folder}/${joinSubpath(subdir, file)}`;
+
+        if (hasIndexedDir(folder, joinSubpath(subdir, name))) {
+            await discardUpload(srcPath);
+            throw storageError(409, `"${joinSubpath(subdir, name)}" is a folder`);
+        }
+        const existing = await fileStore.stat(keyOf(name));
+        if (existing) {
+            if (folderVersioning(folder).enabled) {
+                await archiveVersion(folder, joinSubpath(subdir, name));
+            } else if (UPLOAD_CONFLICT === 'reject') {
+                await discardUpload(srcPath);
+                const err = new Error(`File "${name}" already exists`);
+                err.status = 409;
+                throw err;
+            } else if (UPLOAD_CONFLICT === 'rename') {
+                const ext = path.extname(name);
+                const base = name.substring(0, name.length - ext.length);
+                let n = 1;
+                do {
+                    name = `${base}-${n++}${ext}`;
+                } while (await fileStore.stat(keyOf(name)));
+            } else {
+                // version - keep the previous copy under a timestamp prefix
+                let archived = `${Math.floor(existing.mtimeMs)}_${name}`;
+                if (await fileStore.stat(keyOf(archived))) {
+                    archived = `${generateUploadId()}_${name}`;
+                }
+                await fileStore.move(keyOf(name), keyOf(archived));
+                renameIndexedFile(folder, joinSubpath(subdir, name), joinSubpath(subdir, archived), await fileStore.stat(keyOf(archived)));
+            }
+        }
+
+        const deduplicated = await putStored(keyOf(name), srcPath, sha256);
+        return { name: joinSubpath(subdir, name), deduplicated };
+    });
+}
+
+// 403 error when this request may not upload to the folder, otherwise null
+function uploadAccessError(req, folder) {
+    if (hasScope(req, 'upload') && canUploadTo(req.user, folder)) return null;
+    return storageError(403, hasScope(req, 'upload')
+        ? `Folder "${folder}" belongs to another account`
+        : 'This token lacks the "upload" scope');
+}
+
+// Move an uploaded file (req.file, or one of req.files) from temp to the user folder.
+// Returns { entry, deduplicated } with its index entry.
+async function moveToUserFolder(req, file = req.file) {
+    if (!file) return null;
+
+    const clientId = getClientId(req);
+    auditFields(req, { target: `/${clientId}/${file.originalname}`, size: file.size });
+
+    const accessError = uploadAccessError(req, clientId);
+    if (accessError) {
+        await discardUpload(file);
+        throw accessError;
+    }
+
+    let subdir;
+    let mimeType;
+    let sha256;
+    let release;
+    try {
+        subdir = parseSubpath(req.body.path); // -F path=builds/v2 uploads into a subfolder
+        checkSubfolderPath(clientId, subdir);
+        mimeType = await inspectUpload(file.path, {
+            folder: clientId,
+            originalName: file.originalname,
+            uploadedBy: req.user ? req.user.username : null,
+            uploaderIp: clientIp(req),
+            head: file.head
+        });
+        sha256 = file.sha256 ?? await hashFile(file.path);
+        release = reserveQuota(clientId, file.size);
+    } catch (err) {
+        await discardUpload(file);
+        throw err;
+    }
+
+    try {
+        if (!getIndexedFolder(clientId)) {
+            await fileStore.mkdir(clientId);
+            indexFolder(clientId);
+        }
+        claimFolder(clientId, req.user);
+        await makeSubfolder(clientId, subdir);
+
+        const { name: storedName, deduplicated } = await placeFile(file.key ? { key: file.key } : file.path, clientId, joinSubpath(subdir, sanitizeFilename(file.originalname)), sha256);
+        auditFields(req, { target: `/${clientId}/${storedName}`, ...(deduplicated && { detail: 'deduplicated' }) });
+        file.filename = storedName;
+
+        const entry = await indexFile(clientId, storedName, {
+            originalName: file.originalname,
+            mimeType,
+            sha256,
+            uploaderIp: clientIp(req),
+            uploadedBy: req.user ? req.user.username : null
+        });
+        emitEvent('file.uploaded', fileToJson(entry));
+        return { entry, deduplicated };
+    } finally {
+        release();
+    }
+}
+
+// Unpack an uploaded archive (extract=1) into the user folder instead of storing it.
+// Returns { folder, path, files, deduplicated } with the index entries of what it held and
+// how many of them were deduplicated.
+async function extractToUserFolder(req, file = req.file) {
+    const clientId = getClientId(req);
+    auditFields(req, { target: `/${clientId}/${file.originalname}`, size: file.size, detail: 'extract' });
+    try {
+        const accessError = uploadAccessError(req, clientId);
+        if (accessError) throw accessError;
+        const subdir = parseSubpath(req.body.path);
+        checkSubfolderPath(clientId, subdir);
+
+        const { files, deduplicated } = await extractArchive(await localUpload(file), clientId, subdir, {
+            originalName: file.originalname,
+            uploadedBy: req.user ? req.user.username : null,
+            uploaderIp: clientIp(req),
+            owner: req.user
+        });
+        auditFields(req, { detail: `extracted ${files.length} file(s) into /${clientId}/${subdir ? `${subdir}/` : ''}` });
+        return { folder: clientId, path: subdir, files, deduplicated };
+    } finally {
+        await discardUpload(file);
+    }
+}
+
+// ============ LISTINGS ============
+
+// Top-level folders with file counts, from the index
+function listFolders() {
+    return [...fileIndex.values()]
+        .map(folder => {
+            let modified = Date.parse(folder.createdAt);
+            for (const file of folder.files.values()) {
+                modified = Math.max(modified, file.mtimeMs);
+            }
+            return {
+                name: folder.name,
+                fileCount: folder.files.size,
+                owner: folderOwner(folder.name),
+                private: isPrivateFolder(folder.name),
+                modified: new Date(modified)
+            };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Folders this account may see - private ones only for their owner and admins
+function listReadableFolders(user) {
+    return listFolders().filter(folder => canReadFolder(user, folder.name));
+}
+
+// Index entries for every file in one folder, subfolders included
+function listFolderFiles(folder) {
+    const indexed = getIndexedFolder(folder);
+    return indexed ? [...indexed.files.values()].sort((a, b) => a.name.localeCompare(b.name)) : [];
+}
+
+// What sits directly in one subfolder ("" for the top of the folder), as listing items:
+//   subfolders { name, path, isDir: true, fileCount, size, mtimeMs } - counts include everything below them
+//   files      { name, path, isDir: false, size, mtimeMs, entry }
+function listDirectory(folder, dir) {
+    const indexed = getIndexedFolder(folder);
+    const prefix = dir ? `${dir}/` : '';
+    const subdirs = new Map();
+    for (const [subdir, createdAt] of indexed.dirs) {
+        if (parentSubpath(subdir) === dir) {
+            subdirs.set(subdir, {
+                name: subdir.substring(prefix.length), path: subdir, isDir: true, fileCount: 0, size: 0, mtimeMs: Date.parse(createdAt)
+            });
+        }
+    }
+
+    const files = [];
+    for (const entry of indexed.files.values()) {
+        if (!entry.name.startsWith(prefix)) continue;
+        const rest = entry.name.substring(prefix.length);
+        const slash = rest.indexOf('/');
+        if (slash === -1) {
+            files.push({ name: rest, path: entry.name, isDir: false, size: entry.size, mtimeMs: entry.mtimeMs, entry });
+            continue;
+        }
+        const subdir = subdirs.get(prefix + rest.substring(0, slash));
+        if (subdir) {
+            subdir.fileCount++;
+            subdir.size += entry.size;
+            subdir.mtimeMs = Math.max(subdir.mtimeMs, entry.mtimeMs);
+        }
+    }
+    return [...subdirs.values(), ...files];
+}
+
+// Subfolder paths with their creation times, for one subfolder and everything below it ("" for all)
+function listSubfolders(folder, dir) {
+    return [...getIndexedFolder(folder).dirs]
+        .filter(([subdir]) => !dir || subdir === dir || subdir.startsWith(`${dir}/`))
+        .map(([subdir, createdAt]) => ({ path: subdir, createdAt }));
+}
+
+function listAllFiles(user) {
+    return listReadableFolders(user).flatMap(folder => listFolderFiles(folder.name));
+}
+
+// JSON shapes shared by the API and Accept: application/json on the listing routes
+function folderToJson(folder) {
+    return {
+        name: folder.name,
+        fileCount: folder.fileCount,
+        owner: folder.owner,
+        private: folder.private,
+        modified: folder.modified.toISOString(),
+        filesUrl: `${BASE_URL}/api/v1/folders/${encodeURIComponent(folder.name)}/files`
+    };
+}
+
+function fileToJson(file) {
+    return {
+        name: file.name,
+        folder: file.folder,
+        originalName: file.originalName,
+        size: file.size,
+        mimeType: file.mimeType,
+        sha256: file.sha256 || null, // null until a file added out-of-band has been hashed
+        uploadedBy: file.uploadedBy,
+        uploadedAt: file.uploadedAt,
+        modified: new Date(file.mtimeMs).toISOString(),
+        downloadUrl: `${BASE_URL}/uploads/${encodeURIComponent(file.folder)}/${encodeSubpath(file.name)}`,
+        previewUrl: BASE_URL + previewUrl(file),
+        thumbnailUrl: hasThumbnail(file) ? BASE_URL + thumbnailUrl(file) : null,
+        version: currentVersion(file),
+        historyUrl: BASE_URL + historyUrl(file)
+    };
+}
+
+function subfolderToJson(folder, item) {
+    return {
+        name: item.name,
+        path: item.path,
+        fileCount: item.fileCount,
+        size: item.size,
+        modified: new Date(item.mtimeMs).toISOString(),
+        url: `${BASE_URL}/uploads/${encodeURIComponent(folder)}/${encodeSubpath(item.path)}/`
+    };
+}
+
+// ============ LISTING QUERIES ============
+//
+// Query parameters shared by /, /uploads/:user, /files and the /api/v1 listings,
+// in every format (HTML, text and JSON):
+//   q=report                  name contains "report" (case-insensitive); * and ? make it a glob: q=*.pdf
+//   sort=name|size|date       order=asc|desc (folders sort by file count for "size")
+//   ext=pdf,zip               files only
+//   minSize=1MB maxSize=2GB   files only; plain numbers are bytes
+//   since=2024-01-01 until=2024-01-31   modified date, inclusive; full ISO timestamps work too
+//   page=2 perPage=50         perPage is capped at 500
+
+const LISTING_SORTS = ['name', 'size', 'date'];
+const LISTING_PER_PAGE = 50;
+const LISTING_MAX_PER_PAGE = 500;
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+// "1.5MB" -> 1572864
+function parseSize(value, param) {
+    const match = /^(\d+(?:\.\d+)?)\s*([KMGT]?B)?$/i.exec(value.trim());
+    if (!match) {
+        throw badRequest(`${param} must be a size like 500KB, 10MB or a number of bytes`);
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+// A bare date covers the whole day, so until=2024-01-31 includes files from that day
+function parseDateParam(value, param, endOfDay) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(time)) {
+        throw badRequest(`${param} must be a date (YYYY-MM-DD) or ISO timestamp`);
+    }
+    return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function globToRegExp(glob) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// Repeated parameters (?ext=pdf&ext=zip) arrive as arrays - take them as one comma list
+function queryValue(value) {
+    return [].concat(value ?? []).join(',').trim();
+}
+
+// Validate listing parameters. Throws a 400 error on anything malformed.
+function parseListingQuery(query) {
+    const params = {
+        q: queryValue(query.q),
+        sort: queryValue(query.sort) || 'name',
+        order: queryValue(query.order) || 'asc',
+        ext: queryValue(query.ext).split(',').map(e => e.trim().replace(/^\./, '').toLowerCase()).filter(Boolean),
+        minSize: queryValue(query.minSize),
+        maxSize: queryValue(query.maxSize),
+        since: queryValue(query.since),
+        until: queryValue(query.until),
+        page: queryValue(query.page) || '1',
+        perPage: queryValue(query.perPage) || String(LISTING_PER_PAGE)
+    };
+
+    if (!LISTING_SORTS.includes(params.sort)) {
+        throw badRequest(`sort must be one of: ${LISTING_SORTS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(params.order)) {
+        throw badRequest('order must be asc or desc');
+    }
+    if (!/^[1-9]\d*$/.test(params.page)) {
+        throw badRequest('page must be a positive integer');
+    }
+    if (!/^[1-9]\d*$/.test(params.perPage)) {
+        throw badRequest('perPage must be a positive integer');
+    }
+    params.page = Number(params.page);
+    params.perPage = Math.min(Number(params.perPage), LISTING_MAX_PER_PAGE);
+
+    params.minBytes = params.minSize ? parseSize(params.minSize, 'minSize') : null;
+    params.maxBytes = params.maxSize ? parseSize(params.maxSize, 'maxSize') : null;
+    params.sinceMs = params.since ? parseDateParam(params.since, 'since', false) : null;
+    params.untilMs = params.until ? parseDateParam(params.until, 'until', true) : null;
+    return params;
+}
+
+// Filter, sort and paginate. fields.size / fields.date read the sortable values;
+// extension and size filters only apply to file listings. fields.rank, when given,
+// groups items ahead of the sort order (subfolders before files).
+function applyListingQuery(items, params, { size, date, files, rank = () => 0 }) {
+    const match = /[*?]/.test(params.q) ? globToRegExp(params.q) : null;
+    const needle = params.q.toLowerCase();
+
+    const filtered = items.filter(item => {
+        if (params.q && !(match ? match.test(item.name) : item.name.toLowerCase().includes(needle))) return false;
+        if (params.sinceMs !== null && date(item) < params.sinceMs) return false;
+        if (params.untilMs !== null && date(item) > params.untilMs) return false;
+        if (!files) return true;
+        if (params.ext.length && !params.ext.includes(path.extname(item.name).slice(1).toLowerCase())) return false;
+        if (params.minBytes !== null && size(item) < params.minBytes) return false;
+        if (params.maxBytes !== null && size(item) > params.maxBytes) return false;
+        return true;
+    });
+
+    const key = { name: item => item.name, size, date }[params.sort];
+    const direction = params.order === 'desc' ? -1 : 1;
+    filtered.sort((a, b) => {
+        const x = key(a);
+        const y = key(b);
+        const diff = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        return rank(a) - rank(b) || (diff || a.name.localeCompare(b.name)) * direction;
+    });
+
+    const total = filtered.length;
+    const pages = Math.max(1, Math.ceil(total / params.perPage));
+    const start = (params.page - 1) * params.perPage;
+    return {
+        items: filtered.slice(start, start + params.perPage),
+        total,
+        page: params.page,
+        perPage: params.perPage,
+        pages,
+        from: total === 0 ? 0 : Math.min(start + 1, total),
+        to: Math.min(start + params.perPage, total)
+    };
+}
+
+const FOLDER_FIELDS = { size: folder => folder.fileCount, date: folder => folder.modified.getTime(), files: false };
+const FILE_FIELDS = { size: file => file.size, date: file => file.mtimeMs, files: true };
+const DIRECTORY_FIELDS = { ...FILE_FIELDS, rank: item => (item.isDir ? 0 : 1) };
+
+// Query string for these params with some changed, leaving out defaults
+function listingQueryString(params, changes = {}) {
+    const merged = { ...params, ext: params.ext.join(','), ...changes };
+    const defaults = { sort: 'name', order: 'asc', page: 1, perPage: LISTING_PER_PAGE };
+    const search = new URLSearchParams();
+    for (const name of ['q', 'sort', 'order', 'ext', 'minSize', 'maxSize', 'since', 'until', 'page', 'perPage']) {
+        const value = merged[name];
+        if (value !== '' && value !== null && value !== undefined && value !== defaults[name]) {
+            search.set(name, value);
+        }
+    }
+    const query = search.toString();
+    return query ? `?${query}` : '';
+}
+
+// Everything the templates, text footers and JSON need to describe a page of results
+function listingView(req, params, result) {
+    const url = (changes) => `${req.path}${listingQueryString(params, changes)}`;
+    return {
+        params,
+        ...result,
+        url,
+        query: listingQueryString(params),
+        clearUrl: req.path,
+        prevUrl: result.page > 1 ? url({ page: Math.min(result.page - 1, result.pages) }) : null,
+        nextUrl: result.page < result.pages ? url({ page: result.page + 1 }) : null,
+        sortUrl: (key) => url({ sort: key, order: params.sort === key && params.order === 'asc' ? 'desc' : 'asc', page: 1 }),
+        sortMark: (key) => params.sort === key ? (params.order === 'asc' ? ' ▲' : ' ▼') : ''
+    };
+}
+
+// Paging fields added to JSON listings
+function listingToJson(listing) {
+    return {
+        total: listing.total,
+        page: listing.page,
+        perPage: listing.perPage,
+        pages: listing.pages,
+        next: listing.nextUrl ? `${BASE_URL}${listing.nextUrl}` : null
+    };
+}
+
+// Footer for curl output: totals and how to get the next page
+function listingTextFooter(listing, noun) {
+    let output = listing.query ? `Query: ${listing.query.slice(1)}\n` : '';
+    output += listing.pages > 1 || listing.query
+        ? `Showing ${listing.from}-${listing.to} of ${listing.total} ${noun}(s)`
+            + (listing.pages > 1 ? ` (page ${listing.page} of ${listing.pages})` : '') + '\n'
+        : `Total: ${listing.total} ${noun}(s)\n`;
+    if (listing.nextUrl) {
+        output += `Next page: curl "${BASE_URL}${listing.nextUrl}"\n`;
+    }
+    return output;
+}
+
+// Closing hint in curl output: the filerepo command for this, and where to get the client
+function clientHint(label, command) {
+    return `\n${label}: filerepo ${command}\n(filerepo client: curl -o filerepo ${BASE_URL}/filerepo && chmod +x filerepo)\n`;
+}
+
+// ============ ROUTES ============
+
+// Root - List all user folders
+app.get('/', (req, res) => {
+    try {
+        const params = parseListingQuery(req.query);
+        const listing = listingView(req, params, applyListingQuery(listReadableFolders(req.user), params, FOLDER_FIELDS));
+        const format = responseFormat(req);
+
+        if (format === 'json') {
+            return res.json({ folders: listing.items.map(folderToJson), ...listingToJson(listing) });
+        }
+
+        const items = listing.items.map(folder => ({
+            name: folder.name,
+            isDir: true,
+            private: folder.private,
+            size: `${folder.fileCount} file(s)`,
+            modified: formatDate(folder.modified)
+        }));
+
+        if (format === 'text') {
+            let output = 'Directory: /uploads\n';
+            output += '='.repeat(60) + '\n';
+            output += 'Name'.padEnd(30) + 'Files'.padEnd(15) + 'Modified\n';
+            output += '-'.repeat(60) + '\n';
+            for (const item of items) {
+                output += `[DIR] ${item.name}${item.private ? ' (private)' : ''}`.padEnd(30) + item.size.padEnd(15) + item.modified + '\n';
+            }
+            output += '-'.repeat(60) + '\n';
+            output += listingTextFooter(listing, 'folder');
+            output += clientHint('Upload', 'upload yourfile.txt --to yourname');
+            res.type('text/plain').send(output);
+        } else {
+            res.render('index', { items, listing, formatSize, formatDate });
+        }
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
+
+// Links for "Home / uploads / bob / builds / v2"
+function directoryBreadcrumbs(user, dir) {
+    const crumbs = [{ name: user, url: `/uploads/${encodeURIComponent(user)}` }];
+    let subdir = '';
+    for (const segment of dir ? dir.split('/') : []) {
+        subdir = joinSubpath(subdir, segment);
+        crumbs.push({ name: segment, url: `/uploads/${encodeURIComponent(user)}/${encodeSubpath(subdir)}/` });
+    }
+    return crumbs;
+}
+
+// List a user folder, or one of its subfolders ("" for the top)
+function sendDirectoryListing(req, res, user, dir) {
+    try {
+        const params = parseListingQuery(req.query);
+        const listing = listingView(req, params, applyListingQuery(listDirectory(user, dir), params, DIRECTORY_FIELDS));
+        const format = responseFormat(req);
+
+        if (format === 'json') {
+            return res.json({
+                folder: user,
+                path: dir,
+                owner: folderOwner(user),
+                dirs: listing.items.filter(item => item.isDir).map(item => subfolderToJson(user, item)),
+                files: listing.items.filter(item => !item.isDir).map(item => fileToJson(item.entry)),
+                ...listingToJson(listing)
+            });
+        }
+
+        const files = listing.items.map(item => ({
+            name: item.name,
+            path: item.path,
+            isDir: item.isDir,
+            size: item.isDir ? `${item.fileCount} file(s)` : formatSize(item.size),
+            sizeBytes: item.size,
+            modified: formatDate(item.mtimeMs),
+            previewUrl: item.isDir ? null : previewUrl(item.entry),
+            thumbnailUrl: !item.isDir && hasThumbnail(item.entry) ? thumbnailUrl(item.entry) : null,
+            historyUrl: !item.isDir && currentVersion(item.entry) > 1 ? historyUrl(item.entry) : null
+        }));
+        const location = `/uploads/${user}/${dir ? `${dir}/` : ''}`;
+
+        if (format === 'text') {
+            let output = `Directory: ${location}\n`;
+            output += '='.repeat(80) + '\n';
+            output += 'Filename'.padEnd(45) + 'Size'.padEnd(15) + 'Modified\n';
+            output += '-'.repeat(80) + '\n';
+            for (const file of files) {
+                const name = file.isDir ? `[DIR] ${file.name}/` : file.name;
+                output += name.substring(0, 44).padEnd(45) + file.size.padEnd(15) + file.modified + '\n';
+            }
+            output += '-'.repeat(80) + '\n';
+            output += listingTextFooter(listing, 'item');
+            output += clientHint('Download', `download ${user}/${dir ? `${dir}/` : ''}<filename>`);
+            res.type('text/plain').send(output);
+        } else {
+            res.render('directory', {
+                user, dir, crumbs: directoryBreadcrumbs(user, dir), files, listing, isPrivate: isPrivateFolder(user)
+            });
+        }
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+}
+
+// User directory - List files for a user. /uploads/bob.zip and /uploads/bob.tar.gz download it as an archive.
+app.get('/uploads/:user', (req, res) => {
+    const user = sanitizeName(req.params.user);
+
+    if (!user) {
+        return sendError(req, res, 403, 'Access denied.');
+    }
+    const archive = /^(.+?)\.(zip|tar\.gz|tgz)$/.exec(user);
+    if (archive && !getIndexedFolder(user)) {
+        return sendFolderArchive(req, res, archive[1], parseArchiveFormat(archive[2]));
+    }
+
+    if (!getIndexedFolder(user) || !canReadFolder(req.user, user)) {
+        return sendError(req, res, 404, `User folder "${user}" not found.`);
+    }
+
+    sendDirectoryListing(req, res, user, '');
+});
+
+// Upload page (GET)
+app.get('/upload', (req, res) => {
+    if (responseFormat(req) !== 'html') {
+        res.type('text/plain').send(`
+File Upload - filerepo
+======================
+
+Get the client (needs Node.js 18 or later):
+  curl -o filerepo ${BASE_URL}/filerepo && chmod +x filerepo
+
+Upload into a folder:
+  filerepo upload yourfile.txt --to yourname
+
+Upload several files, or into a subfolder (created if missing):
+  filerepo upload "dist/*.zip" notes.txt --to yourname/builds/v2
+
+Log in to upload into your own folder without --to:
+  filerepo login
+
+Large files go up in resumable parts; every upload is checked against its sha256.
+Uploading with plain curl: curl ${BASE_URL}/help
+
+`);
+    } else {
+        // Links from a folder page prefill where to upload
+        res.render('upload', { folder: queryValue(req.query.username), subfolder: queryValue(req.query.path) });
+    }
+});
+
+// Upload handler (POST) - one or more "file" parts, all into the same folder and subfolder
+app.post('/upload', auditAs('upload'), limitUploads, upload.array('file', UPLOAD_MAX_FILES), checkMultipartCsrf, async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return sendError(req, res, 400, 'No file uploaded. Use -F "file=@yourfile.txt"');
+    }
+    if (req.files.length > 1) {
+        return uploadMany(req, res, req.files);
+    }
+    req.file = req.files[0];
+
+    let shareOptions;
+    let extract;
+    try {
+        getClientId(req); // A repeated username field is refused before anything is stored
+        shareOptions = uploadShareOptions(req.body);
+        extract = uploadExtractFlag(req.body, shareOptions);
+    } catch (err) {
+        await discardUpload(req.file);
+        return sendError(req, res, err.status, err.message);
+    }
+
+    if (extract) {
+        try {
+            return sendExtracted(req, res, req.file.originalname, await extractToUserFolder(req));
+        } catch (err) {
+            return sendError(req, res, err.status, err.message);
+        }
+    }
+
+    // Now form fields are parsed, move file to correct user folder
+    let entry;
+    let deduplicated;
+    try {
+        ({ entry, deduplicated } = await moveToUserFolder(req));
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
+    }
+    const share = shareOptions && createShare(entry.folder, entry.name, req.user?.username || null, shareOptions);
+    const msg = `Success: "${req.file.originalname}" uploaded to /${entry.folder}/${entry.name} (${formatSize(entry.size)})\n`;
+    const format = responseFormat(req);
+
+    if (format === 'json') {
+        res.status(201).json({ file: fileToJson(entry), deduplicated, ...(share && { share: shareToJson(share) }) });
+    } else if (format === 'text') {
+        res.type('text/plain').send(`${msg}sha256: ${entry.sha256}\n${dedupNote(deduplicated)}${share ? shareSummary(share) : ''}`);
+    } else {
+        res.render('upload', { success: msg, folderUrl: parentListingUrl(entry.folder, entry.name) });
+    }
+});
+
+// Several files in one form upload. Each is checked and stored on its own, so a refused file
+// doesn't stop the rest; the answer lists what happened to every one. 201 when all were stored,
+// 207 when only some were, and the first failure's status when none were.
+async function uploadMany(req, res, files) {
+    const removeAll = () => Promise.all(files.map(discardUpload));
+    let shareOptions;
+    let extract;
+    try {
+        getClientId(req);
+        shareOptions = uploadShareOptions(req.body);
+        extract = uploadExtractFlag(req.body, shareOptions);
+    } catch (err) {
+        await removeAll();
+        return sendError(req, res, err.status, err.message);
+    }
+    if (!await admitExtraUploads(req, res, files.length - 1)) {
+        return removeAll();
+    }
+
+    const results = [];
+    for (const file of files) {
+        try {
+            if (extract) {
+                results.push({ name: file.originalname, status: 201, extracted: await extractToUserFolder(req, file) });
+            } else {
+                const { entry, deduplicated } = await moveToUserFolder(req, file);
+                const share = shareOptions && createShare(entry.folder, entry.name, req.user?.username || null, shareOptions);
+                results.push({ name: file.originalname, status: 201, entry, deduplicated, share });
+            }
+        } catch (err) {
+            results.push({ name: file.originalname, status: err.status || 500, message: err.message });
+        }
+    }
+
+    const stored = results.filter(result => !result.message);
+    const failed = results.filter(result => result.message);
+    const status = !failed.length ? 201 : stored.length ? 207 : failed[0].status;
+    const folder = getClientId(req);
+    auditFields(req, {
+        target: `/${folder}/`,
+        size: files.reduce((total, file) => total + file.size, 0),
+        detail: `${stored.length} of ${files.length} file(s) uploaded${failed.length ? `; failed: ${failed.map(result => result.name).join(', ')}` : ''}`
+    });
+    if (failed.length) res.locals.errorMessage = failed[0].message;
+
+    const summary = `Uploaded ${stored.length} of ${files.length} file(s)${failed.length ? `, ${failed.length} failed` : ''}.`;
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.status(status).json({
+            uploaded: stored.length,
+            failed: failed.length,
+            results: results.map(result => {
+                if (result.message) {
+                    return { name: result.name, status: result.status, error: { status: result.status, message: result.message } };
+                }
+                if (result.extracted) {
+                    const { folder, path: subdir, files, deduplicated } = result.extracted;
+                    return { name: result.name, status: result.status, folder, path: subdir, files: files.map(fileToJson), deduplicated };
+                }
+                return {
+                    name: result.name, status: result.status, file: fileToJson(result.entry), deduplicated: result.deduplicated,
+                    ...(result.share && { share: shareToJson(result.share) })
+                };
+            })
+        });
+    }
+
+    const lines = results.map(result => {
+        if (result.message) return `Failed: "${result.name}" - ${result.message} (${result.status})\n`;
+        if (result.extracted) {
+            const { folder, path: subdir, files, deduplicated } = result.extracted;
+            return `Success: extracted ${files.length} file(s) from "${result.name}" to /${folder}/${subdir ? `${subdir}/` : ''}` +
+                `${deduplicated ? `, ${deduplicated} deduplicated` : ''}\n`;
+        }
+        const { entry, deduplicated, share } = result;
+        return `Success: "${result.name}" uploaded to /${entry.folder}/${entry.name} (${formatSize(entry.size)})\n` +
+            `sha256: ${entry.sha256}\n${dedupNote(deduplicated)}${share ? shareSummary(share) : ''}`;
+    });
+    if (format === 'text') {
+        return res.status(status).type('text/plain').send(`${lines.join('')}${summary}\n`);
+    }
+    const first = stored[0];
+    let folderUrl = null;
+    if (first && first.entry) {
+        folderUrl = parentListingUrl(first.entry.folder, first.entry.name);
+    } else if (first) {
+        folderUrl = `/uploads/${encodeURIComponent(first.extracted.folder)}${first.extracted.path ? `/${encodeSubpath(first.extracted.path)}/` : ''}`;
+    }
+    res.status(status).render('upload', {
+        success: stored.length ? summary : null,
+        error: stored.length ? null : summary,
+        results: results.map(result => ({ name: result.name, ok: !result.message, message: result.message })),
+        folderUrl
+    });
+}
+
+// ============ CHUNKED UPLOADS ============
+//
+// Resumable upload protocol for large files:
+//   POST   /upload/chunked               create session (filename, size, username, path, sha256)
+//   HEAD   /upload/chunked/:id           current offset in Upload-Offset header
+//   PATCH  /upload/chunked/:id           append bytes at Upload-Offset
+//   POST   /upload/chunked/:id/finalize  verify size/checksum and move into user folder
+//   DELETE /upload/chunked/:id           abort session
+//
+// Session state lives in uploads/.temp/chunked as <id>.json plus <id>.part.
+// The size of the .part file is the offset, so it survives restarts.
+
+// Bodies currently being written, to reject parallel PATCHes on one session
+const activeChunkUploads = new Set();
+
+function chunkedPaths(id) {
+    return {
+        meta: path.join(CHUNKED_DIR, `${id}.json`),
+        part: path.join(CHUNKED_DIR, `${id}.part`)
+    };
+}
+
+// Load a session with its current offset, or null if it does not exist
+function loadChunkedSession(id) {
+    if (!/^[a-f0-9]{32}$/.test(id)) return null;
+    const { meta, part } = chunkedPaths(id);
+    if (!fs.existsSync(meta) || !fs.existsSync(part)) return null;
+
+    const session = JSON.parse(fs.readFileSync(meta, 'utf8'));
+    session.offset = fs.statSync(part).size;
+    return session;
+}
+
+function saveChunkedSession(session) {
+    const { offset, ...stored } = session;
+    fs.writeFileSync(chunkedPaths(session.id).meta, JSON.stringify(stored, null, 2));
+}
+
+function removeChunkedSession(id) {
+    const { meta, part } = chunkedPaths(id);
+    fs.rmSync(meta, { force: true });
+    fs.rmSync(part, { force: true });
+}
+
+// Delete sessions with no activity for CHUNKED_SESSION_TTL
+function purgeChunkedSessions() {
+    const cutoff = Date.now() - CHUNKED_SESSION_TTL;
+    const lastActivity = new Map();
+    for (const entry of fs.readdirSync(CHUNKED_DIR)) {
+        const id = entry.replace(/\.(json|part)$/, '');
+        const mtime = fs.statSync(path.join(CHUNKED_DIR, entry)).mtimeMs;
+        lastActivity.set(id, Math.max(lastActivity.get(id) || 0, mtime));
+    }
+    for (const [id, mtime] of lastActivity) {
+        if (mtime < cutoff && !activeChunkUploads.has(id)) {
+            removeChunkedSession(id);
+        }
+    }
+}
+
+function setChunkedHeaders(res, session) {
+    res.set({
+        'Upload-Offset': String(session.offset),
+        'Upload-Length': String(session.size),
+        'Cache-Control': 'no-store'
+    });
+}
+
+// Create an upload session
+app.post('/upload/chunked', limitUploads, (req, res) => {
+    const isText = responseFormat(req) === 'text';
+    const filename = req.body?.filename;
+    const rawSize = req.body?.size;
+    const size = typeof rawSize === 'number' || (typeof rawSize === 'string' && /^\d+$/.test(rawSize.trim())) ? Number(rawSize) : NaN;
+    const sha256 = req.body?.sha256 ? String(req.body.sha256).toLowerCase() : null;
+
+    if (!filename) {
+        return sendError(req, res, 400, 'filename is required');
+    }
+    if (typeof filename !== 'string') {
+        return sendError(req, res, 400, 'filename must be a single file name');
+    }
+    if (!Number.isSafeInteger(size) || size < 0) {
+        return sendError(req, res, 400, 'size must be the total file size in bytes');
+    }
+    if (size > CHUNKED_MAX_SIZE) {
+        return sendError(req, res, 413, `File too large. Max size is ${formatSize(CHUNKED_MAX_SIZE)}.`);
+    }
+    if (sha256 && !/^[a-f0-9]{64}$/.test(sha256)) {
+        return sendError(req, res, 400, 'sha256 must be a hex digest');
+    }
+    let shareOptions;
+    let extract;
+    try {
+        shareOptions = uploadShareOptions(req.body);
+        extract = uploadExtractFlag(req.body, shareOptions);
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
+    }
+
+    let clientId;
+    try {
+        clientId = getClientId(req);
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
+    }
+    if (!hasScope(req, 'upload')) {
+        return sendError(req, res, 403, 'This token lacks the "upload" scope');
+    }
+    if (!canUploadTo(req.user, clientId)) {
+        return sendError(req, res, 403, `Folder "${clientId}" belongs to another account`);
+    }
+    let subdir;
+    try {
+        subdir = parseSubpath(req.body.path);
+        checkSubfolderPath(clientId, subdir);
+        checkDiskSpace(size, true); // Chunks are kept on disk until finalize
+        checkQuota(clientId, size);
+        if (!extract) {
+            checkUploadPolicy(clientId, path.extname(filename).toLowerCase(), null); // Content is checked on finalize
+        }
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
+    }
+
+    const session = {
+        id: crypto.randomBytes(16).toString('hex'),
+        filename,
+        size,
+        sha256,
+        clientId,
+        path: subdir, // Subfolder to store it in, "" for the top of the folder
+        uploader: req.user ? req.user.username : null,
+        uploaderIp: clientIp(req),
+        share: shareOptions, // Share link to create on finalize, if asked for
+        extract, // Unpack the archive into the folder on finalize instead of storing it
+        createdAt: new Date().toISOString(),
+        offset: 0
+    };
+    fs.writeFileSync(chunkedPaths(session.id).part, '');
+    saveChunkedSession(session);
+
+    const url = `${BASE_URL}/upload/chunked/${session.id}`;
+    setChunkedHeaders(res, session);
+    res.status(201).location(url);
+
+    if (isText) {
+        res.type('text/plain').send(`Upload session: ${session.id}
+Target: /${joinSubpath(session.clientId, subdir)}/ (${formatSize(size)})
+
+Send data:
+  curl -X PATCH -H "Upload-Offset: 0" -H "Content-Type: application/offset+octet-stream" --data-binary @${filename} ${url}
+Check offset:
+  curl -I ${url}
+Finalize:
+  curl -X POST ${url}/finalize
+`);
+    } else {
+        res.json({ id: session.id, url, offset: 0, size, folder: session.clientId, path: subdir });
+    }
+});
+
+// Current offset of a session
+app.head('/upload/chunked/:id', (req, res) => {
+    const session = loadChunkedSession(req.params.id);
+    if (!session) {
+        return res.status(404).end();
+    }
+    setChunkedHeaders(res, session);
+    res.status(200).end();
+});
+
+app.get('/upload/chunked/:id', (req, res) => {
+    const isText = responseFormat(req) === 'text';
+    const session = loadChunkedSession(req.params.id);
+    if (!session) {
+        return sendError(req, res, 404, 'Upload session not found');
+    }
+    setChunkedHeaders(res, session);
+    if (isText) {
+        res.type('text/plain').send(`${session.filename}: ${session.offset} of ${session.size} bytes received\n`);
+    } else {
+        res.json({ id: session.id, filename: session.filename, offset: session.offset, size: session.size, folder: session.clientId });
+    }
+});
+
+// Append a chunk. Optional per-chunk integrity via "Upload-Checksum: sha256 <base64 digest>".
+app.patch('/upload/chunked/:id', limitUploads, (req, res) => {
+    const id = req.params.id;
+    const session = loadChunkedSession(id);
+    if (!session) {
+        return sendError(req, res, 404, 'Upload session not found');
+    }
+    setChunkedHeaders(res, session);
+
+    const offset = Number(req.headers['upload-offset']);
+    if (offset !== session.offset) {
+        return sendError(req, res, 409, `Offset mismatch. Server has ${session.offset} bytes, resume from there.`);
+    }
+    if (activeChunkUploads.has(id)) {
+        return sendError(req, res, 409, 'Another chunk is being written to this session');
+    }
+    try {
+        checkDiskSpace(Math.min(Number(req.headers['content-length']) || 0, session.size - session.offset), true);
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
+    }
+
+    let expectedDigest = null;
+    if (req.headers['upload-checksum']) {
+        const [algorithm, digest] = req.headers['upload-checksum'].split(' ');
+        if (algorithm !== 'sha256' || !digest) {
+            return sendError(req, res, 400, 'Upload-Checksum must be "sha256 <base64 digest>"');
+        }
+        expectedDigest = digest;
+    }
+
+    activeChunkUploads.add(id);
+    const { part } = chunkedPaths(id);
+    const out = fs.createWriteStream(part, { flags: 'a' });
+    const hash = crypto.createHash('sha256');
+    let received = 0;
+    let tooLarge = false;
+    let finished = false;
+
+    // Called once, whether the body completed, overflowed or the client went away
+    const done = (aborted) => {
+        if (finished) return;
+        finished = true;
+        out.end(() => {
+            activeChunkUploads.delete(id);
+
+            // Anything that can't be trusted is rolled back to where the chunk started.
+            // A dropped connection without a checksum keeps what arrived, so the client resumes from there.
+            const checksumFailed = !aborted && expectedDigest && hash.digest('base64') !== expectedDigest;
+            if (tooLarge || checksumFailed || (aborted && expectedDigest)) {
+                fs.truncateSync(part, offset);
+            }
+            session.offset = fs.statSync(part).size;
+            session.updatedAt = new Date().toISOString();
+            saveChunkedSession(session);
+
+            if (aborted || res.headersSent) return;
+            setChunkedHeaders(res, session);
+            if (tooLarge) {
+                return sendError(req, res, 413, `Chunk exceeds declared size of ${session.size} bytes`);
+            }
+            if (checksumFailed) {
+                return sendError(req, res, 460, 'Chunk checksum mismatch');
+            }
+            res.status(204).end();
+        });
+    };
+
+    req.on('data', (chunk) => {
+        if (tooLarge) return;
+        received += chunk.length;
+        if (offset + received > session.size) {
+            tooLarge = true;
+            return;
+        }
+        hash.update(chunk);
+        if (!out.write(chunk)) {
+            req.pause();
+            out.once('drain', () => req.resume());
+        }
+    });
+    req.on('end', () => done(false));
+    req.on('close', () => {
+        if (!req.complete) done(true);
+    });
+    out.on('error', (err) => {
+        if (finished) return;
+        finished = true;
+        activeChunkUploads.delete(id);
+        sendError(req, res, 500, err.message);
+    });
+});
+
+// Verify the completed upload and move it into the user folder
+app.post('/upload/chunked/:id/finalize', auditAs('upload'), (req, res) => {
+    const isText = responseFormat(req) === 'text';
+    const id = req.params.id;
+    const session = loadChunkedSession(id);
+    if (!session) {
+        return sendError(req, res, 404, 'Upload session not found');
+    }
+    auditFields(req, {
+        target: `/${session.clientId}/${joinSubpath(session.path || '', session.filename)}`,
+        size: session.size,
+        detail: session.extract ? 'chunked, extract' : 'chunked'
+    });
+    if (activeChunkUploads.has(id)) {
+        return sendError(req, res, 409, 'A chunk is still being written');
+    }
+    setChunkedHeaders(res, session);
+    if (session.offset !== session.size) {
+        return sendError(req, res, 409, `Upload incomplete: ${session.offset} of ${session.size} bytes received`);
+    }
+
+    const expected = req.body?.sha256 ? String(req.body.sha256).toLowerCase() : session.sha256;
+    const { part } = chunkedPaths(id);
+    const hash = crypto.createHash('sha256');
+
+    activeChunkUploads.add(id);
+    fs.createReadStream(part)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('error', (err) => {
+            activeChunkUploads.delete(id);
+            sendError(req, res, 500, err.message);
+        })
+        .on('end', async () => {
+            activeChunkUploads.delete(id);
+            const actual = hash.digest('hex');
+
+            if (expected && actual !== expected) {
+                removeChunkedSession(id);
+                return sendError(req, res, 422, `Checksum mismatch: expected ${expected}, got ${actual}. Upload discarded.`);
+            }
+
+            // Permissions are checked again - the account or folder may have changed since init
+            const uploader = session.uploader ? users[session.uploader] : null;
+            if ((session.uploader && (!uploader || uploader.disabled)) || !canUploadTo(uploader, session.clientId)) {
+                removeChunkedSession(id);
+                return sendError(req, res, 403, `No longer allowed to upload to "${session.clientId}". Upload discarded.`);
+            }
+
+            if (session.extract) {
+                let extracted;
+                try {
+                    extracted = await extractArchive(part, session.clientId, session.path || '', {
+                        originalName: session.filename,
+                        uploadedBy: session.uploader,
+                        uploaderIp: session.uploaderIp,
+                        owner: uploader
+                    });
+                } catch (err) {
+                    // As below, keep the data when the scanner is down or the folder is full, so finalize can be retried
+                    if (err.status !== 503 && err.status !== 507) removeChunkedSession(id);
+                    return sendError(req, res, err.status, err.message);
+                }
+                removeChunkedSession(id);
+                auditFields(req, { detail: `chunked, extracted ${extracted.files.length} file(s) into /${session.clientId}/${session.path ? `${session.path}/` : ''}` });
+                return sendExtracted(req, res, session.filename, { folder: session.clientId, path: session.path || '', ...extracted });
+            }
+
+            let mimeType;
+            try {
+                mimeType = await inspectUpload(part, {
+                    folder: session.clientId,
+                    originalName: session.filename,
+                    uploadedBy: session.uploader,
+                    uploaderIp: session.uploaderIp
+                });
+            } catch (err) {
+                // Keep the data when only the scanner is down, so finalize can be retried
+                if (err.status !== 503) removeChunkedSession(id);
+                return sendError(req, res, err.status, err.message);
+            }
+
+            // The folder may have filled up since the session was created - keep the data so finalize can be retried
+            let release;
+            try {
+                release = reserveQuota(session.clientId, session.size);
+            } catch (err) {
+                return sendError(req, res, err.status, err.message);
+            }
+
+            let storedName;
+            let deduplicated;
+            try {
+                if (!getIndexedFolder(session.clientId)) {
+                    await fileStore.mkdir(session.clientId);
+                    indexFolder(session.clientId);
+                }
+                claimFolder(session.clientId, uploader);
+                await makeSubfolder(session.clientId, session.path || '');
+                ({ name: storedName, deduplicated } = await placeFile(part, session.clientId, joinSubpath(session.path || '', sanitizeFilename(session.filename)), actual));
+                auditFields(req, { target: `/${session.clientId}/${storedName}`, detail: `chunked${deduplicated ? ', deduplicated' : ''}` });
+                removeChunkedSession(id);
+                const entry = await indexFile(session.clientId, storedName, {
+                    originalName: session.filename,
+                    mimeType,
+                    sha256: actual,
+                    uploaderIp: session.uploaderIp,
+                    uploadedBy: session.uploader
+                });
+                emitEvent('file.uploaded', fileToJson(entry));
+            } catch (err) {
+                return sendError(req, res, err.status, err.message);
+            } finally {
+                release();
+            }
+            const share = session.share && createShare(session.clientId, storedName, session.uploader, session.share);
+
+            const msg = `Success: "${session.filename}" uploaded to /${session.clientId}/${storedName} (${formatSize(session.size)})\n`;
+            if (isText) {
+                res.type('text/plain').send(`${msg}sha256: ${actual}\n${dedupNote(deduplicated)}${share ? shareSummary(share) : ''}`);
+            } else {
+                res.json({
+                    message: msg.trim(), folder: session.clientId, path: session.path || '',
+                    filename: storedName, size: session.size, sha256: actual, deduplicated,
+                    ...(share && { share: shareToJson(share) })
+                });
+            }
+        });
+});
+
+// Abort a session
+app.delete('/upload/chunked/:id', (req, res) => {
+    const session = loadChunkedSession(req.params.id);
+    if (!session) {
+        return sendError(req, res, 404, 'Upload session not found');
+    }
+    if (activeChunkUploads.has(session.id)) {
+        return sendError(req, res, 409, 'A chunk is still being written');
+    }
+    removeChunkedSession(session.id);
+    res.status(204).end();
+});
+
+purgeChunkedSessions();
+setInterval(purgeChunkedSessions, 60 * 60 * 1000).unref();
+
+// ============ TRASH ============
+//
+// Deletes move files and folders to .trash/<id>/ in storage instead of removing them.
+// uploads/.meta/trash.json records where each item came from, who deleted it and
+// its index entries, so a restore puts it back exactly as it was:
+//   { "<id>": { id, type: "file"|"dir"|"folder", folder, name, files: [index entries],
+//               dirs: [{ path, createdAt }], versions: { path: history }, folderRecord, folderCreatedAt,
+//               size, deletedBy, deletedAt } }
+// "dir" is a subfolder; its name is the path inside the folder, like a file's. The earlier
+// versions of trashed files stay in .versions/ until the item is restored or purged.
+// Admins restore or purge items at /admin/trash; a background job purges items
+// older than TRASH_RETENTION_DAYS.
+
+const TRASH_FILE = path.join(META_DIR, 'trash.json');
+const trash = loadJson(TRASH_FILE, {});
+
+function trashItemKey(item) {
+    return `${TRASH_PREFIX}/${item.id}`;
+}
+
+// Where the trashed file, or the folder, sits inside its item
+function trashedKey(item) {
+    return `${trashItemKey(item)}/${item.type === 'folder' ? item.folder : path.basename(item.name)}`;
+}
+
+// Move a file or folder into a new trash item. Resolves to the item, or null when it was already gone from storage.
+async function moveToTrash(fromKey, details, deletedBy) {
+    const item = {
+        id: generateUploadId(),
+        ...details,
+        size: details.files.reduce((sum, file) => sum + file.size, 0),
+        deletedBy: deletedBy ? deletedBy.username : null,
+        deletedAt: new Date().toISOString()
+    };
+    try {
+        await fileStore.move(fromKey, trashedKey(item));
+    } catch (err) {
+        discardStored(trashItemKey(item));
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+    trash[item.id] = item;
+    saveJson(TRASH_FILE, trash);
+    return item;
+}
+
+// Index entries of files that just moved in storage. A rename keeps their mtimes, but a store
+// without renames (S3) wrote new copies, so the entries follow what it reports. dir lists a
+// moved folder in one go instead of a stat per file.
+async function restampFiles(files, dir = null) {
+    const stats = new Map();
+    if (dir !== null) {
+        for await (const item of fileStore.list(dir)) stats.set(item.key, item);
+    }
+    const restamped = [];
+    for (const file of files) {
+        const key = `${file.folder}/${file.name}`;
+        const stat = stats.get(key) || await fileStore.stat(key);
+        restamped.push(stat ? { ...file, mtimeMs: stat.mtimeMs } : file);
+    }
+    return restamped;
+}
+
+function trashConflict(message) {
+    const err = new Error(message);
+    err.status = 409;
+    return err;
+}
+
+// Put a trashed item back where it was deleted from. Refuses (409) rather than overwrite anything.
+function restoreTrashItem(item) {
+    return withFolderLock(item.folder, async () => {
+        const isFile = item.type !== 'folder' && !!await fileStore.stat(trashedKey(item));
+        if (!isFile && !await hasStoredItems(trashItemKey(item))) {
+            purgeTrashItem(item);
+            throw storageError(410, 'The trashed copy is missing from storage.');
+        }
+
+        if (item.type === 'folder') {
+            if (getIndexedFolder(item.folder)) {
+                throw trashConflict(`Folder "${item.folder}" exists again. Delete or rename it first.`);
+            }
+            await fileStore.move(trashedKey(item), item.folder);
+            writeIndex(
+                { op: 'mkdir', folder: item.folder, createdAt: item.folderCreatedAt },
+                ...(item.dirs || []).map(dir => ({ op: 'mkdir', folder: item.folder, path: dir.path, createdAt: dir.createdAt })),
+                ...(await restampFiles(item.files, item.folder)).map(file => ({ op: 'put', file }))
+            );
+            if (item.folderRecord && !folders[item.folder]) {
+                folders[item.folder] = item.folderRecord;
+                saveJson(FOLDERS_FILE, folders);
+            }
+            restoreVersions(item.folder, item.versions);
+        } else {
+            if (getIndexedFile(item.folder, item.name) || hasIndexedDir(item.folder, item.name) ||
+                await fileStore.stat(`${item.folder}/${item.name}`)) {
+                throw trashConflict(`"${item.name}" exists again in /${item.folder}/. Delete or rename it first.`);
+            }
+            if (!getIndexedFolder(item.folder)) {
+                await fileStore.mkdir(item.folder);
+                indexFolder(item.folder);
+            }
+            await makeSubfolder(item.folder, parentSubpath(item.name));
+            await fileStore.move(trashedKey(item), `${item.folder}/${item.name}`);
+            writeIndex(
+                ...(item.dirs || []).map(dir => ({ op: 'mkdir', folder: item.folder, path: dir.path, createdAt: dir.createdAt })),
+                ...(await restampFiles(item.files, isFile ? null : `${item.folder}/${item.name}`)).map(file => ({ op: 'put', file }))
+            );
+            restoreVersions(item.folder, item.versions);
+        }
+
+        delete item.versions; // Back in use - not for purgeTrashItem to remove
+        purgeTrashItem(item); // Only the now-empty item is left
+
+        if (item.type === 'file') {
+            emitEvent('file.restored', { ...fileToJson(getIndexedFile(item.folder, item.name)), from: 'trash' });
+        } else {
+            emitEvent('folder.restored', { folder: item.folder, path: item.type === 'dir' ? item.name : '', fileCount: item.files.length });
+        }
+    });
+}
+
+function purgeTrashItem(item) {
+    discardStored(trashItemKey(item));
+    removeVersionCopies(item.versions);
+    delete trash[item.id];
+    saveJson(TRASH_FILE, trash);
+}
+
+function trashPurgeDate(item) {
+    if (!TRASH_RETENTION_DAYS) return null;
+    return new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function trashLocation(item) {
+    return {
+        file: `/${item.folder}/${item.name}`,
+        dir: `/${item.folder}/${item.name}/`,
+        folder: `/${item.folder}/`
+    }[item.type];
+}
+
+function listTrash() {
+    return Object.values(trash).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+function trashToJson(item) {
+    const purgeAt = trashPurgeDate(item);
+    return {
+        id: item.id,
+        type: item.type,
+        folder: item.folder,
+        name: item.type === 'folder' ? null : item.name,
+        location: trashLocation(item),
+        fileCount: item.files.length,
+        size: item.size,
+        deletedBy: item.deletedBy,
+        deletedAt: item.deletedAt,
+        purgeAt: purgeAt ? purgeAt.toISOString() : null
+    };
+}
+
+// Purge items past TRASH_RETENTION_DAYS, and whatever is left in .trash/ without a record
+async function purgeExpiredTrash() {
+    const now = Date.now();
+    for (const item of Object.values(trash)) {
+        const purgeAt = trashPurgeDate(item);
+        if (purgeAt && purgeAt.getTime() <= now) {
+            purgeTrashItem(item);
+        }
+    }
+    const leftover = new Set();
+    for await (const item of fileStore.list(TRASH_PREFIX)) {
+        const id = item.key.split('/')[1];
+        if (!trash[id]) leftover.add(id);
+    }
+    leftover.forEach(id => discardStored(`${TRASH_PREFIX}/${id}`));
+}
+
+function purgeTrashInBackground() {
+    purgeExpiredTrash().catch((err) => console.error(`Trash purge failed: ${err.message}`));
+}
+
+purgeTrashInBackground();
+setInterval(purgeTrashInBackground, 60 * 60 * 1000).unref();
+
+// Move a stored file and its earlier versions to the trash, dropping its index entry and share links
+function deleteStoredFile(entry, deletedBy) {
+    return withFolderLock(entry.folder, async () => {
+        await moveToTrash(storedKey(entry), {
+            type: 'file', folder: entry.folder, name: entry.name, files: [entry], versions: versionsUnder(entry.folder, entry.name)
+        }, deletedBy);
+        unindexFile(entry.folder, entry.name);
+        forgetShares(entry.folder, entry.name);
+        forgetVersions(entry.folder, entry.name);
+        emitEvent('file.deleted', {
+            folder: entry.folder, name: entry.name, size: entry.size, deletedBy: deletedBy ? deletedBy.username : null
+        });
+    });
+}
+
+// Confirm a delete: text line, JSON, or back to the folder page
+function sendDeleted(req, res, message, redirectTo) {
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json({ deleted: true, message });
+    }
+    if (format === 'text') {
+        return res.type('text/plain').send(`Success: ${message}\n`);
+    }
+    res.redirect(redirectTo);
+}
+
+// Download a file from a user folder, or list one of its subfolders (/uploads/bob/builds/v2/)
+app.get('/uploads/:user/*', (req, res) => {
+    const resolved = resolveUserFile(req.params.user, req.params[0]);
+
+    if (!resolved) {
+        return sendError(req, res, 403, 'Access denied.');
+    }
+
+    const entry = getReadableFile(req.user, resolved.user, resolved.name);
+    if (entry) {
+        return sendRequestedVersion(req, res, entry);
+    }
+    if (canReadFolder(req.user, resolved.user) && hasIndexedDir(resolved.user, resolved.name)) {
+        return sendDirectoryListing(req, res, resolved.user, resolved.name);
+    }
+    auditRequest(req, res, 'download', { target: `/${resolved.user}/${resolved.name}` });
+    sendError(req, res, 404, `File "${resolved.name}" not found in /${resolved.user}/.`);
+});
+
+// Move a file or subfolder in a user folder to the trash. Resolves to the confirmation message, or null when it doesn't exist.
+async function deleteInFolder(folder, name, deletedBy) {
+    const entry = getIndexedFile(folder, name);
+    if (entry) {
+        await deleteStoredFile(entry, deletedBy);
+        return `File "${name}" deleted from /${folder}/ and moved to the trash.`;
+    }
+    if (hasIndexedDir(folder, name)) {
+        await deleteSubfolder(folder, name, deletedBy);
+        return `Folder "${name}" deleted from /${folder}/ and moved to the trash.`;
+    }
+    return null;
+}
+
+// Where to send the browser after deleting something: the subfolder it was in
+function parentListingUrl(folder, name) {
+    const parent = parentSubpath(name);
+    return `/uploads/${folder}${parent ? `/${encodeSubpath(parent)}/` : ''}`;
+}
+
+// Delete a file or subfolder from a user folder (curl DELETE) - PROTECTED
+app.delete('/uploads/:user/*', auditAs('delete'), requireRole('folder-owner', 'delete'), async (req, res) => {
+    const resolved = resolveUserFile(req.params.user, req.params[0]);
+
+    if (!resolved) {
+        return sendError(req, res, 403, 'Access denied.');
+    }
+    auditFields(req, { target: `/${resolved.user}/${resolved.name}` });
+    if (!canDeleteIn(req.user, resolved.user)) {
+        return sendForbidden(req, res, `You do not own folder "${resolved.user}".`);
+    }
+
+    try {
+        const message = await deleteInFolder(resolved.user, resolved.name, req.user);
+        if (!message) {
+            return sendError(req, res, 404, `File "${resolved.name}" not found in /${resolved.user}/.`);
+        }
+        sendDeleted(req, res, message, parentListingUrl(resolved.user, resolved.name));
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Ambiguous legacy lookup - list the user-scoped URLs instead of guessing
+function sendAmbiguous(req, res, filename, matches) {
+    const urls = matches.map(m => `${BASE_URL}/uploads/${m.folder}/${filename}`);
+    const glue = responseFormat(req) === 'text' ? '\n  ' : ', ';
+    sendError(req, res, 409, `"${filename}" exists in ${matches.length} folders. Use one of:${glue}${urls.join(glue)}`);
+}
+
+// Download file by name only (legacy) - works when the name is unique
+app.get('/download/:filename', auditAs('download'), (req, res) => {
+    const filename = req.params.filename;
+
+    try {
+        const matches = findFileMatches(filename, req.user);
+
+        if (matches.length === 1) {
+            return sendRequestedVersion(req, res, matches[0]);
+        }
+        if (matches.length > 1) {
+            return sendAmbiguous(req, res, filename, matches);
+        }
+
+        sendError(req, res, 404, `File "${filename}" not found.`);
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Delete file by name only (legacy curl DELETE) - PROTECTED, works when the name is unique
+app.delete('/delete/:filename', auditAs('delete'), requireRole('folder-owner', 'delete'), async (req, res) => {
+    const filename = req.params.filename;
+
+    try {
+        const matches = findFileMatches(filename, req.user);
+
+        if (matches.length > 1) {
+            return sendAmbiguous(req, res, filename, matches);
+        }
+        if (matches.length === 0) {
+            return sendError(req, res, 404, `File "${filename}" not found.`);
+        }
+        auditFields(req, { target: `/${matches[0].folder}/${matches[0].name}`, size: matches[0].size });
+        if (!canDeleteIn(req.user, matches[0].folder)) {
+            return sendForbidden(req, res, `You do not own folder "${matches[0].folder}".`);
+        }
+
+        await deleteStoredFile(matches[0], req.user);
+        sendDeleted(req, res, `File "${filename}" deleted from /${matches[0].folder}/ and moved to the trash.`, `/uploads/${matches[0].folder}`);
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Delete file or subfolder - web handler (POST) - PROTECTED
+app.post('/delete', auditAs('delete'), requireRole('folder-owner', 'delete'), upload.none(), checkMultipartCsrf, async (req, res) => {
+    const filename = req.body.filename;
+    const user = req.body.user;
+
+    if (!filename || !user) {
+        return sendError(req, res, 400, 'Filename and user folder required');
+    }
+
+    const resolved = resolveUserFile(user, filename);
+    if (!resolved) {
+        return sendError(req, res, 403, 'Access denied');
+    }
+    auditFields(req, { target: `/${resolved.user}/${resolved.name}` });
+    if (!canDeleteIn(req.user, resolved.user)) {
+        return sendForbidden(req, res, `You do not own folder "${resolved.user}".`);
+    }
+
+    try {
+        const message = await deleteInFolder(resolved.user, resolved.name, req.user);
+        if (!message) {
+            return sendError(req, res, 404, `File "${filename}" not found`);
+        }
+        sendDeleted(req, res, message, parentListingUrl(resolved.user, resolved.name));
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// List all files (flat view for admin)
+app.get('/files', (req, res) => {
+    try {
+        const params = parseListingQuery(req.query);
+        const listing = listingView(req, params, applyListingQuery(listAllFiles(req.user), params, FILE_FIELDS));
+        const format = responseFormat(req);
+
+        if (format === 'json') {
+            return res.json({ files: listing.items.map(fileToJson), ...listingToJson(listing) });
+        }
+
+        const allFiles = listing.items.map(file => ({
+            user: file.folder,
+            name: file.name,
+            size: formatSize(file.size),
+            modified: formatDate(file.mtimeMs)
+        }));
+
+        if (format === 'text') {
+            let output = 'All Files\n';
+            output += '='.repeat(100) + '\n';
+            output += 'User'.padEnd(20) + 'Filename'.padEnd(50) + 'Size'.padEnd(15) + 'Modified\n';
+            output += '-'.repeat(100) + '\n';
+            for (const f of allFiles) {
+                output += f.user.padEnd(20) + f.name.substring(0, 49).padEnd(50) + f.size.padEnd(15) + f.modified + '\n';
+            }
+            output += '-'.repeat(100) + '\n';
+            output += listingTextFooter(listing, 'file');
+            res.type('text/plain').send(output);
+        } else {
+            res.render('index', { items: allFiles, listing, showAll: true });
+        }
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
+
+// ============ SUBFOLDERS ============
+//
+// Folders hold subfolders up to MAX_PATH_DEPTH deep. Files and subfolders are addressed by
+// their path inside the folder (/uploads/bob/builds/v2/app.zip); ownership, privacy, quotas
+// and upload policies stay with the top-level folder.
+
+// Throw 409 when a file stands where a subfolder of this path would go ("notes.txt" for "notes.txt/2024")
+function checkSubfolderPath(folder, dir) {
+    for (let subdir = dir; subdir; subdir = parentSubpath(subdir)) {
+        if (getIndexedFile(folder, subdir)) {
+            throw storageError(409, `"${subdir}" is a file in /${folder}/, not a folder.`);
+        }
+    }
+}
+
+// Create a subfolder and any missing parents, in storage and in the index. "" (the top) is already there.
+async function makeSubfolder(folder, dir) {
+    if (!dir) return;
+    checkSubfolderPath(folder, dir);
+    // Each level gets its own marker, so stores without directories (S3) keep empty parents too
+    for (let level = dir; level && !hasIndexedDir(folder, level); level = parentSubpath(level)) {
+        await fileStore.mkdir(`${folder}/${level}`);
+    }
+    indexSubfolder(folder, dir);
+}
+
+// Move a subfolder and everything in it to the trash, dropping its index entries and share links
+function deleteSubfolder(folder, dir, deletedBy) {
+    return withFolderLock(folder, async () => {
+        const item = await moveToTrash(`${folder}/${dir}`, {
+            type: 'dir',
+            folder,
+            name: dir,
+            files: listFolderFiles(folder).filter(file => file.name.startsWith(`${dir}/`)),
+            dirs: listSubfolders(folder, dir),
+            versions: versionsUnder(folder, dir)
+        }, deletedBy);
+        unindexSubfolder(folder, dir);
+        forgetShares(folder, dir);
+        forgetVersions(folder, dir);
+        emitEvent('folder.deleted', {
+            folder, path: dir, fileCount: item ? item.files.length : 0, deletedBy: deletedBy ? deletedBy.username : null
+        });
+    });
+}
+
+function pathDepth(subpath) {
+    return subpath ? subpath.split('/').length : 0;
+}
+
+// Move or rename a file or subfolder within its folder. When "to" is an existing subfolder
+// ("" for the top) the item moves into it under its own name. Resolves to the new path.
+function moveInFolder(folder, from, to) {
+    return withFolderLock(folder, () => moveInFolderLocked(folder, from, to));
+}
+
+async function moveInFolderLocked(folder, from, to) {
+    const entry = getIndexedFile(folder, from);
+    if (!entry && !hasIndexedDir(folder, from)) {
+        throw storageError(404, `"${from}" not found in /${folder}/.`);
+    }
+    if (hasIndexedDir(folder, to)) {
+        to = joinSubpath(to, path.basename(from));
+    }
+    if (to === from) {
+        throw badRequest(`"${from}" is already there.`);
+    }
+    if (!entry && to.startsWith(`${from}/`)) {
+        throw badRequest('A folder cannot be moved into itself.');
+    }
+    const below = entry ? 0 : Math.max(0, ...listSubfolders(folder, from).map(dir => pathDepth(dir.path) - pathDepth(from)));
+    if (pathDepth(entry ? parentSubpath(to) : to) + below > MAX_PATH_DEPTH) {
+        throw badRequest(`Folders may be at most ${MAX_PATH_DEPTH} deep.`);
+    }
+    if (getIndexedFile(folder, to) || hasIndexedDir(folder, to) ||
+        await fileStore.stat(`${folder}/${to}`) || await hasStoredItems(`${folder}/${to}`)) {
+        throw storageError(409, `"${to}" already exists in /${folder}/.`);
+    }
+
+    await makeSubfolder(folder, parentSubpath(to));
+    await fileStore.move(`${folder}/${from}`, `${folder}/${to}`);
+    const renamed = (name) => to + name.substring(from.length);
+    if (entry) {
+        const [moved] = await restampFiles([{ ...entry, name: to }]);
+        writeIndex({ op: 'del', folder, name: from }, { op: 'put', file: moved });
+    } else {
+        const files = listFolderFiles(folder)
+            .filter(file => file.name.startsWith(`${from}/`))
+            .map(file => ({ ...file, name: renamed(file.name) }));
+        writeIndex(
+            ...listSubfolders(folder, from).map(dir => ({ op: 'mkdir', folder, path: renamed(dir.path), createdAt: dir.createdAt })),
+            ...(await restampFiles(files, `${folder}/${to}`)).map(file => ({ op: 'put', file })),
+            { op: 'rmdir', folder, path: from }
+        );
+    }
+    moveShares(folder, from, to);
+    moveVersions(folder, from, to);
+    emitEvent(entry ? 'file.moved' : 'folder.moved', { folder, from, to });
+    return to;
+}
+
+// Confirm a subfolder change: text line, JSON, or back to the listing
+function sendFolderChange(req, res, status, result, redirectTo) {
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.status(status).json(result);
+    }
+    if (format === 'text') {
+        return res.status(status).type('text/plain').send(`Success: ${result.message}\n`);
+    }
+    res.redirect(redirectTo);
+}
+
+// Create a subfolder. Sends the result or error; anyone who may upload to the folder may do this.
+async function createSubfolder(req, res, folder, value) {
+    auditFields(req, { target: `/${folder || ''}/${value || ''}` });
+    if (!folder) {
+        return sendError(req, res, 400, 'Folder name required');
+    }
+    if (!getIndexedFolder(folder) || !canReadFolder(req.user, folder)) {
+        return sendError(req, res, 404, `Folder "${folder}" not found.`);
+    }
+    if (!hasScope(req, 'upload')) {
+        return sendForbidden(req, res, 'This token lacks the "upload" scope.');
+    }
+    if (!canUploadTo(req.user, folder)) {
+        return sendForbidden(req, res, `Folder "${folder}" belongs to another account.`);
+    }
+
+    try {
+        const dir = parseSubpath(value);
+        if (!dir) {
+            throw badRequest('path is required, like -d "path=builds/v2"');
+        }
+        if (hasIndexedDir(folder, dir)) {
+            throw storageError(409, `"${dir}" already exists in /${folder}/.`);
+        }
+        await makeSubfolder(folder, dir);
+        res.location(`${BASE_URL}/uploads/${encodeURIComponent(folder)}/${encodeSubpath(dir)}/`);
+        sendFolderChange(req, res, 201, { folder, path: dir, message: `Created /${folder}/${dir}/.` }, parentListingUrl(folder, dir));
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+}
+
+// Move or rename. Sends the result or error; needs the same rights as deleting from the folder.
+async function moveFolderItem(req, res, folder, fromValue, toValue) {
+    auditFields(req, { target: `/${folder || ''}/${fromValue || ''}`, detail: `to ${toValue || ''}` });
+    if (!folder) {
+        return sendError(req, res, 400, 'Folder name required');
+    }
+    if (!canDeleteIn(req.user, folder)) {
+        return sendForbidden(req, res, `You do not own folder "${folder}".`);
+    }
+    const from = resolveUserFile(folder, fromValue);
+    if (!from) {
+        return sendError(req, res, 400, 'from must be a path inside the folder, like builds/v2/app.zip');
+    }
+
+    try {
+        if (toValue === undefined || toValue === '') {
+            throw badRequest('to is required ("/" for the top of the folder)');
+        }
+        const to = await moveInFolder(folder, from.name, parseSubpath(toValue));
+        sendFolderChange(req, res, 200, {
+            folder, from: from.name, to, message: `Moved /${folder}/${from.name} to /${folder}/${to}.`
+        }, parentListingUrl(folder, to));
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+}
+
+// Create a subfolder (web form or curl -d)
+app.post('/mkdir', auditAs('mkdir'), (req, res) => {
+    if (!isSingleValue(req.body.user)) {
+        return sendError(req, res, 400, 'user must be one folder name.');
+    }
+    createSubfolder(req, res, sanitizeName(req.body.user || ''), req.body.path);
+});
+
+// Move or rename a file or subfolder (web form or curl -d) - PROTECTED
+app.post('/move', auditAs('move'), requireRole('folder-owner', 'delete'), (req, res) => {
+    if (!isSingleValue(req.body.user) || !isSingleValue(req.body.from)) {
+        return sendError(req, res, 400, 'user and from must be one value each.');
+    }
+    moveFolderItem(req, res, sanitizeName(req.body.user || ''), req.body.from, req.body.to);
+});
+
+// ============ FILE VERSIONS ============
+//
+// In a folder that keeps versions, uploading a file with the name of an existing one moves the
+// existing copy to .versions/<id> in storage instead of applying UPLOAD_CONFLICT. Versions are
+// numbered from 1 per file, the current copy having the highest number. uploads/.meta/versions.json
+// records each file's history:
+//   { "bob": { "report.pdf": { current: 3, versions: [{ version: 1, id, size, sha256, mimeType,
+//       originalName, uploadedBy, uploaderIp, uploadedAt, mtimeMs, replacedAt }, { version: 2, ... }] } } }
+// /history/bob/report.pdf lists them; ?version=N on a download sends an earlier one; restoring
+// one makes a copy of it the new current version, so nothing is lost. Earlier versions count
+// toward the folder's byte quota, follow the file when it is moved, and go to the trash with it.
+
+const VERSIONS_FILE = path.join(META_DIR, 'versions.json');
+const fileVersions = loadJson(VERSIONS_FILE, {});
+
+function saveVersions() {
+    saveJson(VERSIONS_FILE, fileVersions);
+}
+
+// Whether a folder keeps versions and how many, from its override or the defaults
+function folderVersioning(folder) {
+    const override = folders[folder]?.versioning || {};
+    return {
+        enabled: override.enabled ?? FILE_VERSIONING,
+        maxVersions: override.maxVersions ?? VERSION_MAX_COUNT,
+        maxAgeDays: override.maxAgeDays ?? VERSION_MAX_AGE_DAYS,
+        override: folders[folder]?.versioning || null
+    };
+}
+
+// Override a folder's versioning settings. A null setting falls back to the default.
+function setFolderVersioning(folder, { enabled, maxVersions, maxAgeDays }) {
+    const { versioning, ...record } = folders[folder] || {};
+    const override = {
+        ...(enabled !== null && { enabled }),
+        ...(maxVersions !== null && { maxVersions }),
+        ...(maxAgeDays !== null && { maxAgeDays })
+    };
+    if (Object.keys(override).length) {
+        record.versioning = override;
+    }
+    if (Object.keys(record).length) {
+        folders[folder] = record;
+    } else {
+        delete folders[folder];
+    }
+    saveJson(FOLDERS_FILE, folders);
+    for (const name of Object.keys(fileVersions[folder] || {})) {
+        pruneVersions(folder, name); // New limits apply right away
+    }
+}
+
+function fileHistory(folder, name) {
+    return fileVersions[folder]?.[name] || null;
+}
+
+// Version number of a file's current copy - 1 until it has been replaced
+function currentVersion(entry) {
+    return fileHistory(entry.folder, entry.name)?.current || 1;
+}
+
+function folderVersionBytes(folder) {
+    let bytes = 0;
+    for (const history of Object.values(fileVersions[folder] || {})) {
+        for (const version of history.versions) bytes += version.size;
+    }
+    return bytes;
+}
+
+function historyUrl(entry) {
+    return `/history/${encodeURIComponent(entry.folder)}/${encodeSubpath(entry.name)}`;
+}
+
+// Move the stored copy of a file into its history, just before it is replaced (under the folder's lock)
+async function archiveVersion(folder, name) {
+    const stat = await fileStore.stat(`${folder}/${name}`);
+    if (!stat) throw missingFileError(folder, name);
+    const entry = getIndexedFile(folder, name);
+    const unchanged = entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs; // Not changed on disk behind our back
+    const history = fileHistory(folder, name) || { current: 1, versions: [] };
+    const version = {
+        version: history.current,
+        id: generateUploadId(),
+        size: stat.size,
+        sha256: unchanged ? entry.sha256 : null,
+        mimeType: entry?.mimeType || express.static.mime.lookup(name),
+        originalName: entry?.originalName || path.basename(name),
+        uploadedBy: entry?.uploadedBy || null,
+        uploaderIp: entry?.uploaderIp || null,
+        uploadedAt: entry?.uploadedAt || new Date(stat.mtimeMs).toISOString(),
+        mtimeMs: stat.mtimeMs,
+        replacedAt: new Date().toISOString()
+    };
+    await fileStore.move(`${folder}/${name}`, `${VERSIONS_PREFIX}/${version.id}`);
+    history.versions.push(version);
+    history.current++;
+    fileVersions[folder] = { ...fileVersions[folder], [name]: history };
+    pruneVersions(folder, name);
+}
+
+// Drop a file's oldest versions past the folder's limits
+function pruneVersions(folder, name) {
+    const history = fileHistory(folder, name);
+    if (!history) return;
+    const { maxVersions, maxAgeDays } = folderVersioning(folder);
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const kept = history.versions.filter((version, i) =>
+        (!maxVersions || i >= history.versions.length - maxVersions) && (!cutoff || Date.parse(version.replacedAt) >= cutoff));
+    if (kept.length === history.versions.length) {
+        return saveVersions();
+    }
+    removeVersionCopies({ [name]: { versions: history.versions.filter(version => !kept.includes(version)) } });
+    history.versions = kept;
+    saveVersions();
+}
+
+// Histories of a file, of everything in a subfolder, or (name undefined) of a whole folder
+function versionsUnder(folder, name) {
+    const found = {};
+    for (const [file, history] of Object.entries(fileVersions[folder] || {})) {
+        if (name === undefined || file === name || file.startsWith(`${name}/`)) found[file] = history;
+    }
+    return found;
+}
+
+// Stop tracking histories that went to the trash (their copies stay for a restore)
+function forgetVersions(folder, name) {
+    const forgotten = Object.keys(versionsUnder(folder, name));
+    if (!forgotten.length) return;
+    for (const file of forgotten) delete fileVersions[folder][file];
+    if (!Object.keys(fileVersions[folder]).length) delete fileVersions[folder];
+    saveVersions();
+}
+
+// Put back the histories of a restored trash item
+function restoreVersions(folder, histories = {}) {
+    if (!Object.keys(histories).length) return;
+    fileVersions[folder] = { ...fileVersions[folder], ...histories };
+    saveVersions();
+}
+
+function removeVersionCopies(histories = {}) {
+    for (const history of Object.values(histories)) {
+        for (const version of history.versions) {
+            discardStored(`${VERSIONS_PREFIX}/${version.id}`);
+        }
+    }
+}
+
+// Follow a moved file, or the files of a moved subfolder
+function moveVersions(folder, from, to) {
+    const moved = versionsUnder(folder, from);
+    if (!Object.keys(moved).length) return;
+    for (const [file, history] of Object.entries(moved)) {
+        delete fileVersions[folder][file];
+        fileVersions[folder][to + file.substring(from.length)] = history;
+    }
+    saveVersions();
+}
+
+// Apply the age limits, drop histories of files removed behind our back, and remove
+// copies nothing refers to. Runs once the index is loaded, then hourly.
+async function purgeExpiredVersions() {
+    for (const [folder, histories] of Object.entries(fileVersions)) {
+        for (const name of Object.keys(histories)) {
+            if (getIndexedFile(folder, name)) {
+                pruneVersions(folder, name);
+            } else {
+                removeVersionCopies({ [name]: histories[name] });
+                delete histories[name];
+            }
+        }
+        if (!Object.keys(histories).length) delete fileVersions[folder];
+    }
+    saveVersions();
+
+    const inUse = new Set();
+    for (const histories of [...Object.values(fileVersions), ...Object.values(trash).map(item => item.versions || {})]) {
+        for (const history of Object.values(histories)) {
+            for (const version of history.versions) inUse.add(version.id);
+        }
+    }
+    for await (const item of fileStore.list(VERSIONS_PREFIX)) {
+        const id = item.key.substring(VERSIONS_PREFIX.length + 1);
+        if (!inUse.has(id) && !restoringVersions.has(id)) discardStored(item.key);
+    }
+}
+
+function purgeVersionsInBackground() {
+    purgeExpiredVersions().catch((err) => console.error(`Version purge failed: ${err.message}`));
+}
+
+setInterval(purgeVersionsInBackground, 60 * 60 * 1000).unref();
+
+// The copy of a file that ?version=N asks for: the index entry itself for the current
+// version, otherwise a stand-in entry for the earlier copy. Throws 400 or 404.
+function fileVersion(entry, value) {
+    if (!value) return entry;
+    if (!/^[1-9]\d*$/.test(value)) {
+        throw badRequest('version must be a positive integer');
+    }
+    const number = Number(value);
+    const history = fileHistory(entry.folder, entry.name);
+    if (number === currentVersion(entry)) return entry;
+    const version = history?.versions.find(v => v.version === number);
+    if (!version) {
+        throw storageError(404, `"${entry.name}" in /${entry.folder}/ has no version ${number}. See ${BASE_URL}${historyUrl(entry)}`);
+    }
+    return { ...version, folder: entry.folder, name: entry.name, versionId: version.id };
+}
+
+// Download from the file routes, which take ?version=N for an earlier copy
+function sendRequestedVersion(req, res, entry) {
+    let requested;
+    try {
+        requested = fileVersion(entry, queryValue(req.query.version));
+    } catch (err) {
+        auditRequest(req, res, 'download', { target: `/${entry.folder}/${entry.name}` });
+        return sendError(req, res, err.status, err.message);
+    }
+    sendDownload(req, res, requested);
+}
+
+function versionToJson(entry, version) {
+    const current = version === entry;
+    const number = current ? currentVersion(entry) : version.version;
+    return {
+        version: number,
+        current,
+        size: version.size,
+        sha256: version.sha256 || null,
+        mimeType: version.mimeType,
+        originalName: version.originalName,
+        uploadedBy: version.uploadedBy,
+        uploadedAt: version.uploadedAt,
+        replacedAt: current ? null : version.replacedAt,
+        downloadUrl: `${BASE_URL}/uploads/${encodeURIComponent(entry.folder)}/${encodeSubpath(entry.name)}${current ? '' : `?version=${number}`}`
+    };
+}
+
+// Copies being made by restoreVersion, which the purge leaves alone
+const restoringVersions = new Set();
+
+// Make a copy of an earlier version the current one; the copy it replaces joins the history.
+// Resolves to the new index entry.
+async function restoreVersion(entry, value, { restoredBy, uploaderIp }) {
+    if (!value) {
+        throw badRequest('version is required, like -d "version=2"');
+    }
+    const version = fileVersion(entry, value);
+    if (version === entry) {
+        throw badRequest(`Version ${currentVersion(entry)} is already the current version.`);
+    }
+    checkDiskSpace(version.size);
+    const release = reserveQuota(entry.folder, version.size, 0);
+    const copyId = `${generateUploadId()}-restore`;
+    const copyKey = `${VERSIONS_PREFIX}/${copyId}`;
+    restoringVersions.add(copyId);
+    try {
+        // With dedup the restored file shares the earlier copy instead of duplicating it
+        await (STORAGE_DEDUP ? fileStore.link(storedKey(version), copyKey) : fileStore.copy(storedKey(version), copyKey)).catch((err) => {
+            throw err.code === 'ENOENT' ? storageError(410, `The copy of version ${value} is missing from storage.`) : err;
+        });
+        return await withFolderLock(entry.folder, async () => {
+            if (getIndexedFile(entry.folder, entry.name) !== entry) {
+                throw storageError(409, `"${entry.name}" changed while it was being restored. Try again.`);
+            }
+            await archiveVersion(entry.folder, entry.name);
+            await fileStore.move(copyKey, storedKey(entry));
+            const restored = await indexFile(entry.folder, entry.name, {
+                originalName: version.originalName,
+                mimeType: version.mimeType,
+                sha256: version.sha256,
+                uploaderIp,
+                uploadedBy: restoredBy
+            });
+            emitEvent('file.restored', { ...fileToJson(restored), from: 'version', restoredVersion: version.version });
+            return restored;
+        });
+    } finally {
+        discardStored(copyKey); // Nothing left there once it has been moved into place
+        restoringVersions.delete(copyId);
+        release();
+    }
+}
+
+// History of a file: its current copy first, then earlier versions newest first
+function sendFileHistory(req, res, entry) {
+    const history = fileHistory(entry.folder, entry.name);
+    const versions = [entry, ...[...(history?.versions || [])].reverse()].map(version => versionToJson(entry, version));
+    const settings = folderVersioning(entry.folder);
+    const format = responseFormat(req);
+
+    if (format === 'json') {
+        return res.json({
+            file: fileToJson(entry),
+            versioning: { enabled: settings.enabled, maxVersions: settings.maxVersions, maxAgeDays: settings.maxAgeDays },
+            versions
+        });
+    }
+    if (format === 'text') {
+        let output = `History of /${entry.folder}/${entry.name}${settings.enabled ? '' : ' (this folder no longer keeps versions)'}\n`;
+        output += '='.repeat(110) + '\n';
+        output += 'Version'.padEnd(10) + 'Size'.padEnd(12) + 'Uploaded'.padEnd(22) + 'By'.padEnd(16) + 'sha256\n';
+        output += '-'.repeat(110) + '\n';
+        for (const version of versions) {
+            output += `${version.version}${version.current ? ' *' : ''}`.padEnd(10) + formatSize(version.size).padEnd(12) +
+                formatDate(version.uploadedAt).padEnd(22) + (version.uploadedBy || '-').substring(0, 15).padEnd(16) + (version.sha256 || '-') + '\n';
+        }
+        output += '-'.repeat(110) + '\n';
+        output += `* current version\n`;
+        output += `\nDownload one: curl -OJ "${BASE_URL}/uploads/${entry.folder}/${entry.name}?version=<n>"\n`;
+        output += `Restore one:  curl -H "Authorization: Bearer $TOKEN" -d "version=<n>" ${BASE_URL}${historyUrl(entry)}\n`;
+        return res.type('text/plain').send(output);
+    }
+
+    res.render('history', {
+        user: entry.folder,
+        file: { name: path.basename(entry.name), path: entry.name },
+        crumbs: directoryBreadcrumbs(entry.folder, parentSubpath(entry.name)),
+        previewUrl: previewUrl(entry),
+        historyUrl: historyUrl(entry),
+        versions,
+        settings,
+        canRestore: !uploadAccessError(req, entry.folder) && hasRole(req.user, 'uploader'),
+        formatSize,
+        formatDate
+    });
+}
+
+// Look up the file a history route is about. Sends the error and returns null when there is none.
+function resolveHistoryFile(req, res) {
+    const resolved = resolveUserFile(req.params.user, req.params[0]);
+    if (!resolved) {
+        sendError(req, res, 403, 'Access denied.');
+        return null;
+    }
+    auditFields(req, { target: `/${resolved.user}/${resolved.name}` });
+    const entry = getReadableFile(req.user, resolved.user, resolved.name);
+    if (!entry) {
+        sendError(req, res, 404, `File "${resolved.name}" not found in /${resolved.user}/.`);
+        return null;
+    }
+    return entry;
+}
+
+// Restore an earlier version. Needs an account that may upload to the folder.
+async function restoreFileVersion(req, res) {
+    const entry = resolveHistoryFile(req, res);
+    if (!entry) return;
+    const value = String(req.body?.version ?? '');
+    auditFields(req, { detail: `version ${value}` });
+    const accessError = uploadAccessError(req, entry.folder);
+    if (accessError) {
+        return sendForbidden(req, res, accessError.message);
+    }
+
+    try {
+        const restored = await restoreVersion(entry, value, { restoredBy: req.user.username, uploaderIp: clientIp(req) });
+        auditFields(req, { size: restored.size, detail: `version ${value} restored as version ${currentVersion(restored)}` });
+        sendFolderChange(req, res, 200, {
+            file: fileToJson(restored),
+            message: `Restored version ${value} of /${entry.folder}/${entry.name} as version ${currentVersion(restored)}.`
+        }, historyUrl(entry));
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+}
+
+// Versions of a file, with download links
+app.get('/history/:user/*', (req, res) => {
+    const entry = resolveHistoryFile(req, res);
+    if (entry) sendFileHistory(req, res, entry);
+});
+
+// Restore a version (web form or curl -d "version=2")
+app.post('/history/:user/*', auditAs('version-restore'), requireRole('uploader', 'upload'), restoreFileVersion);
+
+// ============ ARCHIVES ============
+//
+// Folders, subfolders and selections of files download as one .zip or .tar.gz, built while it
+// streams out with no temp files: /uploads/bob.zip, /uploads/bob.tar.gz?path=builds, or POST
+// /archive with files=bob/a.txt&files=alice/builds. Entries are named as under /uploads
+// ("bob/builds/a.txt"), so one archive can hold several folders.
+//
+// An upload sent with extract=1 is unpacked into its folder instead of stored. Entries are
+// unpacked into a staging dir first; "..", absolute paths and links are never followed out of it,
+// and ARCHIVE_MAX_ENTRIES / ARCHIVE_MAX_EXTRACTED_BYTES are counted on the real bytes, not what
+// the headers claim. Every file then goes through UPLOAD VALIDATION and the folder quota. If any
+// one is refused the whole archive is, so nothing is ever half-extracted.
+
+const ARCHIVE_FORMATS = {
+    'zip': { type: 'application/zip', ext: '.zip' },
+    'tar.gz': { type: 'application/gzip', ext: '.tar.gz' }
+};
+// Already compressed - stored in zips as they are rather than deflated again
+const COMPRESSED_TYPES = new Set([
+    'application/zip', 'application/gzip', 'application/x-7z-compressed', 'application/vnd.rar',
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'audio/mpeg', 'audio/ogg', 'video/mp4'
+]);
+const ZIP64_LIMIT = 0xffffffff;
+
+// zlib.crc32 only exists from Node 20.15; older versions get the same checksum from a table
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = zlib.crc32 || ((data, value = 0) => {
+    let crc = ~value >>> 0;
+    for (const byte of data) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return ~crc >>> 0;
+});
+
+// "zip" (the default), "tar.gz" or "tgz"
+function parseArchiveFormat(value) {
+    const format = value === 'tgz' ? 'tar.gz' : (value || 'zip');
+    if (!ARCHIVE_FORMATS[format]) {
+        throw badRequest('format must be zip or tar.gz');
+    }
+    return format;
+}
+
+// Archive items for a subfolder and everything in it ("" for the whole folder):
+// { name, mtimeMs } for directories (name ends in "/") and { name, mtimeMs, entry } for files
+function folderArchiveItems(folder, dir) {
+    const items = listSubfolders(folder, dir).map(subdir => ({
+        name: `${folder}/${subdir.path}/`, mtimeMs: Date.parse(subdir.createdAt)
+    }));
+    if (!dir) {
+        items.push({ name: `${folder}/`, mtimeMs: Date.parse(getIndexedFolder(folder).createdAt) });
+    }
+    for (const entry of listFolderFiles(folder)) {
+        if (!dir || entry.name.startsWith(`${dir}/`)) {
+            items.push({ name: `${folder}/${entry.name}`, mtimeMs: entry.mtimeMs, entry });
+        }
+    }
+    return items;
+}
+
+// Archive items for selections like "bob" (whole folder), "bob/builds" or "bob/builds/app.zip".
+// Throws 404 for the first one that doesn't exist or that this account can't see.
+function selectionArchiveItems(user, selections) {
+    const items = new Map();
+    for (const selection of selections) {
+        const slash = selection.indexOf('/');
+        const folder = sanitizeName(slash === -1 ? selection : selection.substring(0, slash));
+        const rest = slash === -1 ? '' : selection.substring(slash + 1).replace(/\/+$/, '');
+        const resolved = rest && resolveUserFile(folder, rest);
+        const entry = resolved && getIndexedFile(folder, resolved.name);
+
+        if (!folder || !getIndexedFolder(folder) || !canReadFolder(user, folder) ||
+            (rest && (!resolved || (!entry && !hasIndexedDir(folder, resolved.name))))) {
+            throw storageError(404, `"${selection}" not found.`);
+        }
+        const found = entry
+            ? [{ name: `${folder}/${entry.name}`, mtimeMs: entry.mtimeMs, entry }]
+            : folderArchiveItems(folder, resolved ? resolved.name : '');
+        for (const item of found) items.set(item.name, item);
+    }
+    return [...items.values()];
+}
+
+// Current size in storage of an indexed file, or null when it has gone since it was listed
+async function storedSize(entry) {
+    const stat = await fileStore.stat(storedKey(entry));
+    return stat ? stat.size : null;
+}
+
+// DOS date and time fields of a zip entry (local time, two-second steps, from 1980)
+function dosDateTime(ms) {
+    const date = new Date(Math.max(ms || Date.now(), new Date(1980, 0, 1).getTime()));
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function dosToMs(date, time) {
+    return new Date(1980 + (date >> 9), ((date >> 5) & 15) - 1, date & 31, time >> 11, (time >> 5) & 63, (time & 31) * 2).getTime();
+}
+
+function zipLocalHeader(record) {
+    const header = Buffer.alloc(30 + record.name.length + (record.zip64 ? 20 : 0));
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(record.zip64 ? 45 : 20, 4);
+    header.writeUInt16LE(record.flags, 6);
+    header.writeUInt16LE(record.method, 8);
+    header.writeUInt16LE(record.time, 10);
+    header.writeUInt16LE(record.date, 12);
+    // The CRC and sizes (14-25) follow the data in a descriptor; zip64 marks them as in its extra field
+    if (record.zip64) {
+        header.writeUInt32LE(ZIP64_LIMIT, 18);
+        header.writeUInt32LE(ZIP64_LIMIT, 22);
+    }
+    header.writeUInt16LE(record.name.length, 26);
+    header.writeUInt16LE(record.zip64 ? 20 : 0, 28);
+    record.name.copy(header, 30);
+    if (record.zip64) {
+        header.writeUInt16LE(0x0001, 30 + record.name.length);
+        header.writeUInt16LE(16, 32 + record.name.length);
+    }
+    return header;
+}
+
+function zipDescriptor(record) {
+    const descriptor = Buffer.alloc(record.zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(record.crc, 4);
+    if (record.zip64) {
+        descriptor.writeBigUInt64LE(BigInt(record.compressed), 8);
+        descriptor.writeBigUInt64LE(BigInt(record.size), 16);
+    } else {
+        descriptor.writeUInt32LE(record.compressed, 8);
+        descriptor.writeUInt32LE(record.size, 12);
+    }
+    return descriptor;
+}
+
+function zipCentralHeader(record) {
+    const zip64 = record.zip64 || record.offset >= ZIP64_LIMIT;
+    const header = Buffer.alloc(46 + record.name.length + (zip64 ? 28 : 0));
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE((3 << 8) | 45, 4); // Made by: Unix, so the file modes below are read
+    header.writeUInt16LE(zip64 ? 45 : 20, 6);
+    header.writeUInt16LE(record.flags, 8);
+    header.writeUInt16LE(record.method, 10);
+    header.writeUInt16LE(record.time, 12);
+    header.writeUInt16LE(record.date, 14);
+    header.writeUInt32LE(record.crc, 16);
+    header.writeUInt32LE(zip64 ? ZIP64_LIMIT : record.compressed, 20);
+    header.writeUInt32LE(zip64 ? ZIP64_LIMIT : record.size, 24);
+    header.writeUInt16LE(record.name.length, 28);
+    header.writeUInt16LE(zip64 ? 28 : 0, 30);
+    // Comment length, disk number and internal attributes (32-37) stay 0
+    header.writeUInt32LE(record.external, 38);
+    header.writeUInt32LE(zip64 ? ZIP64_LIMIT : record.offset, 42);
+    record.name.copy(header, 46);
+    if (zip64) {
+        const extra = 46 + record.name.length;
+        header.writeUInt16LE(0x0001, extra);
+        header.writeUInt16LE(24, extra + 2);
+        header.writeBigUInt64LE(BigInt(record.size), extra + 4);
+        header.writeBigUInt64LE(BigInt(record.compressed), extra + 12);
+        header.writeBigUInt64LE(BigInt(record.offset), extra + 20);
+    }
+    return header;
+}
+
+// End of central directory, preceded by the zip64 record and locator when a count or offset overflows it
+function zipEnd(count, centralOffset, centralSize) {
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(count, 0xffff), 8);
+    end.writeUInt16LE(Math.min(count, 0xffff), 10);
+    end.writeUInt32LE(Math.min(centralSize, ZIP64_LIMIT), 12);
+    end.writeUInt32LE(Math.min(centralOffset, ZIP64_LIMIT), 16);
+    if (count < 0xffff && centralOffset < ZIP64_LIMIT && centralSize < ZIP64_LIMIT) {
+        return end;
+    }
+
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4); // Size of the rest of this record
+    record.writeUInt16LE((3 << 8) | 45, 12);
+    record.writeUInt16LE(45, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(centralSize), 40);
+    record.writeBigUInt64LE(BigInt(centralOffset), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(centralOffset + centralSize), 8);
+    locator.writeUInt32LE(1, 16); // Total number of disks
+    return Buffer.concat([record, locator, end]);
+}
+
+// One file's (deflated) bytes for a zip, filling in the record's CRC and sizes as they pass
+async function* zipEntryData(key, record) {
+    const tap = new stream.Transform({
+        transform(chunk, encoding, callback) {
+            record.crc = crc32(chunk, record.crc);
+            record.size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    const streams = [await fileStore.read(key), tap, ...(record.method === 8 ? [zlib.createDeflateRaw()] : [])];
+    for await (const chunk of stream.pipeline(...streams, () => {})) { // Errors surface through the loop
+        record.compressed += chunk.length;
+        yield chunk;
+    }
+}
+
+// A zip of archive items. Each file is read once: its CRC and sizes follow its data (flag bit 3),
+// and files or offsets past 4GB switch to zip64 records.
+async function* zipStream(items) {
+    const central = [];
+    let offset = 0;
+    for (const item of items) {
+        const size = item.entry ? await storedSize(item.entry) : 0;
+        if (size === null) continue;
+
+        const record = {
+            name: Buffer.from(item.name),
+            offset,
+            ...dosDateTime(item.mtimeMs),
+            flags: item.entry ? 0x0808 : 0x0800, // UTF-8 names, plus a data descriptor for files
+            method: size && !COMPRESSED_TYPES.has(item.entry.mimeType) ? 8 : 0,
+            zip64: size > 0xf0000000, // Leaves room for deflate growing incompressible data
+            external: (item.entry ? 0o100644 << 16 : (0o40755 << 16) | 0x10) >>> 0, // Unix mode; 0x10 marks a directory
+            crc: 0,
+            compressed: 0,
+            size: 0
+        };
+        const header = zipLocalHeader(record);
+        yield header;
+        offset += header.length;
+
+        if (item.entry) {
+            if (size) yield* zipEntryData(storedKey(item.entry), record);
+            const descriptor = zipDescriptor(record);
+            yield descriptor;
+            offset += record.compressed + descriptor.length;
+        }
+        central.push(record);
+    }
+
+    let centralSize = 0;
+    for (const record of central) {
+        const header = zipCentralHeader(record);
+        centralSize += header.length;
+        yield header;
+    }
+    yield zipEnd(central.length, offset, centralSize);
+}
+
+function tarPadding(size) {
+    return (512 - (size % 512)) % 512;
+}
+
+function tarHeader(name, size, mtimeMs, type) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100); // Cut short names come with a PAX path
+    header.write(type === '5' ? '0000755' : '0000644', 100);
+    header.write('0000000', 108);
+    header.write('0000000', 116);
+    header.write(size > 0o77777777777 ? '00000000000' : size.toString(8).padStart(11, '0'), 124);
+    header.write(Math.floor((mtimeMs || Date.now()) / 1000).toString(8).padStart(11, '0'), 136);
+    header.write('        ', 148);
+    header.write(type, 156);
+    header.write('ustar\x0000', 257);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(`${sum.toString(8).padStart(6, '0')}\x00 `, 148);
+    return header;
+}
+
+// "<length> <key>=<value>\n", where the length counts its own digits
+function paxRecord(field) {
+    const bytes = Buffer.byteLength(` ${field}\n`);
+    let length = bytes;
+    while (length !== bytes + String(length).length) length = bytes + String(length).length;
+    return `${length} ${field}\n`;
+}
+
+// Header blocks for one tar entry. Names past ustar's 100 bytes and sizes past 8GB
+// go in a PAX extended header in front of it, which every current tar reads.
+function tarHeaders(name, size, mtimeMs, type) {
+    const header = tarHeader(name, size, mtimeMs, type);
+    const fields = [
+        ...(Buffer.byteLength(name) > 100 ? [`path=${name}`] : []),
+        ...(size > 0o77777777777 ? [`size=${size}`] : [])
+    ];
+    if (!fields.length) return [header];
+    const pax = Buffer.from(fields.map(paxRecord).join(''));
+    return [tarHeader('PaxHeader', pax.length, mtimeMs, 'x'), pax, Buffer.alloc(tarPadding(pax.length)), header];
+}
+
+// An uncompressed tar of archive items; sendArchive gzips it
+async function* tarStream(items) {
+    for (const item of items) {
+        if (!item.entry) {
+            yield* tarHeaders(item.name, 0, item.mtimeMs, '5');
+            continue;
+        }
+        const size = await storedSize(item.entry);
+        if (size === null) continue;
+
+        yield* tarHeaders(item.name, size, item.mtimeMs, '0');
+        let sent = 0;
+        if (size) {
+            for await (const chunk of await fileStore.read(storedKey(item.entry), { start: 0, end: size - 1 })) {
+                sent += chunk.length;
+                yield chunk;
+            }
+        }
+        // The header promised `size` bytes - a file that shrank meanwhile is padded out to it
+        if (size - sent + tarPadding(size)) yield Buffer.alloc(size - sent + tarPadding(size));
+    }
+    yield Buffer.alloc(1024); // Two empty blocks end the archive
+}
+
+// Stream archive items as a download. The files' total size counts against the download limits.
+async function sendArchive(req, res, items, basename, format) {
+    items.sort((a, b) => a.name.localeCompare(b.name));
+    try {
+        const bytes = items.reduce((total, item) => total + (item.entry ? item.entry.size : 0), 0);
+        auditFields(req, { size: bytes });
+        if (!await admitDownload(req, res, bytes)) return;
+    } catch (err) {
+        return sendError(req, res, 500, err.message);
+    }
+
+    const { type, ext } = ARCHIVE_FORMATS[format];
+    res.removeHeader('Vary');
+    res.attachment(basename + ext);
+    res.set({ 'Content-Type': type, 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'no-store' });
+    if (req.method === 'HEAD') return res.end();
+
+    const source = stream.Readable.from(format === 'zip' ? zipStream(items) : tarStream(items), { objectMode: false });
+    const streams = format === 'zip' ? [source] : [source, zlib.createGzip()];
+    stream.pipeline(...streams, res, (err) => {
+        // Headers are gone by now, so a failure can only cut the download short
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error(`Archive ${basename}${ext} failed: ${err.message}`);
+        }
+    });
+}
+
+// Download a folder, or a subfolder of it (?path=builds), as one archive
+function sendFolderArchive(req, res, folder, format) {
+    auditRequest(req, res, 'download', { target: `/${folder}/`, detail: `as ${format}` });
+    if (!folder || !getIndexedFolder(folder) || !canReadFolder(req.user, folder)) {
+        return sendError(req, res, 404, `User folder "${folder}" not found.`);
+    }
+    try {
+        const dir = parseSubpath(queryValue(req.query.path));
+        auditFields(req, { target: `/${folder}/${dir ? `${dir}/` : ''}` });
+        if (!hasIndexedDir(folder, dir)) {
+            throw storageError(404, `Subfolder "${dir}" not found in /${folder}/.`);
+        }
+        sendArchive(req, res, folderArchiveItems(folder, dir), [folder, ...(dir ? dir.split('/') : [])].join('-'), format);
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+}
+
+// Download chosen files and subfolders, from one or more folders, as one archive:
+//   curl -d "files=bob/a.txt" -d "files=alice/builds" -d "format=tar.gz" ${BASE_URL}/archive -o files.tar.gz
+app.post('/archive', auditAs('download'), (req, res) => {
+    try {
+        const format = parseArchiveFormat(req.body.format);
+        const selections = [].concat(req.body.files || []).map(String).filter(Boolean);
+        auditFields(req, { target: selections.map(selection => `/${selection}`).join(' '), detail: `as ${format}` });
+        if (!selections.length) {
+            throw badRequest('Choose what to download, like -d "files=bob/a.txt" -d "files=bob/builds"');
+        }
+        sendArchive(req, res, selectionArchiveItems(req.user, selections), 'files', format);
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
+
+function wantsExtract(body = {}) {
+    return ['1', 'true', 'yes', 'on'].includes(String(body.extract).toLowerCase());
+}
+
+// -F extract=1 unpacks an uploaded archive into the folder. A share link can't go with it.
+function uploadExtractFlag(body = {}, shareOptions) {
+    const wanted = wantsExtract(body);
+    if (wanted && shareOptions) {
+        throw badRequest('share cannot be combined with extract');
+    }
+    return wanted;
+}
+
+// Path inside the folder for an archive entry, or null for entries that are skipped ("./",
+// macOS resource forks). Leading slashes are dropped; ".." and too-deep paths are refused with 400.
+function stagedPath(stage, name, isDir) {
+    const segments = name.split(/[\/\\]+/).filter(segment => segment && segment !== '.');
+    if (!segments.length || segments[0] === '__MACOSX') return null;
+    if (ARCHIVE_MAX_ENTRIES && stage.files.length + stage.dirs.size >= ARCHIVE_MAX_ENTRIES) {
+        throw storageError(413, `Archive has more than ${ARCHIVE_MAX_ENTRIES} entries.`);
+    }
+
+    let subpath;
+    try {
+        subpath = joinSubpath(stage.subdir, parseSubpath(segments.join('/')));
+    } catch (err) {
+        throw badRequest(`Archive entry "${name}" refused: ${err.message}`);
+    }
+    if (pathDepth(isDir ? subpath : parentSubpath(subpath)) > MAX_PATH_DEPTH) {
+        throw badRequest(`Archive entry "${name}" is more than ${MAX_PATH_DEPTH} folders deep.`);
+    }
+    return subpath;
+}
+
+// Staged file for an archive entry, or null when it is skipped
+function stageFile(stage, name, mtimeMs) {
+    const subpath = stagedPath(stage, name, false);
+    if (!subpath) return null;
+    const file = { path: subpath, tempPath: path.join(stage.dir, String(stage.files.length)), mtimeMs, size: 0 };
+    stage.files.push(file);
+    return file;
+}
+
+function stageDir(stage, name) {
+    const subpath = stagedPath(stage, name, true);
+    if (subpath) stage.dirs.add(subpath);
+}
+
+// Count unpacked bytes as they are written, refusing the archive as soon as it outgrows
+// ARCHIVE_MAX_EXTRACTED_BYTES or the room left in the folder and on disk
+function countStaged(stage, file, bytes) {
+    file.size += bytes;
+    stage.bytes += bytes;
+    if (ARCHIVE_MAX_EXTRACTED_BYTES && stage.bytes > ARCHIVE_MAX_EXTRACTED_BYTES) {
+        throw storageError(413, `Archive unpacks to more than ${formatSize(ARCHIVE_MAX_EXTRACTED_BYTES)}.`);
+    }
+    if (stage.bytes > stage.room) {
+        throw overLimitError(stage.folder, stage.bytes);
+    }
+}
+
+// Entries of a zip's central directory. Sizes and offsets are its claims; unpackZip checks them.
+async function readZipDirectory(handle, fileSize) {
+    const corrupt = () => badRequest('Not a valid zip archive.');
+    const tail = Buffer.alloc(Math.min(fileSize, 22 + 0xffff));
+    const tailStart = fileSize - tail.length;
+    await handle.read(tail, 0, tail.length, tailStart);
+    const end = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end === -1 || end + 22 > tail.length) throw corrupt();
+
+    let count = tail.readUInt16LE(end + 10);
+    let centralSize = tail.readUInt32LE(end + 12);
+    let centralOffset = tail.readUInt32LE(end + 16);
+    if (count === 0xffff || centralSize === ZIP64_LIMIT || centralOffset === ZIP64_LIMIT) {
+        // zip64: the locator just before the end record points at the zip64 end record
+        const locator = Buffer.alloc(20);
+        const record = Buffer.alloc(56);
+        if (tailStart + end < 20) throw corrupt();
+        await handle.read(locator, 0, 20, tailStart + end - 20);
+        if (locator.readUInt32LE(0) !== 0x07064b50) throw corrupt();
+        await handle.read(record, 0, 56, Number(locator.readBigUInt64LE(8)));
+        if (record.readUInt32LE(0) !== 0x06064b50) throw corrupt();
+        count = Number(record.readBigUInt64LE(32));
+        centralSize = Number(record.readBigUInt64LE(40));
+        centralOffset = Number(record.readBigUInt64LE(48));
+    }
+    if (ARCHIVE_MAX_ENTRIES && count > ARCHIVE_MAX_ENTRIES) {
+        throw storageError(413, `Archive has ${count} entries; at most ${ARCHIVE_MAX_ENTRIES} can be extracted.`);
+    }
+    if (centralOffset + centralSize > fileSize || centralSize > count * (46 + 3 * 0xffff)) throw corrupt();
+
+    const central = Buffer.alloc(centralSize);
+    await handle.read(central, 0, centralSize, centralOffset);
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > central.length || central.readUInt32LE(pos) !== 0x02014b50) throw corrupt();
+        const nameEnd = pos + 46 + central.readUInt16LE(pos + 28);
+        const extraEnd = nameEnd + central.readUInt16LE(pos + 30);
+        if (extraEnd > central.length) throw corrupt();
+        const entry = {
+            name: central.toString('utf8', pos + 46, nameEnd),
+            flags: central.readUInt16LE(pos + 8),
+            method: central.readUInt16LE(pos + 10),
+            mtimeMs: dosToMs(central.readUInt16LE(pos + 14), central.readUInt16LE(pos + 12)),
+            crc: central.readUInt32LE(pos + 16),
+            compressed: central.readUInt32LE(pos + 20),
+            size: central.readUInt32LE(pos + 24),
+            mode: central.readUInt32LE(pos + 38) >>> 16,
+            offset: central.readUInt32LE(pos + 42)
+        };
+        // zip64 extra field: 64-bit values for whichever of these overflowed, in this order
+        for (let extra = nameEnd; extra + 4 <= extraEnd; extra += 4 + central.readUInt16LE(extra + 2)) {
+            if (central.readUInt16LE(extra) !== 0x0001) continue;
+            let field = extra + 4;
+            for (const key of ['size', 'compressed', 'offset']) {
+                if (entry[key] === ZIP64_LIMIT && field + 8 <= extraEnd) {
+                    entry[key] = Number(central.readBigUInt64LE(field));
+                    field += 8;
+                }
+            }
+        }
+        entries.push(entry);
+        pos = extraEnd + central.readUInt16LE(pos + 32);
+    }
+    return entries;
+}
+
+async function unpackZip(archivePath, stage) {
+    const handle = await fs.promises.open(archivePath, 'r');
+    try {
+        const { size: archiveSize } = await handle.stat();
+        for (const entry of await readZipDirectory(handle, archiveSize)) {
+            if ((entry.mode & 0o170000) === 0o120000) continue; // Symlinks are never created
+            if (entry.name.endsWith('/')) {
+                stageDir(stage, entry.name);
+                continue;
+            }
+            if (entry.flags & 0x0001) {
+                throw storageError(415, `Archive entry "${entry.name}" is encrypted, so it can't be extracted.`);
+            }
+            if (entry.method !== 0 && entry.method !== 8) {
+                throw storageError(415, `Archive entry "${entry.name}" uses an unsupported compression method (${entry.method}).`);
+            }
+            const file = stageFile(stage, entry.name, entry.mtimeMs);
+            if (!file) continue;
+
+            const local = Buffer.alloc(30);
+            await handle.read(local, 0, 30, entry.offset);
+            if (local.readUInt32LE(0) !== 0x04034b50) {
+                throw badRequest(`Archive entry "${entry.name}" is corrupt.`);
+            }
+            const start = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+            if (start + entry.compressed > archiveSize) {
+                throw badRequest(`Archive entry "${entry.name}" is corrupt.`);
+            }
+
+            let crc = 0;
+            const check = new stream.Transform({
+                transform(chunk, encoding, callback) {
+                    try {
+                        if (file.size + chunk.length > entry.size) {
+                            throw badRequest(`Archive entry "${entry.name}" unpacks to more than its header says.`);
+                        }
+                        countStaged(stage, file, chunk.length);
+                    } catch (err) {
+                        return callback(err);
+                    }
+                    crc = crc32(chunk, crc);
+                    callback(null, chunk);
+                }
+            });
+            const source = entry.compressed
+                ? fs.createReadStream(archivePath, { start, end: start + entry.compressed - 1 })
+                : stream.Readable.from([]);
+            try {
+                await stream.promises.pipeline(
+                    source, ...(entry.method === 8 ? [zlib.createInflateRaw()] : []), check, fs.createWriteStream(file.tempPath)
+                );
+            } catch (err) {
+                throw err.code?.startsWith('Z_') ? badRequest(`Archive entry "${entry.name}" is corrupt.`) : err;
+            }
+            if (file.size !== entry.size || crc !== entry.crc) {
+                throw badRequest(`Archive entry "${entry.name}" is corrupt (size or CRC mismatch).`);
+            }
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// Pull exact byte counts out of a stream
+function streamReader(source) {
+    const iterator = source[Symbol.asyncIterator]();
+    let buffer = Buffer.alloc(0);
+    return {
+        // Up to n bytes - fewer only at the end of the stream
+        async read(n) {
+            while (buffer.length < n) {
+                const { value, done } = await iterator.next();
+                if (done) break;
+                buffer = buffer.length ? Buffer.concat([buffer, value]) : value;
+            }
+            const bytes = buffer.subarray(0, n);
+            buffer = buffer.subarray(bytes.length);
+            return bytes;
+        },
+        // Whatever is at hand, at most max bytes - empty only at the end of the stream
+        async readSome(max) {
+            if (!buffer.length) {
+                const { value, done } = await iterator.next();
+                if (done) return Buffer.alloc(0);
+                buffer = value;
+            }
+            const bytes = buffer.subarray(0, max);
+            buffer = buffer.subarray(bytes.length);
+            return bytes;
+        },
+        close() {
+            return iterator.return?.();
+        }
+    };
+}
+
+// { name, size, mtimeMs, type } from a 512-byte ustar, GNU or v7 header. Throws 400 on a bad checksum.
+function parseTarHeader(header) {
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+    const octal = (start, length) => parseInt(field(start, length).trim() || '0', 8);
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 32 : header[i];
+    if (sum !== octal(148, 8)) {
+        throw badRequest('Not a valid tar archive.');
+    }
+    const prefix = header.toString('latin1', 257, 262) === 'ustar' ? field(345, 155) : '';
+    return {
+        name: prefix ? `${prefix}/${field(0, 100)}` : field(0, 100),
+        size: header[124] & 0x80 ? Number(header.readBigUInt64BE(128)) : octal(124, 12), // GNU base-256 past 8GB
+        mtimeMs: octal(136, 12) * 1000,
+        type: String.fromCharCode(header[156])
+    };
+}
+
+// name (the "path" record) and size from PAX extended header records ("<length> <key>=<value>\n")
+function parsePaxHeader(data) {
+    const fields = {};
+    for (let pos = 0; pos < data.length;) {
+        const space = data.indexOf(0x20, pos);
+        const length = parseInt(data.toString('latin1', pos, space), 10);
+        if (space === -1 || !(length > 0)) break;
+        const record = data.toString('utf8', space + 1, pos + length - 1);
+        const equals = record.indexOf('=');
+        if (record.startsWith('path=')) fields.name = record.substring(equals + 1);
+        if (record.startsWith('size=')) fields.size = Number(record.substring(equals + 1));
+        pos += length;
+    }
+    return fields;
+}
+
+async function unpackTar(archivePath, stage, gzipped) {
+    const file = fs.createReadStream(archivePath);
+    const reader = streamReader(gzipped ? stream.pipeline(file, zlib.createGunzip(), () => {}) : file);
+    const truncated = () => badRequest('Archive is truncated.');
+    let overrides = {}; // From a PAX or GNU long-name header, for the entry after it
+
+    try {
+        for (;;) {
+            const header = await reader.read(512);
+            if (!header.length || header.every(byte => byte === 0)) break; // Two empty blocks, or no more data
+            if (header.length < 512) throw truncated();
+
+            const entry = { ...parseTarHeader(header), ...overrides };
+            overrides = {};
+            const padding = tarPadding(entry.size);
+
+            if (entry.type === 'x' || entry.type === 'L') {
+                if (entry.size > 1024 * 1024) throw badRequest('Archive has an oversized extended header.');
+                const data = await reader.read(entry.size + padding);
+                if (data.length < entry.size + padding) throw truncated();
+                overrides = entry.type === 'x'
+                    ? parsePaxHeader(data.subarray(0, entry.size))
+                    : { name: data.toString('utf8', 0, entry.size).replace(/\0[\s\S]*$/, '') };
+                continue;
+            }
+
+            // Regular files are kept and directories made (old tars mark them with a trailing slash only);
+            // links and devices are skipped
+            const isDir = entry.type === '5' || (['0', '\0'].includes(entry.type) && entry.name.endsWith('/'));
+            if (isDir) stageDir(stage, entry.name);
+            const staged = !isDir && ['0', '\0', '7'].includes(entry.type) ? stageFile(stage, entry.name, entry.mtimeMs) : null;
+            const out = staged && await fs.promises.open(staged.tempPath, 'w');
+            try {
+                for (let left = entry.size; left > 0;) {
+                    const bytes = await reader.readSome(left);
+                    if (!bytes.length) throw truncated();
+                    countStaged(stage, staged || { size: 0 }, bytes.length);
+                    if (out) await out.write(bytes);
+                    left -= bytes.length;
+                }
+            } finally {
+                await out?.close();
+            }
+            if ((await reader.read(padding)).length < padding) throw truncated();
+        }
+    } catch (err) {
+        throw err.code?.startsWith('Z_') ? badRequest('Not a valid gzip archive.') : err;
+    } finally {
+        await reader.close();
+        file.destroy();
+    }
+}
+
+// Unpack a zip, tar or tar.gz into the stage, judged by its content
+async function unpackArchive(archivePath, originalName, stage) {
+    const type = await sniffType(archivePath);
+    if (type === 'application/zip') return unpackZip(archivePath, stage);
+    if (type === 'application/gzip') return unpackTar(archivePath, stage, true);
+    if (type === 'application/x-tar' || /\.tar$/i.test(originalName)) return unpackTar(archivePath, stage, false);
+    throw storageError(415, `"${originalName}" is not a zip, tar or tar.gz archive, so it can't be extracted.`);
+}
+
+// Refuse before anything is placed: clashes inside the archive, and with what the folder holds
+function checkStagedPaths(stage) {
+    const { folder } = stage;
+    const filePaths = new Set(stage.files.map(file => file.path));
+    const clash = (subpath) => badRequest(`Archive holds "${subpath}" both as a file and as a folder.`);
+
+    for (const dir of stage.dirs) {
+        if (filePaths.has(dir)) throw clash(dir);
+        checkSubfolderPath(folder, dir);
+    }
+    for (const file of stage.files) {
+        for (let dir = parentSubpath(file.path); dir; dir = parentSubpath(dir)) {
+            if (filePaths.has(dir)) throw clash(dir);
+        }
+        checkSubfolderPath(folder, parentSubpath(file.path));
+        if (hasIndexedDir(folder, file.path)) {
+            throw storageError(409, `"${file.path}" is a folder in /${folder}/.`);
+        }
+        if (UPLOAD_CONFLICT === 'reject' && !folderVersioning(folder).enabled && getIndexedFile(folder, file.path)) {
+            throw storageError(409, `File "${file.path}" already exists in /${folder}/.`);
+        }
+    }
+}
+
+// Unpack an uploaded archive into a folder's subfolder ("" for the top). Every file is checked
+// like an upload of its own. Returns the index entries of the stored files; removing the
+// archive itself is up to the caller.
+async function extractArchive(archivePath, folder, subdir, { originalName, uploadedBy, uploaderIp, owner }) {
+    const stage = {
+        dir: path.join(UPLOAD_DIR, '.temp', `${generateUploadId()}-extract`),
+        folder,
+        subdir,
+        files: [],
+        dirs: new Set(),
+        bytes: 0,
+        room: uploadLimit(folder, true)
+    };
+    fs.mkdirSync(stage.dir, { recursive: true });
+
+    let release;
+    try {
+        await unpackArchive(archivePath, originalName, stage);
+        // A path given twice (tar -r appends) keeps its last copy
+        stage.files = [...new Map(stage.files.map(file => [file.path, file])).values()];
+        checkStagedPaths(stage);
+
+        const mimeTypes = [];
+        for (const file of stage.files) {
+            try {
+                mimeTypes.push(await inspectUpload(file.tempPath, { folder, originalName: file.path, uploadedBy, uploaderIp }));
+            } catch (err) {
+                if (err.status === 415) err.message = `"${file.path}" in the archive: ${err.message}`;
+                throw err;
+            }
+        }
+        release = reserveQuota(folder, stage.files.reduce((total, file) => total + file.size, 0), stage.files.length);
+
+        if (!getIndexedFolder(folder)) {
+            await fileStore.mkdir(folder);
+            indexFolder(folder);
+        }
+        claimFolder(folder, owner);
+        await makeSubfolder(folder, subdir);
+        for (const dir of stage.dirs) await makeSubfolder(folder, dir);
+
+        const entries = [];
+        let deduplicated = 0;
+        for (const [i, file] of stage.files.entries()) {
+            await makeSubfolder(folder, parentSubpath(file.path));
+            if (file.mtimeMs > 0) fs.utimesSync(file.tempPath, new Date(), new Date(file.mtimeMs)); // Kept by the local store
+            const sha256 = await hashFile(file.tempPath);
+            const { name: storedName, deduplicated: linked } = await placeFile(file.tempPath, folder, file.path, sha256);
+            if (linked) deduplicated++;
+            const entry = await indexFile(folder, storedName, {
+                originalName: path.basename(file.path),
+                mimeType: mimeTypes[i],
+                sha256,
+                uploaderIp,
+                uploadedBy
+            });
+            emitEvent('file.uploaded', fileToJson(entry));
+            entries.push(entry);
+        }
+        return { files: entries, deduplicated };
+    } finally {
+        release?.();
+        fs.rmSync(stage.dir, { recursive: true, force: true });
+    }
+}
+
+// Report an extracted archive: { folder, path, files, deduplicated } from extractToUserFolder
+function sendExtracted(req, res, originalName, { folder, path: subdir, files, deduplicated }) {
+    const size = files.reduce((total, file) => total + file.size, 0);
+    const msg = `Success: extracted ${files.length} file(s) from "${originalName}" to /${folder}/${subdir ? `${subdir}/` : ''} (${formatSize(size)})` +
+        `${deduplicated ? `, ${deduplicated} deduplicated` : ''}\n`;
+    const listingUrl = `/uploads/${encodeURIComponent(folder)}${subdir ? `/${encodeSubpath(subdir)}/` : ''}`;
+    const format = responseFormat(req);
+
+    if (format === 'json') {
+        res.status(201).location(BASE_URL + listingUrl).json({ message: msg.trim(), folder, path: subdir, files: files.map(fileToJson), deduplicated });
+    } else if (format === 'text') {
+        res.status(201).type('text/plain').send(msg + files.map(file => `  ${file.name}\n`).join(''));
+    } else {
+        res.render('upload', { success: msg, folderUrl: listingUrl });
+    }
+}
+
+// ============ PREVIEWS ============
+//
+// /preview/bob/report.pdf shows a file in the browser without downloading it: images, PDFs
+// (the browser's own viewer), audio and video players, and text with syntax highlighting.
+// Media is loaded from the download URL with ?inline=1, so range requests and the download
+// rate limits work as for any download. Risky types (see UPLOAD VALIDATION) are never served
+// inline - HTML, SVG and scripts preview as highlighted source instead.
+//
+// /thumbnails/bob/photo.jpg is a small WebP made with sharp, used in folder listings. Thumbnails
+// are cached in uploads/.meta/thumbnails by checksum and size, so a changed file gets a new one
+// and copies of the same image share one.
+
+// Shown as they are; other thumbnail types (TIFF) preview as a large thumbnail
+const BROWSER_IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/bmp']);
+const THUMBNAIL_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff']);
+const THUMBNAIL_SIZES = { small: 256, large: 1280 };
+// Text types without a text/ prefix, and the highlight.js language for types the extension doesn't name
+const TEXT_TYPES = new Map([
+    ['application/json', 'json'], ['application/xml', 'xml'], ['application/xhtml+xml', 'xml'], ['image/svg+xml', 'xml'],
+    ['application/javascript', 'javascript'], ['application/x-sh', 'bash'], ['application/yaml', 'yaml'],
+    ['application/toml', 'ini'], ['application/sql', 'sql'], ['text/html', 'xml'], ['text/xml', 'xml'],
+    ['text/css', 'css'], ['text/markdown', 'markdown'], ['text/javascript', 'javascript']
+]);
+
+// What a preview page can show for a file: image, pdf, audio, video, text or null
+function previewKind(entry) {
+    const type = entry.mimeType || '';
+    const ext = path.extname(entry.name).slice(1).toLowerCase();
+    if (THUMBNAIL_TYPES.has(type)) return 'image';
+    if (!isRiskyType(entry)) {
+        if (type === 'application/pdf') return 'pdf';
+        if (type.startsWith('audio/')) return 'audio';
+        if (type.startsWith('video/')) return 'video';
+    }
+    if (type.startsWith('text/') || TEXT_TYPES.has(type) || (ext && hljs.getLanguage(ext))) return 'text';
+    return null;
+}
+
+// Safe to send with Content-Disposition: inline
+function isInlineType(entry) {
+    const kind = previewKind(entry);
+    return kind === 'pdf' || kind === 'audio' || kind === 'video' || (kind === 'image' && BROWSER_IMAGE_TYPES.has(entry.mimeType));
+}
+
+function hasThumbnail(entry) {
+    return THUMBNAIL_TYPES.has(entry.mimeType);
+}
+
+// Content-Disposition (inline or attachment) for a file; filename* carries names that aren't plain ASCII (RFC 6266)
+function fileDisposition(type, name) {
+    const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// highlight.js language for a text file, from its extension or else its type
+function previewLanguage(entry) {
+    const ext = path.extname(entry.name).slice(1).toLowerCase();
+    if (ext && hljs.getLanguage(ext)) return ext;
+    return TEXT_TYPES.get(entry.mimeType) || 'plaintext';
+}
+
+// The start of a text file, up to PREVIEW_MAX_TEXT_BYTES. Returns null for binary content.
+async function readPreviewText(entry) {
+    const length = Math.min(entry.size, PREVIEW_MAX_TEXT_BYTES);
+    const chunks = [];
+    if (length) {
+        for await (const chunk of await fileStore.read(storedKey(entry), { start: 0, end: length - 1 })) chunks.push(chunk);
+    }
+    const head = Buffer.concat(chunks).subarray(0, length);
+    if (head.subarray(0, 8192).includes(0)) return null;
+
+    const truncated = entry.size > head.length;
+    let text = head.toString('utf8');
+    if (!truncated && previewLanguage(entry) === 'json') {
+        try {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+            // Not valid JSON - show it as it is
+        }
+    }
+    return { text, truncated };
+}
+
+function previewUrl(entry) {
+    return `/preview/${encodeURIComponent(entry.folder)}/${encodeSubpath(entry.name)}`;
+}
+
+function thumbnailUrl(entry, size = 'small') {
+    return `/thumbnails/${encodeURIComponent(entry.folder)}/${encodeSubpath(entry.name)}${size === 'small' ? '' : `?size=${size}`}`;
+}
+
+// Renders in progress by cache path, so requests for the same thumbnail share one
+const thumbnailJobs = new Map();
+
+// Where a file's thumbnail is cached, whether or not it has been made yet
+async function thumbnailPath(entry, size) {
+    return path.join(THUMBNAIL_DIR, `${await getChecksum(entry)}-${size}.webp`);
+}
+
+// Path of the cached thumbnail, made first if needed. Throws with status 422 when the image can't be read.
+async function getThumbnail(entry, size) {
+    const cached = await thumbnailPath(entry, size);
+    if (fs.existsSync(cached)) return cached;
+
+    if (!thumbnailJobs.has(cached)) {
+        const tempPath = `${cached}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+        const job = fileStore.read(storedKey(entry))
+            .then((input) => {
+                const image = sharp()
+                    .rotate() // Follow the EXIF orientation
+                    .resize(THUMBNAIL_SIZES[size], THUMBNAIL_SIZES[size], { fit: 'inside', withoutEnlargement: true })
+                    .webp({ quality: 80 });
+                input.on('error', (err) => image.destroy(err));
+                return input.pipe(image).toFile(tempPath);
+            })
+            .then(() => fs.promises.rename(tempPath, cached))
+            .then(() => cached, (err) => {
+                fs.rmSync(tempPath, { force: true });
+                throw storageError(422, `"${entry.name}" could not be read as an image: ${err.message}`);
+            })
+            .finally(() => thumbnailJobs.delete(cached));
+        thumbnailJobs.set(cached, job);
+    }
+    return thumbnailJobs.get(cached);
+}
+
+// Drop cached thumbnails no indexed file has the checksum of any more
+function purgeOrphanThumbnails() {
+    const checksums = new Set();
+    for (const folder of fileIndex.values()) {
+        for (const entry of folder.files.values()) {
+            if (entry.sha256) checksums.add(entry.sha256);
+        }
+    }
+    for (const name of fs.readdirSync(THUMBNAIL_DIR)) {
+        if (!checksums.has(name.split(/[-.]/)[0])) {
+            fs.rmSync(path.join(THUMBNAIL_DIR, name), { force: true });
+        }
+    }
+}
+
+setInterval(purgeOrphanThumbnails, 24 * 60 * 60 * 1000).unref();
+
+// Preview page for a file. JSON and curl get the details, and for text files the text itself.
+app.get('/preview/:user/*', async (req, res) => {
+    const resolved = resolveUserFile(req.params.user, req.params[0]);
+    if (!resolved) {
+        return sendError(req, res, 403, 'Access denied.');
+    }
+    const entry = getReadableFile(req.user, resolved.user, resolved.name);
+    if (!entry) {
+        return sendError(req, res, 404, `File "${resolved.name}" not found in /${resolved.user}/.`);
+    }
+
+    let kind = previewKind(entry);
+    let content = null;
+    try {
+        if (kind === 'text') {
+            if (!await admitDownload(req, res, Math.min(entry.size, PREVIEW_MAX_TEXT_BYTES))) return;
+            content = await readPreviewText(entry);
+            if (!content) kind = null;
+        }
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            unindexFile(entry.folder, entry.name);
+            return sendError(req, res, 404, `File "${entry.name}" not found in /${entry.folder}/.`);
+        }
+        return sendError(req, res, 500, err.message);
+    }
+
+    const downloadUrl = `/uploads/${encodeURIComponent(entry.folder)}/${encodeSubpath(entry.name)}`;
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json({
+            file: fileToJson(entry),
+            kind,
+            inlineUrl: isInlineType(entry) ? `${BASE_URL}${downloadUrl}?inline=1` : null,
+            language: content ? previewLanguage(entry) : null,
+            text: content ? content.text : null,
+            truncated: content ? content.truncated : false
+        });
+    }
+    if (format === 'text') {
+        let output = `${entry.name} (${formatSize(entry.size)}, ${entry.mimeType})\n`;
+        output += `Download: filerepo download ${entry.folder}/${entry.name}\n`;
+        if (content) {
+            output += '-'.repeat(80) + '\n' + content.text + (content.text.endsWith('\n') ? '' : '\n');
+            if (content.truncated) output += `-- cut off after ${formatSize(PREVIEW_MAX_TEXT_BYTES)} of ${formatSize(entry.size)} --\n`;
+        } else if (!kind) {
+            output += 'No preview for this type of file.\n';
+        }
+        return res.type('text/plain').send(output);
+    }
+
+    const dir = parentSubpath(entry.name);
+    res.render('preview', {
+        user: entry.folder,
+        file: {
+            name: path.basename(entry.name),
+            path: entry.name,
+            size: formatSize(entry.size),
+            mimeType: entry.mimeType,
+            modified: formatDate(entry.mtimeMs),
+            uploadedBy: entry.uploadedBy,
+            sha256: entry.sha256
+        },
+        crumbs: directoryBreadcrumbs(entry.folder, dir),
+        folderUrl: `/uploads/${encodeURIComponent(entry.folder)}${dir ? `/${encodeSubpath(dir)}/` : ''}`,
+        kind,
+        downloadUrl,
+        historyUrl: historyUrl(entry),
+        version: currentVersion(entry),
+        mediaUrl: isInlineType(entry) ? `${downloadUrl}?inline=1` : thumbnailUrl(entry, 'large'),
+        highlighted: content ? hljs.highlight(content.text, { language: previewLanguage(entry), ignoreIllegals: true }).value : null,
+        truncated: content ? content.truncated : false,
+        maxTextSize: formatSize(PREVIEW_MAX_TEXT_BYTES)
+    });
+});
+
+// Thumbnail of an image as WebP, ?size=large for a bigger one
+app.get('/thumbnails/:user/*', async (req, res) => {
+    const resolved = resolveUserFile(req.params.user, req.params[0]);
+    if (!resolved) {
+        return sendError(req, res, 403, 'Access denied.');
+    }
+    const entry = getReadableFile(req.user, resolved.user, resolved.name);
+    if (!entry) {
+        return sendError(req, res, 404, `File "${resolved.name}" not found in /${resolved.user}/.`);
+    }
+    const size = queryValue(req.query.size) || 'small';
+    if (!THUMBNAIL_SIZES[size]) {
+        return sendError(req, res, 400, `size must be one of: ${Object.keys(THUMBNAIL_SIZES).join(', ')}`);
+    }
+    if (!hasThumbnail(entry)) {
+        return sendError(req, res, 404, `"${entry.name}" has no thumbnail; only images do.`);
+    }
+
+    let cached;
+    try {
+        // Making a thumbnail reads the whole image, so it counts like downloading it; a cached one is free
+        const target = await thumbnailPath(entry, size);
+        if (!fs.existsSync(target) && !thumbnailJobs.has(target) && !await countDownloadBytes(req, res, entry.size)) return;
+        cached = await getThumbnail(entry, size);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            unindexFile(entry.folder, entry.name);
+            return sendError(req, res, 404, `File "${entry.name}" not found in /${entry.folder}/.`);
+        }
+        return sendError(req, res, err.status, err.message);
+    }
+    res.removeHeader('Vary');
+    res.set({ 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'public, no-cache' });
+    res.sendFile(cached, (err) => {
+        if (err && !res.headersSent) {
+            sendError(req, res, 500, err.message);
+        }
+    });
+});
+
+// ============ SHARE LINKS ============
+//
+// /s/<id> opens one file, or a whole folder, without an account - even in a
+// private folder. A link can expire, require a password (form in the browser,
+// "X-Share-Password" header for curl) and cap its number of downloads.
+// Shares are kept in uploads/.meta/shares.json; only a bcrypt hash of the password is stored.
+
+const SHARES_FILE = path.join(META_DIR, 'shares.json');
+const shares = loadJson(SHARES_FILE, {});
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "30m", "24h", "7d" -> milliseconds. A bare number is days.
+function parseDuration(value, param) {
+    const match = /^(\d+(?:\.\d+)?)\s*([mhd])?$/i.exec(String(value).trim());
+    if (!match || parseFloat(match[1]) <= 0) {
+        throw badRequest(`${param} must be a duration like 30m, 24h or 7d`);
+    }
+    return parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'd').toLowerCase()];
+}
+
+// Validate share settings from a form or JSON body: expires, password, maxDownloads
+function parseShareOptions({ expires, password, maxDownloads } = {}) {
+    const options = { expiresInMs: null, passwordHash: null, maxDownloads: null };
+    if (expires) {
+        options.expiresInMs = parseDuration(expires, 'expires');
+    }
+    if (password) {
+        options.passwordHash = bcrypt.hashSync(String(password), 10);
+    }
+    if (maxDownloads) {
+        options.maxDownloads = Number(maxDownloads);
+        if (!Number.isSafeInteger(options.maxDownloads) || options.maxDownloads < 1) {
+            throw badRequest('maxDownloads must be a positive integer');
+        }
+    }
+    return options;
+}
+
+// Uploads ask for a share link with -F share=1, optionally with
+// shareExpires, sharePassword and shareMaxDownloads. Returns null when none was asked for.
+function uploadShareOptions(body = {}) {
+    const { share, shareExpires, sharePassword, shareMaxDownloads } = body;
+    const wanted = ['1', 'true', 'yes', 'on'].includes(String(share).toLowerCase());
+    if (!wanted && !shareExpires && !sharePassword && !shareMaxDownloads) return null;
+    return parseShareOptions({ expires: shareExpires, password: sharePassword, maxDownloads: shareMaxDownloads });
+}
+
+// Share a file (name) or a whole folder (name null)
+function createShare(folder, name, createdBy, { expiresInMs, passwordHash, maxDownloads }) {
+    const id = crypto.randomBytes(12).toString('base64url');
+    shares[id] = {
+        id,
+        folder,
+        name,
+        createdBy,
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresInMs ? new Date(Date.now() + expiresInMs).toISOString() : null,
+        passwordHash,
+        maxDownloads,
+        downloads: 0
+    };
+    saveJson(SHARES_FILE, shares);
+    return shares[id];
+}
+
+function revokeShare(id) {
+    delete shares[id];
+    saveJson(SHARES_FILE, shares);
+}
+
+// Drop the shares of a deleted file or subfolder, or of everything in a deleted folder
+function forgetShares(folder, name) {
+    let changed = false;
+    for (const share of Object.values(shares)) {
+        if (share.folder === folder && (name === undefined || share.name === name || share.name?.startsWith(`${name}/`))) {
+            delete shares[share.id];
+            changed = true;
+        }
+    }
+    if (changed) saveJson(SHARES_FILE, shares);
+}
+
+// Point share links at a moved file, or at the files of a moved subfolder
+function moveShares(folder, from, to) {
+    let changed = false;
+    for (const share of Object.values(shares)) {
+        if (share.folder === folder && share.name && (share.name === from || share.name.startsWith(`${from}/`))) {
+            share.name = to + share.name.substring(from.length);
+            changed = true;
+        }
+    }
+    if (changed) saveJson(SHARES_FILE, shares);
+}
+
+function shareUrl(share) {
+    return `${BASE_URL}/s/${share.id}`;
+}
+
+function shareStatus(share) {
+    if (share.expiresAt && new Date(share.expiresAt) < new Date()) return 'expired';
+    if (share.maxDownloads && share.downloads >= share.maxDownloads) return 'used up';
+    return 'active';
+}
+
+function shareToJson(share) {
+    return {
+        id: share.id,
+        url: shareUrl(share),
+        folder: share.folder,
+        file: share.name,
+        createdBy: share.createdBy,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        passwordProtected: !!share.passwordHash,
+        maxDownloads: share.maxDownloads,
+        downloads: share.downloads,
+        status: shareStatus(share)
+    };
+}
+
+// One line for curl output: the URL and its limits
+function shareSummary(share) {
+    const limits = [
+        share.expiresAt && `expires ${formatDate(share.expiresAt)} UTC`,
+        share.maxDownloads && `${share.maxDownloads} download(s)`,
+        share.passwordHash && 'password protected'
+    ].filter(Boolean);
+    return `Share: ${shareUrl(share)}${limits.length ? ` (${limits.join(', ')})` : ''}\n`;
+}
+
+// Share passwords are guessed at like login passwords, so wrong ones count the same way, per
+// share and IP (see RATE LIMITING). A right X-Share-Password header is remembered for the share
+// and client for SHARE_UNLOCK_TTL, so the range requests of a download aren't each run through bcrypt.
+const SHARE_UNLOCK_TTL = 10 * 60 * 1000;
+const shareUnlocks = new Map(); // "<share id> <rate key>" -> { digest, expiresAt }
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, unlock] of shareUnlocks) {
+        if (unlock.expiresAt <= now) shareUnlocks.delete(key);
+    }
+}, 60 * 1000).unref();
+
+function shareLockKeys(req, share) {
+    return [`share:${share.id}:ip:${clientIp(req)}`];
+}
+
+// Check a share's password. Resolves to { unlocked } or, once too many were wrong, { lockout }.
+async function checkSharePassword(req, share, password) {
+    const keys = shareLockKeys(req, share);
+    const lockout = await loginLimiter.lockoutFor(keys);
+    if (lockout) return { lockout };
+    if (await bcrypt.compare(String(password), share.passwordHash)) {
+        await loginLimiter.clearFailures(keys);
+        return { unlocked: true };
+    }
+    return { lockout: await loginLimiter.recordFailure(keys) };
+}
+
+function sendShareBlocked(req, res, lockout) {
+    auditFields(req, { detail: 'locked out' });
+    sendRateLimited(req, res, 'login', lockout.key, lockout.resetAt, 'Too many wrong share passwords.');
+}
+
+// Whether this request may open a password-protected share: unlocked in the session, or a right
+// X-Share-Password header. Resolves to { unlocked } or { lockout }.
+async function shareUnlocked(req, share) {
+    if (req.session?.unlockedShares?.includes(share.id)) return { unlocked: true };
+    const password = req.headers['x-share-password'];
+    if (!password) return { unlocked: false };
+
+    const cacheKey = `${share.id} ${rateKey(req)}`;
+    const digest = crypto.createHash('sha256').update(`${share.passwordHash}\n${password}`).digest();
+    const cached = shareUnlocks.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now() && crypto.timingSafeEqual(cached.digest, digest)) {
+        return { unlocked: true };
+    }
+    const result = await checkSharePassword(req, share, password);
+    if (result.unlocked) shareUnlocks.set(cacheKey, { digest, expiresAt: Date.now() + SHARE_UNLOCK_TTL });
+    return result;
+}
+
+// The share behind /s/:id, if this request may use it. Otherwise sends the
+// error (or the password form) and resolves to null.
+async function openShare(req, res) {
+    const share = shares[req.params.id];
+    if (!share || !getIndexedFolder(share.folder) || (share.name && !getIndexedFile(share.folder, share.name))) {
+        sendError(req, res, 404, 'Share link not found.');
+        return null;
+    }
+
+    if (share.passwordHash) {
+        const { unlocked, lockout } = await shareUnlocked(req, share);
+        if (lockout) {
+            sendShareBlocked(req, res, lockout);
+            return null;
+        }
+        if (!unlocked) {
+            if (responseFormat(req) === 'html') {
+                res.status(401).render('share-password', { share, error: null });
+            } else {
+                sendError(req, res, 401, 'This share link is password protected. Pass -H "X-Share-Password: <password>".');
+            }
+            return null;
+        }
+    }
+
+    // Checked after the password, as the share may have been used up while it was being checked
+    const status = shareStatus(share);
+    if (status !== 'active') {
+        sendError(req, res, 410, status === 'expired'
+            ? 'This share link has expired.'
+            : 'This share link has reached its download limit.');
+        return null;
+    }
+    if (shares[share.id] !== share) { // Revoked meanwhile
+        sendError(req, res, 404, 'Share link not found.');
+        return null;
+    }
+    return share;
+}
+
+// Every GET of a shared file takes up one download as soon as it is admitted - checked and
+// counted in one step, so requests sent side by side can't all pass the limit. Ranges count
+// too, and a redirect to storage counts whatever its Range header. The download is given back
+// only when nothing of the file went out: an error, a 304, or a transfer that broke off before
+// its first byte. HEAD doesn't count.
+function sendSharedFile(req, res, share, entry) {
+    auditRequest(req, res, 'download', { detail: `share ${share.id}` });
+    if (req.method === 'GET') {
+        const status = shareStatus(share);
+        if (status !== 'active') {
+            return sendError(req, res, 410, status === 'expired'
+                ? 'This share link has expired.'
+                : 'This share link has reached its download limit.');
+        }
+        share.downloads++;
+        saveJson(SHARES_FILE, shares);
+        res.on('close', () => {
+            const sent = res.headersSent && res.statusCode < 400 && res.statusCode !== 304;
+            if (sent || shares[share.id] !== share) return;
+            share.downloads--;
+            saveJson(SHARES_FILE, shares);
+        });
+    }
+    sendDownload(req, res, entry);
+}
+
+// Open a share: download the file, or list the shared folder
+app.get('/s/:id', async (req, res) => {
+    let share;
+    try {
+        share = await openShare(req, res);
+    } catch (err) {
+        return sendError(req, res, 500, err.message);
+    }
+    if (!share) return;
+
+    if (share.name) {
+        return sendSharedFile(req, res, share, getIndexedFile(share.folder, share.name));
+    }
+
+    try {
+        const params = parseListingQuery(req.query);
+        const listing = listingView(req, params, applyListingQuery(listFolderFiles(share.folder), params, FILE_FIELDS));
+        const url = shareUrl(share);
+        const format = responseFormat(req);
+
+        if (format === 'json') {
+            return res.json({
+                share: shareToJson(share),
+                files: listing.items.map(file => ({ ...fileToJson(file), downloadUrl: `${url}/${encodeSubpath(file.name)}` })),
+                ...listingToJson(listing)
+            });
+        }
+
+        const files = listing.items.map(file => ({
+            name: file.name,
+            size: formatSize(file.size),
+            modified: formatDate(file.mtimeMs)
+        }));
+
+        if (format === 'text') {
+            let output = `Shared folder: ${share.folder}\n`;
+            output += '='.repeat(80) + '\n';
+            output += 'Filename'.padEnd(45) + 'Size'.padEnd(15) + 'Modified\n';
+            output += '-'.repeat(80) + '\n';
+            for (const file of files) {
+                output += file.name.substring(0, 44).padEnd(45) + file.size.padEnd(15) + file.modified + '\n';
+            }
+            output += '-'.repeat(80) + '\n';
+            output += listingTextFooter(listing, 'file');
+            output += `\nDownload: curl -O ${url}/<filename>\n`;
+            res.type('text/plain').send(output);
+        } else {
+            res.render('share', { share, files, listing, formatDate });
+        }
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
+
+// Download one file from a shared folder
+app.get('/s/:id/*', auditAs('download'), async (req, res) => {
+    let share;
+    try {
+        share = await openShare(req, res);
+    } catch (err) {
+        return sendError(req, res, 500, err.message);
+    }
+    if (!share) return;
+
+    const entry = share.name ? null : getIndexedFile(share.folder, req.params[0]);
+    if (!entry) {
+        return sendError(req, res, 404, `File "${req.params[0]}" not found in this share.`);
+    }
+    sendSharedFile(req, res, share, entry);
+});
+
+// Password form (browser). The share stays unlocked for the rest of the session.
+app.post('/s/:id', auditAs('share-unlock'), async (req, res) => {
+    const share = shares[req.params.id];
+    if (!share) {
+        return sendError(req, res, 404, 'Share link not found.');
+    }
+    if (share.passwordHash) {
+        let result;
+        try {
+            result = await checkSharePassword(req, share, req.body.password ?? '');
+        } catch (err) {
+            return sendError(req, res, 500, err.message);
+        }
+        if (result.lockout) {
+            return sendShareBlocked(req, res, result.lockout);
+        }
+        if (!result.unlocked) {
+            return res.status(401).render('share-password', { share, error: 'Wrong password' });
+        }
+    }
+    req.session.unlockedShares = [...(req.session.unlockedShares || []), share.id];
+    res.redirect(`/s/${share.id}`);
+});
+
+// ============ FOLDER VISIBILITY ============
+
+// "true"/"1"/"on" and "false"/"0"/"off" from forms, booleans from JSON
+function parseFlag(value, param) {
+    const flag = String(value).toLowerCase();
+    if (['true', '1', 'on', 'yes'].includes(flag)) return true;
+    if (['false', '0', 'off', 'no'].includes(flag)) return false;
+    throw badRequest(`${param} must be true or false`);
+}
+
+// Check a folder exists and this request may manage it. Sends an error and returns false otherwise.
+function checkManagedFolder(req, res, folder) {
+    if (!folder || !getIndexedFolder(folder)) {
+        sendError(req, res, 404, `Folder "${folder}" not found.`);
+        return false;
+    }
+    if (!canManageFolder(req.user, folder)) {
+        sendForbidden(req, res, `You do not own folder "${folder}".`);
+        return false;
+    }
+    return true;
+}
+
+// Toggle privacy (web form or curl -d) - folder owners and admins
+app.post('/admin/folders/private', auditAs('folder-visibility'), requireRole('uploader', 'upload'), (req, res) => {
+    if (!isSingleValue(req.body.folderName)) {
+        return sendError(req, res, 400, 'folderName must be one folder name.');
+    }
+    const folder = sanitizeName(req.body.folderName || '');
+    auditFields(req, { target: `/${folder}/`, detail: `private ${req.body.private}` });
+    if (!checkManagedFolder(req, res, folder)) return;
+
+    try {
+        setFolderPrivate(folder, parseFlag(req.body.private, 'private'));
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
+    }
+
+    const message = `Folder "${folder}" is now ${isPrivateFolder(folder) ? 'private' : 'public'}.`;
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json({ folder, private: isPrivateFolder(folder), message });
+    }
+    if (format === 'text') {
+        return res.type('text/plain').send(`Success: ${message}\n`);
+    }
+    if (req.body.returnTo === 'users') {
+        return res.redirect('/admin/users');
+    }
+    res.redirect(folder === 'admin' ? '/admin' : `/uploads/${folder}`);
+});
+
+const CLIENT_FILE = path.join(__dirname, 'bin', 'filerepo');
+
+// The command-line client, one file that needs only Node.js. This copy defaults to this server.
+app.get('/filerepo', (req, res) => {
+    fs.readFile(CLIENT_FILE, 'utf8', (err, source) => {
+        if (err) {
+            return sendError(req, res, 500, err.message);
+        }
+        res.attachment('filerepo')
+            .type('application/javascript')
+            .send(source.replace(/^const DEFAULT_URL = .*$/m, `const DEFAULT_URL = ${JSON.stringify(BASE_URL)};`));
+    });
+});
+
+// Help
+app.get('/help', (req, res) => {
+    res.type('text/plain').send(`
+File Repository - filerepo and curl Commands
+=============================================
+
+CLIENT - filerepo works with this server out of the box (needs Node.js 18 or later):
+  curl -o filerepo ${BASE_URL}/filerepo && chmod +x filerepo
+  filerepo login            # asks for your password (and two-factor code), keeps an API token in ~/.config/filerepo/config.json
+  filerepo help
+Settings: --url / --token, FILEREPO_URL / FILEREPO_TOKEN / FILEREPO_FOLDER, or filerepo config <key> <value>
+
+LIST folders, a folder or a subfolder:
+  filerepo ls
+  filerepo ls <username>/builds --filter "*.zip"
+
+UPLOAD files - globs and progress bars; large files (up to ${formatSize(CHUNKED_MAX_SIZE)}) go up in resumable
+parts, and every upload is checked against its sha256:
+  filerepo upload yourfile.txt "dist/*.zip" --to <username>
+  filerepo upload "site/**/*.html" --to <username>/builds/v2       # into a subfolder, created if missing
+
+DOWNLOAD files - an interrupted download resumes when run again; the sha256 is checked:
+  filerepo download <username>/<filename> -o <file or dir>
+  filerepo mirror <username>/builds ./builds [--delete]            # only fetches what changed
+
+DELETE files and subfolders (to the trash; delete scope):
+  filerepo rm <username>/<filename>
+  filerepo rm -r <username>/builds/v2
+
+Everything else is plain curl. Listings print as text, or JSON with -H "Accept: application/json":
+  curl ${BASE_URL}/files
+  curl -I ${BASE_URL}/uploads/<username>/<filename>   # X-Checksum-Sha256, ETag
+
+SEARCH / SORT / PAGE (works on /, /uploads/<username>, /files and /api/v1 listings):
+  curl "${BASE_URL}/files?q=*.pdf&sort=size&order=desc"
+  curl "${BASE_URL}/uploads/<username>?ext=zip,tar&minSize=10MB&since=2024-01-01&page=2&perPage=20"
+  q (substring, or glob with * ?), sort=name|size|date, order=asc|desc, ext,
+  minSize/maxSize (500KB, 2GB), since/until (YYYY-MM-DD), page, perPage (max ${LISTING_MAX_PER_PAGE})
+
+UPLOAD several files in one request with curl - each is checked on its own, and the answer says
+what happened to every one (207 when only some were stored; at most ${UPLOAD_MAX_FILES} files of up to
+${formatSize(MULTIPART_MAX_SIZE)} each - filerepo upload has no such limit):
+  curl -F "file=@a.txt" -F "file=@b.txt" -F "username=<username>" ${BASE_URL}/upload
+
+SHARE a file on upload (optional: shareExpires=30m|24h|7d, shareMaxDownloads=N, sharePassword=...):
+  curl -F "file=@yourfile.txt" -F "share=1" -F "shareExpires=7d" ${BASE_URL}/upload
+  curl -OJ ${BASE_URL}/s/<id>
+  curl -OJ -H "X-Share-Password: <password>" ${BASE_URL}/s/<id>
+
+DOWNLOAD / DELETE by name only (fails if several folders have that name):
+  curl -O ${BASE_URL}/download/<filename>
+  curl -H "Authorization: Bearer $TOKEN" -X DELETE ${BASE_URL}/delete/<filename>
+
+AUTHENTICATED commands - API tokens come from filerepo login or an admin at ${BASE_URL}/admin/tokens
+Scopes: read (GET requests), upload, delete, admin (all of them)
+
+UPLOAD to admin folder (upload scope, admin account):
+  curl -H "Authorization: Bearer $TOKEN" -F "file=@yourfile.txt" ${BASE_URL}/admin/upload
+
+DELETE folder (delete scope):
+  curl -H "Authorization: Bearer $TOKEN" -d "folderName=<username>" ${BASE_URL}/admin/delete-folder
+
+MAKE folder private / public (upload scope, folder owner):
+  curl -H "Authorization: Bearer $TOKEN" -d "folderName=<username>" -d "private=true" ${BASE_URL}/admin/folders/private
+
+SUBFOLDERS - paths may nest, e.g. builds/v2/app.zip (upload scope; move needs delete scope):
+  curl -H "Authorization: Bearer $TOKEN" -d "user=<username>" -d "path=builds/v2" ${BASE_URL}/mkdir
+  curl -H "Authorization: Bearer $TOKEN" -d "user=<username>" -d "from=app.zip" -d "to=builds/v2" ${BASE_URL}/move
+
+ARCHIVES - download a folder, subfolder or selection as one .zip or .tar.gz:
+  curl -o <username>.zip ${BASE_URL}/uploads/<username>.zip
+  curl -o builds.tar.gz "${BASE_URL}/uploads/<username>.tar.gz?path=builds"
+  curl -o files.zip -d "files=<username>/<filename>" -d "files=<username>/<subfolder>" -d "format=zip" ${BASE_URL}/archive
+Unpack an uploaded .zip, .tar or .tar.gz into the folder (each file is checked like an upload):
+  curl -H "Authorization: Bearer $TOKEN" -F "file=@site.zip" -F "extract=1" -F "path=site" ${BASE_URL}/upload
+
+PREVIEWS - see a file without downloading it (text files print their first ${formatSize(PREVIEW_MAX_TEXT_BYTES)}):
+  curl ${BASE_URL}/preview/<username>/<filename>
+  curl -o thumb.webp ${BASE_URL}/thumbnails/<username>/<image>
+Open images, PDFs, audio and video in the browser instead of saving them: ${BASE_URL}/uploads/<username>/<filename>?inline=1
+
+VERSIONS - in folders that keep them, replacing a file keeps the previous copy:
+  curl ${BASE_URL}/history/<username>/<filename>
+  curl -OJ "${BASE_URL}/uploads/<username>/<filename>?version=<n>"
+  curl -H "Authorization: Bearer $TOKEN" -d "version=<n>" ${BASE_URL}/history/<username>/<filename>
+
+SHARE a file or folder you own (upload scope):
+  curl -H "Authorization: Bearer $TOKEN" -d "folder=<username>" -d "file=<filename>" -d "expires=24h" ${BASE_URL}/api/v1/shares
+  curl -H "Authorization: Bearer $TOKEN" -X DELETE ${BASE_URL}/api/v1/shares/<id>
+
+JSON output - any listing returns JSON when asked for it:
+  curl -H "Accept: application/json" ${BASE_URL}/uploads/<username>
+
+JSON API (v1) - spec at ${BASE_URL}/api/v1/openapi.json; filerepo uses it:
+  curl ${BASE_URL}/api/v1/folders
+  curl ${BASE_URL}/api/v1/folders/<username>/files
+  curl ${BASE_URL}/api/v1/folders/<username>/files/<filename>
+  curl -H "Authorization: Bearer $TOKEN" -F "file=@yourfile.txt" ${BASE_URL}/api/v1/folders/<username>/files
+  curl -H "Authorization: Bearer $TOKEN" -X DELETE ${BASE_URL}/api/v1/folders/<username>/files/<filename>
+
+CONFIGURATION in force, where each setting came from, secrets redacted (admin account, admin scope):
+  curl -H "Authorization: Bearer $TOKEN" ${BASE_URL}/admin/config
+
+RATE LIMITS - blocked requests get 429 with a Retry-After header (admin account, admin scope):
+  curl -H "Authorization: Bearer $TOKEN" ${BASE_URL}/admin/rate-limits
+  curl -H "Authorization: Bearer $TOKEN" -d "key=ip:<address>" ${BASE_URL}/admin/rate-limits/unlock
+
+STORAGE USAGE and quotas (admin account, admin scope; blank = default, 0 = no limit):
+  curl -H "Authorization: Bearer $TOKEN" ${BASE_URL}/admin/usage
+  curl -H "Authorization: Bearer $TOKEN" -d "folderName=<username>" -d "maxBytes=5GB" -d "maxFiles=1000" ${BASE_URL}/admin/usage/quota
+  curl -H "Authorization: Bearer $TOKEN" -d "folderName=<username>" -d "enabled=true" -d "maxVersions=10" ${BASE_URL}/admin/usage/versioning
+
+AUDIT LOG - who uploaded, downloaded, deleted or changed what (admin account, admin scope):
+  curl -H "Authorization: Bearer $TOKEN" "${BASE_URL}/admin/audit?action=delete&since=2024-01-01"
+  curl -H "Authorization: Bearer $TOKEN" -o audit.csv "${BASE_URL}/admin/audit.csv?user=<username>"
+  curl -H "Authorization: Bearer $TOKEN" -o audit.jsonl ${BASE_URL}/admin/audit.jsonl
+
+EVENTS - follow uploads, deletes and moves as they happen (Server-Sent Events):
+  curl -N ${BASE_URL}/events
+  curl -N "${BASE_URL}/events?folder=<username>&types=file.uploaded,file.deleted"
+
+WEBHOOKS - POST signed events to your URL (admin account, admin scope):
+  curl -H "Authorization: Bearer $TOKEN" ${BASE_URL}/admin/webhooks                   # webhooks and deliveries
+  curl -H "Authorization: Bearer $TOKEN" -d "url=https://ci.example.com/hooks" -d "events=file.uploaded" ${BASE_URL}/admin/webhooks
+  curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/webhooks/<id>/ping
+
+TRASH - deletes move files and folders to the trash (admin account, admin scope):
+  curl -H "Authorization: Bearer $TOKEN" ${BASE_URL}/admin/trash                      # trash list
+  curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/trash/<id>/restore
+  curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/trash/<id>/purge
+  curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/trash/empty
+
+UPLOAD TYPES - files are checked by content, not just name; refused uploads get 415
+(422 if the virus scanner finds something). Per-folder lists (admin account, admin scope):
+  curl -H "Authorization: Bearer $TOKEN" -d "folderName=<username>" -d "allow=.pdf,image/*" -d "block=.zip" ${BASE_URL}/admin/folders/policy
+  curl -H "Authorization: Bearer $TOKEN" ${BASE_URL}/admin/quarantine
+  curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/quarantine/<id>/delete
+
+HELP:
+  curl ${BASE_URL}/help
+
+`);
+});
+
+// ============ ADMIN ROUTES ============
+
+// Multer storage for admin uploads - same temp stage as user uploads
+const adminUpload = multer({
+    storage: storage,
+    limits: { fileSize: MULTIPART_MAX_SIZE }
+});
+
+// Check a username and password, counting failures towards the login lockout and the
+// account's password delay. Returns { account } when they match, otherwise { lockout } with the
+// lockout or delay in force, if any. Either is refused before any time is spent on bcrypt. With
+// two-factor on, failures are only cleared once the code is right too, so guesses at it stay counted.
+async function checkPassword(req, username, password) {
+    const lockout = await loginLockout(req, username) || await loginLimiter.passwordDelay(accountKey(username));
+    if (lockout) return { lockout };
+
+    const account = users[username];
+    if (account && !account.disabled && await bcrypt.compare(String(password || ''), account.passwordHash)) {
+        if (!account.twoFactor) await clearLoginFailures(req, username);
+        return { account };
+    }
+    const delay = await loginLimiter.recordPasswordFailure(accountKey(username));
+    return { lockout: await recordLoginFailure(req, username) || delay };
+}
+
+// Check the second factor after checkPassword, the same way. Returns { method } when it is right.
+async function checkSecondFactor(req, account, code) {
+    const lockout = await loginLockout(req, account.username, true);
+    if (lockout) return { lockout };
+
+    const method = useSecondFactor(account, code);
+    if (method) {
+        await clearLoginFailures(req, account.username);
+        return { method };
+    }
+    return { lockout: await recordLoginFailure(req, account.username, true) };
+}
+
+// Start a new session for a login, so an ID planted in the browser beforehand is worthless after it
+function regenerateSession(req) {
+    return new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
+}
+
+// Finish logging an account in: a fresh session that carries it
+async function startSession(req, res, account) {
+    await regenerateSession(req);
+    req.session.username = account.username;
+    account.lastLoginAt = new Date().toISOString();
+    saveJson(USERS_FILE, users);
+    res.redirect(hasRole(account, 'admin') ? '/admin' : '/');
+}
+
+// Answer a locked-out IP or username with 429 and the time left
+function sendLoginBlocked(req, res, lockout, username, view) {
+    const retryAfter = Math.max(1, Math.ceil((lockout.resetAt - Date.now()) / 1000));
+    const reason = 'Too many failed logins.';
+    auditFields(req, { detail: 'locked out' });
+    recordBlocked(req, 'login', lockout.key, retryAfter, reason, username);
+    res.set('Retry-After', String(retryAfter))
+        .status(429)
+        .render(view, { error: `${reason} Try again in ${formatWait(retryAfter)}.` });
+}
+
+// Login page (GET) - all accounts
+app.get(['/login', '/admin/login'], (req, res) => {
+    if (req.user) {
+        return res.redirect(hasRole(req.user, 'admin') ? '/admin' : '/');
+    }
+    res.render('login', { error: null });
+});
+
+// Login handler (POST). Accounts with two-factor on go on to /login/2fa for their code.
+app.post(['/login', '/admin/login'], auditAs('login'), async (req, res) => {
+    const { username, password } = req.body;
+    auditFields(req, { target: String(username ?? '') });
+
+    try {
+        const { account, lockout } = await checkPassword(req, username, password);
+        if (account?.twoFactor) {
+            auditFields(req, { user: account.username, detail: 'password accepted, waiting for the two-factor code' });
+            await regenerateSession(req);
+            req.session.pendingLogin = { username: account.username, expiresAt: Date.now() + TWO_FACTOR_LOGIN_WINDOW };
+            return res.redirect('/login/2fa');
+        }
+        if (account) {
+            auditFields(req, { user: account.username });
+            return await startSession(req, res, account);
+        }
+
+        auditFields(req, { outcome: 'failure', detail: 'wrong username or password' });
+        if (lockout) return sendLoginBlocked(req, res, lockout, username, 'login');
+        res.render('login', { error: 'Invalid username or password' });
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// The account a password was just accepted for, while its two-factor code is still awaited
+function pendingLoginAccount(req) {
+    const pending = req.session.pendingLogin;
+    const account = pending && pending.expiresAt > Date.now() ? users[pending.username] : null;
+    return account && !account.disabled && account.twoFactor ? account : null;
+}
+
+// Second step of a two-factor login
+app.get('/login/2fa', (req, res) => {
+    if (!pendingLoginAccount(req)) {
+        return res.redirect('/login');
+    }
+    res.render('login-2fa', { error: null });
+});
+
+app.post('/login/2fa', auditAs('login'), async (req, res) => {
+    const account = pendingLoginAccount(req);
+    if (!account) {
+        delete req.session.pendingLogin;
+        auditFields(req, { outcome: 'failure', detail: 'two-factor step expired' });
+        return res.status(401).render('login', { error: 'The login took too long. Enter your password again.' });
+    }
+    auditFields(req, { target: account.username, user: account.username });
+
+    try {
+        const { method, lockout } = await checkSecondFactor(req, account, req.body.code);
+        if (method) {
+            const left = method === 'recovery code' ? `; ${account.twoFactor.recoveryCodes.length} recovery code(s) left` : '';
+            auditFields(req, { detail: `two-factor: ${method}${left}` });
+            return await startSession(req, res, account);
+        }
+
+        auditFields(req, { outcome: 'failure', detail: 'wrong two-factor code' });
+        if (lockout) {
+            delete req.session.pendingLogin;
+            return sendLoginBlocked(req, res, lockout, account.username, 'login');
+        }
+        res.status(401).render('login-2fa', { error: 'That code is not right. Codes change every 30 seconds, and each works once.' });
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Logout - a POST from the logout button, so another site can't log you out with a link or image
+app.post(['/logout', '/admin/logout'], auditAs('logout'), (req, res) => {
+    req.session.destroy(() => {
+        res.redirect('/');
+    });
+});
+
+// ============ USER MANAGEMENT (admin) ============
+
+function renderUsersPage(res, { success = null, error = null, status = 200 } = {}) {
+    const accounts = Object.values(users).sort((a, b) => a.username.localeCompare(b.username));
+    const folderList = listFolders()
+        .filter(folder => folder.name !== 'admin')
+        .map(folder => ({
+            name: folder.name, owner: folder.owner, private: folder.private, uploadPolicy: folderUploadPolicy(folder.name)
+        }));
+    res.status(status).render('admin-users', {
+        accounts, folders: folderList, roles: ROLES, uploadPolicy: globalUploadPolicy, success, error, formatDate
+    });
+}
+
+function generatePassword() {
+    return crypto.randomBytes(9).toString('base64').replace(/[+/]/g, 'x');
+}
+
+// User list
+app.get('/admin/users', requireRole('admin', 'admin'), (req, res) => {
+    renderUsersPage(res);
+});
+
+// Create user
+app.post('/admin/users', auditAs('user-create'), requireRole('admin', 'admin'), (req, res) => {
+    const { username, password, role } = req.body;
+    auditFields(req, { target: String(username ?? ''), detail: `role ${role}` });
+
+    if (!isValidUsername(username)) {
+        return renderUsersPage(res, { status: 400, error: 'Username may only contain letters, digits, ".", "_" and "-" (max 50)' });
+    }
+    if (users[username]) {
+        return renderUsersPage(res, { status: 409, error: `User "${username}" already exists` });
+    }
+    if (!ROLES.includes(role)) {
+        return renderUsersPage(res, { status: 400, error: 'Unknown role' });
+    }
+
+    const initialPassword = password || generatePassword();
+    users[username] = {
+        username,
+        passwordHash: bcrypt.hashSync(initialPassword, 10),
+        role,
+        disabled: false,
+        createdAt: new Date().toISOString()
+    };
+    saveJson(USERS_FILE, users);
+
+    renderUsersPage(res, {
+        success: password
+            ? `Created ${role} "${username}".`
+            : `Created ${role} "${username}" with password: ${initialPassword}`
+    });
+});
+
+// Change role
+app.post('/admin/users/:username/role', auditAs('user-role'), requireRole('admin', 'admin'), (req, res) => {
+    const account = users[req.params.username];
+    const role = req.body.role;
+    auditFields(req, { target: req.params.username, detail: `role ${role}` });
+
+    if (!account) {
+        return renderUsersPage(res, { status: 404, error: 'User not found' });
+    }
+    if (!ROLES.includes(role)) {
+        return renderUsersPage(res, { status: 400, error: 'Unknown role' });
+    }
+    if (account.role === 'admin' && role !== 'admin' && !account.disabled && activeAdminCount() === 1) {
+        return renderUsersPage(res, { status: 409, error: 'Cannot demote the last admin' });
+    }
+
+    account.role = role;
+    saveJson(USERS_FILE, users);
+    renderUsersPage(res, { success: `"${account.username}" is now ${role}.` });
+});
+
+// Disable / enable
+app.post('/admin/users/:username/disable', auditAs('user-disable'), requireRole('admin', 'admin'), (req, res) => {
+    const account = users[req.params.username];
+    auditFields(req, { target: req.params.username });
+
+    if (!account) {
+        return renderUsersPage(res, { status: 404, error: 'User not found' });
+    }
+    if (account.role === 'admin' && !account.disabled && activeAdminCount() === 1) {
+        return renderUsersPage(res, { status: 409, error: 'Cannot disable the last admin' });
+    }
+
+    account.disabled = !account.disabled;
+    saveJson(USERS_FILE, users);
+    renderUsersPage(res, { success: `"${account.username}" ${account.disabled ? 'disabled' : 'enabled'}.` });
+});
+
+// Reset password - shows a new random password once, and logs the account out everywhere else
+app.post('/admin/users/:username/reset', auditAs('user-reset'), requireRole('admin', 'admin'), async (req, res) => {
+    const account = users[req.params.username];
+    auditFields(req, { target: req.params.username });
+
+    if (!account) {
+        return renderUsersPage(res, { status: 404, error: 'User not found' });
+    }
+
+    try {
+        const newPassword = generatePassword();
+        account.passwordHash = bcrypt.hashSync(newPassword, 10);
+        saveJson(USERS_FILE, users);
+        await sessionStore.destroyUser(account.username, req.sessionID);
+        renderUsersPage(res, { success: `New password for "${account.username}": ${newPassword}` });
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Turn off another account's two-factor (a lost phone and lost recovery codes) and log it out
+// everywhere; it can enroll again on /admin/2fa
+app.post('/admin/users/:username/2fa/reset', auditAs('two-factor'), requireRole('admin', 'admin'), requireSessionLogin, async (req, res) => {
+    const account = users[req.params.username];
+    auditFields(req, { target: req.params.username, detail: 'reset by an admin' });
+
+    if (!account) {
+        return renderUsersPage(res, { status: 404, error: 'User not found' });
+    }
+    if (!account.twoFactor) {
+        return renderUsersPage(res, { status: 409, error: `"${account.username}" has no two-factor authentication to reset` });
+    }
+
+    try {
+        delete account.twoFactor;
+        saveJson(USERS_FILE, users);
+        await sessionStore.destroyUser(account.username, req.sessionID);
+        renderUsersPage(res, { success: `Two-factor authentication is off for "${account.username}".` });
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Assign folder owner
+app.post('/admin/folders/owner', auditAs('folder-owner'), requireRole('admin', 'admin'), (req, res) => {
+    if (!isSingleValue(req.body.folderName) || !isSingleValue(req.body.owner)) {
+        return sendError(req, res, 400, 'folderName and owner must be one name each.');
+    }
+    const { folderName, owner } = req.body;
+    auditFields(req, { target: `/${folderName || ''}/`, detail: `owner ${owner || 'none'}` });
+
+    if (!folderName || !getIndexedFolder(sanitizeName(folderName))) {
+        return renderUsersPage(res, { status: 404, error: 'Folder not found' });
+    }
+    if (owner && !users[owner]) {
+        return renderUsersPage(res, { status: 404, error: 'User not found' });
+    }
+
+    const folder = sanitizeName(folderName);
+    if (owner) {
+        folders[folder] = { ...folders[folder], owner, createdAt: folders[folder]?.createdAt || new Date().toISOString() };
+    } else if (folders[folder]) {
+        delete folders[folder].owner;
+    }
+    saveJson(FOLDERS_FILE, folders);
+    renderUsersPage(res, { success: owner ? `"${folder}" is now owned by ${owner}.` : `"${folder}" is now unowned.` });
+});
+
+// Set a folder's own allowed / blocked upload types, on top of the global policy
+app.post('/admin/folders/policy', auditAs('folder-policy'), requireRole('admin', 'admin'), (req, res) => {
+    if (!isSingleValue(req.body.folderName)) {
+        return sendError(req, res, 400, 'folderName must be one folder name.');
+    }
+    const folder = sanitizeName(req.body.folderName || '');
+    auditFields(req, { target: `/${folder}/`, detail: `allow ${req.body.allow || '-'}; block ${req.body.block || '-'}` });
+    if (!folder || !getIndexedFolder(folder)) {
+        return sendAdminError(req, res, renderUsersPage, 404, 'Folder not found.');
+    }
+    const policy = { allow: parseTypeList(req.body.allow), block: parseTypeList(req.body.block) };
+    setFolderUploadPolicy(folder, policy);
+    sendAdminResult(req, res, renderUsersPage, policy.allow.length || policy.block.length
+        ? `Upload types for "${folder}": allow ${policy.allow.join(', ') || 'all'}; block ${policy.block.join(', ') || 'none'}.`
+        : `"${folder}" now follows the global upload policy.`);
+});
+
+// ============ TWO-FACTOR SETTINGS (admin) ============
+
+// Two-factor settings belong to whoever logged in with the password, not to a token acting for them
+function requireSessionLogin(req, res, next) {
+    if (req.token) {
+        return sendForbidden(req, res, 'Two-factor settings can only be changed after logging in with a password.');
+    }
+    next();
+}
+
+function twoFactorStatus(account) {
+    return account.twoFactor
+        ? { enabled: true, enabledAt: account.twoFactor.enabledAt, recoveryCodesLeft: account.twoFactor.recoveryCodes.length }
+        : { enabled: false };
+}
+
+// Status, or the secret to add to an authenticator app while enrolling. Recovery codes are
+// only passed in right after they are made.
+function renderTwoFactorPage(res, { success = null, error = null, status = 200, recoveryCodes = null } = {}) {
+    const { user, session } = res.req;
+    const pending = !user.twoFactor && session.twoFactorSetup;
+    const setup = pending ? { secret: pending.secret, uri: totpUri(user.username, pending.secret) } : null;
+    res.status(status).render('admin-2fa', {
+        twoFactor: twoFactorStatus(user), setup, recoveryCodes, success, error, formatDate
+    });
+}
+
+// New recovery codes are shown once, whatever the format
+function sendRecoveryCodes(req, res, message, recoveryCodes) {
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json({ message, recoveryCodes });
+    }
+    if (format === 'text') {
+        return res.type('text/plain').send(`Success: ${message}\n\n${recoveryCodes.join('\n')}\n`);
+    }
+    renderTwoFactorPage(res, { success: message, recoveryCodes });
+}
+
+// A 6-digit code from the secret being enrolled, or null
+function matchSetupCode(secret, code) {
+    const value = String(code ?? '').replace(/\s+/g, '');
+    return new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(value) ? matchTotp(secret, value) : null;
+}
+
+app.get('/admin/2fa', requireRole('admin', 'admin'), requireSessionLogin, (req, res) => {
+    const status = twoFactorStatus(req.user);
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json(status);
+    }
+    if (format === 'text') {
+        return res.type('text/plain').send(status.enabled
+            ? `Two-factor: on since ${formatDate(status.enabledAt)}, ${status.recoveryCodesLeft} recovery code(s) left\n`
+            : 'Two-factor: off\n');
+    }
+    renderTwoFactorPage(res);
+});
+
+// Start enrolling: a new secret, kept in the session until a code made from it proves the app has it
+app.post('/admin/2fa/setup', requireRole('admin', 'admin'), requireSessionLogin, (req, res) => {
+    if (req.user.twoFactor) {
+        return sendAdminError(req, res, renderTwoFactorPage, 409, 'Two-factor authentication is already on. Turn it off first to move it to a new device.');
+    }
+    const secret = base32Encode(crypto.randomBytes(20));
+    req.session.twoFactorSetup = { secret };
+
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json({ secret, uri: totpUri(req.user.username, secret) });
+    }
+    if (format === 'text') {
+        return res.type('text/plain').send(`Secret: ${secret}\nURI:    ${totpUri(req.user.username, secret)}\n` +
+            `Confirm with a code from your app: POST ${BASE_URL}/admin/2fa/enable code=<code>\n`);
+    }
+    renderTwoFactorPage(res);
+});
+
+// Finish enrolling with a code from the app; answers with the recovery codes
+app.post('/admin/2fa/enable', auditAs('two-factor'), requireRole('admin', 'admin'), requireSessionLogin, (req, res) => {
+    auditFields(req, { target: req.user.username, detail: 'enabled' });
+    const pending = req.session.twoFactorSetup;
+    if (req.user.twoFactor) {
+        return sendAdminError(req, res, renderTwoFactorPage, 409, 'Two-factor authentication is already on.');
+    }
+    if (!pending) {
+        return sendAdminError(req, res, renderTwoFactorPage, 400, 'Start the setup first.');
+    }
+    const step = matchSetupCode(pending.secret, req.body.code);
+    if (step === null) {
+        return sendAdminError(req, res, renderTwoFactorPage, 400,
+            'That code does not match. Check that the app has the secret shown below and that the device clock is right.');
+    }
+
+    req.user.twoFactor = { secret: pending.secret, enabledAt: new Date().toISOString(), lastStep: step, recoveryCodes: [] };
+    delete req.session.twoFactorSetup;
+    const codes = createRecoveryCodes(req.user);
+    sendRecoveryCodes(req, res,
+        'Two-factor authentication is on. Keep these recovery codes somewhere safe: each works once in place of a code, and they are not shown again.', codes);
+});
+
+// Replace the recovery codes; needs a current code
+app.post('/admin/2fa/recovery-codes', auditAs('two-factor'), requireRole('admin', 'admin'), requireSessionLogin, (req, res) => {
+    auditFields(req, { target: req.user.username, detail: 'new recovery codes' });
+    if (!req.user.twoFactor) {
+        return sendAdminError(req, res, renderTwoFactorPage, 409, 'Two-factor authentication is off.');
+    }
+    if (!useSecondFactor(req.user, req.body.code)) {
+        return sendAdminError(req, res, renderTwoFactorPage, 403, 'That code is not right.');
+    }
+    const codes = createRecoveryCodes(req.user);
+    sendRecoveryCodes(req, res, 'New recovery codes made; the old ones no longer work.', codes);
+});
+
+// Turn two-factor off; needs the password and a code
+app.post('/admin/2fa/disable', auditAs('two-factor'), requireRole('admin', 'admin'), requireSessionLogin, async (req, res) => {
+    auditFields(req, { target: req.user.username, detail: 'disabled' });
+    if (!req.user.twoFactor) {
+        return sendAdminError(req, res, renderTwoFactorPage, 409, 'Two-factor authentication is already off.');
+    }
+    try {
+        const passwordOk = await bcrypt.compare(String(req.body.password ?? ''), req.user.passwordHash);
+        if (!req.user.twoFactor) { // Turned off by another request while bcrypt ran
+            return sendAdminError(req, res, renderTwoFactorPage, 409, 'Two-factor authentication is already off.');
+        }
+        if (!passwordOk || !useSecondFactor(req.user, req.body.code)) {
+            return sendAdminError(req, res, renderTwoFactorPage, 403, 'The password or code is not right.');
+        }
+        delete req.user.twoFactor;
+        saveJson(USERS_FILE, users);
+        sendAdminResult(req, res, renderTwoFactorPage, 'Two-factor authentication is off.');
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// ============ API TOKENS (admin) ============
+
+function renderTokensPage(res, { success = null, error = null, newToken = null, status = 200 } = {}) {
+    const tokenList = Object.values(tokens)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(t => ({ ...t, expired: !!t.expiresAt && new Date(t.expiresAt) < new Date() }));
+    const accounts = Object.values(users).filter(u => !u.disabled).map(u => u.username).sort();
+    res.status(status).render('admin-tokens', {
+        tokens: tokenList, accounts, scopes: TOKEN_SCOPES, success, error, newToken, formatDate
+    });
+}
+
+// Token list
+app.get('/admin/tokens', requireRole('admin', 'admin'), (req, res) => {
+    renderTokensPage(res);
+});
+
+// Create token - the plain token is shown once
+app.post('/admin/tokens', auditAs('token-create'), requireRole('admin', 'admin'), (req, res) => {
+    const name = (req.body.name || '').trim();
+    const owner = req.body.owner || req.user.username;
+    const scopes = [].concat(req.body.scopes || []);
+    auditFields(req, { target: name, detail: `owner ${owner}; scopes ${scopes.join(',')}` });
+    const days = req.body.expiresInDays ? Number(req.body.expiresInDays) : null;
+
+    if (!name) {
+        return renderTokensPage(res, { status: 400, error: 'Token name required' });
+    }
+    if (!users[owner] || users[owner].disabled) {
+        return renderTokensPage(res, { status: 404, error: 'Owner account not found' });
+    }
+    if (scopes.length === 0 || !scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+        return renderTokensPage(res, { status: 400, error: 'Pick at least one valid scope' });
+    }
+    if (days !== null && !(days > 0)) {
+        return renderTokensPage(res, { status: 400, error: 'Expiry must be a positive number of days' });
+    }
+
+    const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+    const token = createToken(owner, name, scopes, expiresAt);
+    renderTokensPage(res, { success: `Created token "${name}" for ${owner}. Copy it now - it won't be shown again.`, newToken: token });
+});
+
+// Revoke token
+app.post('/admin/tokens/:id/revoke', auditAs('token-revoke'), requireRole('admin', 'admin'), (req, res) => {
+    const token = tokens[req.params.id];
+    if (!token) {
+        return renderTokensPage(res, { status: 404, error: 'Token not found' });
+    }
+    auditFields(req, { target: token.name, detail: `token ${token.id}, owner ${token.owner}` });
+    delete tokens[token.id];
+    saveJson(TOKENS_FILE, tokens);
+    renderTokensPage(res, { success: `Revoked token "${token.name}".` });
+});
+
+// ============ SHARE LINKS (admin) ============
+
+function renderSharesPage(res, { success = null, error = null, newShare = null, status = 200 } = {}) {
+    const shareList = Object.values(shares)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(share => ({ ...share, url: shareUrl(share), status: shareStatus(share) }));
+    res.status(status).render('admin-shares', {
+        shares: shareList, folders: listFolders().map(f => f.name), success, error, newShare, formatDate
+    });
+}
+
+// Share list
+app.get('/admin/shares', requireRole('admin', 'admin'), (req, res) => {
+    renderSharesPage(res);
+});
+
+// Create share link for a file, or the whole folder when no file is given
+app.post('/admin/shares', auditAs('share-create'), requireRole('admin', 'admin'), (req, res) => {
+    if (!isSingleValue(req.body.folder)) {
+        return sendError(req, res, 400, 'folder must be one folder name.');
+    }
+    const folder = sanitizeName(req.body.folder || '');
+    const name = (req.body.file || '').trim() || null;
+    auditFields(req, { target: `/${folder}/${name || ''}` });
+
+    if (!folder || !getIndexedFolder(folder)) {
+        return renderSharesPage(res, { status: 404, error: 'Folder not found' });
+    }
+    if (name && !getIndexedFile(folder, name)) {
+        return renderSharesPage(res, { status: 404, error: `File "${name}" not found in /${folder}/` });
+    }
+
+    let options;
+    try {
+        options = parseShareOptions(req.body);
+    } catch (err) {
+        return renderSharesPage(res, { status: err.status, error: err.message });
+    }
+    const share = createShare(folder, name, req.user.username, options);
+    auditFields(req, { detail: `share ${share.id}` });
+    renderSharesPage(res, { success: `Shared ${name ? `"${name}"` : `folder "${folder}"`}.`, newShare: shareUrl(share) });
+});
+
+// Revoke share link
+app.post('/admin/shares/:id/revoke', auditAs('share-revoke'), requireRole('admin', 'admin'), (req, res) => {
+    const share = shares[req.params.id];
+    if (!share) {
+        return renderSharesPage(res, { status: 404, error: 'Share link not found' });
+    }
+    auditFields(req, { target: `/${share.folder}/${share.name || ''}`, detail: `share ${share.id}` });
+    revokeShare(share.id);
+    renderSharesPage(res, { success: `Revoked share of ${share.name ? `"${share.name}"` : `folder "${share.folder}"`}.` });
+});
+
+// ============ TRASH (admin) ============
+
+function renderTrashPage(res, { success = null, error = null, status = 200 } = {}) {
+    res.status(status).render('admin-trash', {
+        items: listTrash().map(trashToJson), retentionDays: TRASH_RETENTION_DAYS, success, error, formatSize, formatDate
+    });
+}
+
+// Report an admin action the way it was asked for: text line, JSON, or back on its admin page
+function sendAdminResult(req, res, renderPage, message) {
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json({ message });
+    }
+    if (format === 'text') {
+        return res.type('text/plain').send(`Success: ${message}\n`);
+    }
+    renderPage(res, { success: message });
+}
+
+function sendAdminError(req, res, renderPage, status, message) {
+    if (responseFormat(req) === 'html') {
+        res.locals.errorMessage = message; // For the audit log
+        return renderPage(res, { status: status || 500, error: message });
+    }
+    sendError(req, res, status, message);
+}
+
+// Trash list
+app.get('/admin/trash', requireRole('admin', 'admin'), (req, res) => {
+    const items = listTrash().map(trashToJson);
+    const format = responseFormat(req);
+
+    if (format === 'json') {
+        return res.json({ trash: items, retentionDays: TRASH_RETENTION_DAYS });
+    }
+    if (format === 'html') {
+        return renderTrashPage(res);
+    }
+
+    let output = `Trash (${TRASH_RETENTION_DAYS ? `purged ${TRASH_RETENTION_DAYS} day(s) after deletion` : 'kept until purged'})\n`;
+    output += '='.repeat(100) + '\n';
+    output += 'ID'.padEnd(25) + 'Deleted'.padEnd(35) + 'Size'.padEnd(12) + 'Deleted at'.padEnd(20) + 'By\n';
+    output += '-'.repeat(100) + '\n';
+    for (const item of items) {
+        output += item.id.padEnd(25) + item.location.substring(0, 34).padEnd(35) + formatSize(item.size).padEnd(12) +
+            formatDate(item.deletedAt).padEnd(20) + (item.deletedBy || '-') + '\n';
+    }
+    output += '-'.repeat(100) + '\n';
+    output += `Total: ${items.length} item(s)\n`;
+    output += `\nRestore: curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/trash/<id>/restore\n`;
+    output += `Purge:   curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/trash/<id>/purge\n`;
+    res.type('text/plain').send(output);
+});
+
+// Restore a trashed file or folder to where it was deleted from
+app.post('/admin/trash/:id/restore', auditAs('trash-restore'), requireRole('admin', 'admin'), async (req, res) => {
+    const item = trash[req.params.id];
+    if (!item) {
+        return sendAdminError(req, res, renderTrashPage, 404, 'Trash item not found.');
+    }
+    auditFields(req, { target: trashLocation(item), size: item.size });
+    try {
+        await restoreTrashItem(item);
+        sendAdminResult(req, res, renderTrashPage, `Restored ${trashLocation(item)}.`);
+    } catch (err) {
+        sendAdminError(req, res, renderTrashPage, err.status, err.message);
+    }
+});
+
+// Permanently delete one trashed item
+app.post('/admin/trash/:id/purge', auditAs('trash-purge'), requireRole('admin', 'admin'), (req, res) => {
+    const item = trash[req.params.id];
+    if (!item) {
+        return sendAdminError(req, res, renderTrashPage, 404, 'Trash item not found.');
+    }
+    auditFields(req, { target: trashLocation(item), size: item.size });
+    purgeTrashItem(item);
+    sendAdminResult(req, res, renderTrashPage, `Permanently deleted ${trashLocation(item)}.`);
+});
+
+// Permanently delete everything in the trash
+app.post('/admin/trash/empty', auditAs('trash-empty'), requireRole('admin', 'admin'), (req, res) => {
+    const items = listTrash();
+    auditFields(req, { detail: `${items.length} item(s)` });
+    items.forEach(purgeTrashItem);
+    sendAdminResult(req, res, renderTrashPage, `Permanently deleted ${items.length} item(s).`);
+});
+
+// ============ QUARANTINE (admin) ============
+
+function listQuarantine() {
+    return Object.values(quarantine).sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+}
+
+function renderQuarantinePage(res, { success = null, error = null, status = 200 } = {}) {
+    res.status(status).render('admin-quarantine', {
+        items: listQuarantine(), scanner: UPLOAD_SCANNER, success, error, formatSize, formatDate
+    });
+}
+
+// Uploads the virus scanner rejected
+app.get('/admin/quarantine', requireRole('admin', 'admin'), (req, res) => {
+    const format = responseFormat(req);
+    if (format === 'html') {
+        return renderQuarantinePage(res);
+    }
+    const items = listQuarantine();
+    if (format === 'json') {
+        return res.json({ scanner: UPLOAD_SCANNER || null, quarantine: items });
+    }
+
+    let output = `Quarantine (scanner: ${UPLOAD_SCANNER || 'none configured'})\n`;
+    output += '='.repeat(100) + '\n';
+    output += 'ID'.padEnd(25) + 'File'.padEnd(35) + 'Signature'.padEnd(25) + 'Uploaded by\n';
+    output += '-'.repeat(100) + '\n';
+    for (const item of items) {
+        output += item.id.padEnd(25) + `/${item.folder}/${item.originalName}`.substring(0, 34).padEnd(35) +
+            item.signature.substring(0, 24).padEnd(25) + (item.uploadedBy || item.uploaderIp) + '\n';
+    }
+    output += '-'.repeat(100) + '\n';
+    output += `Total: ${items.length} file(s)\n`;
+    res.type('text/plain').send(output);
+});
+
+// Delete a quarantined file for good
+app.post('/admin/quarantine/:id/delete', auditAs('quarantine-delete'), requireRole('admin', 'admin'), (req, res) => {
+    const item = quarantine[req.params.id];
+    if (!item) {
+        return sendAdminError(req, res, renderQuarantinePage, 404, 'Quarantined file not found.');
+    }
+    auditFields(req, { target: `/${item.folder}/${item.originalName}`, size: item.size, detail: item.signature });
+    deleteQuarantined(item);
+    sendAdminResult(req, res, renderQuarantinePage, `Deleted quarantined "${item.originalName}".`);
+});
+
+// ============ STORAGE USAGE (admin) ============
+
+function usageReport() {
+    const disk = diskSpace();
+    const folderList = listFolders()
+        .map(folder => {
+            const usage = folderUsage(folder.name);
+            const quota = folderQuota(folder.name);
+            return {
+                name: folder.name,
+                owner: folder.owner,
+                files: usage.files,
+                bytes: usage.bytes,
+                versionBytes: folderVersionBytes(folder.name),
+                maxBytes: quota.maxBytes,
+                maxFiles: quota.maxFiles,
+                quotaOverride: quota.override,
+                versioning: folderVersioning(folder.name)
+            };
+        })
+        .sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+    const trashed = listTrash();
+
+    return {
+        // With a remote store the disk only holds staged uploads, so only those pause
+        disk: { total: disk.total, free: disk.free, minFree: MIN_FREE_DISK, uploadsPaused: disk.free <= MIN_FREE_DISK, storage: fileStore.name },
+        defaultQuota: { maxBytes: QUOTA_MAX_BYTES, maxFiles: QUOTA_MAX_FILES },
+        defaultVersioning: { enabled: FILE_VERSIONING, maxVersions: VERSION_MAX_COUNT, maxAgeDays: VERSION_MAX_AGE_DAYS },
+        totalBytes: folderList.reduce((sum, folder) => sum + folder.bytes, 0),
+        trash: { items: trashed.length, bytes: trashed.reduce((sum, item) => sum + item.size, 0) },
+        dedup: { enabled: STORAGE_DEDUP, ...blobStats },
+        folders: folderList
+    };
+}
+
+function renderUsagePage(res, { success = null, error = null, status = 200 } = {}) {
+    res.status(status).render('admin-usage', { usage: usageReport(), success, error, formatSize, versioningLabel, dedupLabel });
+}
+
+// Quota form value: blank falls back to the default, 0 means no limit
+function parseQuotaLimit(value, param, parse) {
+    const text = String(value ?? '').trim();
+    return text === '' ? null : parse(text, param);
+}
+
+function parseFileCount(value, param) {
+    if (!/^\d+$/.test(value)) {
+        throw badRequest(`${param} must be a whole number of files`);
+    }
+    return parseInt(value, 10);
+}
+
+function quotaLabel(maxBytes, maxFiles) {
+    const limits = [maxBytes && formatSize(maxBytes), maxFiles && `${maxFiles} files`].filter(Boolean);
+    return limits.length ? limits.join(', ') : 'unlimited';
+}
+
+// Space saved by deduplication, as of the last blob sweep. Counts include earlier versions and the trash.
+function dedupLabel({ enabled, blobs, bytes, references, savedBytes }) {
+    if (!enabled && !blobs) return 'off';
+    return `${enabled ? 'on' : 'off, earlier blobs kept'} - ${references} file(s) share ${blobs} blob(s) of ` +
+        `${formatSize(bytes)}, saving ${formatSize(savedBytes)}`;
+}
+
+function versioningLabel({ enabled, maxVersions, maxAgeDays }) {
+    if (!enabled) return 'off';
+    const limits = [maxVersions && `last ${maxVersions}`, maxAgeDays && `${maxAgeDays} days`].filter(Boolean);
+    return `keep ${limits.length ? limits.join(', ') : 'all'}`;
+}
+
+function parseWholeNumber(value, param) {
+    if (!/^\d+$/.test(value)) {
+        throw badRequest(`${param} must be a whole number`);
+    }
+    return parseInt(value, 10);
+}
+
+// Usage dashboard
+app.get('/admin/usage', requireRole('admin', 'admin'), (req, res) => {
+    const format = responseFormat(req);
+    if (format === 'html') {
+        return renderUsagePage(res);
+    }
+
+    const usage = usageReport();
+    if (format === 'json') {
+        return res.json(usage);
+    }
+
+    let output = 'Storage Usage\n';
+    output += '='.repeat(100) + '\n';
+    const paused = usage.disk.storage === 'local' ? 'uploads' : 'staged uploads';
+    if (usage.disk.storage !== 'local') {
+        output += `Storage: ${usage.disk.storage} (the disk below only holds uploads being scanned, unpacked or sent in chunks)\n`;
+    }
+    output += `Disk: ${formatSize(usage.disk.free)} free of ${formatSize(usage.disk.total)}`;
+    output += usage.disk.uploadsPaused
+        ? ` - ${paused.toUpperCase()} PAUSED (below ${formatSize(usage.disk.minFree)})\n`
+        : ` (${paused} pause below ${formatSize(usage.disk.minFree)})\n`;
+    output += `Stored: ${formatSize(usage.totalBytes)} in ${usage.folders.length} folder(s), trash: ${formatSize(usage.trash.bytes)} in ${usage.trash.items} item(s)\n`;
+    output += `Deduplication: ${dedupLabel(usage.dedup)}\n`;
+    output += `Default quota: ${quotaLabel(usage.defaultQuota.maxBytes, usage.defaultQuota.maxFiles)}\n`;
+    output += '-'.repeat(100) + '\n';
+    output += `Default versioning: ${versioningLabel(usage.defaultVersioning)}\n`;
+    output += '-'.repeat(100) + '\n';
+    output += 'Folder'.padEnd(25) + 'Owner'.padEnd(15) + 'Files'.padEnd(8) + 'Used'.padEnd(12) + 'Versions'.padEnd(12) + 'Quota'.padEnd(15) + 'Versioning\n';
+    output += '-'.repeat(100) + '\n';
+    for (const folder of usage.folders) {
+        output += folder.name.substring(0, 24).padEnd(25) + (folder.owner || '-').substring(0, 14).padEnd(15) + String(folder.files).padEnd(8) +
+            formatSize(folder.bytes).padEnd(12) + formatSize(folder.versionBytes).padEnd(12) +
+            (quotaLabel(folder.maxBytes, folder.maxFiles) + (folder.quotaOverride ? ' *' : '')).padEnd(15) +
+            versioningLabel(folder.versioning) + (folder.versioning.override ? ' *' : '') + '\n';
+    }
+    output += '-'.repeat(100) + '\n';
+    output += '* set for this folder; Used includes earlier versions\n';
+    output += `\nSet quota: curl -H "Authorization: Bearer $TOKEN" -d "folderName=<folder>" -d "maxBytes=5GB" -d "maxFiles=1000" ${BASE_URL}/admin/usage/quota\n`;
+    output += `Versioning: curl -H "Authorization: Bearer $TOKEN" -d "folderName=<folder>" -d "enabled=true" -d "maxVersions=10" -d "maxAgeDays=90" ${BASE_URL}/admin/usage/versioning\n`;
+    res.type('text/plain').send(output);
+});
+
+// Set or clear a folder's quota override
+app.post('/admin/usage/quota', auditAs('quota'), requireRole('admin', 'admin'), (req, res) => {
+    if (!isSingleValue(req.body.folderName)) {
+        return sendError(req, res, 400, 'folderName must be one folder name.');
+    }
+    const folder = sanitizeName(req.body.folderName || '');
+    auditFields(req, { target: `/${folder}/`, detail: `maxBytes ${req.body.maxBytes || '-'}; maxFiles ${req.body.maxFiles || '-'}` });
+    if (!folder || !getIndexedFolder(folder)) {
+        return sendAdminError(req, res, renderUsagePage, 404, 'Folder not found.');
+    }
+
+    let maxBytes;
+    let maxFiles;
+    try {
+        maxBytes = parseQuotaLimit(req.body.maxBytes, 'maxBytes', parseSize);
+        maxFiles = parseQuotaLimit(req.body.maxFiles, 'maxFiles', parseFileCount);
+    } catch (err) {
+        return sendAdminError(req, res, renderUsagePage, err.status, err.message);
+    }
+
+    setFolderQuota(folder, { maxBytes, maxFiles });
+    const quota = folderQuota(folder);
+    sendAdminResult(req, res, renderUsagePage,
+        `Quota for "${folder}" is now ${quotaLabel(quota.maxBytes, quota.maxFiles)}${quota.override ? '' : ' (default)'}.`);
+});
+
+// Turn a folder's file versions on or off and set how many it keeps. Blank fields use the defaults.
+app.post('/admin/usage/versioning', auditAs('folder-versioning'), requireRole('admin', 'admin'), (req, res) => {
+    if (!isSingleValue(req.body.folderName)) {
+        return sendError(req, res, 400, 'folderName must be one folder name.');
+    }
+    const folder = sanitizeName(req.body.folderName || '');
+    const { enabled = '', maxVersions, maxAgeDays } = req.body;
+    auditFields(req, { target: `/${folder}/`, detail: `enabled ${enabled || '-'}; maxVersions ${maxVersions || '-'}; maxAgeDays ${maxAgeDays || '-'}` });
+    if (!folder || !getIndexedFolder(folder)) {
+        return sendAdminError(req, res, renderUsagePage, 404, 'Folder not found.');
+    }
+
+    let settings;
+    try {
+        settings = {
+            enabled: String(enabled).trim() === '' ? null : parseFlag(enabled, 'enabled'),
+            maxVersions: parseQuotaLimit(maxVersions, 'maxVersions', parseWholeNumber),
+            maxAgeDays: parseQuotaLimit(maxAgeDays, 'maxAgeDays', parseWholeNumber)
+        };
+    } catch (err) {
+        return sendAdminError(req, res, renderUsagePage, err.status, err.message);
+    }
+
+    setFolderVersioning(folder, settings);
+    const versioning = folderVersioning(folder);
+    sendAdminResult(req, res, renderUsagePage,
+        `Versioning for "${folder}" is now ${versioningLabel(versioning)}${versioning.override ? '' : ' (default)'}.`);
+});
+
+// ============ RATE LIMITS (admin) ============
+
+function rateLimitSettings() {
+    const off = 'off';
+    return [
+        ['Login', LOGIN_MAX_ATTEMPTS
+            ? `${LOGIN_MAX_ATTEMPTS} failures per ${formatWait(LOGIN_WINDOW / 1000)} per IP (two-factor codes also per account, share passwords per share and IP), then a ${formatWait(LOGIN_LOCKOUT / 1000)} lockout that doubles on repeat; past that many wrong passwords an account gets one try per delay, doubling from 1 second up to a minute, with no lockout`
+            : off],
+        ['Upload count', UPLOAD_RATE_COUNT ? `${UPLOAD_RATE_COUNT} per ${formatWait(UPLOAD_RATE_WINDOW / 1000)}` : off],
+        ['Upload bytes', UPLOAD_RATE_BYTES ? `${formatSize(UPLOAD_RATE_BYTES)} per ${formatWait(UPLOAD_RATE_WINDOW / 1000)}` : off],
+        ['Download bytes', DOWNLOAD_RATE_BYTES ? `${formatSize(DOWNLOAD_RATE_BYTES)} per ${formatWait(DOWNLOAD_RATE_WINDOW / 1000)}` : off],
+        ['Concurrent downloads', DOWNLOAD_MAX_CONCURRENT ? `${DOWNLOAD_MAX_CONCURRENT} per client` : off],
+        ['Trusted proxies', TRUST_PROXY === false ? 'none (X-Forwarded-For ignored)' : String(TRUST_PROXY)],
+        ['Counter store', settings.RATE_LIMIT_STORE || 'memory']
+    ];
+}
+
+// IPs, and accounts locked at the second factor, from recent login blocks that are still locked out
+async function currentLockouts() {
+    const keys = new Set();
+    for (const event of rateLimitEvents.filter(e => e.kind === 'login')) {
+        keys.add(event.key);
+        if (event.username) keys.add(`user:${event.username.toLowerCase()}`);
+    }
+    const lockouts = [];
+    for (const key of keys) {
+        const lock = await loginLimiter.lockoutFor([key]);
+        if (lock) lockouts.push({ key, until: new Date(lock.resetAt).toISOString() });
+    }
+    return lockouts;
+}
+
+async function renderRateLimitsPage(res, { success = null, error = null, status = 200 } = {}) {
+    res.status(status).render('admin-rate-limits', {
+        settings: rateLimitSettings(), events: rateLimitEvents, lockouts: await currentLockouts(), success, error, formatDate
+    });
+}
+
+// Limits in force, current login lockouts and recently blocked requests
+app.get('/admin/rate-limits', requireRole('admin', 'admin'), async (req, res) => {
+    try {
+        const format = responseFormat(req);
+        if (format === 'html') {
+            return await renderRateLimitsPage(res);
+        }
+
+        const lockouts = await currentLockouts();
+        if (format === 'json') {
+            return res.json({ settings: Object.fromEntries(rateLimitSettings()), lockouts, events: rateLimitEvents });
+        }
+
+        let output = 'Rate Limits\n';
+        output += '='.repeat(100) + '\n';
+        for (const [name, value] of rateLimitSettings()) {
+            output += `${name}:`.padEnd(22) + value + '\n';
+        }
+        output += `\nLocked out: ${lockouts.length ? lockouts.map(l => `${l.key} (until ${formatDate(l.until)})`).join(', ') : 'none'}\n`;
+        output += '\nRecently blocked\n';
+        output += '-'.repeat(100) + '\n';
+        output += 'Time'.padEnd(20) + 'Kind'.padEnd(10) + 'Client'.padEnd(30) + 'Path\n';
+        output += '-'.repeat(100) + '\n';
+        for (const event of rateLimitEvents) {
+            output += formatDate(event.at).padEnd(20) + event.kind.padEnd(10) + event.key.substring(0, 29).padEnd(30) + event.path + '\n';
+        }
+        output += '-'.repeat(100) + '\n';
+        output += `Total: ${rateLimitEvents.length} event(s)\n`;
+        res.type('text/plain').send(output);
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Lift a login lockout for an IP ("ip:1.2.3.4"), a username ("user:bob") or an IP at a share's
+// password ("share:<id>:ip:1.2.3.4" - share IDs are case-sensitive)
+app.post('/admin/rate-limits/unlock', auditAs('lockout-unlock'), requireRole('admin', 'admin'), async (req, res) => {
+    let key = String(req.body.key || '').trim();
+    key = /^share:/.test(key) ? key.replace(/:ip:.*$/, match => match.toLowerCase()) : key.toLowerCase();
+    auditFields(req, { target: key });
+    if (!/^(ip|user):./.test(key) && !/^share:[\w-]+:ip:./.test(key)) {
+        return sendAdminError(req, res, renderRateLimitsPage, 400, 'key must look like ip:<address>, user:<username> or share:<id>:ip:<address>.');
+    }
+    try {
+        await loginLimiter.unlock(key);
+        sendAdminResult(req, res, renderRateLimitsPage, `Unlocked ${key}.`);
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// ============ AUDIT LOG (admin) ============
+
+const AUDIT_COLUMNS = ['time', 'action', 'outcome', 'status', 'user', 'token', 'ip', 'userAgent', 'method', 'target', 'size', 'detail', 'error'];
+
+// A page of search results, shaped like a listing so the pager partial and listingToJson work on it
+function auditView(req, params, records) {
+    const total = records.length;
+    const pages = Math.max(1, Math.ceil(total / params.perPage));
+    const start = (params.page - 1) * params.perPage;
+    const url = (changes) => `${req.path}${auditQueryString(params, changes)}`;
+    const filters = auditQueryString(params, { page: 1, perPage: LISTING_PER_PAGE });
+    return {
+        params,
+        items: records.slice(start, start + params.perPage),
+        total,
+        page: params.page,
+        perPage: params.perPage,
+        pages,
+        from: total === 0 ? 0 : Math.min(start + 1, total),
+        to: Math.min(start + params.perPage, total),
+        query: auditQueryString(params),
+        clearUrl: req.path,
+        prevUrl: params.page > 1 ? url({ page: Math.min(params.page - 1, pages) }) : null,
+        nextUrl: params.page < pages ? url({ page: params.page + 1 }) : null,
+        exportUrl: (ext) => `/admin/audit.${ext}${filters}`
+    };
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas, so those get a leading quote
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function renderAuditPage(req, res) {
+    const params = parseAuditQuery(req.query);
+    res.render('admin-audit', {
+        listing: auditView(req, params, await searchAuditLog(params)),
+        actions: AUDIT_ACTIONS,
+        outcomes: AUDIT_OUTCOMES,
+        formatSize,
+        formatDate
+    });
+}
+
+// Audit log viewer: ?q= searches targets, users, IPs, user agents and messages;
+// action, user, outcome, since and until narrow it down. Newest first.
+app.get('/admin/audit', requireRole('admin', 'admin'), async (req, res) => {
+    try {
+        const format = responseFormat(req);
+        if (format === 'html') {
+            return await renderAuditPage(req, res);
+        }
+
+        const params = parseAuditQuery(req.query);
+        const view = auditView(req, params, await searchAuditLog(params));
+        if (format === 'json') {
+            return res.json({ entries: view.items, ...listingToJson(view) });
+        }
+
+        let output = 'Audit Log (newest first)\n';
+        output += '='.repeat(110) + '\n';
+        output += 'Time'.padEnd(20) + 'Action'.padEnd(18) + 'Outcome'.padEnd(9) + 'User'.padEnd(16) + 'IP'.padEnd(17) + 'Target\n';
+        output += '-'.repeat(110) + '\n';
+        for (const record of view.items) {
+            output += formatDate(record.time).padEnd(20) + record.action.padEnd(18) + record.outcome.padEnd(9) +
+                (record.user || '-').substring(0, 15).padEnd(16) + record.ip.substring(0, 16).padEnd(17) + record.target + '\n';
+        }
+        output += '-'.repeat(110) + '\n';
+        output += listingTextFooter(view, 'entry');
+        output += `\nExport: curl -H "Authorization: Bearer $TOKEN" -o audit.csv "${BASE_URL}${view.exportUrl('csv')}"\n`;
+        res.type('text/plain').send(output);
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
+
+// Everything matching the search, oldest first, as CSV or JSON lines
+app.get(['/admin/audit.csv', '/admin/audit.jsonl'], auditAs('audit-export'), requireRole('admin', 'admin'), async (req, res) => {
+    const csv = req.path.endsWith('.csv');
+    let params;
+    let records;
+    try {
+        params = parseAuditQuery(req.query);
+        records = (await searchAuditLog(params)).reverse();
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
     }
+    const query = auditQueryString(params, { page: 1, perPage: LISTING_PER_PAGE });
+    auditFields(req, { target: req.path, detail: `${records.length} record(s)${query ? ` for ${query}` : ''}` });
 
-    if (!fs.existsSync(userDir)) {
-        const isCurl = req.headers['user-agent']?.includes('curl');
-        if (isCurl) {
-            return res.status(404).send(`Error: User folder "${user}" not found.\n`);
+    res.removeHeader('Vary');
+    res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.${csv ? 'csv' : 'jsonl'}`);
+    res.type(csv ? 'text/csv' : 'application/x-ndjson');
+    const lines = function* () {
+        if (csv) yield AUDIT_COLUMNS.join(',') + '\r\n';
+        for (const record of records) {
+            yield csv ? AUDIT_COLUMNS.map(column => csvCell(record[column])).join(',') + '\r\n' : JSON.stringify(record) + '\n';
         }
-        return res.status(404).render('error', { message: `User folder "${user}" not found` });
-    }
+    };
+    stream.pipeline(stream.Readable.from(lines()), res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error(`Audit export failed: ${err.message}`);
+        }
+    });
+});
 
+// Admin directory listing (public unless the admin folder is made private)
+app.get('/admin', (req, res) => {
     try {
-        const files = fs.readdirSync(userDir).map(filename => {
-            const filepath = path.join(userDir, filename);
-            const stat = fs.statSync(filepath);
-            return {
-                name: filename,
-                isDir: false,
-                size: formatSize(stat.size),
-                sizeBytes: stat.size,
-                modified: formatDate(stat.mtime)
-            };
-        });
+        const fileList = canReadFolder(req.user, 'admin') ? listFolderFiles('admin') : [];
+        const format = responseFormat(req);
+
+        if (format === 'json') {
+            return res.json({ folder: 'admin', files: fileList.map(fileToJson) });
+        }
+
+        const files = fileList.map(file => ({
+            name: file.name,
+            size: formatSize(file.size),
+            sizeBytes: file.size,
+            modified: formatDate(file.mtimeMs)
+        }));
 
-        const isCurl = req.headers['user-agent']?.includes('curl');
-        if (isCurl) {
-            let output = `Directory: /uploads/${user}\n`;
+        if (format === 'text') {
+            let output = 'Admin Directory\n';
             output += '='.repeat(80) + '\n';
             output += 'Filename'.padEnd(45) + 'Size'.padEnd(15) + 'Modified\n';
             output += '-'.repeat(80) + '\n';
@@ -231,449 +7079,758 @@ app.get('/uploads/:user', (req, res) => {
             }
             output += '-'.repeat(80) + '\n';
             output += `Total: ${files.length} file(s)\n`;
-            output += `\nDownload: curl -O ${BASE_URL}/download/<filename>\n`;
+            output += `\nDownload: curl -O ${BASE_URL}/admin/download/<filename>\n`;
             res.type('text/plain').send(output);
         } else {
-            res.render('directory', { user, files });
+            res.render('admin-directory', { files, isPrivate: isPrivateFolder('admin') });
         }
     } catch (err) {
-        res.status(500).render('error', { message: err.message });
+        sendError(req, res, 500, err.message);
     }
 });
 
-// Upload page (GET)
-app.get('/upload', (req, res) => {
-    const isCurl = req.headers['user-agent']?.includes('curl');
-    if (isCurl) {
-        res.type('text/plain').send(`
-File Upload - curl Command
-===========================
-
-Upload with username:
-  curl -F "file=@yourfile.txt" -F "username=yourname" ${BASE_URL}/upload
-
-Upload with IP (auto):
-  curl -F "file=@yourfile.txt" ${BASE_URL}/upload
-
+// Admin upload page (GET) - PROTECTED
+app.get('/admin/upload', requireRole('admin', 'upload'), (req, res) => {
+    if (responseFormat(req) !== 'html') {
+        res.type('text/plain').send(`Upload to the admin folder:
+  curl -H "Authorization: Bearer <token>" -F "file=@yourfile.txt" ${BASE_URL}/admin/upload
 `);
     } else {
-        res.render('upload');
+        res.render('admin-upload', { success: null });
     }
 });
 
-// Upload handler (POST)
-app.post('/upload', upload.single('file'), (req, res) => {
-    const isCurl = req.headers['user-agent']?.includes('curl');
-
+// Admin upload handler (POST) - PROTECTED
+app.post('/admin/upload', auditAs('admin-upload'), requireRole('admin', 'upload'), adminUpload.single('file'), checkMultipartCsrf, async (req, res) => {
     if (!req.file) {
-        if (isCurl) {
-            return res.status(400).send('Error: No file uploaded. Use -F "file=@yourfile.txt"\n');
-        }
-        return res.status(400).render('error', { message: 'No file uploaded' });
+        return sendError(req, res, 400, 'No file uploaded. Use -F "file=@yourfile.txt"');
     }
+    auditFields(req, { target: `/admin/${req.file.originalname}`, size: req.file.size });
 
-    // Now form fields are parsed, move file to correct user folder
-    const clientId = moveToUserFolder(req);
-    const msg = `Success: "${req.file.originalname}" uploaded to /${clientId}/ (${formatSize(req.file.size)})\n`;
+    let entry;
+    let deduplicated;
+    let release;
+    try {
+        const subdir = parseSubpath(req.body.path);
+        checkSubfolderPath('admin', subdir);
+        const mimeType = await inspectUpload(req.file.path, {
+            folder: 'admin',
+            originalName: req.file.originalname,
+            uploadedBy: req.user.username,
+            uploaderIp: clientIp(req),
+            head: req.file.head
+        });
+        const sha256 = req.file.sha256 ?? await hashFile(req.file.path);
+        release = reserveQuota('admin', req.file.size);
+        await makeSubfolder('admin', subdir);
+        let storedName;
+        ({ name: storedName, deduplicated } = await placeFile(req.file.key ? { key: req.file.key } : req.file.path, 'admin', joinSubpath(subdir, sanitizeFilename(req.file.originalname)), sha256));
+        auditFields(req, { target: `/admin/${storedName}`, ...(deduplicated && { detail: 'deduplicated' }) });
+        entry = await indexFile('admin', storedName, {
+            originalName: req.file.originalname,
+            mimeType,
+            sha256,
+            uploaderIp: clientIp(req),
+            uploadedBy: req.user.username
+        });
+        emitEvent('file.uploaded', fileToJson(entry));
+    } catch (err) {
+        await discardUpload(req.file);
+        return sendError(req, res, err.status, err.message);
+    } finally {
+        release?.();
+    }
 
-    if (isCurl) {
-        res.type('text/plain').send(msg);
+    const msg = `"${req.file.originalname}" uploaded to admin folder as ${entry.name} (${formatSize(entry.size)})${deduplicated ? ', deduplicated' : ''}`;
+    const format = responseFormat(req);
+    if (format === 'json') {
+        res.status(201).json({ file: fileToJson(entry), deduplicated });
+    } else if (format === 'text') {
+        res.type('text/plain').send(`Success: ${msg}\n`);
     } else {
-        res.render('upload', { success: msg, clientId });
+        res.render('admin-upload', { success: msg });
     }
 });
 
-// Download file - searches all user folders
-app.get('/download/:filename', (req, res) => {
-    const filename = req.params.filename;
-    const isCurl = req.headers['user-agent']?.includes('curl');
+// Admin download (public unless the admin folder is made private)
+app.get('/admin/download/*', auditAs('download'), (req, res) => {
+    const filename = req.params[0];
+    const entry = getReadableFile(req.user, 'admin', filename);
 
-    // Search for file in all user directories
-    try {
-        const users = fs.readdirSync(UPLOAD_DIR);
-        for (const user of users) {
-            const userDir = path.join(UPLOAD_DIR, user);
-            if (!fs.statSync(userDir).isDirectory()) continue;
+    if (!entry) {
+        return sendError(req, res, 404, `File "${filename}" not found.`);
+    }
 
-            const filepath = path.join(userDir, filename);
-            if (fs.existsSync(filepath)) {
-                // Security check
-                if (!filepath.startsWith(UPLOAD_DIR)) {
-                    return res.status(403).send('Access denied.\n');
-                }
+    sendRequestedVersion(req, res, entry);
+});
 
-                return res.download(filepath, filename, (err) => {
-                    if (err && !res.headersSent) {
-                        if (isCurl) {
-                            res.status(500).send(`Error: ${err.message}\n`);
-                        } else {
-                            res.status(500).render('error', { message: err.message });
-                        }
-                    }
-                });
-            }
-        }
+// Check a folder may be deleted by this request. Returns true, or sends an error and returns false.
+function checkDeletableFolder(req, res, folderName) {
+    if (!folderName) {
+        sendError(req, res, 400, 'Folder name required');
+        return false;
+    }
 
-        // File not found
-        if (isCurl) {
-            res.status(404).send(`Error: File "${filename}" not found.\n`);
-        } else {
-            res.status(404).render('error', { message: `File "${filename}" not found` });
-        }
-    } catch (err) {
-        if (isCurl) {
-            res.status(500).send(`Error: ${err.message}\n`);
-        } else {
-            res.status(500).render('error', { message: err.message });
-        }
+    // Prevent deleting admin folder or special system folders
+    if (folderName === 'admin' || folderName.startsWith('.')) {
+        sendError(req, res, 403, 'Cannot delete system folders');
+        return false;
+    }
+    if (!canDeleteIn(req.user, folderName)) {
+        sendForbidden(req, res, `You do not own folder "${folderName}".`);
+        return false;
     }
-});
 
-// Delete file - searches all user folders (curl DELETE) - PROTECTED
-app.delete('/delete/:filename', requireAuth, (req, res) => {
-    const filename = req.params.filename;
+    // Security check - a folder name, never a path
+    if (/[\/\\]/.test(folderName)) {
+        sendError(req, res, 403, 'Access denied');
+        return false;
+    }
+    if (!getIndexedFolder(folderName)) {
+        sendError(req, res, 404, `Folder "${folderName}" not found.`);
+        return false;
+    }
+    return true;
+}
 
-    try {
-        const users = fs.readdirSync(UPLOAD_DIR);
-        for (const user of users) {
-            const userDir = path.join(UPLOAD_DIR, user);
-            if (!fs.statSync(userDir).isDirectory()) continue;
+// Move a folder to the trash, dropping its index entries, share links and owner record
+function deleteFolder(folderName, deletedBy) {
+    return withFolderLock(folderName, async () => {
+        if (!getIndexedFolder(folderName)) return; // Deleted while waiting its turn
+        const item = await moveToTrash(folderName, {
+            type: 'folder',
+            folder: folderName,
+            files: listFolderFiles(folderName),
+            dirs: listSubfolders(folderName, ''),
+            versions: versionsUnder(folderName),
+            folderRecord: folders[folderName] || null,
+            folderCreatedAt: getIndexedFolder(folderName).createdAt
+        }, deletedBy);
+        unindexFolder(folderName);
+        forgetShares(folderName);
+        forgetVersions(folderName);
+        // Before the owner record goes, so streams still hide a private folder's events
+        emitEvent('folder.deleted', {
+            folder: folderName, path: '', fileCount: item ? item.files.length : 0, deletedBy: deletedBy ? deletedBy.username : null
+        });
+        releaseFolder(folderName);
+    });
+}
 
-            const filepath = path.join(userDir, filename);
-            if (fs.existsSync(filepath)) {
-                // Security check
-                if (!filepath.startsWith(UPLOAD_DIR)) {
-                    return res.status(403).send('Access denied.\n');
-                }
+// Admin delete folder (POST) - PROTECTED
+app.post('/admin/delete-folder', auditAs('delete-folder'), requireRole('folder-owner', 'delete'), async (req, res) => {
+    if (!isSingleValue(req.body.folderName)) {
+        return sendError(req, res, 400, 'folderName must be one folder name.');
+    }
+    const folderName = req.body.folderName;
+    auditFields(req, { target: `/${folderName || ''}/` });
+    if (!checkDeletableFolder(req, res, folderName)) return;
 
-                fs.unlinkSync(filepath);
-                return res.send(`Success: File "${filename}" deleted.\n`);
-            }
-        }
-        res.status(404).send(`Error: File "${filename}" not found.\n`);
+    try {
+        await deleteFolder(folderName, req.user);
+        sendDeleted(req, res, `Folder "${folderName}" moved to the trash.`, '/');
     } catch (err) {
-        res.status(500).send(`Error: ${err.message}\n`);
+        sendError(req, res, 500, `Failed to delete folder: ${err.message}`);
     }
 });
 
-// Delete file - web handler (POST) - PROTECTED
-app.post('/delete', requireAuth, upload.none(), (req, res) => {
-    const filename = req.body.filename;
-    const user = req.body.user; // To redirect back to correct folder
+// ============ WEBHOOKS (admin) ============
 
-    if (!filename) {
-        return res.status(400).render('error', { message: 'Filename required' });
-    }
+function webhookToJson(webhook) {
+    const deliveries = webhooks.deliveries.filter(delivery => delivery.webhookId === webhook.id);
+    const last = deliveries[deliveries.length - 1];
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        events: webhook.events.length ? webhook.events : ['*'],
+        folder: webhook.folder,
+        active: webhook.active,
+        createdBy: webhook.createdBy,
+        createdAt: webhook.createdAt,
+        lastDelivery: last ? { id: last.id, event: last.event, status: last.status, createdAt: last.createdAt } : null
+    };
+}
 
-    try {
-        const users = fs.readdirSync(UPLOAD_DIR);
-        let deleted = false;
+function deliveryToJson(delivery) {
+    const last = delivery.attempts[delivery.attempts.length - 1];
+    return {
+        id: delivery.id,
+        webhookId: delivery.webhookId,
+        url: delivery.url,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastResult: last ? last.error || `Answered ${last.status}` : null,
+        nextAttemptAt: delivery.nextAttemptAt,
+        createdAt: delivery.createdAt,
+        payload: JSON.parse(delivery.payload)
+    };
+}
 
-        for (const u of users) {
-            const userDir = path.join(UPLOAD_DIR, u);
-            if (!fs.statSync(userDir).isDirectory()) continue;
+// Newest first, optionally for one webhook
+function listDeliveries(webhookId) {
+    return webhooks.deliveries
+        .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+        .slice(-100)
+        .reverse()
+        .map(deliveryToJson);
+}
 
-            const filepath = path.join(userDir, filename);
-            if (fs.existsSync(filepath)) {
-                // Security check
-                if (!filepath.startsWith(UPLOAD_DIR)) {
-                    return res.status(403).render('error', { message: 'Access denied' });
-                }
+function renderWebhooksPage(res, { success = null, error = null, newSecret = null, status = 200, webhookId = null } = {}) {
+    res.status(status).render('admin-webhooks', {
+        webhooks: webhooks.list().sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(webhookToJson),
+        deliveries: listDeliveries(webhookId),
+        filter: webhookId ? webhooks.get(webhookId) : null,
+        eventTypes: EVENT_TYPES,
+        folders: listFolders().map(f => f.name),
+        maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+        success,
+        error,
+        newSecret,
+        formatDate
+    });
+}
 
-                fs.unlinkSync(filepath);
-                deleted = true;
-                break;
-            }
-        }
+// Webhooks and their recent deliveries; ?webhook=<id> shows one webhook's deliveries
+app.get('/admin/webhooks', requireRole('admin', 'admin'), (req, res) => {
+    const webhookId = queryValue(req.query.webhook) || null;
+    if (webhookId && !webhooks.get(webhookId)) {
+        return sendError(req, res, 404, 'Webhook not found.');
+    }
+    const format = responseFormat(req);
+    if (format === 'html') {
+        return renderWebhooksPage(res, { webhookId });
+    }
+    const list = webhooks.list().sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(webhookToJson);
+    const deliveries = listDeliveries(webhookId);
+    if (format === 'json') {
+        return res.json({ webhooks: list, deliveries, eventTypes: EVENT_TYPES });
+    }
 
-        if (deleted) {
-            // Redirect back to user folder if provided, else home
-            if (user) {
-                res.redirect(`/uploads/${user}`);
-            } else {
-                res.redirect('/');
-            }
-        } else {
-            res.status(404).render('error', { message: `File "${filename}" not found` });
-        }
-    } catch (err) {
-        res.status(500).render('error', { message: err.message });
+    let output = 'Webhooks\n';
+    output += '='.repeat(100) + '\n';
+    output += 'ID'.padEnd(14) + 'Active'.padEnd(8) + 'Events'.padEnd(30) + 'Folder'.padEnd(16) + 'URL\n';
+    output += '-'.repeat(100) + '\n';
+    for (const webhook of list) {
+        output += webhook.id.padEnd(14) + (webhook.active ? 'yes' : 'no').padEnd(8) +
+            webhook.events.join(',').substring(0, 29).padEnd(30) + (webhook.folder || '*').padEnd(16) + webhook.url + '\n';
     }
+    output += '-'.repeat(100) + '\n';
+    output += `\nRecent deliveries (newest first)\n`;
+    output += '-'.repeat(100) + '\n';
+    output += 'Created'.padEnd(20) + 'Webhook'.padEnd(14) + 'Event'.padEnd(17) + 'Status'.padEnd(11) + 'Tries'.padEnd(7) + 'Last result\n';
+    for (const delivery of deliveries) {
+        output += formatDate(delivery.createdAt).padEnd(20) + delivery.webhookId.padEnd(14) + delivery.event.padEnd(17) +
+            delivery.status.padEnd(11) + String(delivery.attempts.length).padEnd(7) + (delivery.lastResult || '-') + '\n';
+    }
+    output += '-'.repeat(100) + '\n';
+    output += `\nAdd: curl -H "Authorization: Bearer $TOKEN" -d "url=https://ci.example.com/hooks" -d "events=file.uploaded,file.deleted" ${BASE_URL}/admin/webhooks\n`;
+    output += `Test: curl -H "Authorization: Bearer $TOKEN" -X POST ${BASE_URL}/admin/webhooks/<id>/ping\n`;
+    res.type('text/plain').send(output);
 });
 
-// List all files (flat view for admin)
-app.get('/files', (req, res) => {
-    const isCurl = req.headers['user-agent']?.includes('curl');
-
+// Add a webhook - its signing secret is shown once
+app.post('/admin/webhooks', auditAs('webhook-create'), requireRole('admin', 'admin'), (req, res) => {
+    let url;
+    let events;
+    if (!isSingleValue(req.body.folder)) {
+        return sendError(req, res, 400, 'folder must be one folder name.');
+    }
+    const folder = req.body.folder ? sanitizeName(req.body.folder) : null;
+    auditFields(req, { target: req.body.url || '', detail: `events ${[].concat(req.body.events || []).join(',') || '*'}; folder ${folder || '*'}` });
     try {
-        const allFiles = [];
-        const users = fs.readdirSync(UPLOAD_DIR);
-
-        for (const user of users) {
-            const userDir = path.join(UPLOAD_DIR, user);
-            if (!fs.statSync(userDir).isDirectory()) continue;
+        url = parseWebhookUrl(req.body.url);
+        events = parseEventTypes(req.body.events);
+    } catch (err) {
+        return sendAdminError(req, res, renderWebhooksPage, err.status, err.message);
+    }
+    if (folder && !getIndexedFolder(folder)) {
+        return sendAdminError(req, res, renderWebhooksPage, 404, `Folder "${folder}" not found.`);
+    }
 
-            const files = fs.readdirSync(userDir);
-            for (const file of files) {
-                const filepath = path.join(userDir, file);
-                const stat = fs.statSync(filepath);
-                allFiles.push({
-                    user,
-                    name: file,
-                    size: formatSize(stat.size),
-                    modified: formatDate(stat.mtime)
-                });
-            }
-        }
+    const webhook = webhooks.create(url, events, folder, req.user.username);
+    auditFields(req, { detail: `webhook ${webhook.id}; events ${events.join(',') || '*'}; folder ${folder || '*'}` });
+    const message = `Added webhook ${webhook.id} for ${url}. Copy its secret now - it won't be shown again.`;
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.status(201).json({ message, webhook: webhookToJson(webhook), secret: webhook.secret });
+    }
+    if (format === 'text') {
+        return res.status(201).type('text/plain').send(`Success: ${message}\nSecret: ${webhook.secret}\n`);
+    }
+    renderWebhooksPage(res, { success: message, newSecret: webhook.secret });
+});
 
-        if (isCurl) {
-            let output = 'All Files\n';
-            output += '='.repeat(100) + '\n';
-            output += 'User'.padEnd(20) + 'Filename'.padEnd(50) + 'Size'.padEnd(15) + 'Modified\n';
-            output += '-'.repeat(100) + '\n';
-            for (const f of allFiles) {
-                output += f.user.padEnd(20) + f.name.substring(0, 49).padEnd(50) + f.size.padEnd(15) + f.modified + '\n';
-            }
-            output += '-'.repeat(100) + '\n';
-            output += `Total: ${allFiles.length} file(s)\n`;
-            res.type('text/plain').send(output);
-        } else {
-            res.render('index', { items: allFiles, showAll: true });
-        }
+// Pause or resume a webhook (active=false|true). Paused webhooks get no new deliveries.
+app.post('/admin/webhooks/:id/active', auditAs('webhook-update'), requireRole('admin', 'admin'), (req, res) => {
+    const webhook = webhooks.get(req.params.id);
+    if (!webhook) {
+        return sendAdminError(req, res, renderWebhooksPage, 404, 'Webhook not found.');
+    }
+    let active;
+    try {
+        active = parseFlag(req.body.active, 'active');
     } catch (err) {
-        res.status(500).send(`Error: ${err.message}\n`);
+        return sendAdminError(req, res, renderWebhooksPage, err.status, err.message);
     }
+    auditFields(req, { target: webhook.url, detail: `webhook ${webhook.id}; active ${active}` });
+    webhooks.setActive(webhook, active);
+    sendAdminResult(req, res, renderWebhooksPage, `Webhook ${webhook.id} ${active ? 'resumed' : 'paused'}.`);
 });
 
-// Help
-app.get('/help', (req, res) => {
-    res.type('text/plain').send(`
-File Repository - curl Commands
-================================
+// Delete a webhook. Its deliveries stay in the log; pending retries fail.
+app.post('/admin/webhooks/:id/delete', auditAs('webhook-delete'), requireRole('admin', 'admin'), (req, res) => {
+    const webhook = webhooks.get(req.params.id);
+    if (!webhook) {
+        return sendAdminError(req, res, renderWebhooksPage, 404, 'Webhook not found.');
+    }
+    auditFields(req, { target: webhook.url, detail: `webhook ${webhook.id}` });
+    webhooks.remove(webhook);
+    sendAdminResult(req, res, renderWebhooksPage, `Deleted webhook ${webhook.id}.`);
+});
 
-LIST folders:
-  curl ${BASE_URL}/
+// Send a "ping" event, to check the receiver and its signature check
+app.post('/admin/webhooks/:id/ping', auditAs('webhook-test'), requireRole('admin', 'admin'), (req, res) => {
+    const webhook = webhooks.get(req.params.id);
+    if (!webhook) {
+        return sendAdminError(req, res, renderWebhooksPage, 404, 'Webhook not found.');
+    }
+    auditFields(req, { target: webhook.url, detail: `webhook ${webhook.id}; ping` });
+    const delivery = webhooks.deliver(webhook, {
+        id: generateUploadId(), type: 'ping', time: new Date().toISOString(), data: { webhook: webhook.id, sentBy: req.user.username }
+    });
+    sendAdminResult(req, res, renderWebhooksPage, `Sent a ping to ${webhook.url} (delivery ${delivery.id}). Its result shows in the delivery log.`);
+});
 
-LIST user files:
-  curl ${BASE_URL}/uploads/<username>
+// Send a logged delivery's event again, as a new delivery to the same webhook
+app.post('/admin/webhooks/deliveries/:id/redeliver', auditAs('webhook-test'), requireRole('admin', 'admin'), (req, res) => {
+    const previous = webhooks.deliveries.find(delivery => delivery.id === req.params.id);
+    if (!previous) {
+        return sendAdminError(req, res, renderWebhooksPage, 404, 'Delivery not found.');
+    }
+    const webhook = webhooks.get(previous.webhookId);
+    if (!webhook) {
+        return sendAdminError(req, res, renderWebhooksPage, 410, 'That delivery\'s webhook was deleted.');
+    }
+    auditFields(req, { target: webhook.url, detail: `webhook ${webhook.id}; redeliver ${previous.id}` });
+    const delivery = webhooks.deliver(webhook, JSON.parse(previous.payload));
+    sendAdminResult(req, res, renderWebhooksPage, `Sent ${previous.event} to ${webhook.url} again (delivery ${delivery.id}).`);
+});
 
-LIST all files:
-  curl ${BASE_URL}/files
+// ============ CONFIGURATION (admin) ============
 
-UPLOAD file:
-  curl -F "file=@yourfile.txt" -F "username=yourname" ${BASE_URL}/upload
+// A setting's value for the text and HTML pages; secrets arrive already redacted
+function configValueLabel(item) {
+    if (item.value === null) return '(automatic)';
+    if (item.value === '') return '(empty)';
+    if (item.type === 'size') return item.value ? `${formatSize(item.value)} (${item.value} bytes)` : '0';
+    return String(item.value);
+}
 
-DOWNLOAD file:
-  curl -O ${BASE_URL}/download/<filename>
+// Every setting in force and where it came from, secrets redacted
+app.get('/admin/config', requireRole('admin', 'admin'), (req, res) => {
+    const items = describeConfig(config);
+    const format = responseFormat(req);
+    if (format === 'json') {
+        return res.json({ profile: config.profile, file: config.file, settings: items });
+    }
+    if (format === 'html') {
+        return res.render('admin-config', { config, items, configValueLabel });
+    }
 
-DELETE file:
-  curl -X DELETE ${BASE_URL}/delete/<filename>
+    let output = `Configuration (${config.profile} profile, config file: ${config.file || 'none'})\n`;
+    output += '='.repeat(100) + '\n';
+    let group = null;
+    for (const item of items) {
+        if (item.group !== group) {
+            group = item.group;
+            output += `\n${group}\n` + '-'.repeat(100) + '\n';
+        }
+        output += item.name.padEnd(30) + item.source.padEnd(32) + configValueLabel(item) + '\n';
+    }
+    output += '\nSet these in config.json or as environment variables (which win); changes apply on restart.\n';
+    res.type('text/plain').send(output);
+});
 
-HELP:
-  curl ${BASE_URL}/help
+// ============ JSON API (v1) ============
+//
+// Same data as the listing routes, always JSON, with errors as
+// { "error": { "status": 404, "message": "..." } }. Authenticate with a
+// session cookie or "Authorization: Bearer <token>". Described in /api/v1/openapi.json.
 
-`);
-});
+const openApiDocument = require('./openapi.json');
 
-// ============ ADMIN ROUTES ============
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.json({ ...openApiDocument, servers: [{ url: BASE_URL }] });
+});
 
-// Multer storage for admin uploads
-const adminStorage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, ADMIN_DIR);
-    },
-    filename: (req, file, cb) => {
-        const safeName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
-        cb(null, safeName);
+app.get('/api/v1/folders', (req, res) => {
+    try {
+        const params = parseListingQuery(req.query);
+        const listing = listingView(req, params, applyListingQuery(listReadableFolders(req.user), params, FOLDER_FIELDS));
+        res.json({ folders: listing.items.map(folderToJson), ...listingToJson(listing) });
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
     }
 });
 
-const adminUpload = multer({
-    storage: adminStorage,
-    limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+// Subfolders and files at the top of a folder
+app.get('/api/v1/folders/:user/files', (req, res) => {
+    const user = sanitizeName(req.params.user);
+    if (!user || !getIndexedFolder(user) || !canReadFolder(req.user, user)) {
+        return sendError(req, res, 404, `Folder "${req.params.user}" not found.`);
+    }
+    sendDirectoryListing(req, res, user, '');
 });
 
-// Admin login page (GET)
-app.get('/admin/login', (req, res) => {
-    if (req.session && req.session.isAdmin) {
-        return res.redirect('/admin');
+// File metadata, including its sha256 - or the listing, when the path is a subfolder
+app.get('/api/v1/folders/:user/files/*', async (req, res) => {
+    const resolved = resolveUserFile(req.params.user, req.params[0]);
+    if (!resolved) {
+        return sendError(req, res, 403, 'Access denied.');
+    }
+    const entry = getReadableFile(req.user, resolved.user, resolved.name);
+    if (!entry) {
+        if (canReadFolder(req.user, resolved.user) && hasIndexedDir(resolved.user, resolved.name)) {
+            return sendDirectoryListing(req, res, resolved.user, resolved.name);
+        }
+        return sendError(req, res, 404, `File "${resolved.name}" not found in /${resolved.user}/.`);
+    }
+    try {
+        await getChecksum(entry); // Hashes files that arrived out-of-band
+        res.json({ file: fileToJson(getIndexedFile(entry.folder, entry.name) || entry) });
+    } catch (err) {
+        sendError(req, res, 500, err.message);
     }
-    res.render('login', { error: null });
 });
 
-// Admin login handler (POST)
-app.post('/admin/login', (req, res) => {
-    const { username, password } = req.body;
+// Versions of a file, current first
+app.get('/api/v1/folders/:user/history/*', (req, res) => {
+    const entry = resolveHistoryFile(req, res);
+    if (entry) sendFileHistory(req, res, entry);
+});
 
-    if (username === ADMIN_USERNAME && bcrypt.compareSync(password, ADMIN_PASSWORD_HASH)) {
-        req.session.isAdmin = true;
-        res.redirect('/admin');
-    } else {
-        res.render('login', { error: 'Invalid username or password' });
+// Restore an earlier version of a file: { "version": 2 }
+app.post('/api/v1/folders/:user/history/*', auditAs('version-restore'), requireRole('uploader', 'upload'), restoreFileVersion);
+
+// Upload into a folder (multipart field "file")
+app.post('/api/v1/folders/:user/files', auditAs('upload'), limitUploads, upload.single('file'), checkMultipartCsrf, async (req, res) => {
+    if (!req.file) {
+        return sendError(req, res, 400, 'No file uploaded. Send multipart field "file".');
     }
-});
+    req.body.username = req.params.user;
 
-// Admin logout
-app.get('/admin/logout', (req, res) => {
-    req.session.destroy((err) => {
-        res.redirect('/admin');
-    });
-});
+    let shareOptions;
+    let extract;
+    try {
+        shareOptions = uploadShareOptions(req.body);
+        extract = uploadExtractFlag(req.body, shareOptions);
+    } catch (err) {
+        await discardUpload(req.file);
+        return sendError(req, res, err.status, err.message);
+    }
 
-// Admin directory listing (PUBLIC - anyone can view/download)
-app.get('/admin', (req, res) => {
     try {
-        const files = [];
-        if (fs.existsSync(ADMIN_DIR)) {
-            const entries = fs.readdirSync(ADMIN_DIR);
-            for (const filename of entries) {
-                const filepath = path.join(ADMIN_DIR, filename);
-                const stat = fs.statSync(filepath);
-                if (stat.isFile()) {
-                    files.push({
-                        name: filename,
-                        size: formatSize(stat.size),
-                        sizeBytes: stat.size,
-                        modified: formatDate(stat.mtime)
-                    });
-                }
-            }
+        if (extract) {
+            return sendExtracted(req, res, req.file.originalname, await extractToUserFolder(req));
         }
+        const { entry, deduplicated } = await moveToUserFolder(req);
+        const share = shareOptions && createShare(entry.folder, entry.name, req.user?.username || null, shareOptions);
+        res.status(201)
+            .location(`${BASE_URL}/api/v1/folders/${encodeURIComponent(entry.folder)}/files/${encodeSubpath(entry.name)}`)
+            .json({ file: fileToJson(entry), deduplicated, ...(share && { share: shareToJson(share) }) });
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
 
-        const isCurl = req.headers['user-agent']?.includes('curl');
-        if (isCurl) {
-            let output = 'Admin Directory\\n';
-            output += '='.repeat(80) + '\\n';
-            output += 'Filename'.padEnd(45) + 'Size'.padEnd(15) + 'Modified\\n';
-            output += '-'.repeat(80) + '\\n';
-            for (const file of files) {
-                output += file.name.substring(0, 44).padEnd(45) + file.size.padEnd(15) + file.modified + '\\n';
-            }
-            output += '-'.repeat(80) + '\\n';
-            output += `Total: ${files.length} file(s)\\n`;
-            output += `\\nDownload: curl -O ${BASE_URL}/admin/download/<filename>\\n`;
-            res.type('text/plain').send(output);
-        } else {
-            res.render('admin-directory', { files });
+// Download the folder, or a subfolder (?path=builds), as one archive (?format=zip or tar.gz)
+app.get('/api/v1/folders/:user/archive', (req, res) => {
+    try {
+        sendFolderArchive(req, res, sanitizeName(req.params.user), parseArchiveFormat(queryValue(req.query.format)));
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
+
+// Delete a file, or a subfolder with everything in it
+app.delete('/api/v1/folders/:user/files/*', auditAs('delete'), requireRole('folder-owner', 'delete'), async (req, res) => {
+    const resolved = resolveUserFile(req.params.user, req.params[0]);
+    if (!resolved) {
+        return sendError(req, res, 403, 'Access denied.');
+    }
+    auditFields(req, { target: `/${resolved.user}/${resolved.name}` });
+    if (!canDeleteIn(req.user, resolved.user)) {
+        return sendForbidden(req, res, `You do not own folder "${resolved.user}".`);
+    }
+    try {
+        if (!await deleteInFolder(resolved.user, resolved.name, req.user)) {
+            return sendError(req, res, 404, `File "${resolved.name}" not found in /${resolved.user}/.`);
         }
+        res.status(204).end();
     } catch (err) {
-        res.status(500).render('error', { message: err.message });
+        sendError(req, res, 500, err.message);
     }
 });
 
-// Admin upload page (GET) - PROTECTED
-app.get('/admin/upload', requireAuth, (req, res) => {
-    const isCurl = req.headers['user-agent']?.includes('curl');
-    if (isCurl) {
-        res.type('text/plain').send('Error: Use web interface to upload admin files.\\n');
-    } else {
-        res.render('admin-upload', { success: null });
+// Create a subfolder: { "path": "builds/v2" }
+app.post('/api/v1/folders/:user/dirs', auditAs('mkdir'), (req, res) => {
+    createSubfolder(req, res, sanitizeName(req.params.user), req.body?.path);
+});
+
+// Move or rename a file or subfolder: { "from": "a.zip", "to": "builds/v2" }
+app.post('/api/v1/folders/:user/move', auditAs('move'), requireRole('folder-owner', 'delete'), (req, res) => {
+    moveFolderItem(req, res, sanitizeName(req.params.user), req.body?.from, req.body?.to);
+});
+
+app.delete('/api/v1/folders/:user', auditAs('delete-folder'), requireRole('folder-owner', 'delete'), async (req, res) => {
+    const folderName = sanitizeName(req.params.user);
+    auditFields(req, { target: `/${folderName}/` });
+    if (!checkDeletableFolder(req, res, folderName)) return;
+
+    try {
+        await deleteFolder(folderName, req.user);
+        res.status(204).end();
+    } catch (err) {
+        sendError(req, res, 500, err.message);
     }
 });
 
-// Admin upload handler (POST) - PROTECTED
-app.post('/admin/upload', requireAuth, adminUpload.single('file'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).render('error', { message: 'No file uploaded' });
+// Make a folder private or public: { "private": true }
+app.patch('/api/v1/folders/:user', auditAs('folder-visibility'), requireRole('uploader', 'upload'), (req, res) => {
+    const folder = sanitizeName(req.params.user);
+    auditFields(req, { target: `/${folder}/`, detail: `private ${req.body?.private}` });
+    if (!checkManagedFolder(req, res, folder)) return;
+
+    try {
+        setFolderPrivate(folder, parseFlag(req.body?.private, 'private'));
+    } catch (err) {
+        return sendError(req, res, err.status, err.message);
     }
+    const summary = listFolders().find(f => f.name === folder);
+    res.json({ folder: folderToJson(summary) });
+});
 
-    const msg = `"${req.file.originalname}" uploaded to admin folder (${formatSize(req.file.size)})`;
-    res.render('admin-upload', { success: msg });
+// Share links created by this account (admins see all of them)
+app.get('/api/v1/shares', requireRole('uploader', 'read'), (req, res) => {
+    const list = Object.values(shares)
+        .filter(share => hasRole(req.user, 'admin') || share.createdBy === req.user.username)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ shares: list.map(shareToJson) });
 });
 
-// Admin download (PUBLIC - anyone can download)
-app.get('/admin/download/:filename', (req, res) => {
-    const filename = req.params.filename;
-    const filepath = path.join(ADMIN_DIR, filename);
-    const isCurl = req.headers['user-agent']?.includes('curl');
+// Share a file or folder: { folder, file?, expires?, password?, maxDownloads? }
+app.post('/api/v1/shares', auditAs('share-create'), requireRole('uploader', 'upload'), (req, res) => {
+    if (!isSingleValue(req.body?.folder)) {
+        return sendError(req, res, 400, 'folder must be one folder name.');
+    }
+    const folder = sanitizeName(req.body?.folder || '');
+    const name = req.body?.file ? String(req.body.file) : null;
+    auditFields(req, { target: `/${folder}/${name || ''}` });
+    if (!checkManagedFolder(req, res, folder)) return;
+    if (name && !getIndexedFile(folder, name)) {
+        return sendError(req, res, 404, `File "${name}" not found in /${folder}/.`);
+    }
 
-    // Security check
-    if (!filepath.startsWith(ADMIN_DIR)) {
-        return res.status(403).send('Access denied.\\n');
+    try {
+        const share = createShare(folder, name, req.user.username, parseShareOptions(req.body));
+        auditFields(req, { detail: `share ${share.id}` });
+        res.status(201).location(shareUrl(share)).json({ share: shareToJson(share) });
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
     }
+});
 
-    if (!fs.existsSync(filepath)) {
-        if (isCurl) {
-            return res.status(404).send(`Error: File "${filename}" not found.\\n`);
-        }
-        return res.status(404).render('error', { message: `File "${filename}" not found` });
+// Revoke a share - its creator, the folder's owner or an admin
+app.delete('/api/v1/shares/:id', auditAs('share-revoke'), requireRole('uploader', 'upload'), (req, res) => {
+    const share = shares[req.params.id];
+    if (!share) {
+        return sendError(req, res, 404, 'Share link not found.');
     }
+    auditFields(req, { target: `/${share.folder}/${share.name || ''}`, detail: `share ${share.id}` });
+    if (share.createdBy !== req.user.username && !canManageFolder(req.user, share.folder)) {
+        return sendForbidden(req, res, 'You can only revoke your own share links.');
+    }
+    revokeShare(share.id);
+    res.status(204).end();
+});
 
-    res.download(filepath, filename, (err) => {
-        if (err && !res.headersSent) {
-            if (isCurl) {
-                res.status(500).send(`Error: ${err.message}\\n`);
-            } else {
-                res.status(500).render('error', { message: err.message });
-            }
-        }
+// The account (and token) making the request
+app.get('/api/v1/me', requireRole('viewer'), (req, res) => {
+    res.json({
+        user: { username: req.user.username, role: req.user.role },
+        token: req.token ? tokenToJson(req.token) : null
     });
 });
 
-// Admin delete folder (POST) - PROTECTED
-app.post('/admin/delete-folder', requireAuth, (req, res) => {
-    const folderName = req.body.folderName;
+// Swap a username and password for a token of that account, the way filerepo logs in:
+// { username, password, otp?, name?, scopes?, expiresInDays? }. Failures count towards the login lockout.
+app.post('/api/v1/tokens', auditAs('token-create'), async (req, res) => {
+    const username = String(req.body?.username ?? '');
+    const name = String(req.body?.name ?? '').trim() || 'filerepo';
+    const requested = req.body?.scopes ?? CLIENT_TOKEN_SCOPES;
+    const scopes = Array.isArray(requested) ? requested.map(String) : String(requested).split(',').map(s => s.trim());
+    const days = req.body?.expiresInDays ? Number(req.body.expiresInDays) : null;
+    auditFields(req, { target: name, detail: `owner ${username}; scopes ${scopes.join(',')}` });
 
-    if (!folderName) {
-        return res.status(400).render('error', { message: 'Folder name required' });
+    if (!username) {
+        return sendError(req, res, 400, 'username and password are required.');
+    }
+    if (scopes.length === 0 || !scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+        return sendError(req, res, 400, `scopes must be some of: ${TOKEN_SCOPES.join(', ')}.`);
+    }
+    if (days !== null && !(days > 0)) {
+        return sendError(req, res, 400, 'expiresInDays must be a positive number of days.');
     }
 
-    // Prevent deleting admin folder or special system folders
-    if (folderName === 'admin' || folderName === '.temp') {
-        return res.status(403).render('error', { message: 'Cannot delete system folders' });
+    const sendLockedOut = (lockout) => {
+        const retryAfter = Math.max(1, Math.ceil((lockout.resetAt - Date.now()) / 1000));
+        recordBlocked(req, 'login', lockout.key, retryAfter, 'Too many failed logins.', username);
+        res.set('Retry-After', String(retryAfter));
+        return sendError(req, res, 429, `Too many failed logins. Try again in ${formatWait(retryAfter)}.`);
+    };
+
+    try {
+        let secondFactor = null;
+        const { account, lockout } = await checkPassword(req, username, String(req.body?.password ?? ''));
+        if (lockout) {
+            return sendLockedOut(lockout);
+        }
+        if (!account) {
+            return sendError(req, res, 401, 'Invalid username or password.');
+        }
+        // Accounts with two-factor on also send a code as otp; without one the password is not
+        // counted as a failure, so a client can ask for the code and try again
+        if (account.twoFactor) {
+            if (!req.body?.otp) {
+                return sendError(req, res, 401, 'Two-factor code required: send the code from your authenticator app (or a recovery code) as otp.');
+            }
+            const second = await checkSecondFactor(req, account, String(req.body.otp));
+            if (second.lockout) {
+                return sendLockedOut(second.lockout);
+            }
+            if (!second.method) {
+                return sendError(req, res, 401, 'Invalid two-factor code.');
+            }
+            secondFactor = second.method;
+        }
+
+        const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+        const token = createToken(account.username, name, scopes, expiresAt);
+        const record = findToken(token);
+        auditFields(req, {
+            user: account.username,
+            detail: `token ${record.id}; scopes ${scopes.join(',')}${secondFactor ? `; with ${secondFactor}` : ''}`
+        });
+        res.status(201).json({ token, ...tokenToJson(record) });
+    } catch (err) {
+        sendError(req, res, 500, err.message);
+    }
+});
+
+// Revoke a token - its owner or an admin. "current" is the token making the request (filerepo logout).
+app.delete('/api/v1/tokens/:id', auditAs('token-revoke'), requireRole('viewer'), (req, res) => {
+    const token = req.params.id === 'current' ? req.token : tokens[req.params.id];
+    if (!token) {
+        return sendError(req, res, 404, req.params.id === 'current' ? 'This request was not made with a token.' : 'Token not found.');
     }
+    auditFields(req, { target: token.name, detail: `token ${token.id}, owner ${token.owner}` });
+    if (token.owner !== req.user.username && !(hasRole(req.user, 'admin') && hasScope(req, 'admin'))) {
+        return sendForbidden(req, res, 'You can only revoke your own tokens.');
+    }
+    delete tokens[token.id];
+    saveJson(TOKENS_FILE, tokens);
+    res.status(204).end();
+});
 
-    const folderPath = path.join(UPLOAD_DIR, folderName);
+app.get('/api/v1/usage', requireRole('admin', 'admin'), (req, res) => {
+    res.json(usageReport());
+});
 
-    // Security check
-    if (!folderPath.startsWith(UPLOAD_DIR)) {
-        return res.status(403).render('error', { message: 'Access denied' });
+app.get('/api/v1/audit', requireRole('admin', 'admin'), async (req, res) => {
+    try {
+        const params = parseAuditQuery(req.query);
+        const view = auditView(req, params, await searchAuditLog(params));
+        res.json({ entries: view.items, ...listingToJson(view) });
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
     }
+});
 
-    if (fs.existsSync(folderPath)) {
-        try {
-            fs.rmSync(folderPath, { recursive: true, force: true });
-            res.redirect('/');
-        } catch (err) {
-            res.status(500).render('error', { message: `Failed to delete folder: ${err.message}` });
-        }
-    } else {
-        res.status(404).render('error', { message: 'Folder not found' });
+app.get('/api/v1/trash', requireRole('admin', 'admin'), (req, res) => {
+    res.json({ trash: listTrash().map(trashToJson), retentionDays: TRASH_RETENTION_DAYS });
+});
+
+app.post('/api/v1/trash/:id/restore', auditAs('trash-restore'), requireRole('admin', 'admin'), async (req, res) => {
+    const item = trash[req.params.id];
+    if (!item) {
+        return sendError(req, res, 404, 'Trash item not found.');
+    }
+    auditFields(req, { target: trashLocation(item), size: item.size });
+    try {
+        await restoreTrashItem(item);
+        res.json({ restored: trashToJson(item) });
+    } catch (err) {
+        sendError(req, res, err.status, err.message);
+    }
+});
+
+app.delete('/api/v1/trash/:id', auditAs('trash-purge'), requireRole('admin', 'admin'), (req, res) => {
+    const item = trash[req.params.id];
+    if (!item) {
+        return sendError(req, res, 404, 'Trash item not found.');
     }
+    auditFields(req, { target: trashLocation(item), size: item.size });
+    purgeTrashItem(item);
+    res.status(204).end();
 });
 
 // 404 handler
 app.use((req, res) => {
-    const isCurl = req.headers['user-agent']?.includes('curl');
-    if (isCurl) {
-        res.status(404).send('Error: Page not found.\n');
-    } else {
-        res.status(404).render('error', { message: 'Page not found' });
-    }
+    sendError(req, res, 404, 'Page not found.');
 });
 
 // Error handler
 app.use((err, req, res, next) => {
-    const isCurl = req.headers['user-agent']?.includes('curl');
     if (err.code === 'LIMIT_FILE_SIZE') {
-        if (isCurl) {
-            return res.status(413).send('Error: File too large. Max size is 50MB.\n');
-        }
-        return res.status(413).render('error', { message: 'File too large. Max size is 50MB.' });
+        const hint = responseFormat(req) === 'html'
+            ? 'Use the upload page, which sends large files in chunks.'
+            : `For larger files use chunked upload, see: curl ${BASE_URL}/help`;
+        return sendError(req, res, 413, `File too large. Max size is ${formatSize(MULTIPART_MAX_SIZE)}. ${hint}`);
     }
-    if (isCurl) {
-        res.status(500).send(`Error: ${err.message}\n`);
-    } else {
-        res.status(500).render('error', { message: err.message });
+    if (err.code === 'LIMIT_FILE_COUNT') {
+        return sendError(req, res, 413, `Too many files. At most ${UPLOAD_MAX_FILES} can be sent in one upload.`);
     }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return sendError(req, res, 400, err.field === 'file'
+            ? 'Only one file can be sent per request here.'
+            : `Unexpected file field "${err.field}". Send files as -F "file=@yourfile.txt".`);
+    }
+    sendError(req, res, err.status, err.message);
 });
 
-app.listen(PORT, () => {
-    console.log(`File Repository running on http://localhost:${PORT}`);
-    console.log(`Upload directory: ${UPLOAD_DIR}`);
-    console.log(`\ncurl commands:`);
-    console.log(`  List:     curl http://localhost:${PORT}/`);
-    console.log(`  Upload:   curl -F "file=@file.txt" -F "username=name" http://localhost:${PORT}/upload`);
-    console.log(`  Download: curl -O http://localhost:${PORT}/download/<filename>`);
-    console.log(`  Help:     curl http://localhost:${PORT}/help`);
-});
+// Load the file index and check it against storage before taking requests
+fileStore.mkdir('admin')
+    .then(() => fileStore.name !== 'local' && fileStore.remove(UPLOAD_STAGING_PREFIX))
+    .then(loadIndex)
+    .then(reconcileIndex)
+    .then(({ added, removed }) => {
+        purgeVersionsInBackground(); // Needs the index to tell which histories are still in use
+        scheduleBlobSweep(0);
+        app.listen(PORT, () => {
+            console.log(`File Repository running on http://localhost:${PORT}`);
+            console.log(`Config: ${config.file || 'defaults and environment'} (${config.profile} profile)`);
+            config.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+            console.log(`Storage: ${fileStore.name === 's3' ? `s3://${fileStore.bucket} (downloads: ${STORAGE_DOWNLOADS})` : UPLOAD_DIR}`);
+            console.log(`File index: ${indexedFileCount()} file(s), ${added} added and ${removed} removed since last run`);
+            console.log(`\nCommand-line client: bin/filerepo, or curl -o filerepo ${BASE_URL}/filerepo`);
+            console.log(`  List:     filerepo ls [<username>]`);
+            console.log(`  Upload:   filerepo upload <file> --to <username>`);
+            console.log(`  Download: filerepo download <username>/<filename>`);
+            console.log(`  Help:     filerepo help, and curl ${BASE_URL}/help for everything else`);
+        });
+    })
+    .catch((err) => {
+        console.error(`Could not load the file index from ${fileStore.name} storage: ${err.message}`);
+        process.exit(1);
+    });
@@ -0,0 +1,42 @@
+// Storage backends for file contents. Keys are "/"-separated paths: "bob/builds/app.zip" for a
+// file in a folder, ".versions/<id>" and ".trash/<id>/..." for earlier versions and trashed items.
+// Every driver has the same async methods:
+//   mkdir(key)                 make a folder
+//   put(key, sourcePath)       move a finished local file in; resolves to { size, mtimeMs }
+//   write(key, readable)       store a stream; resolves to { size, mtimeMs }
+//   read(key, { start, end })  readable stream of the file or a byte range (end inclusive)
+//   stat(key)                  { size, mtimeMs } of a file, or null
+//   list(prefix)               async iterable of { key, size, mtimeMs, isDir } below a folder key
+//   remove(key)                a file, or a folder and everything in it
+//   move(from, to)             a file or a folder
+//   copy(from, to)             a file
+//   signedUrl(key, options)    a presigned download URL, or null when the driver has none
+// Missing files reject with err.code 'ENOENT', whichever the driver. The local driver also has
+// link(from, to), which gives a file a second key sharing its copy on disk (a hardlink); its stat
+// and list report how many names a file has as links. STORAGE_DEDUP needs both.
+
+const { createLocalStorage } = require('./local');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+// A driver set up from the S3_* settings (see config/schema.js): local files live under root
+function createStorage(driver, { root, settings }) {
+    if (driver === 'local') {
+        return createLocalStorage({ root });
+    }
+    if (driver === 's3') {
+        const { createS3Storage } = require('./s3'); // Loads the AWS SDK only when it is used
+        return createS3Storage({
+            bucket: settings.S3_BUCKET,
+            region: settings.S3_REGION,
+            endpoint: settings.S3_ENDPOINT,
+            prefix: settings.S3_PREFIX,
+            accessKeyId: settings.S3_ACCESS_KEY_ID,
+            secretAccessKey: settings.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: settings.S3_FORCE_PATH_STYLE ?? !!settings.S3_ENDPOINT
+        });
+    }
+    throw new Error(`Unknown storage driver "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+module.exports = { createStorage, STORAGE_DRIVERS };
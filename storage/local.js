@@ -0,0 +1,135 @@
+// Local disk driver: keys are paths under the root directory, so "bob/builds/app.zip"
+// is <root>/bob/builds/app.zip and folders are real directories.
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+
+function createLocalStorage({ root }) {
+    fs.mkdirSync(root, { recursive: true });
+
+    const resolve = (key) => {
+        const filepath = path.join(root, key);
+        if (filepath !== root && !filepath.startsWith(root + path.sep)) {
+            throw new Error(`Storage key "${key}" leaves the storage root`);
+        }
+        return filepath;
+    };
+
+    // Files and directories below a directory, depth first. Names starting with "." are skipped.
+    async function* walk(dir, prefix) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+            throw err;
+        }
+        for (const entry of entries) {
+            if (entry.name.startsWith('.') || !(entry.isFile() || entry.isDirectory())) continue;
+            const key = prefix + entry.name;
+            const stat = await fs.promises.stat(path.join(dir, entry.name));
+            yield { key, size: entry.isFile() ? stat.size : 0, mtimeMs: stat.mtimeMs, isDir: entry.isDirectory(), links: stat.nlink };
+            if (entry.isDirectory()) yield* walk(path.join(dir, entry.name), `${key}/`);
+        }
+    }
+
+    // Write a file beside target under a hidden name, then rename it into place. A file already
+    // at target may be a hardlink shared with other keys, so it must be replaced, never written into.
+    async function replace(target, writeTo) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        const temp = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}-${Date.now()}.tmp`);
+        try {
+            await writeTo(temp);
+            await fs.promises.rename(temp, target);
+        } catch (err) {
+            await fs.promises.rm(temp, { force: true });
+            throw err;
+        }
+    }
+
+    return {
+        name: 'local',
+        root,
+
+        async mkdir(key) {
+            await fs.promises.mkdir(resolve(key), { recursive: true });
+        },
+
+        // Move a finished local file in. rename keeps its mtime; a copy is made across filesystems.
+        async put(key, sourcePath) {
+            const target = resolve(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await fs.promises.rename(sourcePath, target);
+            } catch (err) {
+                if (err.code !== 'EXDEV') throw err;
+                await fs.promises.copyFile(sourcePath, target);
+                await fs.promises.rm(sourcePath, { force: true });
+            }
+            const stat = await fs.promises.stat(target);
+            return { size: stat.size, mtimeMs: stat.mtimeMs };
+        },
+
+        // Readable stream of a file, or of bytes start..end (inclusive). Rejects with ENOENT when it is missing.
+        async read(key, { start, end } = {}) {
+            const handle = await fs.promises.open(resolve(key), 'r');
+            return handle.createReadStream({ start, end });
+        },
+
+        // { size, mtimeMs, links } of a file, or null when there is none. links counts its hardlinks.
+        async stat(key) {
+            try {
+                const stat = await fs.promises.stat(resolve(key));
+                return stat.isFile() ? { size: stat.size, mtimeMs: stat.mtimeMs, links: stat.nlink } : null;
+            } catch (err) {
+                if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+                throw err;
+            }
+        },
+
+        // Everything below a directory key ("" for all), as { key, size, mtimeMs, isDir, links }
+        list(prefix) {
+            return walk(resolve(prefix), prefix ? `${prefix.replace(/\/+$/, '')}/` : '');
+        },
+
+        // Remove a file, or a directory and everything in it
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { recursive: true, force: true });
+        },
+
+        // Rename a file or directory. Rejects with ENOENT when there is nothing at from.
+        async move(from, to) {
+            const target = resolve(to);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.rename(resolve(from), target);
+        },
+
+        async copy(from, to) {
+            const source = resolve(from);
+            await replace(resolve(to), temp => fs.promises.copyFile(source, temp));
+        },
+
+        // Give the file at from a second name: both keys share one copy on disk (a hardlink).
+        // A file already at to is replaced.
+        async link(from, to) {
+            const source = resolve(from);
+            await replace(resolve(to), temp => fs.promises.link(source, temp));
+        },
+
+        // Disk has no presigned URLs - downloads are always sent by the server
+        async signedUrl() {
+            return null;
+        },
+
+        // Write a stream to a key (used when migrating between backends)
+        async write(key, source) {
+            const target = resolve(key);
+            await replace(target, temp => stream.promises.pipeline(source, fs.createWriteStream(temp)));
+            const stat = await fs.promises.stat(target);
+            return { size: stat.size, mtimeMs: stat.mtimeMs };
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,193 @@
+// S3-compatible driver (AWS S3, MinIO, R2, ...): keys are object keys under an optional
+// prefix. Folders are zero-byte "folder/" marker objects, the way S3 consoles make them,
+// so empty folders survive; folders implied by a file's key count too. Objects have no
+// mtime of their own - theirs is when they were last written.
+
+const fs = require('fs');
+const stream = require('stream');
+const {
+    S3Client, HeadObjectCommand, GetObjectCommand, PutObjectCommand, CopyObjectCommand, DeleteObjectsCommand,
+    ListObjectsV2Command, CreateMultipartUploadCommand, UploadPartCopyCommand, CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const COPY_PART_SIZE = 512 * 1024 * 1024; // Single CopyObject calls stop at 5GB
+const MAX_SINGLE_COPY = 5 * 1024 * 1024 * 1024;
+
+// A missing object, as the local driver reports it
+function notFound(key) {
+    const err = new Error(`"${key}" not found in storage`);
+    err.code = 'ENOENT';
+    return err;
+}
+
+function isNotFound(err) {
+    return err.name === 'NoSuchKey' || err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404;
+}
+
+function createS3Storage({ bucket, region, endpoint, prefix = '', accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        ...(endpoint && { endpoint }),
+        forcePathStyle: !!forcePathStyle,
+        ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }) // Otherwise the usual AWS credential chain
+    });
+    const base = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    const objectKey = (key) => base + key;
+
+    async function head(key) {
+        try {
+            const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            return { size: head.ContentLength, mtimeMs: head.LastModified.getTime() };
+        } catch (err) {
+            if (isNotFound(err)) return null;
+            throw err;
+        }
+    }
+
+    // Every object whose key starts with this, as keys relative to the prefix
+    async function* listObjects(start) {
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: base + start, ContinuationToken }));
+            for (const object of page.Contents || []) {
+                yield { key: object.Key.substring(base.length), size: object.Size, mtimeMs: object.LastModified.getTime() };
+            }
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+    }
+
+    async function deleteKeys(keys) {
+        for (let i = 0; i < keys.length; i += 1000) {
+            await client.send(new DeleteObjectsCommand({
+                Bucket: bucket,
+                Delete: { Objects: keys.slice(i, i + 1000).map(key => ({ Key: objectKey(key) })), Quiet: true }
+            }));
+        }
+    }
+
+    // Server-side copy; objects past 5GB are copied in parts
+    async function copyObject(from, to, size) {
+        const CopySource = encodeURIComponent(`${bucket}/${objectKey(from)}`).replace(/%2F/g, '/');
+        if (size <= MAX_SINGLE_COPY) {
+            try {
+                await client.send(new CopyObjectCommand({ Bucket: bucket, Key: objectKey(to), CopySource }));
+            } catch (err) {
+                throw isNotFound(err) ? notFound(from) : err;
+            }
+            return;
+        }
+        const { UploadId } = await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: objectKey(to) }));
+        try {
+            const parts = [];
+            for (let start = 0, PartNumber = 1; start < size; start += COPY_PART_SIZE, PartNumber++) {
+                const end = Math.min(start + COPY_PART_SIZE, size) - 1;
+                const part = await client.send(new UploadPartCopyCommand({
+                    Bucket: bucket, Key: objectKey(to), UploadId, PartNumber, CopySource, CopySourceRange: `bytes=${start}-${end}`
+                }));
+                parts.push({ PartNumber, ETag: part.CopyPartResult.ETag });
+            }
+            await client.send(new CompleteMultipartUploadCommand({
+                Bucket: bucket, Key: objectKey(to), UploadId, MultipartUpload: { Parts: parts }
+            }));
+        } catch (err) {
+            await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: objectKey(to), UploadId })).catch(() => {});
+            throw err;
+        }
+    }
+
+    // Stream a body into an object, in parts when it is large
+    async function upload(key, Body) {
+        await new Upload({ client, params: { Bucket: bucket, Key: objectKey(key), Body } }).done();
+        return head(key);
+    }
+
+    return {
+        name: 's3',
+        bucket,
+
+        async mkdir(key) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: `${objectKey(key)}/`, Body: '', ContentLength: 0 }));
+        },
+
+        async put(key, sourcePath) {
+            const stat = await upload(key, fs.createReadStream(sourcePath));
+            await fs.promises.rm(sourcePath, { force: true });
+            return stat;
+        },
+
+        async read(key, { start, end } = {}) {
+            const Range = start !== undefined || end !== undefined ? `bytes=${start || 0}-${end ?? ''}` : undefined;
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key), Range }));
+                return object.Body;
+            } catch (err) {
+                // S3 answers 416 for a range starting past the end - an empty file read from 0
+                if (err.$metadata?.httpStatusCode === 416) return stream.Readable.from([]);
+                throw isNotFound(err) ? notFound(key) : err;
+            }
+        },
+
+        stat: head,
+
+        // Everything below a folder key ("" for all). Names starting with "." are skipped, as on disk.
+        async* list(prefix) {
+            const start = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+            for await (const object of listObjects(start)) {
+                const rest = object.key.substring(start.length);
+                if (!rest || rest.split('/').some(part => part.startsWith('.'))) continue;
+                const isDir = object.key.endsWith('/');
+                yield { key: isDir ? object.key.slice(0, -1) : object.key, size: object.size, mtimeMs: object.mtimeMs, isDir };
+            }
+        },
+
+        // Remove an object, or a folder marker and everything under it
+        async remove(key) {
+            const keys = [key];
+            for await (const object of listObjects(`${key}/`)) keys.push(object.key);
+            await deleteKeys(keys);
+        },
+
+        // S3 has no rename: copy, then delete. A folder moves object by object.
+        async move(from, to) {
+            const file = await head(from);
+            if (file) {
+                await copyObject(from, to, file.size);
+                await deleteKeys([from]);
+                return;
+            }
+            const moved = [];
+            for await (const object of listObjects(`${from}/`)) {
+                await copyObject(object.key, to + object.key.substring(from.length), object.size);
+                moved.push(object.key);
+            }
+            if (!moved.length) throw notFound(from);
+            await deleteKeys(moved);
+        },
+
+        async copy(from, to) {
+            const file = await head(from);
+            if (!file) throw notFound(from);
+            await copyObject(from, to, file.size);
+        },
+
+        // Presigned GET for a download straight from the bucket, sent with these response headers
+        async signedUrl(key, { disposition, contentType, expiresIn = 300 } = {}) {
+            return getSignedUrl(client, new GetObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                ...(disposition && { ResponseContentDisposition: disposition }),
+                ...(contentType && { ResponseContentType: contentType })
+            }), { expiresIn });
+        },
+
+        write: upload
+    };
+}
+
+module.exports = { createS3Storage };
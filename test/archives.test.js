@@ -0,0 +1,150 @@
+// Uploads sent with extract=1: hand-made zips and tars that are hostile, oversized or in the
+// rarer encodings, unpacked by a real server.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, uploadFile, buildZip, buildTar } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({ NODE_ENV: 'test', MIN_FREE_DISK: '0', ARCHIVE_MAX_ENTRIES: '3', ARCHIVE_MAX_EXTRACTED_BYTES: '1000' });
+});
+
+after(() => server.stop());
+
+function extract(folder, filename, archive, fields = {}) {
+    return uploadFile(server.base, filename, archive, { username: folder, extract: '1', ...fields });
+}
+
+function stored(...segments) {
+    const file = path.join(server.dir, ...segments);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// Nothing of a refused archive is left behind in the temp stage
+function assertNoStaging() {
+    const temp = path.join(server.dir, '.temp');
+    const left = fs.existsSync(temp) ? fs.readdirSync(temp).filter(name => name !== 'chunked') : [];
+    assert.deepStrictEqual(left, []);
+}
+
+test('zip entries are unpacked into the folder and the subfolder asked for', async () => {
+    const zip = buildZip([
+        { name: 'docs/', data: '' },
+        { name: 'docs/a.txt', data: 'alpha' },
+        { name: 'b.txt', data: 'bravo '.repeat(20), deflate: true }
+    ]);
+    const { status, body } = await extract('zipper', 'set.zip', zip, { path: 'in' });
+    assert.strictEqual(status, 201, body.error?.message);
+    assert.deepStrictEqual(body.files.map(file => file.name).sort(), ['in/b.txt', 'in/docs/a.txt']);
+    assert.strictEqual(stored('zipper', 'in', 'docs', 'a.txt'), 'alpha');
+    assert.strictEqual(stored('zipper', 'in', 'b.txt'), 'bravo '.repeat(20));
+    assertNoStaging();
+});
+
+test('a zip entry climbing out with ".." refuses the whole archive', async () => {
+    const zip = buildZip([
+        { name: 'ok.txt', data: 'fine' },
+        { name: '../../escaped.txt', data: 'gotcha' }
+    ]);
+    const { status, body } = await extract('slip', 'slip.zip', zip);
+    assert.strictEqual(status, 400);
+    assert.match(body.error.message, /escaped\.txt/);
+    assert.strictEqual(stored('..', 'escaped.txt'), null);
+    assert.strictEqual(stored('escaped.txt'), null);
+    assert.strictEqual(stored('slip', 'ok.txt'), null, 'nothing is half-extracted');
+    assertNoStaging();
+});
+
+test('absolute zip paths and backslashes stay inside the folder, and symlinks are skipped', async () => {
+    const zip = buildZip([
+        { name: '/abs/a.txt', data: 'rooted' },
+        { name: 'win\\b.txt', data: 'windows' },
+        { name: 'link', data: '../../../etc/passwd', mode: 0o120777 }
+    ]);
+    const { status, body } = await extract('paths', 'paths.zip', zip);
+    assert.strictEqual(status, 201, body.error?.message);
+    assert.deepStrictEqual(body.files.map(file => file.name).sort(), ['abs/a.txt', 'win/b.txt']);
+    assert.strictEqual(stored('paths', 'abs', 'a.txt'), 'rooted');
+    assert.strictEqual(fs.existsSync(path.join(server.dir, 'paths', 'link')), false);
+});
+
+test('a tar entry climbing out with ".." refuses the whole archive', async () => {
+    const tar = buildTar([
+        { name: 'ok.txt', data: 'fine' },
+        { name: 'a/../../escaped.txt', data: 'gotcha' }
+    ]);
+    const { status } = await extract('tarslip', 'slip.tar', tar);
+    assert.strictEqual(status, 400);
+    assert.strictEqual(stored('escaped.txt'), null);
+    assert.strictEqual(stored('tarslip', 'ok.txt'), null);
+    assertNoStaging();
+});
+
+test('archives with more than ARCHIVE_MAX_ENTRIES entries are refused with 413', async () => {
+    const entries = ['1', '2', '3', '4'].map(n => ({ name: `${n}.txt`, data: n }));
+
+    const zip = await extract('many', 'many.zip', buildZip(entries));
+    assert.strictEqual(zip.status, 413);
+    assert.match(zip.body.error.message, /4 entries/);
+
+    const tar = await extract('many', 'many.tar', buildTar(entries));
+    assert.strictEqual(tar.status, 413);
+    assert.strictEqual(stored('many', '1.txt'), null);
+    assertNoStaging();
+});
+
+test('archives unpacking to more than ARCHIVE_MAX_EXTRACTED_BYTES are refused with 413', async () => {
+    // Deflates to a few bytes, so only the unpacked size gives it away
+    const zip = await extract('big', 'bomb.zip', buildZip([{ name: 'zeros.bin', data: Buffer.alloc(5000), deflate: true }]));
+    assert.strictEqual(zip.status, 413);
+    assert.match(zip.body.error.message, /unpacks to more than/);
+
+    const tar = await extract('big', 'big.tar', buildTar([
+        { name: 'a.bin', data: Buffer.alloc(600) },
+        { name: 'b.bin', data: Buffer.alloc(600) }
+    ]));
+    assert.strictEqual(tar.status, 413);
+    assert.strictEqual(stored('big', 'a.bin'), null);
+    assertNoStaging();
+});
+
+test('a zip entry that inflates past the size its header claims is refused', async () => {
+    const zip = buildZip([{ name: 'liar.bin', data: Buffer.alloc(900), deflate: true, size: 10 }]);
+    const { status, body } = await extract('liar', 'liar.zip', zip);
+    assert.strictEqual(status, 400);
+    assert.match(body.error.message, /more than its header says/);
+    assertNoStaging();
+});
+
+test('a zip entry whose CRC does not match is refused', async () => {
+    const zip = buildZip([{ name: 'bad.txt', data: 'corrupted', crc: 0x12345678 }]);
+    const { status, body } = await extract('crc', 'crc.zip', zip);
+    assert.strictEqual(status, 400);
+    assert.match(body.error.message, /CRC mismatch/);
+    assert.strictEqual(stored('crc', 'bad.txt'), null);
+    assertNoStaging();
+});
+
+test('zip64 extra fields and end records are read', async () => {
+    const zip = buildZip([
+        { name: 'one.txt', data: 'first' },
+        { name: 'two.txt', data: 'second '.repeat(10), deflate: true }
+    ], { zip64: true });
+    const { status, body } = await extract('zip64', 'z64.zip', zip);
+    assert.strictEqual(status, 201, body.error?.message);
+    assert.strictEqual(stored('zip64', 'one.txt'), 'first');
+    assert.strictEqual(stored('zip64', 'two.txt'), 'second '.repeat(10));
+});
+
+test('GNU base-256 tar sizes are read', async () => {
+    const data = 'x'.repeat(700); // Spans two blocks, so a misread size loses the next header
+    const tar = buildTar([{ name: 'big.txt', data }, { name: 'after.txt', data: 'next' }], { base256: true });
+    const { status, body } = await extract('gnu', 'gnu.tar', tar);
+    assert.strictEqual(status, 201, body.error?.message);
+    assert.strictEqual(stored('gnu', 'big.txt'), data);
+    assert.strictEqual(stored('gnu', 'after.txt'), 'next');
+});
@@ -0,0 +1,217 @@
+// Logins: two-factor codes and their drift window, the delay on wrong passwords per account,
+// CSRF tokens on session requests, and sessions kept on disk that expire.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createClient, uploadFile } = require('./helpers');
+
+const PASSWORD = 'correct horse battery';
+const SESSION_SECRET = 'test-secret-that-is-long-enough-for-the-server';
+const TOTP_SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+let server;
+
+function account(username, extra = {}) {
+    return { username, passwordHash: bcrypt.hashSync(PASSWORD, 4), role: 'admin', disabled: false, createdAt: new Date().toISOString(), ...extra };
+}
+
+before(async () => {
+    server = await startServer({ NODE_ENV: 'test', MIN_FREE_DISK: '0', LOGIN_MAX_ATTEMPTS: '0', SESSION_SECRET }, (dir) => {
+        fs.mkdirSync(path.join(dir, '.meta'));
+        fs.writeFileSync(path.join(dir, '.meta', 'users.json'), JSON.stringify({
+            admin: account('admin', { twoFactor: { secret: TOTP_SECRET, enabledAt: new Date().toISOString(), recoveryCodes: [] } }),
+            carol: account('carol')
+        }));
+    });
+});
+
+after(() => server.stop());
+
+// ---- Two-factor ----
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text) bits += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0');
+    return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+}
+
+// RFC 6238 code for a 30-second step
+function totp(step) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(TOTP_SECRET)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+
+// The current step, waiting out the last seconds of one so the server sees the same step
+async function currentStep() {
+    const seconds = (Date.now() / 1000) % 30;
+    if (seconds > 25) await new Promise(resolve => setTimeout(resolve, (30.5 - seconds) * 1000));
+    return Math.floor(Date.now() / 1000 / 30);
+}
+
+// A client past the password step, at the code prompt
+async function passwordStep() {
+    const client = createClient(server.base);
+    const res = await client.login('admin', PASSWORD);
+    assert.strictEqual(res.headers.get('location'), '/login/2fa');
+    await client.get('/login/2fa');
+    return client;
+}
+
+test('two-factor codes from one step either side of now are accepted, and each works once', async () => {
+    const now = await currentStep();
+
+    const first = await passwordStep();
+    assert.strictEqual((await first.post('/login/2fa', { code: totp(now - 2) })).status, 401);
+    assert.strictEqual((await first.post('/login/2fa', { code: totp(now + 2) })).status, 401);
+    assert.strictEqual((await first.post('/login/2fa', { code: '12345' })).status, 401);
+    const accepted = await first.post('/login/2fa', { code: totp(now - 1) });
+    assert.strictEqual(accepted.status, 302);
+    assert.strictEqual(accepted.headers.get('location'), '/admin');
+
+    const second = await passwordStep();
+    assert.strictEqual((await second.post('/login/2fa', { code: totp(now - 1) })).status, 401, 'a used code is refused');
+    assert.strictEqual((await second.post('/login/2fa', { code: totp(now) })).status, 302);
+
+    // A code from before the last accepted step is refused too, even inside the window
+    const third = await passwordStep();
+    assert.strictEqual((await third.post('/login/2fa', { code: totp(now - 1) })).status, 401);
+    assert.strictEqual((await third.post('/login/2fa', { code: totp(now + 1) })).status, 302);
+});
+
+test('the code prompt needs the password first', async () => {
+    const client = createClient(server.base);
+    await client.get('/login');
+    const res = await client.post('/login/2fa', { code: totp(Math.floor(Date.now() / 1000 / 30)) });
+    assert.strictEqual(res.status, 401);
+});
+
+test('wrong passwords from many IPs only slow the account down', async () => {
+    const limited = await startServer({ NODE_ENV: 'test', MIN_FREE_DISK: '0', LOGIN_MAX_ATTEMPTS: '3', TRUST_PROXY: '1', SESSION_SECRET }, (dir) => {
+        fs.mkdirSync(path.join(dir, '.meta'));
+        fs.writeFileSync(path.join(dir, '.meta', 'users.json'), JSON.stringify({ dave: account('dave') }));
+    });
+    try {
+        // Each try from a new IP, so only the count per account can add up
+        const login = async (ip, password) => {
+            const client = createClient(limited.base);
+            await client.get('/login', { 'x-forwarded-for': ip });
+            return client.post('/login', { username: 'dave', password }, { 'x-forwarded-for': ip });
+        };
+        const statuses = [];
+        for (let i = 1; i <= 3; i++) statuses.push((await login(`10.0.0.${i}`, 'wrong')).status);
+        assert.deepStrictEqual(statuses, [200, 200, 429]);
+
+        const early = await login('10.0.0.4', PASSWORD);
+        assert.strictEqual(early.status, 429, 'even the right password waits out the delay');
+        assert.ok(Number(early.headers.get('retry-after')) <= 1);
+
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.strictEqual((await login('10.0.0.5', PASSWORD)).status, 302, 'no lockout after the delay');
+        assert.strictEqual((await login('10.0.0.6', 'wrong')).status, 200, 'the right password cleared the count');
+    } finally {
+        await limited.stop();
+    }
+});
+
+// ---- CSRF ----
+
+test('login attempts without the CSRF token are refused', async () => {
+    const client = createClient(server.base);
+    await client.get('/login');
+    const res = await client.request('/login', { method: 'POST', body: new URLSearchParams({ username: 'carol', password: PASSWORD }) });
+    assert.strictEqual(res.status, 403);
+});
+
+test('POSTs on a login session need its CSRF token', async () => {
+    const client = createClient(server.base);
+    assert.strictEqual((await client.login('carol', PASSWORD)).status, 302);
+    await client.get('/admin/users', { accept: 'text/html' });
+    const token = client.csrf;
+
+    const post = (headers) => client.request('/logout', { method: 'POST', headers });
+    assert.strictEqual((await post({})).status, 403);
+    assert.strictEqual((await post({ 'x-csrf-token': 'not-the-token' })).status, 403);
+    const multibyte = await client.request('/logout', {
+        method: 'POST',
+        body: new URLSearchParams({ _csrf: 'é'.repeat(token.length / 2) }) // Same length in characters, not in bytes
+    });
+    assert.strictEqual(multibyte.status, 403);
+    assert.strictEqual((await client.get('/admin/users', { accept: 'text/html' })).status, 200, 'still logged in');
+
+    assert.strictEqual((await post({ 'x-csrf-token': token })).status, 302);
+    assert.strictEqual((await client.get('/admin/users', { accept: 'text/html' })).status, 302, 'logged out');
+});
+
+test('multipart uploads on a login session need the token before the file', async () => {
+    const client = createClient(server.base);
+    await client.login('carol', PASSWORD);
+    await client.get('/upload', { accept: 'text/html' });
+    const send = (fields) => {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) form.append(name, value);
+        form.append('file', new Blob(['contents']), 'note.txt');
+        return client.request('/upload', { method: 'POST', body: form, headers: { accept: 'application/json' } });
+    };
+
+    assert.strictEqual((await send({ username: 'csrf' })).status, 403);
+    assert.strictEqual(fs.existsSync(path.join(server.dir, 'csrf', 'note.txt')), false);
+    assert.strictEqual((await send({ _csrf: client.csrf, username: 'csrf' })).status, 201);
+});
+
+test('anonymous POSTs carry no session, so need no token', async () => {
+    const { status } = await uploadFile(server.base, 'note.txt', 'hello', { username: 'anon' });
+    assert.strictEqual(status, 201);
+});
+
+// ---- Sessions ----
+
+// A session written straight to the store, and a cookie signed for it the way express-session does
+function plantSession(sid, expiresAt) {
+    const file = path.join(server.dir, '.meta', 'sessions', `${crypto.createHash('sha256').update(sid).digest('hex')}.json`);
+    const cookie = { originalMaxAge: 3600000, expires: new Date(expiresAt).toISOString(), httpOnly: true, path: '/' };
+    fs.writeFileSync(file, JSON.stringify({ expiresAt, session: { cookie, username: 'carol' } }));
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(sid).digest('base64').replace(/=+$/, '');
+    const client = createClient(server.base);
+    client.setCookie('connect.sid', encodeURIComponent(`s:${sid}.${signature}`));
+    return { file, client };
+}
+
+test('sessions are read back from their file until they expire', async () => {
+    const live = plantSession('live-session-id', Date.now() + 60 * 60 * 1000);
+    assert.strictEqual((await live.client.get('/admin/users', { accept: 'text/html' })).status, 200);
+
+    const expired = plantSession('expired-session-id', Date.now() - 1000);
+    const res = await expired.client.get('/admin/users', { accept: 'text/html' });
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.get('location'), '/login');
+    assert.strictEqual(fs.existsSync(expired.file), false, 'an expired session file is removed when read');
+});
+
+test('a cookie not signed with SESSION_SECRET is ignored', async () => {
+    const { client } = plantSession('forged-session-id', Date.now() + 60 * 60 * 1000);
+    client.setCookie('connect.sid', encodeURIComponent('s:forged-session-id.bm90LWEtc2lnbmF0dXJl'));
+    assert.strictEqual((await client.get('/admin/users', { accept: 'text/html' })).status, 302);
+});
+
+test('expired sessions left on disk are swept at startup', async () => {
+    const sid = 'left-over-session-id';
+    const name = `${crypto.createHash('sha256').update(sid).digest('hex')}.json`;
+    const restarted = await startServer({ NODE_ENV: 'test', MIN_FREE_DISK: '0', SESSION_SECRET }, (dir) => {
+        fs.mkdirSync(path.join(dir, '.meta', 'sessions'), { recursive: true });
+        fs.writeFileSync(path.join(dir, '.meta', 'sessions', name), JSON.stringify({ expiresAt: Date.now() - 1000, session: { cookie: {} } }));
+    });
+    try {
+        const file = path.join(restarted.dir, '.meta', 'sessions', name);
+        for (let i = 0; i < 20 && fs.existsSync(file); i++) await new Promise(resolve => setTimeout(resolve, 100)); // The sweep runs alongside startup
+        assert.strictEqual(fs.existsSync(file), false);
+    } finally {
+        await restarted.stop();
+    }
+});
@@ -0,0 +1,77 @@
+// GET /events: the cap on streams from one IP, and streams ending with their account.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createClient, uploadFile } = require('./helpers');
+
+const PASSWORD = 'correct horse battery';
+
+let server;
+
+function account(username, role) {
+    return { username, passwordHash: bcrypt.hashSync(PASSWORD, 4), role, disabled: false, createdAt: new Date().toISOString() };
+}
+
+before(async () => {
+    server = await startServer({ NODE_ENV: 'test', MIN_FREE_DISK: '0', LOGIN_MAX_ATTEMPTS: '0', EVENTS_MAX_PER_IP: '2' }, (dir) => {
+        fs.mkdirSync(path.join(dir, '.meta'));
+        fs.writeFileSync(path.join(dir, '.meta', 'users.json'), JSON.stringify({
+            admin: account('admin', 'admin'),
+            erin: account('erin', 'uploader')
+        }));
+    });
+});
+
+after(() => server.stop());
+
+// Everything a stream sends until it ends, or null if it is still open after ms
+async function readUntilEnd(res, ms) {
+    const reader = res.body.getReader();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        reader.cancel();
+    }, ms);
+    let text = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        text += Buffer.from(value).toString();
+    }
+    clearTimeout(timer);
+    return timedOut ? null : text;
+}
+
+test('one IP can only hold EVENTS_MAX_PER_IP streams open', async () => {
+    const controller = new AbortController();
+    const open = () => fetch(`${server.base}/events`, { signal: controller.signal });
+    try {
+        const streams = [await open(), await open()];
+        assert.deepStrictEqual(streams.map(res => res.status), [200, 200]);
+        const third = await open();
+        assert.strictEqual(third.status, 429);
+        assert.ok(third.headers.get('retry-after'));
+    } finally {
+        controller.abort();
+    }
+});
+
+test('the stream of an account that gets disabled is closed', async () => {
+    const erin = createClient(server.base);
+    assert.strictEqual((await erin.login('erin', PASSWORD)).status, 302);
+    const admin = createClient(server.base);
+    assert.strictEqual((await admin.login('admin', PASSWORD)).status, 302);
+    await admin.get('/admin/users', { accept: 'text/html' });
+
+    const stream = await erin.open('/events');
+    assert.strictEqual(stream.status, 200);
+    assert.strictEqual((await admin.post('/admin/users/erin/disable')).status, 200);
+
+    await uploadFile(server.base, 'after.txt', 'contents', { username: 'public' });
+    const text = await readUntilEnd(stream, 5000);
+    assert.notStrictEqual(text, null, 'the stream ended');
+    assert.doesNotMatch(text, /after\.txt/);
+});
@@ -0,0 +1,230 @@
+// Shared by the tests: a server started on its own temp UPLOAD_DIR and port, a client that keeps
+// its cookies and CSRF token, and builders for hand-made zip and tar archives.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start server.js with these settings. setup(dir) can put files in UPLOAD_DIR before it starts.
+// Resolves to { base, dir, stop }; stop() ends the server and removes the dir.
+async function startServer(env = {}, setup = () => {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filerepo-test-'));
+    const configFile = path.join(dir, 'config.json');
+    fs.writeFileSync(configFile, '{}'); // So a config.json in the checkout doesn't apply
+    const uploadDir = path.join(dir, 'uploads');
+    fs.mkdirSync(uploadDir);
+    await setup(uploadDir);
+
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], {
+        env: { PATH: process.env.PATH, CONFIG_FILE: configFile, UPLOAD_DIR: uploadDir, PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('File Repository running')) resolve();
+        });
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.on('exit', (code) => reject(new Error(`server exited with ${code}:\n${output}`)));
+    });
+
+    return {
+        base: `http://127.0.0.1:${port}`,
+        dir: uploadDir,
+        async stop() {
+            child.removeAllListeners('exit');
+            if (child.exitCode === null) {
+                await new Promise(resolve => child.once('exit', resolve).kill());
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// fetch with a cookie jar. csrf is the last token a page rendered (name="_csrf" value="...").
+function createClient(base) {
+    const cookies = new Map();
+    const client = {
+        csrf: null,
+        async request(url, options = {}) {
+            const res = await client.open(url, options);
+            res.text = await res.text();
+            const token = /name="_csrf" value="([^"]+)"/.exec(res.text);
+            if (token) client.csrf = token[1];
+            return res;
+        },
+        // Like request, but the body is left unread, for streams
+        async open(url, options = {}) {
+            const headers = { ...options.headers };
+            if (cookies.size) headers.cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+            const res = await fetch(base + url, { redirect: 'manual', ...options, headers });
+            for (const cookie of res.headers.getSetCookie()) {
+                const [pair] = cookie.split(';');
+                const equals = pair.indexOf('=');
+                cookies.set(pair.substring(0, equals), pair.substring(equals + 1));
+            }
+            return res;
+        },
+        get(url, headers = {}) {
+            return client.request(url, { headers });
+        },
+        // A form POST; the CSRF token is added when there is one
+        post(url, fields = {}, headers = {}) {
+            const body = new URLSearchParams({ ...(client.csrf && { _csrf: client.csrf }), ...fields });
+            return client.request(url, { method: 'POST', body, headers });
+        },
+        setCookie(name, value) {
+            cookies.set(name, value);
+        },
+        async login(username, password) {
+            await client.get('/login');
+            return client.post('/login', { username, password });
+        }
+    };
+    return client;
+}
+
+// Upload one file as multipart, the fields before it. Answers in JSON.
+async function uploadFile(base, filename, data, fields = {}) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    form.append('file', new Blob([data]), filename);
+    const res = await fetch(`${base}/upload`, { method: 'POST', body: form, headers: { accept: 'application/json' } });
+    return { status: res.status, body: await res.json() };
+}
+
+// ---- Archives ----
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return ~crc >>> 0;
+}
+
+// A zip of [{ name, data, deflate, mode, crc, size }]. crc and size override what the headers claim.
+// zip64: true moves every entry's sizes and offset into zip64 extra fields and adds zip64 end records.
+function buildZip(entries, { zip64 = false } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const data = Buffer.from(entry.data ?? '');
+        const stored = entry.deflate ? zlib.deflateRawSync(data) : data;
+        const crc = entry.crc ?? crc32(data);
+        const size = entry.size ?? data.length;
+        const extra = Buffer.alloc(zip64 ? 28 : 0);
+        if (zip64) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(24, 2);
+            extra.writeBigUInt64LE(BigInt(size), 4);
+            extra.writeBigUInt64LE(BigInt(stored.length), 12);
+            extra.writeBigUInt64LE(BigInt(offset), 20);
+        }
+        const big = (value) => (zip64 ? 0xffffffff : value);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(zip64 ? 45 : 20, 4);
+        local.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+        local.writeUInt16LE(0x21, 12); // 1980-01-01
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, stored);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(0x0314, 4); // Made on Unix, so the mode is in the external attributes
+        central.writeUInt16LE(zip64 ? 45 : 20, 6);
+        central.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(big(stored.length), 20);
+        central.writeUInt32LE(big(size), 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt16LE(extra.length, 30);
+        central.writeUInt32LE(((entry.mode ?? (entry.name.endsWith('/') ? 0o40755 : 0o100644)) << 16) >>> 0, 38);
+        central.writeUInt32LE(big(offset), 42);
+        centrals.push(central, name, extra);
+
+        offset += local.length + name.length + stored.length;
+    }
+    const centralDir = Buffer.concat(centrals);
+    const tail = [];
+    if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE(45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(entries.length), 24);
+        record.writeBigUInt64LE(BigInt(entries.length), 32);
+        record.writeBigUInt64LE(BigInt(centralDir.length), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + centralDir.length), 8);
+        locator.writeUInt32LE(1, 16);
+        tail.push(record, locator);
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(zip64 ? 0xffff : entries.length, 8);
+    end.writeUInt16LE(zip64 ? 0xffff : entries.length, 10);
+    end.writeUInt32LE(zip64 ? 0xffffffff : centralDir.length, 12);
+    end.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+    return Buffer.concat([...locals, centralDir, ...tail, end]);
+}
+
+// A ustar archive of [{ name, data, type }]. base256: true writes sizes the GNU way, as a
+// binary number flagged by the top bit, which tar uses for files of 8GB and more.
+function buildTar(entries, { base256 = false } = {}) {
+    const blocks = [];
+    for (const entry of entries) {
+        const data = Buffer.from(entry.data ?? '');
+        const header = Buffer.alloc(512);
+        header.write(entry.name, 0, 100);
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        if (base256) {
+            header[124] = 0x80;
+            header.writeBigUInt64BE(BigInt(data.length), 128);
+        } else {
+            header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+        }
+        header.write(`${Math.floor(Date.now() / 1000).toString(8).padStart(11, '0')}\0`, 136);
+        header.write(entry.type ?? '0', 156);
+        header.write('ustar\0' + '00', 257, 'latin1');
+        header.fill(' ', 148, 156);
+        let sum = 0;
+        for (const byte of header) sum += byte;
+        header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+module.exports = { startServer, createClient, uploadFile, buildZip, buildTar };
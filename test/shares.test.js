@@ -0,0 +1,78 @@
+// Share links: the download limit against ranges, revalidation and requests sent side by side,
+// and the lockout on wrong passwords.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, uploadFile } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({ NODE_ENV: 'test', MIN_FREE_DISK: '0', DOWNLOAD_MAX_CONCURRENT: '0' });
+});
+
+after(() => server.stop());
+
+async function share(name, fields) {
+    const { status, body } = await uploadFile(server.base, name, 'shared contents', { username: 'sharer', share: '1', ...fields });
+    assert.strictEqual(status, 201, body.error?.message);
+    return `/s/${body.share.id}`;
+}
+
+function get(url, headers = {}, method = 'GET') {
+    return fetch(server.base + url, { method, headers, redirect: 'manual' });
+}
+
+test('every GET of a shared file uses up a download, ranges included', async () => {
+    const url = await share('ranges.txt', { shareMaxDownloads: '2' });
+
+    const first = await get(url, { range: 'bytes=0-0' });
+    assert.strictEqual(first.status, 206);
+    assert.strictEqual(await first.text(), 's');
+    const second = await get(url, { range: 'bytes=1-' });
+    assert.strictEqual(second.status, 206);
+    await second.text();
+
+    assert.strictEqual((await get(url, { range: 'bytes=0-' })).status, 410);
+    assert.strictEqual((await get(url)).status, 410);
+});
+
+test('HEAD, 304 and refused ranges give the download back', async () => {
+    const url = await share('free.txt', { shareMaxDownloads: '1' });
+
+    assert.strictEqual((await get(url, {}, 'HEAD')).status, 200);
+    const etag = (await get(url, {}, 'HEAD')).headers.get('etag');
+    // fetch adds "cache-control: no-cache" to conditional requests unless told otherwise
+    assert.strictEqual((await get(url, { 'if-none-match': etag, 'cache-control': 'max-age=0' })).status, 304);
+    assert.strictEqual((await get(url, { range: 'bytes=500-' })).status, 416);
+
+    const download = await get(url);
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(await download.text(), 'shared contents');
+    assert.strictEqual((await get(url)).status, 410);
+});
+
+test('requests sent side by side cannot all pass the limit', async () => {
+    const url = await share('race.txt', { shareMaxDownloads: '1' });
+    const responses = await Promise.all(Array.from({ length: 6 }, () => get(url)));
+    await Promise.all(responses.map(res => res.arrayBuffer()));
+    const statuses = responses.map(res => res.status).sort();
+    assert.deepStrictEqual(statuses, [200, 410, 410, 410, 410, 410]);
+});
+
+test('wrong share passwords lock the client out of that link', async () => {
+    const url = await share('secret.txt', { sharePassword: 'right password' });
+
+    const statuses = [];
+    for (let i = 0; i < 5; i++) statuses.push((await get(url, { 'x-share-password': `guess ${i}` })).status);
+    assert.deepStrictEqual(statuses, [401, 401, 401, 401, 429]);
+    const locked = await get(url, { 'x-share-password': 'right password' });
+    assert.strictEqual(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    // The lockout is for this link only
+    const other = await share('other.txt', { sharePassword: 'other password' });
+    assert.strictEqual((await get(other, { 'x-share-password': 'other password' })).status, 200);
+    assert.strictEqual((await get(other, { 'x-share-password': 'other password' })).status, 200, 'unlocked again without bcrypt');
+    assert.strictEqual((await get(other, { 'x-share-password': 'other' })).status, 401, 'a different password is checked');
+});